@@ -0,0 +1,165 @@
+// Versions are loaded and saved through these; mocked before the controller loads them
+jest.mock('../../utils/projectVersions', () => ({
+  ...jest.requireActual('../../utils/projectVersions'),
+  loadGenerationTarget: jest.fn(),
+  createNextVersion: jest.fn()
+}));
+
+const editController = require('../editController');
+const { loadGenerationTarget, createNextVersion } = require('../../utils/projectVersions');
+const { registerProvider } = require('../../utils/providers');
+
+const HEADER = 'export function Header() {\n  return <header>Brew</header>;\n}\n';
+const PRICING = 'export function PricingSection() {\n  return <section>$9</section>;\n}\n';
+const ROOT_LAYOUT = 'export function RootLayout() {\n  return <><Header /><PricingSection /></>;\n}\n';
+
+const VERSION = {
+  _id: 'version-1',
+  components: [
+    { componentId: 'comp_header', name: 'Header', position: 'header', code: HEADER, status: 'valid' },
+    { componentId: 'comp_pricingsection', name: 'PricingSection', position: 'main', code: PRICING, status: 'valid' },
+    { componentId: 'root_layout', name: 'RootLayout', position: 'main', code: ROOT_LAYOUT, status: 'valid' }
+  ],
+  sections: { header: ['comp_header'], main: ['comp_pricingsection', 'root_layout'], footer: [] },
+  generation: { prompt: 'Coffee shop', style: 'warm', requirements: 'show prices' }
+};
+
+// Provider that answers each call with the next reply and records the prompts
+const registerScriptedProvider = (name, replies) => {
+  const prompts = [];
+  registerProvider({
+    name,
+    defaultModel: `${name}-model`,
+    async *stream({ messages }) {
+      prompts.push(messages[0].content);
+      const text = replies[prompts.length - 1];
+      yield { type: 'message_start', message: { usage: { input_tokens: 50, output_tokens: 1 } } };
+      for (let i = 0; i < text.length; i += 9) {
+        yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: text.slice(i, i + 9) } };
+      }
+      yield { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 20 } };
+      yield { type: 'message_stop' };
+    }
+  });
+  return prompts;
+};
+
+const createResponse = () => {
+  const res = {
+    events: [],
+    setHeader: jest.fn(),
+    flushHeaders: jest.fn(),
+    write: jest.fn(frame => {
+      const data = frame.split('\n').find(line => line.startsWith('data: '));
+      res.events.push(JSON.parse(data.slice(6)));
+      return true;
+    }),
+    end: jest.fn(),
+    status: jest.fn(() => res),
+    json: jest.fn(() => res),
+    writable: true,
+    writableEnded: false
+  };
+  return res;
+};
+
+const runEdit = async (body) => {
+  const res = createResponse();
+  await editController({
+    body: { projectId: '64b7f0c2a1d3e4f5a6b7c8d9', versionId: 'version-1', ...body },
+    on: jest.fn()
+  }, res);
+  return res;
+};
+
+describe('Edit Controller', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    loadGenerationTarget.mockReset().mockResolvedValue({ project: {}, version: VERSION });
+    createNextVersion.mockReset().mockResolvedValue({ _id: 'version-2', versionNumber: 2 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should regenerate only the requested component and save it as a new version', async () => {
+    const edited = 'export function PricingSection() {\n  return <section>$7 per month</section>;\n}\n';
+    const prompts = registerScriptedProvider('test-edit', [
+      `/// START PricingSection position=main\n${edited}/// END PricingSection\n`
+    ]);
+
+    const res = await runEdit({ componentName: 'PricingSection', instruction: 'Make it $7 per month', provider: 'test-edit' });
+
+    expect(prompts).toHaveLength(1);
+    expect(prompts[0]).toContain(PRICING.trimEnd());
+    expect(prompts[0]).toContain('Change requested: Make it $7 per month');
+    expect(prompts[0]).toContain('Header (header), PricingSection (main), RootLayout (main)');
+    expect(prompts[0]).toContain('<><Header /><PricingSection /></>');
+    expect(prompts[0]).toContain('Brand style: warm');
+    expect(prompts[0]).not.toContain('<header>Brew</header>');
+
+    expect(res.events.map(event => event.type)).toEqual([
+      'session_start',
+      'content_block_start',
+      'content_block_delta',
+      'content_block_stop',
+      'usage',
+      'message_stop'
+    ]);
+    expect(res.events[2]).toEqual({
+      type: 'content_block_delta',
+      metadata: { componentId: 'comp_pricingsection', componentName: 'PricingSection', position: 'main' },
+      delta: { text: edited }
+    });
+    expect(res.events[4].usage).toEqual({ input_tokens: 50, output_tokens: 20 });
+    expect(res.events[5]).toMatchObject({ versionId: 'version-2', versionNumber: 2 });
+
+    const [projectId, saved] = createNextVersion.mock.calls[0];
+    expect(projectId).toBe('64b7f0c2a1d3e4f5a6b7c8d9');
+    expect(saved.parentVersion).toBe('version-1');
+    expect(saved.edit).toMatchObject({ componentName: 'PricingSection', instruction: 'Make it $7 per month', model: 'test-edit-model' });
+    expect(saved.components.map(c => c.code)).toEqual([HEADER, edited, ROOT_LAYOUT]);
+    expect(saved.components[1].status).toBe('valid');
+  });
+
+  it('should repair an edit that fails validation before saving it', async () => {
+    const broken = 'export function PricingSection() {\n  return <section>$7</div>;\n}\n';
+    const fixed = 'export function PricingSection() {\n  return <section>$7</section>;\n}\n';
+    const prompts = registerScriptedProvider('test-edit-repair', [broken, fixed]);
+
+    const res = await runEdit({ componentName: 'PricingSection', instruction: 'Cheaper', provider: 'test-edit-repair' });
+
+    expect(prompts[1]).toContain('failed validation');
+    expect(res.events.map(event => event.type)).toContain('validation_error');
+    expect(createNextVersion.mock.calls[0][1].components[1]).toMatchObject({ code: fixed, status: 'repaired', repairAttempts: 1 });
+  });
+
+  it('should settle the usage of finished calls when saving the edit fails', async () => {
+    const edited = 'export function PricingSection() {\n  return <section>$7</section>;\n}\n';
+    registerScriptedProvider('test-edit-save-error', [edited]);
+    createNextVersion.mockRejectedValue(new Error('Database unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await runEdit({ componentName: 'PricingSection', instruction: 'Cheaper', provider: 'test-edit-save-error' });
+
+    expect(res.events.map(event => event.type).slice(-2)).toEqual(['error', 'usage']);
+    expect(res.events.at(-1).usage).toEqual({ input_tokens: 50, output_tokens: 20 });
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('should reject requests without an instruction', async () => {
+    const res = await runEdit({ componentName: 'PricingSection', instruction: '  ' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(loadGenerationTarget).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for a component that is not in the version', async () => {
+    const res = await runEdit({ componentName: 'Testimonials', instruction: 'Add quotes' });
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.write).not.toHaveBeenCalled();
+  });
+});
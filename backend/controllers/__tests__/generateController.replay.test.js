@@ -0,0 +1,580 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Only generations with real project ids touch these; mocked before the controller loads them
+jest.mock('../../utils/projectVersions', () => ({
+  ...jest.requireActual('../../utils/projectVersions'),
+  loadGenerationTarget: jest.fn(),
+  createNextVersion: jest.fn()
+}));
+
+const generateController = require('../generateController');
+const { loadGenerationTarget, createNextVersion } = require('../../utils/projectVersions');
+const { readCassette, isCassette, getRecordedEvents } = require('../../utils/cassette');
+const { resolveFixture } = require('../../utils/providers/replay');
+const { registerProvider } = require('../../utils/providers');
+const { cancelSession } = require('../sessionController');
+const User = require('../../models/User');
+
+// Cassettes recorded from real /api/generate runs
+const LANDING_PAGE_CASSETTE = 'cassettes/landing-page';
+
+// Durations and session ids differ on every run, so they are dropped before comparing
+const stripTimings = (value) => JSON.parse(JSON.stringify(value, (key, val) =>
+  key === 'duration' || key === 'sessionId' ? undefined : val
+));
+
+// Parses an SSE frame ("id: 3\ndata: {...}\n\n") into its JSON payload
+const parseFrame = (frame) => JSON.parse(frame.split('\n').find(line => line.startsWith('data: ')).slice('data: '.length));
+
+// Runs the controller against the replay provider and resolves with the emitted events
+const runGeneration = (model, query = { projectId: 'test-project', versionId: 'test-version' }, provider = 'replay', onEvent = () => {}, user, body = {}) =>
+  new Promise((resolve) => {
+    const events = [];
+    const req = {
+      query,
+      body: { prompt: 'Coffee shop landing page', style: 'warm', requirements: '', provider, model, ...body },
+      user,
+      on: jest.fn()
+    };
+    const res = {
+      setHeader: jest.fn(),
+      flushHeaders: jest.fn(),
+      flush: jest.fn(),
+      write: jest.fn(frame => {
+        const event = parseFrame(frame);
+        events.push(event);
+        onEvent(event);
+        return true;
+      }),
+      end: jest.fn(() => resolve(events)),
+      writable: true,
+      writableEnded: false
+    };
+
+    generateController(req, res);
+  });
+
+describe('Generate Controller (cassette replay)', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.GENERATE_CASSETTE_DIR;
+    delete process.env.AI_REPLAY_DIR;
+  });
+
+  it('should emit the same SSE events that were recorded with the cassette', async () => {
+    const recorded = getRecordedEvents(readCassette(resolveFixture(LANDING_PAGE_CASSETTE)));
+
+    const events = await runGeneration(LANDING_PAGE_CASSETTE);
+
+    expect(stripTimings(events)).toEqual(stripTimings(recorded));
+  });
+
+  it('should refuse models the provider does not allow before starting a session', async () => {
+    const events = await runGeneration('../../package.json');
+
+    expect(events).toEqual([expect.objectContaining({ type: 'error', code: 'INVALID_MODEL', retryable: false })]);
+    expect(JSON.stringify(events)).not.toContain('"dependencies"');
+  });
+
+  it('should record raw chunks and emitted events when GENERATE_CASSETTE_DIR is set', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+    process.env.GENERATE_CASSETTE_DIR = dir;
+
+    const events = await runGeneration('landing-page');
+    // Let the recorder flush its file stream
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const [file] = fs.readdirSync(dir);
+    expect(file).toMatch(/coffee-shop-landing-page\.jsonl$/);
+
+    const entries = readCassette(path.join(dir, file));
+    expect(isCassette(entries)).toBe(true);
+    expect(entries[0].request).toMatchObject({ provider: 'replay', model: 'landing-page' });
+    expect(entries.some(entry => entry.kind === 'chunk')).toBe(true);
+    expect(getRecordedEvents(entries)).toEqual(events);
+
+    // The fresh cassette replays back to the same events
+    delete process.env.GENERATE_CASSETTE_DIR;
+    process.env.AI_REPLAY_DIR = dir;
+    const replayed = await runGeneration(file);
+    expect(stripTimings(replayed)).toEqual(stripTimings(events));
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Registers a provider that streams `page` for generations and the next entry of `repairs` for repair calls
+  const registerScriptedProvider = (name, page, repairs = []) => {
+    const repairPrompts = [];
+    registerProvider({
+      name,
+      defaultModel: name,
+      async *stream({ messages }) {
+        const isRepair = messages[0].content.includes('failed validation');
+        if (isRepair) repairPrompts.push(messages[0].content);
+        const text = isRepair ? repairs[repairPrompts.length - 1] : page;
+
+        yield { type: 'message_start', message: { usage: { input_tokens: 100, output_tokens: 1 } } };
+        // Uneven chunks so markers and JSX straddle chunk boundaries
+        for (let i = 0; i < text.length; i += 7) {
+          yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: text.slice(i, i + 7) } };
+        }
+        yield { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 10 } };
+        yield { type: 'message_stop' };
+      }
+    });
+    return repairPrompts;
+  };
+
+  const BROKEN_HEADER = [
+    '/// START Header position=header',
+    'export function Header() {',
+    '  return <header><p>Menu</div></header>;',
+    '}',
+    '/// END Header',
+    ''
+  ].join('\n');
+
+  const FOOTER = [
+    '/// START Footer position=footer',
+    'export function Footer() {',
+    '  return <footer />;',
+    '}',
+    '/// END Footer',
+    ''
+  ].join('\n');
+
+  const FIXED_HEADER = '/// START Header position=header\nexport function Header() {\n  return <header><p>Menu</p></header>;\n}\n/// END Header\n';
+
+  it('should emit validation_error for code that does not parse and replace it with a repaired component', async () => {
+    const repairPrompts = registerScriptedProvider('test-repair', BROKEN_HEADER + FOOTER, [FIXED_HEADER]);
+
+    const events = await runGeneration('test-repair', undefined, 'test-repair');
+
+    expect(events.map(event => event.type)).toEqual([
+      'session_start',
+      'content_block_start',
+      'validation_error',
+      'content_block_start',
+      'content_block_delta',
+      'content_block_stop',
+      'component_replaced',
+      'usage',
+      'message_stop'
+    ]);
+    expect(events[2]).toMatchObject({
+      metadata: { componentId: 'comp_header', componentName: 'Header' },
+      error: { code: 'SYNTAX_ERROR', line: 2, column: 24, streamLine: 3 }
+    });
+    expect(events[4].delta.text).toBe('export function Footer() {\n  return <footer />;\n}\n');
+
+    expect(repairPrompts).toHaveLength(1);
+    expect(repairPrompts[0]).toContain('<header><p>Menu</div></header>');
+    expect(repairPrompts[0]).toContain('(line 2, column 24)');
+
+    expect(events[6]).toMatchObject({
+      metadata: { componentId: 'comp_header', isComplete: true },
+      attempt: 1,
+      delta: { text: 'export function Header() {\n  return <header><p>Menu</p></header>;\n}\n' }
+    });
+    // The repair call is metered together with the page
+    expect(events[7].usage).toEqual({ input_tokens: 200, output_tokens: 20 });
+    expect(events[8].metadata.components).toContainEqual(expect.objectContaining({ id: 'comp_header', isComplete: true }));
+  });
+
+  it('should stop repairing a component after the maximum number of attempts', async () => {
+    const repairPrompts = registerScriptedProvider('test-unrepairable', BROKEN_HEADER, [BROKEN_HEADER, BROKEN_HEADER, FIXED_HEADER]);
+
+    const events = await runGeneration('test-unrepairable', undefined, 'test-unrepairable');
+
+    expect(repairPrompts).toHaveLength(2);
+    expect(events.map(event => event.type)).toEqual([
+      'session_start',
+      'content_block_start',
+      'validation_error',
+      'validation_error',
+      'validation_error',
+      'error',
+      'usage',
+      'message_stop'
+    ]);
+    expect(events.slice(3, 5).map(event => event.attempt)).toEqual([1, 2]);
+    expect(events[5]).toMatchObject({ code: 'REPAIR_FAILED', metadata: { componentId: 'comp_header' } });
+  });
+
+  it('should abort the model stream on cancel and keep the partial component', async () => {
+    let receivedSignal;
+    registerProvider({
+      name: 'test-cancel',
+      defaultModel: 'test-cancel',
+      async *stream({ signal }) {
+        receivedSignal = signal;
+        yield {
+          type: 'content_block_delta',
+          index: 0,
+          delta: { type: 'text_delta', text: '/// START Header position=header\nexport function Header() {\n  return <header>' }
+        };
+        // Hang like a slow model until the request is aborted
+        await new Promise(resolve => signal.addEventListener('abort', resolve));
+      }
+    });
+
+    // Only the user who started the generation can cancel it
+    const user = { _id: 'user-1' };
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({ tokens_remaining: 100 });
+
+    const cancelRes = { json: jest.fn(), status: jest.fn(() => cancelRes) };
+    let startedSession;
+    const events = await runGeneration('test-cancel', undefined, 'test-cancel', (event) => {
+      if (event.type === 'content_block_start') {
+        setImmediate(() => cancelSession({ params: { sessionId: startedSession }, user }, cancelRes));
+      }
+      if (event.type === 'session_start') startedSession = event.sessionId;
+    }, user);
+
+    expect(receivedSignal.aborted).toBe(true);
+    expect(cancelRes.json).toHaveBeenCalledWith({ sessionId: startedSession, cancelled: true });
+
+    const stop = events[events.length - 1];
+    expect(stop).toMatchObject({ type: 'message_stop', reason: 'cancelled' });
+    expect(stop.metadata.components).toEqual([
+      expect.objectContaining({
+        id: 'comp_header',
+        isComplete: false,
+        isPartial: true,
+        code: 'export function Header() {\n  return <header>'
+      })
+    ]);
+  });
+
+  it('should debit an authenticated user and report the remaining balance', async () => {
+    const debit = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({ tokens_remaining: 151 });
+
+    const events = await runGeneration('landing-page', undefined, 'replay', undefined, { _id: 'user-1' });
+
+    expect(debit).toHaveBeenCalledWith('user-1', expect.objectContaining({
+      $inc: { tokens_remaining: -(1287 + 812) }
+    }), { new: true });
+    expect(debit.mock.calls[0][1].$push.usage_history.$each[0]).toMatchObject({
+      projectId: 'test-project',
+      provider: 'replay',
+      model: 'landing-page',
+      reason: 'completed',
+      total_tokens: 2099
+    });
+
+    const usage = events[events.length - 2];
+    expect(usage).toEqual({ type: 'usage', usage: { input_tokens: 1287, output_tokens: 812 }, tokensRemaining: 151 });
+    expect(events[events.length - 1].type).toBe('message_stop');
+  });
+
+  describe('version persistence', () => {
+    const PROJECT_QUERY = { projectId: '64b7f0c2a1d3e4f5a6b7c8d9', versionId: '64b7f0c2a1d3e4f5a6b7c8da' };
+
+    beforeEach(() => {
+      loadGenerationTarget.mockReset();
+      createNextVersion.mockReset();
+    });
+
+    it('should save the generation as the next version and return its id in message_stop', async () => {
+      registerScriptedProvider('test-persist', BROKEN_HEADER + FOOTER, [FIXED_HEADER]);
+      loadGenerationTarget.mockResolvedValue({ project: {}, version: {} });
+      createNextVersion.mockResolvedValue({ _id: 'version-3', versionNumber: 3 });
+
+      const events = await runGeneration('test-persist', PROJECT_QUERY, 'test-persist');
+
+      expect(loadGenerationTarget).toHaveBeenCalledWith(PROJECT_QUERY.projectId, PROJECT_QUERY.versionId, undefined);
+      expect(createNextVersion).toHaveBeenCalledWith(PROJECT_QUERY.projectId, expect.objectContaining({
+        parentVersion: PROJECT_QUERY.versionId,
+        sections: { header: ['comp_header'], main: [], footer: ['comp_footer'] },
+        generation: expect.objectContaining({
+          prompt: 'Coffee shop landing page',
+          style: 'warm',
+          provider: 'test-persist',
+          model: 'test-persist',
+          status: 'completed'
+        })
+      }));
+
+      const { components } = createNextVersion.mock.calls[0][1];
+      expect(components).toEqual([
+        expect.objectContaining({
+          componentId: 'comp_header',
+          name: 'Header',
+          position: 'header',
+          status: 'repaired',
+          code: 'export function Header() {\n  return <header><p>Menu</p></header>;\n}\n'
+        }),
+        expect.objectContaining({ componentId: 'comp_footer', status: 'valid' })
+      ]);
+
+      expect(events[events.length - 1]).toMatchObject({ type: 'message_stop', versionId: 'version-3', versionNumber: 3 });
+    });
+
+    it('should save the theme from the Theme block with the version', async () => {
+      registerProvider({
+        name: 'test-theme',
+        defaultModel: 'test-theme',
+        async *stream() {
+          yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: [
+            '/// START Theme',
+            '{ "colors": { "primary": "#6b4226", "background": "#fffbeb" }, "radius": "1rem", "fonts": { "heading": "Playfair Display" } }',
+            '/// END Theme',
+            FOOTER
+          ].join('\n') } };
+          yield { type: 'message_stop' };
+        }
+      });
+      loadGenerationTarget.mockResolvedValue({ project: {}, version: {} });
+      createNextVersion.mockResolvedValue({ _id: 'version-3', versionNumber: 3 });
+
+      const events = await runGeneration('test-theme', PROJECT_QUERY, 'test-theme');
+
+      const themeEvent = events.find(event => event.type === 'theme');
+      expect(themeEvent.theme).toMatchObject({ colors: { primary: '#6b4226', background: '#fffbeb' }, radius: '1rem' });
+      // The block isn't a component
+      expect(events.filter(event => event.type === 'content_block_start').map(event => event.metadata.componentName)).toEqual(['Footer']);
+
+      const { theme, components } = createNextVersion.mock.calls[0][1];
+      expect(theme).toEqual(themeEvent.theme);
+      expect(components.map(component => component.name)).toEqual(['Footer']);
+      expect(events[events.length - 1].metadata.theme).toEqual(themeEvent.theme);
+    });
+
+    it('should refuse to generate into a project that does not exist', async () => {
+      loadGenerationTarget.mockResolvedValue(null);
+
+      const events = await runGeneration('landing-page', PROJECT_QUERY);
+
+      expect(events).toEqual([expect.objectContaining({ type: 'error', code: 'PROJECT_NOT_FOUND' })]);
+      expect(createNextVersion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('site mode', () => {
+    const SITE = [
+      '/// START Header position=header page=shared',
+      'export function Header() {',
+      '  return <header><NavigationMenu.Link href="/about">About</NavigationMenu.Link></header>;',
+      '}',
+      '/// END Header',
+      '/// START HomeHero position=main page=home',
+      'export function HomeHero() {',
+      '  return <section>Fresh coffee</section>;',
+      '}',
+      '/// END HomeHero',
+      '/// START Header position=header page=about',
+      'export function Header() {',
+      '  return <header>A second header</header>;',
+      '}',
+      '/// END Header',
+      '/// START AboutStory position=main page=about',
+      'export function AboutStory() {',
+      '  return <section>Since 1998</section>;',
+      '}',
+      '/// END AboutStory',
+      '/// START RootLayout position=main page=shared',
+      'export function RootLayout({ children }) {',
+      '  return <div><Header /><main>{children}</main></div>;',
+      '}',
+      '/// END RootLayout',
+      ''
+    ].join('\n');
+
+    it('should stream each section under its page and generate shared components once', async () => {
+      const prompts = [];
+      registerProvider({
+        name: 'test-site',
+        defaultModel: 'test-site',
+        async *stream({ messages, maxTokens }) {
+          prompts.push({ content: messages[0].content, maxTokens });
+          yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: SITE } };
+          yield { type: 'message_stop' };
+        }
+      });
+
+      const events = await runGeneration('test-site', undefined, 'test-site', undefined, undefined, {
+        mode: 'site',
+        pages: ['Home', 'About']
+      });
+
+      expect(prompts[0].content).toContain('* About (page=about, path /about)');
+      expect(prompts[0].content).toContain('generate a multi-page website');
+      expect(prompts[0].maxTokens).toBeGreaterThan(4000);
+
+      expect(events[1]).toEqual({
+        type: 'site_plan',
+        pages: [{ id: 'home', name: 'Home', path: '/' }, { id: 'about', name: 'About', path: '/about' }]
+      });
+
+      const starts = events.filter(event => event.type === 'content_block_start').map(event => event.metadata);
+      expect(starts.map(metadata => [metadata.componentName, metadata.page])).toEqual([
+        ['Header', undefined],
+        ['HomeHero', 'home'],
+        ['AboutStory', 'about'],
+        ['RootLayout', undefined]
+      ]);
+
+      const header = events.find(event => event.type === 'content_block_delta' && event.metadata.componentName === 'Header');
+      expect(header.delta.text).toContain('NavigationMenu.Link');
+
+      const stop = events[events.length - 1];
+      expect(stop.type).toBe('message_stop');
+      expect(stop.metadata.pages).toEqual([
+        { id: 'home', name: 'Home', path: '/', sections: ['comp_homehero'] },
+        { id: 'about', name: 'About', path: '/about', sections: ['comp_aboutstory'] }
+      ]);
+    });
+
+    it('should reject page lists it cannot route between', async () => {
+      const events = await runGeneration('landing-page', undefined, 'replay', undefined, undefined, {
+        mode: 'site',
+        pages: ['About', 'about']
+      });
+
+      expect(events).toEqual([expect.objectContaining({ type: 'error', code: 'INVALID_PAGES' })]);
+    });
+  });
+
+  describe('approved plan', () => {
+    const PLAN = {
+      sections: [
+        { name: 'Header', position: 'header', purpose: 'Navigation', copy: [] },
+        { name: 'MenuSection', position: 'main', purpose: 'Show the drinks', copy: ['Seasonal menu'] },
+        { name: 'HeroSection', position: 'main', purpose: 'Introduce the shop', copy: ['Fresh coffee daily'] }
+      ],
+      palette: { primary: '#6b4226' },
+      typography: { headings: 'Playfair Display' }
+    };
+
+    // Hero comes first, an unplanned section sneaks in, the menu claims the wrong position
+    // and the planned header never arrives
+    const PAGE = [
+      '/// START HeroSection position=main',
+      'export function HeroSection() {',
+      '  return <section>Fresh coffee daily</section>;',
+      '}',
+      '/// END HeroSection',
+      '/// START NewsletterSection position=main',
+      'export function NewsletterSection() {',
+      '  return <section>Sign up</section>;',
+      '}',
+      '/// END NewsletterSection',
+      '/// START MenuSection position=footer',
+      'export function MenuSection() {',
+      '  return <section>Seasonal menu</section>;',
+      '}',
+      '/// END MenuSection',
+      '/// START RootLayout position=main',
+      'export function RootLayout() {',
+      '  return <div><MenuSection /><HeroSection /></div>;',
+      '}',
+      '/// END RootLayout',
+      ''
+    ].join('\n');
+
+    it('should build the planned sections in the planned order and positions', async () => {
+      const prompts = [];
+      registerProvider({
+        name: 'test-plan',
+        defaultModel: 'test-plan',
+        async *stream({ messages }) {
+          prompts.push(messages[0].content);
+          yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: PAGE } };
+          yield { type: 'message_stop' };
+        }
+      });
+
+      const events = await runGeneration('test-plan', undefined, 'test-plan', undefined, undefined, { plan: PLAN });
+
+      expect(prompts[0]).toContain('7. Approved Plan');
+      expect(prompts[0]).toContain('2. MenuSection position=main - Show the drinks');
+      expect(prompts[0]).toContain('primary #6b4226');
+      // The plan's palette skins the preview before any code arrives
+      expect(events.find(event => event.type === 'theme').theme).toMatchObject({
+        colors: { primary: '#6b4226' },
+        fonts: { heading: 'Playfair Display' }
+      });
+
+      const starts = events.filter(event => event.type === 'content_block_start').map(event => event.metadata);
+      expect(starts.map(metadata => [metadata.componentName, metadata.position])).toEqual([
+        ['HeroSection', 'main'],
+        ['MenuSection', 'main'],
+        ['RootLayout', 'main']
+      ]);
+
+      const error = events.find(event => event.type === 'error');
+      expect(error).toMatchObject({ code: 'PLAN_INCOMPLETE', missingSections: ['Header'] });
+
+      const stop = events[events.length - 1];
+      expect(stop.type).toBe('message_stop');
+      expect(stop.metadata.sections).toEqual({
+        header: [],
+        main: ['comp_menusection', 'comp_herosection', 'root_layout'],
+        footer: []
+      });
+    });
+
+    it('should reject a plan it cannot build', async () => {
+      const events = await runGeneration('landing-page', undefined, 'replay', undefined, undefined, {
+        plan: { sections: [{ name: 'hero', position: 'main', purpose: 'Intro' }] }
+      });
+
+      expect(events).toEqual([expect.objectContaining({ type: 'error', code: 'INVALID_PLAN' })]);
+    });
+  });
+
+  describe('discovery brief', () => {
+    const BRIEF = {
+      industry: 'Specialty coffee',
+      businessModel: 'b2c',
+      audience: 'Remote workers',
+      primaryCta: 'Order ahead',
+      tone: 'friendly',
+      mustHaveSections: ['hero', 'pricing']
+    };
+
+    it('should generate from the typed brief instead of the free-text prompt', async () => {
+      const prompts = [];
+      registerProvider({
+        name: 'test-brief',
+        defaultModel: 'test-brief',
+        async *stream({ messages }) {
+          prompts.push(messages[0].content);
+          yield { type: 'message_stop' };
+        }
+      });
+
+      createNextVersion.mockResolvedValue({ _id: 'version-2', versionNumber: 2 });
+      loadGenerationTarget.mockResolvedValue({ project: {}, version: {} });
+      await runGeneration('test-brief', { projectId: '64b7f0c2a1d3e4f5a6b7c8d9', versionId: 'version-1' }, 'test-brief', undefined, undefined, {
+        prompt: undefined,
+        style: undefined,
+        brief: BRIEF
+      });
+
+      expect(prompts[0]).toContain('- Tone: friendly (warm, approachable and conversational)');
+      expect(prompts[0]).toContain('- Must-have sections: hero, pricing');
+      expect(prompts[0]).toContain('generate a landing page based on the business brief above');
+      expect(createNextVersion.mock.calls[0][1].generation).toMatchObject({
+        prompt: 'Specialty coffee (b2c) for Remote workers',
+        brief: BRIEF
+      });
+    });
+
+    it('should reject a brief with unanswered questions', async () => {
+      const events = await runGeneration('landing-page', undefined, 'replay', undefined, undefined, {
+        brief: { ...BRIEF, audience: '' }
+      });
+
+      expect(events).toEqual([expect.objectContaining({ type: 'error', code: 'INVALID_BRIEF' })]);
+    });
+  });
+});
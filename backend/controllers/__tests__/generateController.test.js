@@ -13,7 +13,15 @@ jest.mock('../../utils/aiClient', () => ({
   generate: mockGenerate
 }));
 
+// Generations against real-looking ids would otherwise hit the database
+jest.mock('../../utils/projectVersions', () => ({
+  ...jest.requireActual('../../utils/projectVersions'),
+  loadGenerationTarget: jest.fn().mockResolvedValue({ project: {}, version: {} }),
+  createNextVersion: jest.fn().mockResolvedValue({ _id: 'version-2', versionNumber: 2 })
+}));
+
 const generateController = require('../generateController');
+const { getSession } = require('../../utils/sseHelpers');
 
 // Helper to create SSE formatted string
 const formatSSE = (data) => `data: ${JSON.stringify(data)}\n\n`;
@@ -47,8 +55,10 @@ const collectEvents = (mockRes) => {
   const originalWrite = mockRes.write;
 
   mockRes.write = jest.fn((data) => {
-    if (data.startsWith('data: ')) {
-      events.push(JSON.parse(data.slice(5)));
+    // Session events are framed as "id: N\ndata: {...}"
+    const dataLine = data.split('\n').find(line => line.startsWith('data: '));
+    if (dataLine) {
+      events.push(JSON.parse(dataLine.slice(5)));
     }
     return true;
   });
@@ -298,23 +308,31 @@ describe('Generate Controller', () => {
       }));
     });
 
-    it('should handle client disconnection', async () => {
+    it('should keep generating after a client disconnect so the session can resume', async () => {
       const mockStream = new MockAnthropicStream([
         '/// START Header position=header\n'
       ]);
 
       mockGenerate.mockResolvedValue(mockStream);
-      const streamDestroySpy = jest.spyOn(mockStream, 'destroy');
 
-      // Simulate client disconnect
+      const closeHandlers = [];
       req.on.mockImplementation((event, callback) => {
         if (event === 'close') {
-          callback();
+          closeHandlers.push(callback);
         }
       });
 
       await generateController(req, res);
-      expect(streamDestroySpy).toHaveBeenCalled();
+      const { sessionId } = events.find(e => e.type === 'session_start');
+
+      // Simulate client disconnect, then let the stream finish
+      closeHandlers.forEach(callback => callback());
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      // The stream was read to the end instead of being destroyed on disconnect
+      const session = getSession(sessionId);
+      expect(session.subscribers.has(res)).toBe(false);
+      expect(session.events.map(e => e.data.type)).toContain('message_stop');
     });
   });
 });
@@ -0,0 +1,440 @@
+const mongoose = require('mongoose');
+
+// Restores go through the shared version numbering; mocked before the controller loads it
+jest.mock('../../utils/projectVersions', () => ({
+  ...jest.requireActual('../../utils/projectVersions'),
+  createNextVersion: jest.fn()
+}));
+
+const Project = require('../../models/Project');
+const ProjectVersion = require('../../models/ProjectVersion');
+const CachedComponent = require('../../models/CachedComponent');
+const { createNextVersion } = require('../../utils/projectVersions');
+const { readZip } = require('../../utils/zipArchive');
+const {
+  getProject,
+  renameProject,
+  deleteProject,
+  duplicateProject,
+  saveBrief,
+  getVersions,
+  restoreVersion,
+  deleteVersion,
+  removeSection,
+  reorderSections,
+  saveTheme,
+  saveComponentCode,
+  exportVersion
+} = require('../projectsController');
+
+const createResponse = () => {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(() => res)
+  };
+  return res;
+};
+
+// Mimics a query chain (find().select().sort()...) that resolves to `result`
+const mockQuery = (result) => {
+  const query = Promise.resolve(result);
+  ['select', 'sort', 'skip', 'limit', 'populate'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  return query;
+};
+
+describe('Projects Controller', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const projectId = new mongoose.Types.ObjectId();
+  const versionIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  let project;
+
+  const request = (params = {}, body = {}, query = {}) => ({
+    user: { id: userId.toString() },
+    params: { id: projectId.toString(), ...params },
+    body,
+    query
+  });
+
+  beforeEach(() => {
+    createNextVersion.mockReset();
+    project = new Project({ _id: projectId, name: 'Coffee shop', owner: userId, versions: versionIds });
+    jest.spyOn(Project, 'findById').mockResolvedValue(project);
+    jest.spyOn(project, 'save').mockResolvedValue(project);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('ownership', () => {
+    it('should return 404 for an id that is not an ObjectId', async () => {
+      const res = createResponse();
+      await getProject(request({ id: 'nope' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(Project.findById).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the project does not exist', async () => {
+      Project.findById.mockResolvedValue(null);
+      const res = createResponse();
+      await getProject(request(), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 403 when the project belongs to someone else', async () => {
+      project.owner = new mongoose.Types.ObjectId();
+      const res = createResponse();
+      await renameProject(request({}, { name: 'Mine now' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(project.save).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should rename a project', async () => {
+    const res = createResponse();
+    await renameProject(request({}, { name: '  Tea house ' }), res);
+
+    expect(project.name).toBe('Tea house');
+    expect(res.json).toHaveBeenCalledWith(project);
+  });
+
+  describe('brief', () => {
+    const BRIEF = {
+      industry: ' Specialty coffee ',
+      businessModel: 'b2c',
+      audience: 'Remote workers',
+      primaryCta: 'Order ahead',
+      tone: 'friendly',
+      mustHaveSections: ['hero', 'pricing']
+    };
+
+    it('should save the questionnaire answers on the project', async () => {
+      const res = createResponse();
+      await saveBrief(request({}, BRIEF), res);
+
+      expect(project.save).toHaveBeenCalled();
+      expect(project.brief).toMatchObject({ ...BRIEF, industry: 'Specialty coffee' });
+      expect(res.json).toHaveBeenCalledWith(project.brief);
+    });
+
+    it('should reject an unanswered questionnaire', async () => {
+      const res = createResponse();
+      await saveBrief(request({}, { ...BRIEF, tone: 'sarcastic' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(project.save).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should delete a project together with its versions and cached components', async () => {
+    const deleteVersions = jest.spyOn(ProjectVersion, 'deleteMany').mockResolvedValue({});
+    const deleteCached = jest.spyOn(CachedComponent, 'deleteMany').mockResolvedValue({});
+    const deleteOne = jest.spyOn(Project, 'deleteOne').mockResolvedValue({});
+    const res = createResponse();
+
+    await deleteProject(request(), res);
+
+    expect(deleteVersions).toHaveBeenCalledWith({ project: projectId });
+    expect(deleteCached).toHaveBeenCalledWith({ projectId });
+    expect(deleteOne).toHaveBeenCalledWith({ _id: projectId });
+    expect(res.json).toHaveBeenCalledWith({ message: 'Project deleted', id: projectId });
+  });
+
+  it('should duplicate a project with its versions remapped onto the copy', async () => {
+    const [first, second] = versionIds.map((id, index) => new ProjectVersion({
+      _id: id,
+      project: projectId,
+      versionNumber: index + 1,
+      components: [{ componentId: 'comp_header', name: 'Header', code: 'export function Header() {}' }]
+    }));
+    second.parentVersion = first._id;
+    jest.spyOn(ProjectVersion, 'find').mockReturnValue(mockQuery([first, second]));
+    const insertMany = jest.spyOn(ProjectVersion, 'insertMany').mockResolvedValue([]);
+    const save = jest.spyOn(Project.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    const res = createResponse();
+
+    await duplicateProject(request(), res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const copy = save.mock.contexts[0];
+    expect(copy.name).toBe('Coffee shop (copy)');
+    expect(copy._id).not.toEqual(projectId);
+
+    const copies = insertMany.mock.calls[0][0];
+    expect(copies.map(version => version.versionNumber)).toEqual([1, 2]);
+    expect(copies.every(version => version.project.equals(copy._id))).toBe(true);
+    expect(copies[1].parentVersion).toEqual(copies[0]._id);
+    expect(copy.versions.map(String)).toEqual(copies.map(version => version._id.toString()));
+  });
+
+  it('should page through versions newest first', async () => {
+    const query = mockQuery([]);
+    jest.spyOn(ProjectVersion, 'find').mockReturnValue(query);
+    jest.spyOn(ProjectVersion, 'countDocuments').mockResolvedValue(45);
+    const res = createResponse();
+
+    await getVersions(request({}, {}, { page: '2', limit: '20' }), res);
+
+    expect(query.sort).toHaveBeenCalledWith({ versionNumber: -1 });
+    expect(query.skip).toHaveBeenCalledWith(20);
+    expect(query.limit).toHaveBeenCalledWith(20);
+    expect(res.json).toHaveBeenCalledWith({ versions: [], page: 2, limit: 20, total: 45, totalPages: 3 });
+  });
+
+  it('should restore an older version as the new head', async () => {
+    const old = new ProjectVersion({ _id: versionIds[0], project: projectId, versionNumber: 1 });
+    jest.spyOn(ProjectVersion, 'findOne').mockResolvedValue(old);
+    createNextVersion.mockResolvedValue({ versionNumber: 3 });
+    const res = createResponse();
+
+    await restoreVersion(request({ versionId: versionIds[0].toString() }), res);
+
+    expect(createNextVersion).toHaveBeenCalledWith(projectId, expect.objectContaining({
+      restoredFrom: versionIds[0],
+      parentVersion: versionIds[1]
+    }));
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('should return 404 for a version of another project', async () => {
+    jest.spyOn(ProjectVersion, 'findOne').mockResolvedValue(null);
+    const res = createResponse();
+
+    await restoreVersion(request({ versionId: new mongoose.Types.ObjectId().toString() }), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(createNextVersion).not.toHaveBeenCalled();
+  });
+
+  it('should not delete the only version of a project', async () => {
+    project.versions = [versionIds[0]];
+    jest.spyOn(ProjectVersion, 'findOne').mockResolvedValue({ _id: versionIds[0] });
+    const deleteOne = jest.spyOn(ProjectVersion, 'deleteOne');
+    const res = createResponse();
+
+    await deleteVersion(request({ versionId: versionIds[0].toString() }), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(deleteOne).not.toHaveBeenCalled();
+  });
+
+  describe('sections', () => {
+    const ROOT_LAYOUT = 'export function RootLayout() {\n  return (\n    <main>\n      <HeroSection />\n      <PricingSection />\n    </main>\n  );\n}\n';
+
+    beforeEach(() => {
+      const version = new ProjectVersion({
+        _id: versionIds[1],
+        project: projectId,
+        versionNumber: 2,
+        components: [
+          { componentId: 'comp_herosection', name: 'HeroSection', code: 'export function HeroSection() {\n  return <section />;\n}\n' },
+          { componentId: 'comp_pricingsection', name: 'PricingSection', code: 'export function PricingSection() {\n  return <section />;\n}\n' },
+          { componentId: 'root_layout', name: 'RootLayout', code: ROOT_LAYOUT }
+        ],
+        sections: { header: [], main: ['comp_herosection', 'comp_pricingsection', 'root_layout'], footer: [] }
+      });
+      jest.spyOn(ProjectVersion, 'findOne').mockResolvedValue(version);
+      createNextVersion.mockResolvedValue({ versionNumber: 3 });
+    });
+
+    it('should save the version without a removed section', async () => {
+      const res = createResponse();
+
+      await removeSection(request({ versionId: versionIds[1].toString(), componentName: 'HeroSection' }), res);
+
+      const [, saved] = createNextVersion.mock.calls[0];
+      expect(saved.parentVersion).toEqual(versionIds[1]);
+      expect(saved.sectionChange).toEqual({ action: 'remove', componentName: 'HeroSection', position: 'main' });
+      expect(saved.sections.main).toEqual(['comp_pricingsection', 'root_layout']);
+      expect(saved.components.find(c => c.name === 'RootLayout').code).not.toContain('<HeroSection />');
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return 404 when removing a section the version does not have', async () => {
+      const res = createResponse();
+
+      await removeSection(request({ versionId: versionIds[1].toString(), componentName: 'FaqSection' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(createNextVersion).not.toHaveBeenCalled();
+    });
+
+    it('should save sections in their new order', async () => {
+      const res = createResponse();
+
+      await reorderSections(request(
+        { versionId: versionIds[1].toString() },
+        { position: 'main', order: ['PricingSection', 'HeroSection'] }
+      ), res);
+
+      const [, saved] = createNextVersion.mock.calls[0];
+      expect(saved.sections.main).toEqual(['comp_pricingsection', 'comp_herosection', 'root_layout']);
+      expect(saved.components.find(c => c.name === 'RootLayout').code).toContain('<PricingSection />\n      <HeroSection />');
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should reject an order that does not list every section once', async () => {
+      const res = createResponse();
+
+      await reorderSections(request(
+        { versionId: versionIds[1].toString() },
+        { position: 'main', order: ['PricingSection', 'PricingSection'] }
+      ), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(createNextVersion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('theme', () => {
+    beforeEach(() => {
+      jest.spyOn(ProjectVersion, 'findOne').mockResolvedValue(new ProjectVersion({
+        _id: versionIds[1],
+        project: projectId,
+        versionNumber: 2,
+        components: [{ componentId: 'comp_herosection', name: 'HeroSection', code: 'export function HeroSection() {\n  return <section />;\n}\n' }],
+        sections: { header: [], main: ['comp_herosection'], footer: [] },
+        generation: { prompt: 'Coffee shop' }
+      }));
+      createNextVersion.mockResolvedValue({ versionNumber: 3 });
+    });
+
+    it('should save an edited theme as a new version of the same page', async () => {
+      const res = createResponse();
+
+      await saveTheme(request({ versionId: versionIds[1].toString() }, { colors: { primary: '#6B4226' }, radius: '1rem' }), res);
+
+      const [, saved] = createNextVersion.mock.calls[0];
+      expect(saved.theme).toMatchObject({ colors: { primary: '#6b4226' }, radius: '1rem' });
+      expect(saved.themeEdited).toBe(true);
+      expect(saved.parentVersion).toEqual(versionIds[1]);
+      expect(saved.components[0].name).toBe('HeroSection');
+      expect(saved.generation.prompt).toBe('Coffee shop');
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should reject a theme it cannot use', async () => {
+      const res = createResponse();
+
+      await saveTheme(request({ versionId: versionIds[1].toString() }, { colors: { primary: 'brown' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(createNextVersion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('component code', () => {
+    beforeEach(() => {
+      jest.spyOn(ProjectVersion, 'findOne').mockResolvedValue(new ProjectVersion({
+        _id: versionIds[1],
+        project: projectId,
+        versionNumber: 2,
+        components: [
+          { componentId: 'comp_herosection', name: 'HeroSection', code: 'export function HeroSection() {\n  return <section />;\n}\n' },
+          { componentId: 'comp_footer', name: 'Footer', position: 'footer', code: 'export function Footer() {\n  return <footer />;\n}\n' }
+        ],
+        sections: { header: [], main: ['comp_herosection'], footer: ['comp_footer'] },
+        theme: { radius: '1rem' },
+        generation: { prompt: 'Coffee shop' }
+      }));
+      createNextVersion.mockResolvedValue({ versionNumber: 3 });
+    });
+
+    it('should save hand-edited code as a new version', async () => {
+      const code = 'export function HeroSection() {\n  return <section><h1>Fresh roasts</h1></section>;\n}\n';
+      const res = createResponse();
+
+      await saveComponentCode(request({ versionId: versionIds[1].toString(), componentName: 'HeroSection' }, { code }), res);
+
+      const [, saved] = createNextVersion.mock.calls[0];
+      expect(saved.components[0]).toMatchObject({ name: 'HeroSection', code, status: 'valid', repairAttempts: 0 });
+      expect(saved.components[1].code).toContain('<footer />');
+      expect(saved.codeEdit).toEqual({ componentName: 'HeroSection' });
+      expect(saved.parentVersion).toEqual(versionIds[1]);
+      expect(saved.theme).toEqual({ radius: '1rem' });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should reject code that does not validate', async () => {
+      const res = createResponse();
+
+      await saveComponentCode(request(
+        { versionId: versionIds[1].toString(), componentName: 'HeroSection' },
+        { code: 'export function HeroSection() {\n  return <section>;\n}\n' }
+      ), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error).toHaveProperty('line');
+      expect(createNextVersion).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a component the version does not have', async () => {
+      const res = createResponse();
+
+      await saveComponentCode(request(
+        { versionId: versionIds[1].toString(), componentName: 'PricingTable' },
+        { code: 'export function PricingTable() {\n  return <div />;\n}\n' }
+      ), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(createNextVersion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('export', () => {
+    beforeEach(() => {
+      jest.spyOn(ProjectVersion, 'findOne').mockResolvedValue(new ProjectVersion({
+        _id: versionIds[1],
+        project: projectId,
+        versionNumber: 2,
+        components: [
+          { componentId: 'comp_herosection', name: 'HeroSection', code: 'export function HeroSection() {\n  return <Button>Order</Button>;\n}\n' }
+        ],
+        sections: { header: [], main: ['comp_herosection'], footer: [] }
+      }));
+    });
+
+    it('should send the version as a zipped project', async () => {
+      const res = { ...createResponse(), set: jest.fn(), send: jest.fn() };
+
+      await exportVersion(request({ versionId: versionIds[1].toString() }), res);
+
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': 'attachment; filename="coffee-shop-v2.zip"'
+      }));
+      const entries = readZip(res.send.mock.calls[0][0]);
+      expect(entries.get('coffee-shop-v2/src/sections/HeroSection.jsx').toString('utf8'))
+        .toContain("import { Button } from '../components/ui/button';");
+      expect(entries.has('coffee-shop-v2/src/components/ui/button.jsx')).toBe(true);
+    });
+
+    it('should send pre-rendered HTML for the html format', async () => {
+      const res = { ...createResponse(), set: jest.fn(), send: jest.fn() };
+
+      await exportVersion(request({ versionId: versionIds[1].toString() }, {}, { format: 'html' }), res);
+
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+        'Content-Disposition': 'attachment; filename="coffee-shop-v2-html.zip"'
+      }));
+      const entries = readZip(res.send.mock.calls[0][0]);
+      expect(entries.get('coffee-shop-v2-html/index.html').toString('utf8')).toContain('>Order</button>');
+      expect(entries.has('coffee-shop-v2-html/styles.css')).toBe(true);
+    });
+
+    it('should reject unknown formats', async () => {
+      const res = createResponse();
+
+      await exportVersion(request({ versionId: versionIds[1].toString() }, {}, { format: 'pdf' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+});
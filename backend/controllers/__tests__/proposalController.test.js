@@ -0,0 +1,94 @@
+const proposalController = require('../proposalController');
+const { registerProvider } = require('../../utils/providers');
+const User = require('../../models/User');
+
+const PLAN = {
+  sections: [
+    { name: 'Navbar', position: 'header', purpose: 'Navigation', copy: ['Menu'] },
+    { name: 'HeroSection', position: 'main', purpose: 'Introduce the shop', copy: ['Fresh coffee daily'] }
+  ],
+  palette: { primary: '#6b4226' },
+  typography: { headings: 'Playfair Display' }
+};
+
+// Provider that answers every call with `reply` and records the prompts
+const registerScriptedProvider = (name, reply) => {
+  const prompts = [];
+  registerProvider({
+    name,
+    defaultModel: `${name}-model`,
+    async *stream({ messages }) {
+      prompts.push(messages[0].content);
+      yield { type: 'message_start', message: { usage: { input_tokens: 50, output_tokens: 1 } } };
+      yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: reply } };
+      yield { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 20 } };
+      yield { type: 'message_stop' };
+    }
+  });
+  return prompts;
+};
+
+const runProposal = async (body, user) => {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(() => res)
+  };
+  await proposalController({ body, user }, res);
+  return res;
+};
+
+describe('Proposal Controller', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return the parsed plan and debit the proposal call', async () => {
+    const prompts = registerScriptedProvider('test-proposal', `\`\`\`json\n${JSON.stringify(PLAN)}\n\`\`\``);
+    const debit = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({ tokens_remaining: 930 });
+
+    const res = await runProposal({
+      prompt: 'Coffee shop',
+      style: 'warm',
+      requirements: 'show the menu',
+      provider: 'test-proposal'
+    }, { _id: 'user-1' });
+
+    expect(prompts[0]).toContain('Business: Coffee shop');
+    expect(prompts[0]).toContain('Return ONLY the JSON object');
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({
+      proposal: expect.objectContaining({ sections: PLAN.sections, palette: PLAN.palette }),
+      usage: { input_tokens: 50, output_tokens: 20 },
+      tokensRemaining: 930
+    });
+    expect(debit).toHaveBeenCalledWith('user-1', expect.objectContaining({
+      $inc: { tokens_remaining: -70 }
+    }), { new: true });
+  });
+
+  it('should answer 502 when the model does not return a usable plan', async () => {
+    registerScriptedProvider('test-bad-proposal', 'Sure! What kind of coffee shop is it?');
+
+    const res = await runProposal({ prompt: 'Coffee shop', provider: 'test-bad-proposal' });
+
+    expect(res.status).toHaveBeenCalledWith(502);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'INVALID_PROPOSAL',
+      retryable: true,
+      usage: { input_tokens: 50, output_tokens: 20 }
+    }));
+  });
+
+  it('should require a prompt', async () => {
+    const res = await runProposal({ prompt: ' ' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: 'A prompt or a brief is required' });
+  });
+});
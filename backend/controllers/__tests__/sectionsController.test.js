@@ -0,0 +1,193 @@
+// Versions are loaded and saved through these; mocked before the controller loads them
+jest.mock('../../utils/projectVersions', () => ({
+  ...jest.requireActual('../../utils/projectVersions'),
+  loadGenerationTarget: jest.fn(),
+  createNextVersion: jest.fn()
+}));
+
+const addSectionController = require('../sectionsController');
+const { loadGenerationTarget, createNextVersion } = require('../../utils/projectVersions');
+const { registerProvider } = require('../../utils/providers');
+
+const HERO = 'export function HeroSection() {\n  return <section>Brew</section>;\n}\n';
+const PRICING = 'export function PricingSection() {\n  return <section>$9</section>;\n}\n';
+const ROOT_LAYOUT = 'export function RootLayout() {\n  return (\n    <main>\n      <HeroSection />\n      <PricingSection />\n    </main>\n  );\n}\n';
+const FEATURES = 'export function FeaturesSection() {\n  return <section>Single origin</section>;\n}\n';
+
+const VERSION = {
+  _id: 'version-1',
+  components: [
+    { componentId: 'comp_herosection', name: 'HeroSection', position: 'main', code: HERO, status: 'valid' },
+    { componentId: 'comp_pricingsection', name: 'PricingSection', position: 'main', code: PRICING, status: 'valid' },
+    { componentId: 'root_layout', name: 'RootLayout', position: 'main', code: ROOT_LAYOUT, status: 'valid' }
+  ],
+  sections: { header: [], main: ['comp_herosection', 'comp_pricingsection', 'root_layout'], footer: [] },
+  generation: { prompt: 'Coffee shop', style: 'warm', requirements: 'show prices' }
+};
+
+// Provider that answers each call with the next reply and records the prompts
+const registerScriptedProvider = (name, replies) => {
+  const prompts = [];
+  registerProvider({
+    name,
+    defaultModel: `${name}-model`,
+    async *stream({ messages }) {
+      prompts.push(messages[0].content);
+      yield { type: 'message_start', message: { usage: { input_tokens: 40, output_tokens: 1 } } };
+      yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: replies[prompts.length - 1] } };
+      yield { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 30 } };
+      yield { type: 'message_stop' };
+    }
+  });
+  return prompts;
+};
+
+const createResponse = () => {
+  const res = {
+    events: [],
+    setHeader: jest.fn(),
+    flushHeaders: jest.fn(),
+    write: jest.fn(frame => {
+      const data = frame.split('\n').find(line => line.startsWith('data: '));
+      res.events.push(JSON.parse(data.slice(6)));
+      return true;
+    }),
+    end: jest.fn(),
+    status: jest.fn(() => res),
+    json: jest.fn(() => res),
+    writable: true,
+    writableEnded: false
+  };
+  return res;
+};
+
+const runAddSection = async (body) => {
+  const res = createResponse();
+  await addSectionController({
+    params: { id: '64b7f0c2a1d3e4f5a6b7c8d9', versionId: 'version-1' },
+    body,
+    on: jest.fn()
+  }, res);
+  return res;
+};
+
+describe('Sections Controller', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    loadGenerationTarget.mockReset().mockResolvedValue({ project: {}, version: VERSION });
+    createNextVersion.mockReset().mockResolvedValue({ _id: 'version-2', versionNumber: 2 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should generate a section and save it with RootLayout rendering it', async () => {
+    const prompts = registerScriptedProvider('test-section', [
+      `/// START FeaturesSection position=main\n${FEATURES}/// END FeaturesSection\n`
+    ]);
+
+    const res = await runAddSection({
+      componentName: 'FeaturesSection',
+      position: 'main',
+      index: 1,
+      instruction: 'Three features of our beans',
+      provider: 'test-section'
+    });
+
+    expect(prompts[0]).toContain('The new section: Three features of our beans');
+    expect(prompts[0]).toContain('right after HeroSection');
+    expect(prompts[0]).toContain('right before PricingSection');
+
+    expect(res.events.map(event => event.type)).toEqual([
+      'session_start',
+      'content_block_start',
+      'content_block_delta',
+      'content_block_stop',
+      'component_replaced',
+      'usage',
+      'message_stop'
+    ]);
+    expect(res.events[2].delta.text).toBe(FEATURES);
+    expect(res.events[4].metadata.componentId).toBe('root_layout');
+    expect(res.events[4].delta.text).toContain('<HeroSection />\n      <FeaturesSection />\n      <PricingSection />');
+    expect(res.events[6]).toMatchObject({ versionId: 'version-2', versionNumber: 2 });
+
+    const [, saved] = createNextVersion.mock.calls[0];
+    expect(saved.parentVersion).toBe('version-1');
+    expect(saved.sections.main).toEqual(['comp_herosection', 'comp_featuressection', 'comp_pricingsection', 'root_layout']);
+    expect(saved.sectionChange).toMatchObject({ action: 'add', componentName: 'FeaturesSection', position: 'main', model: 'test-section-model' });
+    expect(saved.components.find(c => c.name === 'FeaturesSection')).toMatchObject({ code: FEATURES, status: 'valid' });
+  });
+
+  it('should add a main section of a multi-page site to its page only', async () => {
+    const SITE_LAYOUT = 'export function RootLayout({ children }) {\n  return <main>{children}</main>;\n}\n';
+    const site = {
+      ...VERSION,
+      components: VERSION.components.map(c => (c.name === 'RootLayout' ? { ...c, code: SITE_LAYOUT } : { ...c, page: 'home' })),
+      pages: [
+        { id: 'home', name: 'Home', path: '/', sections: ['comp_herosection', 'comp_pricingsection'] },
+        { id: 'about', name: 'About', path: '/about', sections: [] }
+      ]
+    };
+    loadGenerationTarget.mockResolvedValue({ project: {}, version: site });
+    registerScriptedProvider('test-section', [
+      `/// START FeaturesSection position=main\n${FEATURES}/// END FeaturesSection\n`
+    ]);
+
+    const res = await runAddSection({
+      componentName: 'FeaturesSection',
+      position: 'main',
+      page: 'about',
+      instruction: 'Three features of our beans',
+      provider: 'test-section'
+    });
+
+    // RootLayout is the same on every page, so there's nothing to swap in
+    expect(res.events.map(event => event.type)).not.toContain('component_replaced');
+
+    const [, saved] = createNextVersion.mock.calls[0];
+    expect(saved.pages[0].sections).toEqual(['comp_herosection', 'comp_pricingsection']);
+    expect(saved.pages[1].sections).toEqual(['comp_featuressection']);
+    expect(saved.components.find(c => c.name === 'FeaturesSection')).toMatchObject({ page: 'about' });
+    expect(saved.components.find(c => c.name === 'RootLayout').code).toBe(SITE_LAYOUT);
+    expect(saved.sectionChange).toMatchObject({ action: 'add', page: 'about' });
+    expect(res.events[res.events.length - 1].metadata.pages).toEqual(saved.pages);
+  });
+
+  it('should settle the usage of finished calls when saving the section fails', async () => {
+    registerScriptedProvider('test-section', [`/// START FeaturesSection position=main\n${FEATURES}/// END FeaturesSection\n`]);
+    createNextVersion.mockRejectedValue(new Error('Database unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await runAddSection({ componentName: 'FeaturesSection', position: 'main', instruction: 'Features', provider: 'test-section' });
+
+    expect(res.events.map(event => event.type).slice(-2)).toEqual(['error', 'usage']);
+    expect(res.events.at(-1).usage).toEqual({ input_tokens: 40, output_tokens: 30 });
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('should need a page for main sections of a multi-page site', async () => {
+    loadGenerationTarget.mockResolvedValue({ project: {}, version: { ...VERSION, pages: [{ id: 'home', path: '/', sections: [] }] } });
+
+    const res = await runAddSection({ componentName: 'FeaturesSection', position: 'main', instruction: 'Features' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_PAGE' }));
+    expect(res.write).not.toHaveBeenCalled();
+  });
+
+  it('should reject names that cannot be used as JSX tags', async () => {
+    const res = await runAddSection({ componentName: 'features-section', position: 'main', instruction: 'Features' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(loadGenerationTarget).not.toHaveBeenCalled();
+  });
+
+  it('should return 409 for a section that already exists', async () => {
+    const res = await runAddSection({ componentName: 'PricingSection', position: 'main', instruction: 'Prices' });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.write).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,166 @@
+const { streamSessionEvents, cancelSession } = require('../sessionController');
+const { createSession, sendSSEMessage, finishSession, activeSessions } = require('../../utils/sseHelpers');
+const { fallbackCache } = require('../../database');
+
+const OWNER = { _id: 'user_owner' };
+const STRANGER = { _id: 'user_stranger' };
+
+// Response mock that records the SSE frames written to it
+const createResponse = () => {
+  const res = {
+    frames: [],
+    setHeader: jest.fn(),
+    flushHeaders: jest.fn(),
+    write: jest.fn(frame => {
+      res.frames.push(frame);
+      return true;
+    }),
+    end: jest.fn(() => {
+      res.writableEnded = true;
+    }),
+    status: jest.fn(() => res),
+    json: jest.fn(() => res),
+    writable: true,
+    writableEnded: false
+  };
+  return res;
+};
+
+const frameIds = (res) => res.frames.map(frame => Number(frame.match(/^id: (\d+)/)[1]));
+
+describe('Session Controller', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should replay events after Last-Event-ID and then continue live', async () => {
+    const session = createSession({ userId: OWNER._id });
+    sendSSEMessage(session, { type: 'session_start', sessionId: session.id });
+    sendSSEMessage(session, { type: 'content_block_start', metadata: { componentId: 'comp_header' } });
+    sendSSEMessage(session, { type: 'content_block_stop', metadata: { componentId: 'comp_header' } });
+
+    const req = { params: { sessionId: session.id }, headers: { 'last-event-id': '1' }, query: {}, user: OWNER, on: jest.fn() };
+    const res = createResponse();
+    await streamSessionEvents(req, res);
+
+    expect(frameIds(res)).toEqual([2, 3]);
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/event-stream');
+    expect(res.end).not.toHaveBeenCalled();
+
+    sendSSEMessage(session, { type: 'message_stop' });
+    finishSession(session);
+
+    expect(frameIds(res)).toEqual([2, 3, 4]);
+    expect(res.frames[2]).toBe('id: 4\ndata: {"type":"message_stop"}\n\n');
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('should accept lastEventId as a query parameter', async () => {
+    const session = createSession({ userId: OWNER._id });
+    sendSSEMessage(session, { type: 'session_start', sessionId: session.id });
+    sendSSEMessage(session, { type: 'message_stop' });
+    finishSession(session);
+
+    const res = createResponse();
+    await streamSessionEvents({ params: { sessionId: session.id }, headers: {}, query: { lastEventId: '1' }, user: OWNER, on: jest.fn() }, res);
+
+    expect(frameIds(res)).toEqual([2]);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('should return 404 for an unknown session', async () => {
+    const res = createResponse();
+    await streamSessionEvents({ params: { sessionId: 'session_missing' }, headers: {}, query: {}, on: jest.fn() }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.write).not.toHaveBeenCalled();
+  });
+
+  it("should not replay another user's session", async () => {
+    const session = createSession({ userId: OWNER._id });
+    sendSSEMessage(session, { type: 'session_start', sessionId: session.id });
+    finishSession(session);
+
+    const res = createResponse();
+    await streamSessionEvents({ params: { sessionId: session.id }, headers: {}, query: {}, user: STRANGER, on: jest.fn() }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.write).not.toHaveBeenCalled();
+  });
+
+  it('should replay an expired session from the cache to its owner only, until it is evicted', async () => {
+    jest.useFakeTimers();
+    try {
+      const session = createSession({ userId: OWNER._id });
+      sendSSEMessage(session, { type: 'session_start', sessionId: session.id });
+      sendSSEMessage(session, { type: 'message_stop' });
+      finishSession(session);
+
+      // Out of memory, still in the cache
+      jest.advanceTimersByTime(300000);
+      expect(activeSessions.has(session.id)).toBe(false);
+
+      const stranger = createResponse();
+      await streamSessionEvents({ params: { sessionId: session.id }, headers: {}, query: {}, user: STRANGER, on: jest.fn() }, stranger);
+      expect(stranger.status).toHaveBeenCalledWith(404);
+
+      const owner = createResponse();
+      await streamSessionEvents({ params: { sessionId: session.id }, headers: {}, query: {}, user: OWNER, on: jest.fn() }, owner);
+      expect(frameIds(owner)).toEqual([1, 2]);
+
+      jest.advanceTimersByTime(1800000);
+      await Promise.resolve();
+      expect(await fallbackCache.get(`${session.id}:event_1`)).toBeUndefined();
+      expect(await fallbackCache.get(`${session.id}:owner`)).toBeUndefined();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  describe('cancel', () => {
+    it('should cancel a running generation', async () => {
+      const session = createSession({ userId: OWNER._id });
+      session.cancel = jest.fn();
+      const res = createResponse();
+
+      await cancelSession({ params: { sessionId: session.id }, user: OWNER }, res);
+
+      expect(session.cancel).toHaveBeenCalledWith('cancelled by client');
+      expect(res.json).toHaveBeenCalledWith({ sessionId: session.id, cancelled: true });
+    });
+
+    it('should return 409 once the generation has finished', async () => {
+      const session = createSession({ userId: OWNER._id });
+      session.cancel = jest.fn();
+      finishSession(session);
+      const res = createResponse();
+
+      await cancelSession({ params: { sessionId: session.id }, user: OWNER }, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(session.cancel).not.toHaveBeenCalled();
+    });
+
+    it("should not cancel another user's generation", async () => {
+      const session = createSession({ userId: OWNER._id });
+      session.cancel = jest.fn();
+      const res = createResponse();
+
+      await cancelSession({ params: { sessionId: session.id }, user: STRANGER }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(session.cancel).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown session', async () => {
+      const res = createResponse();
+      await cancelSession({ params: { sessionId: 'session_missing' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
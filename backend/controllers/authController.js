@@ -60,4 +60,35 @@ exports.login = async (req, res) => {
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
-}; 
\ No newline at end of file
+};
+
+// GET /api/auth/me/usage
+exports.getUsage = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('tokens_remaining status usage_history');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Newest generation first
+    const history = [...user.usage_history].reverse().map(entry => ({
+      sessionId: entry.sessionId,
+      projectId: entry.projectId,
+      provider: entry.provider,
+      model: entry.model,
+      reason: entry.reason,
+      inputTokens: entry.input_tokens,
+      outputTokens: entry.output_tokens,
+      totalTokens: entry.total_tokens,
+      createdAt: entry.createdAt
+    }));
+
+    res.json({
+      tokensRemaining: user.tokens_remaining,
+      status: user.status,
+      history
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
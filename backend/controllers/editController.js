@@ -0,0 +1,190 @@
+const { edit, repair } = require('../utils/aiClient');
+const { readMarkedComponent } = require('../utils/componentStream');
+const { validateComponentCode } = require('../utils/componentValidation');
+const { getVersionLanguage } = require('../utils/language');
+const { createSession, setupSSE, sendSSEMessage, finishSession } = require('../utils/sseHelpers');
+const { createUsageMeter, settleUsage } = require('../utils/usage');
+const { loadGenerationTarget, createNextVersion } = require('../utils/projectVersions');
+const { getProvider, checkModelChoice } = require('../utils/providers');
+
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.MAX_REPAIR_ATTEMPTS || '2', 10); // Follow-up calls when the edit doesn't validate
+
+// POST /api/edit - regenerate one component of a version and save the result as a new version
+const editController = async (req, res) => {
+  const { projectId, versionId, componentName, instruction, provider, model } = req.body;
+
+  if (!projectId || !versionId || !componentName || !instruction?.trim()) {
+    return res.status(400).json({ message: 'projectId, versionId, componentName and instruction are required' });
+  }
+
+  try {
+    checkModelChoice({ provider, model });
+  } catch (error) {
+    return res.status(400).json({ message: error.message, code: error.code });
+  }
+
+  let session = null;
+  let settle = null;
+
+  try {
+    const target = await loadGenerationTarget(projectId, versionId, req.user);
+    if (!target) {
+      return res.status(404).json({ message: 'Project or version not found' });
+    }
+
+    const { version } = target;
+    const component = version.components.find(c => c.name === componentName);
+    if (!component) {
+      return res.status(404).json({ message: `Component ${componentName} not found in this version` });
+    }
+
+    session = createSession({ userId: req.user?._id });
+    setupSSE(req, res, session);
+    const sendEvent = (data) => sendSSEMessage(session, data);
+
+    sendEvent({ type: 'session_start', sessionId: session.id });
+
+    const abortController = new AbortController();
+    const usageMeter = createUsageMeter();
+    let isCancelled = false;
+
+    const metadata = {
+      componentId: component.componentId,
+      componentName: component.name,
+      position: component.position
+    };
+
+    // Debit the calls made so far and report them
+    settle = (reason) => settleUsage(usageMeter, req, session, { projectId, provider, model, reason }, sendEvent);
+
+    session.cancel = () => {
+      if (isCancelled || session.isComplete) return false;
+      isCancelled = true;
+      console.log(`🛑 Cancelling edit ${session.id}`);
+      abortController.abort();
+      return true;
+    };
+
+    sendEvent({ type: 'content_block_start', metadata });
+
+    // Ask for the edit, then for repairs until the code validates or we run out of attempts
+    const options = { provider, model, signal: abortController.signal };
+    const language = getVersionLanguage(version);
+    let code = await readMarkedComponent(await edit({
+      componentName: component.name,
+      position: component.position,
+      code: component.code,
+      instruction: instruction.trim(),
+      context: {
+        components: version.components.map(c => ({ name: c.name, position: c.position })),
+        rootLayout: version.components.find(c => c.name === 'RootLayout')?.code,
+        style: version.generation?.style,
+        requirements: version.generation?.requirements,
+        language,
+        theme: version.theme
+      }
+    }, options), component.name, usageMeter.call());
+
+    let validation = validateComponentCode(code, component.name, { language });
+    let attempt = 0;
+
+    while (!validation.valid && !isCancelled && attempt < MAX_REPAIR_ATTEMPTS) {
+      sendEvent({
+        type: 'validation_error',
+        metadata,
+        ...(attempt > 0 && { attempt }),
+        error: validation.error
+      });
+
+      attempt++;
+      code = await readMarkedComponent(await repair({
+        componentName: component.name,
+        position: component.position,
+        code,
+        error: validation.error,
+        language
+      }, options), component.name, usageMeter.call());
+      validation = validateComponentCode(code, component.name, { language });
+    }
+
+    if (isCancelled) {
+      await settle('cancelled');
+      sendEvent({ type: 'message_stop', reason: 'cancelled', metadata: { components: [] } });
+      finishSession(session);
+      return;
+    }
+
+    if (!validation.valid) {
+      sendEvent({ type: 'validation_error', metadata, ...(attempt > 0 && { attempt }), error: validation.error });
+      sendEvent({
+        type: 'error',
+        code: 'EDIT_FAILED',
+        message: `${component.name} could not be edited: ${validation.error.message}`,
+        metadata,
+        retryable: true
+      });
+      await settle('error');
+      sendEvent({ type: 'message_stop', metadata: { components: [] } });
+      finishSession(session);
+      return;
+    }
+
+    sendEvent({ type: 'content_block_delta', metadata, delta: { text: code } });
+    sendEvent({ type: 'content_block_stop', metadata: { ...metadata, isComplete: true } });
+
+    // Every other component is carried over unchanged
+    const resolvedProvider = getProvider(provider);
+    const saved = await createNextVersion(projectId, {
+      parentVersion: version._id,
+      components: version.components.map(c => (c.name === component.name ? {
+        ...(c.toObject ? c.toObject() : c),
+        code,
+        status: attempt ? 'repaired' : 'valid',
+        validationError: undefined,
+        repairAttempts: attempt
+      } : c)),
+      sections: version.sections,
+      pages: version.pages,
+      theme: version.theme,
+      generation: version.generation,
+      edit: {
+        componentName: component.name,
+        instruction: instruction.trim(),
+        provider: resolvedProvider.name,
+        model: model || resolvedProvider.defaultModel,
+        sessionId: session.id
+      }
+    });
+    console.log(`💾 Saved edit of ${component.name} as version ${saved.versionNumber}`);
+
+    await settle('completed');
+    sendEvent({
+      type: 'message_stop',
+      versionId: saved._id.toString(),
+      versionNumber: saved.versionNumber,
+      metadata: {
+        components: [{ id: component.componentId, name: component.name, position: component.position, isComplete: true }]
+      }
+    });
+    finishSession(session);
+  } catch (error) {
+    console.error('💥 Edit error:', error);
+
+    if (!session) {
+      return res.status(500).json({ message: 'Server error' });
+    }
+    if (!session.isComplete) {
+      sendSSEMessage(session, {
+        type: 'error',
+        code: error.code || 'EDIT_ERROR',
+        message: error.message,
+        retryable: error.retryable ?? false
+      });
+      // Calls that finished before the failure are still debited
+      if (settle) await settle('error');
+      finishSession(session);
+    }
+  }
+};
+
+module.exports = editController;
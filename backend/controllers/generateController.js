@@ -1,4 +1,17 @@
-const { generate } = require('../utils/aiClient');
+const { generate, repair } = require('../utils/aiClient');
+const { maybeRecord } = require('../utils/cassette');
+const { MarkerParser } = require('../utils/markerParser');
+const { readMarkedComponent } = require('../utils/componentStream');
+const { validateComponentCode, COMPOUND_COMPONENTS } = require('../utils/componentValidation');
+const { createSession, setupSSE, sendSSEMessage, finishSession } = require('../utils/sseHelpers');
+const { createUsageMeter, settleUsage } = require('../utils/usage');
+const { getComponentId, loadGenerationTarget, getComponentStatus, createNextVersion } = require('../utils/projectVersions');
+const { getProvider, checkModelChoice } = require('../utils/providers');
+const { createSitePlan, SHARED_PAGE } = require('../utils/sitePlan');
+const { normalizeProposal } = require('../utils/proposal');
+const { normalizeBrief, summarizeBrief } = require('../utils/brief');
+const { normalizeLanguage } = require('../utils/language');
+const { THEME_BLOCK, parseTheme, themeFromPlan } = require('../utils/theme');
 
 // Constants for validation and safety
 const MAX_BUFFER_SIZE = 1024 * 1024; // 1MB max buffer size
@@ -24,56 +37,8 @@ const VALID_POSITIONS = [
   'custom'
 ];
 const MAX_COMPONENT_TIME = 30000; // 30s timeout
-const MAX_COMPOUND_WAIT_TIME = 10000; // 10s max wait for subcomponents
-
-// Define compound component relationships with validation patterns
-const COMPOUND_COMPONENTS = {
-  NavigationMenu: {
-    subcomponentPatterns: {
-      List: /NavigationMenu\.List/,
-      Item: /NavigationMenu\.Item/,
-      Link: /NavigationMenu\.Link/,
-      Content: /NavigationMenu\.Content/,
-      Trigger: /NavigationMenu\.Trigger/,
-      Viewport: /NavigationMenu\.Viewport/
-    }
-  },
-  Card: {
-    subcomponentPatterns: {
-      Header: /Card\.Header/,
-      Title: /Card\.Title/,
-      Description: /Card\.Description/,
-      Content: /Card\.Content/,
-      Footer: /Card\.Footer/
-    }
-  },
-  Dialog: {
-    subcomponentPatterns: {
-      Trigger: /Dialog\.Trigger/,
-      Content: /Dialog\.Content/,
-      Header: /Dialog\.Header/,
-      Footer: /Dialog\.Footer/,
-      Title: /Dialog\.Title/,
-      Description: /Dialog\.Description/,
-      Close: /Dialog\.Close/
-    }
-  },
-  DropdownMenu: {
-    subcomponentPatterns: {
-      Trigger: /DropdownMenu\.Trigger/,
-      Content: /DropdownMenu\.Content/,
-      Item: /DropdownMenu\.Item/,
-      CheckboxItem: /DropdownMenu\.CheckboxItem/,
-      RadioItem: /DropdownMenu\.RadioItem/,
-      Label: /DropdownMenu\.Label/,
-      Separator: /DropdownMenu\.Separator/,
-      Shortcut: /DropdownMenu\.Shortcut/,
-      SubTrigger: /DropdownMenu\.SubTrigger/,
-      SubContent: /DropdownMenu\.SubContent/,
-      Group: /DropdownMenu\.Group/
-    }
-  }
-};
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.MAX_REPAIR_ATTEMPTS || '2', 10); // Follow-up calls per invalid component
+const DISCONNECT_GRACE_TIME = parseInt(process.env.DISCONNECT_GRACE_TIME || '15000', 10); // Wait for a resume before aborting
 
 // Critical components that need error recovery
 const CRITICAL_COMPONENTS = new Set([
@@ -85,322 +50,166 @@ const CRITICAL_COMPONENTS = new Set([
 // Debug mode flag
 const DEBUG_MODE = process.env.NODE_ENV === 'development';
 
-// More strict marker pattern that won't include export function
-const MARKER_PATTERN = /\/\/\/\s*(START|END)\s+([A-Z][a-zA-Z0-9]*(?:Section|Layout|Component)?)\s*(?:position=([\w]+))?\s*$/m;
-const INCOMPLETE_MARKER = /\/\/\/\s*(START|END)\s*$/m;
-
-// Add validation for component names
-const VALID_COMPONENT_NAME = /^[A-Z][a-zA-Z0-9]*(?:Section|Layout|Component)?$/;
-
 // Add test ID validation
 const isTestId = (id) => id.startsWith('test-');
 
-// Validate complete component names with improved checks
-const isCompleteComponentName = (name, buffer, matchIndex) => {
-  // Basic validation
-  if (!name || typeof name !== 'string') return false;
-  
-  // Must match our valid component name pattern
-  if (!VALID_COMPONENT_NAME.test(name)) {
-    console.warn('❌ Invalid component name format:', name);
-    return false;
-  }
-  
-  // Check for export function following the marker
-  const afterMatch = buffer.slice(matchIndex).split('\n')[1];
-  if (afterMatch && afterMatch.trim().startsWith('export')) {
-    // Verify the function name matches our component name exactly
-    const functionMatch = afterMatch.match(/export\s+(?:default\s+)?function\s+([A-Z][a-zA-Z0-9]*(?:Section|Layout|Component)?)\s*\(/);
-    if (functionMatch && functionMatch[1] !== name) {
-      console.warn('❌ Component name does not match function name:', {
-        componentName: name,
-        functionName: functionMatch[1]
-      });
-      return false;
-    }
-  }
-
-  return true;
-};
-
-// Enhanced marker validation
-const validateMarkers = (markerType, markerName, currentComponentName, buffer, matchIndex) => {
-  if (!markerName || !markerType) {
-    console.warn('❌ Invalid marker format:', { markerType, markerName });
-    return false;
-  }
-
-  // Validate component name format
-  if (!VALID_COMPONENT_NAME.test(markerName)) {
-    console.warn('❌ Invalid component name format:', markerName);
-    return false;
-  }
-
-  if (markerType === 'END' && !currentComponentName) {
-    console.warn('❌ END marker without active component');
-    return false;
-  }
-
-  if (markerType === 'END' && markerName !== currentComponentName) {
-    console.warn('❌ END marker mismatch:', {
-      expected: currentComponentName,
-      received: markerName
-    });
-    return false;
-  }
-
-  // Check for incomplete markers
-  if (INCOMPLETE_MARKER.test(markerName)) {
-    console.warn('❌ Incomplete marker detected');
-    return false;
-  }
-
-  // Validate complete component name
-  if (!isCompleteComponentName(markerName, buffer, matchIndex)) {
-    console.warn('❌ Invalid component name:', markerName);
-    return false;
-  }
-
-  return true;
-};
-
-// Component ID generation with improved normalization
-const getComponentId = (componentName) => {
-  // Ensure we have a valid component name
-  if (!VALID_COMPONENT_NAME.test(componentName)) {
-    console.warn('⚠️ Invalid component name format in ID generation:', componentName);
-    return `comp_invalid_${Date.now()}`;
-  }
-
-  // Special case for RootLayout
-  if (componentName === 'RootLayout') {
-    return 'comp_rootlayout';
-  }
-
-  // Normalize the name
-  return `comp_${componentName.toLowerCase()}`;
-};
-
-// Position normalization helper
-const normalizePosition = (position) => {
-  if (!position) {
-    if (DEBUG_MODE) console.log('📍 No position provided, defaulting to main');
-    return 'main';
-  }
-
-  // Special handling for test components
-  if (position.startsWith('test-') || position.toLowerCase().includes('test')) {
-    if (DEBUG_MODE) console.log('📍 Test component detected, using main position');
-    return 'main';
-  }
-  
-  const normalized = position.toLowerCase().trim();
-  const final = VALID_POSITIONS.includes(normalized) ? normalized : 'custom';
-  
-  if (DEBUG_MODE) {
-    console.log('📍 Position normalization:', {
-      original: position,
-      normalized,
-      final,
-      isValid: VALID_POSITIONS.includes(normalized),
-      isTestComponent: position.startsWith('test-')
-    });
-  }
-  
-  return final;
-};
-
-// Update getComponentMetadata to use normalized positions
-const getComponentMetadata = (chunk, existingMetadata = null) => {
-  if (DEBUG_MODE) {
-    console.log('🔍 Processing component metadata:', {
-      hasExistingMetadata: !!existingMetadata,
-      chunkMetadata: chunk.metadata,
-      text: chunk.delta?.text?.slice(0, 100) // First 100 chars for context
-    });
-  }
-
-  // If chunk already has metadata, validate and return it
-  if (chunk.metadata?.componentName && chunk.metadata.componentName !== 'UnknownComponent') {
-    const position = normalizePosition(chunk.metadata.position);
-    if (DEBUG_MODE) {
-      console.log('✅ Using existing metadata with normalized position:', {
-        componentName: chunk.metadata.componentName,
-        originalPosition: chunk.metadata.position,
-        normalizedPosition: position
-      });
-    }
-    return {
-      ...chunk.metadata,
-      position
-    };
-  }
-
-  // Try to extract from content if no metadata
-  const startMatch = chunk.delta?.text?.match(/\/\/\/\s*START\s+(\w+)(?:\s+position=(\w+))?/);
-  if (startMatch) {
-    const position = normalizePosition(startMatch[2]);
-    const metadata = {
-      componentName: startMatch[1],
-      position,
-      componentId: startMatch[1] === 'RootLayout' ? 'root_layout' : `comp_${startMatch[1].toLowerCase()}`
-    };
-    
-    if (DEBUG_MODE) {
-      console.log('✅ Extracted metadata from content:', {
-        match: startMatch[0],
-        componentName: metadata.componentName,
-        originalPosition: startMatch[2],
-        normalizedPosition: position
-      });
-    }
-    
-    return metadata;
-  }
-
-  // Fallback to existing metadata or generate temporary
-  const fallbackMetadata = {
-    componentName: 'UnknownComponent',
-    position: normalizePosition(existingMetadata?.position),
-    componentId: 'comp_unknown'
-  };
-
-  if (DEBUG_MODE) {
-    console.log('⚠️ Using fallback metadata:', fallbackMetadata);
-  }
-
-  return fallbackMetadata;
-};
-
-// Helper function to check if we should accumulate more code for compound components
-const shouldAccumulateMore = (componentName, accumulatedCode, startTime) => {
-  const compoundDef = COMPOUND_COMPONENTS[componentName];
-  if (!compoundDef) return false;
-
-  // Check if we've exceeded the max wait time
-  const waitTime = Date.now() - startTime;
-  if (waitTime > MAX_COMPOUND_WAIT_TIME) {
-    console.warn(`⚠️ Exceeded max wait time (${MAX_COMPOUND_WAIT_TIME}ms) for ${componentName}`);
-    return false;
-  }
-
-  // Check for actual component definitions using patterns
-  return Object.entries(compoundDef.subcomponentPatterns).some(([name, pattern]) => {
-    const hasDefinition = pattern.test(accumulatedCode);
-    if (!hasDefinition && DEBUG_MODE) {
-      console.log(`🔍 Missing subcomponent definition for ${name}`);
-    }
-    return !hasDefinition;
-  });
-};
-
-// Validate component code structure
-const validateComponent = (code, componentName) => {
-  try {
-    // Check for basic syntax requirements
-    if (!code || typeof code !== 'string') {
-      throw new Error('Invalid component code');
-    }
-
-    // Check for export statement
-    if (!code.includes('export default') && !code.includes('export function')) {
-      throw new Error('Component must have an export statement');
-    }
-
-    // Check for function definition
-    if (!code.includes('function')) {
-      throw new Error('Component must be a function');
-    }
-
-    // Check for return statement with JSX
-    const hasJSXReturn = code.includes('return') && (
-      code.includes('<') ||
-      code.includes('React.createElement') ||
-      code.includes('jsx')
-    );
-    if (!hasJSXReturn) {
-      throw new Error('Component must return JSX');
-    }
-
-    // For compound components, check for required subcomponents
-    const compoundDef = COMPOUND_COMPONENTS[componentName];
-    if (compoundDef) {
-      const missingSubcomponents = Object.entries(compoundDef.subcomponentPatterns)
-        .filter(([name, pattern]) => !pattern.test(code))
-        .map(([name]) => name);
-
-      if (missingSubcomponents.length > 0) {
-        throw new Error(`Missing required subcomponents: ${missingSubcomponents.join(', ')}`);
-      }
-    }
-
-    return true;
-  } catch (error) {
-    console.error('❌ Component validation failed:', error.message);
-    return false;
-  }
-};
 
 // Enhanced error handling
-const handleStreamError = (error, res, currentComponentId, currentComponentName, accumulatedCode, stopComponent) => {
+const handleStreamError = (error, session, sendEvent, currentComponentId, currentComponentName, accumulatedCode, stopComponent) => {
   console.error('❌ Stream error:', error);
   if (currentComponentId && accumulatedCode.trim()) {
     // Try to salvage current component
     console.log('⚠️ Attempting to salvage component before error handling');
     stopComponent();
   }
-  if (res.writable) {
-    res.write(`data: ${JSON.stringify({
+  if (!session.isComplete) {
+    sendEvent({
       type: 'error',
       code: 'STREAM_ERROR',
-      message: error.message,
+      // The details stay in the log above; they can quote provider responses
+      message: 'The generation stream failed',
       retryable: false
-    })}\n\n`);
-    res.end();
+    });
+    finishSession(session);
   }
 };
 
 const generateController = async (req, res) => {
+  // Optional cassette recording of raw chunks and emitted events (GENERATE_CASSETTE_DIR)
+  let recorder = null;
+  // Resumable session the events are numbered and stored in
+  let session = null;
+
+  // Write a single SSE event to the client
+  const sendEvent = (data) => {
+    if (recorder) recorder.recordEvent(data);
+    if (session) {
+      sendSSEMessage(session, data);
+    } else {
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
   try {
     // Validate project and version IDs
     const { projectId, versionId } = req.query;
     if (!projectId || !versionId) {
-      res.write(`data: ${JSON.stringify({
+      sendEvent({
         type: 'error',
         code: 'MISSING_IDS',
         message: 'Missing projectId or versionId',
         retryable: false
-      })}\n\n`);
+      });
       res.end();
       return;
     }
 
-    // Allow test IDs to bypass database validation
-    if (!isTestId(projectId) || !isTestId(versionId)) {
-      console.log('⚠️ Non-test IDs would be validated against database');
+    // mode=site generates several pages that share the header, footer and RootLayout
+    let sitePlan = null;
+    if (req.body.mode === 'site') {
+      try {
+        sitePlan = createSitePlan(req.body.pages);
+      } catch (error) {
+        sendEvent({ type: 'error', code: error.code, message: error.message, retryable: false });
+        res.end();
+        return;
+      }
     }
 
-    // Set SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    if (typeof res.flushHeaders === 'function') {
-      res.flushHeaders();
+    // An approved proposal fixes the sections, their positions and their order
+    let plan = null;
+    if (req.body.plan) {
+      try {
+        if (sitePlan) {
+          throw new Error('An approved plan can only be used for a single landing page');
+        }
+        plan = normalizeProposal(req.body.plan);
+      } catch (error) {
+        sendEvent({ type: 'error', code: 'INVALID_PLAN', message: error.message, retryable: false });
+        res.end();
+        return;
+      }
     }
-    console.log('📡 SSE headers set');
-
-    const { prompt, style, requirements } = req.body;
-    const stream = await generate(prompt, style, requirements);
 
-    // Handle client disconnect
-    req.on('close', () => {
-      console.log('❌ Client disconnected');
-      stream.destroy();
-      if (!res.writableEnded) {
+    // Answers from the discovery questionnaire, passed to the prompt as typed fields
+    let brief = null;
+    if (req.body.brief) {
+      try {
+        brief = normalizeBrief(req.body.brief);
+      } catch (error) {
+        sendEvent({ type: 'error', code: error.code, message: error.message, retryable: false });
         res.end();
+        return;
       }
-    });
+    }
+
+    // language=tsx has the model write typed components
+    let language;
+    try {
+      language = normalizeLanguage(req.body.language);
+    } catch (error) {
+      sendEvent({ type: 'error', code: error.code, message: error.message, retryable: false });
+      res.end();
+      return;
+    }
+
+    // Clients pick from the registered providers and the models each allows
+    try {
+      checkModelChoice({ provider: req.body.provider, model: req.body.model });
+    } catch (error) {
+      sendEvent({ type: 'error', code: error.code, message: error.message, retryable: false });
+      res.end();
+      return;
+    }
+
+    // Test IDs bypass the database; real generations are saved as the project's next version
+    const persistVersions = !isTestId(projectId) || !isTestId(versionId);
+    if (persistVersions && !(await loadGenerationTarget(projectId, versionId, req.user))) {
+      sendEvent({
+        type: 'error',
+        code: 'PROJECT_NOT_FOUND',
+        message: 'Project or version not found',
+        retryable: false
+      });
+      res.end();
+      return;
+    }
+
+    // Set SSE headers and attach this response to a new session
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    session = createSession({ userId: req.user?._id });
+    setupSSE(req, res, session);
+    console.log(`📡 SSE headers set for session ${session.id}`);
+
+    const { style, requirements, provider, model } = req.body;
+    const prompt = req.body.prompt || (brief && summarizeBrief(brief));
+    recorder = maybeRecord({ prompt, style, requirements, provider, model, projectId, versionId, ...(sitePlan && { pages: sitePlan }), ...(plan && { plan }), ...(brief && { brief }), ...(language !== 'jsx' && { language }) });
+
+    // Lets the client reconnect to GET /api/generate/:sessionId/events
+    sendEvent({ type: 'session_start', sessionId: session.id });
+
+    // The preview needs the page list before the first page's sections arrive
+    if (sitePlan) {
+      sendEvent({ type: 'site_plan', pages: sitePlan });
+    }
+
+    // A plan's palette skins the preview until the model's Theme block replaces it
+    let theme = plan ? themeFromPlan(plan) : undefined;
+    let themeText = null;
+    if (theme) {
+      sendEvent({ type: 'theme', theme });
+    }
+
+    // Aborts the upstream model stream on cancel or when the client is gone for good
+    const abortController = new AbortController();
+    let stream = null;
+    let isCancelled = false;
+
+    // Token usage across the generation and its repair calls, debited once at the end
+    const usageMeter = createUsageMeter();
+    const generationUsage = usageMeter.call();
+    let isUsageSettled = false;
+    let isFinishing = false;
 
     // Component state management
     const componentStates = new Map();
@@ -467,42 +276,83 @@ const generateController = async (req, res) => {
         componentId: state.id,
         componentName: state.name,
         position: state.position,
+        ...(state.page && { page: state.page }),
         isComplete: type === 'stop' ? true : undefined,
         isCritical,
         isCompoundComplete,
         error: !isCompoundComplete && type === 'stop' ? 'INCOMPLETE_COMPOUND' : undefined,
-        sections: type === 'stop' ? {
-          header: Array.from(sections.header),
-          main: Array.from(sections.main),
-          footer: Array.from(sections.footer)
-        } : undefined
+        sections: type === 'stop' ? getSections() : undefined
       };
     };
 
-    let buffer = '';
+    const parser = new MarkerParser();
+    const pendingRepairs = [];
     let currentComponentId = null;
     let currentComponentName = null;
+    let currentComponentLine = null;
     let accumulatedCode = '';
     let componentStartTime = null;
     const sections = { header: new Set(), main: new Set(), footer: new Set() };
+    // Section IDs of each page in site mode
+    const pageSections = new Map((sitePlan || []).map(page => [page.id, new Set()]));
+    // Name of a repeated shared component whose block is being dropped
+    let skippedComponentName = null;
+
+    // Planned sections by name; anything else the model writes, apart from RootLayout, is dropped
+    const plannedSections = new Map((plan?.sections || []).map((section, index) => [section.name, { ...section, index }]));
+
+    // Section IDs per position; with a plan they follow its order whatever order they arrived in
+    const getSections = () => {
+      const order = (ids) => {
+        const list = Array.from(ids);
+        if (!plan) return list;
+        const indexOf = (id) => plannedSections.get(componentStates.get(id)?.name)?.index ?? Infinity;
+        return list.sort((a, b) => indexOf(a) - indexOf(b));
+      };
+      return { header: order(sections.header), main: order(sections.main), footer: order(sections.footer) };
+    };
+
+    // Planned sections the model didn't produce
+    const getMissingSections = () => (plan?.sections || [])
+      .filter(section => !componentStates.has(getComponentId(section.name)))
+      .map(section => section.name);
+
+    // Page list with the sections each page renders, for message_stop and the saved version
+    const getPages = () => sitePlan?.map(page => ({ ...page, sections: Array.from(pageSections.get(page.id)) }));
+
+    // Which page a component belongs to; header, footer and RootLayout are shared by every page
+    const resolvePage = (name, position, page) => {
+      if (!sitePlan || name === 'RootLayout' || position === 'header' || position === 'footer' || page === SHARED_PAGE) {
+        return undefined;
+      }
+      if (pageSections.has(page)) return page;
+
+      console.warn(`⚠️ ${name} has unknown page "${page}", adding it to ${sitePlan[0].id}`);
+      return sitePlan[0].id;
+    };
 
     // Helper function to start a component
-    const startComponent = (name, position, componentId) => {
+    const startComponent = (name, position, componentId, line, page) => {
       console.log(`🎬 Starting component ${name} in position ${position}`);
       componentStartTime = Date.now();
       currentComponentName = name;
       currentComponentId = componentId;
+      currentComponentLine = line;
 
       if (!VALID_POSITIONS.includes(position)) {
         position = 'main';
       }
-      sections[position].add(componentId);
+      (sections[position] || sections.main).add(componentId);
+      if (page) {
+        pageSections.get(page).add(componentId);
+      }
 
       // Initialize component state
       updateComponentState(componentId, {
         id: componentId,
         name: name,
         position: position,
+        page,
         isStreaming: true,
         isComplete: false,
         code: '',
@@ -511,316 +361,450 @@ const generateController = async (req, res) => {
       });
 
       // Notify frontend of new component
-      res.write(`data: ${JSON.stringify({
+      sendEvent({
         type: 'content_block_start',
         metadata: createMetadata(componentId, 'start')
-      })}\n\n`);
+      });
 
       if (typeof res.flush === 'function') {
         res.flush();
       }
     };
 
-    // Helper function to finalize a component
+    // Helper function to validate and finalize a component
     const stopComponent = (componentDuration) => {
       if (!currentComponentId) return;
 
       console.log(`✅ Completing component ${currentComponentName} with ${accumulatedCode.length} bytes`);
-      
-      if (!accumulatedCode.trim()) {
-        console.log(`⚠️ No code accumulated for ${currentComponentName}, skipping.`);
+
+      const validation = validateComponentCode(accumulatedCode, currentComponentName, { language });
+
+      if (validation.valid) {
+        // Update component state
+        updateComponentState(currentComponentId, {
+          isStreaming: false,
+          isComplete: true,
+          code: accumulatedCode,
+          duration: componentDuration || Date.now() - componentStartTime
+        });
+
+        // Send the parsed code
+        sendEvent({
+          type: 'content_block_delta',
+          metadata: createMetadata(currentComponentId, 'delta'),
+          delta: { text: accumulatedCode }
+        });
+
+        // Mark as complete
+        sendEvent({
+          type: 'content_block_stop',
+          metadata: createMetadata(currentComponentId, 'stop')
+        });
       } else {
-        // For compound components, ensure we have all subcomponents before stopping
-        if (COMPOUND_COMPONENTS[currentComponentName]) {
-          const shouldWait = shouldAccumulateMore(currentComponentName, accumulatedCode, componentStartTime);
-          
-          if (shouldWait) {
-            if (DEBUG_MODE) {
-              console.log(`🔄 Waiting for more subcomponents for ${currentComponentName}`);
-            }
-            return; // Don't stop yet, wait for more code
-          } else if (Date.now() - componentStartTime > MAX_COMPOUND_WAIT_TIME) {
-            // If we've exceeded wait time, mark as error
-            updateComponentState(currentComponentId, {
-              isStreaming: false,
-              isComplete: false,
-              error: 'COMPOUND_TIMEOUT',
-              code: accumulatedCode
-            });
-
-            res.write(`data: ${JSON.stringify({
-              type: 'error',
-              code: 'COMPOUND_TIMEOUT',
-              message: `Component ${currentComponentName} timed out waiting for subcomponents`,
-              metadata: createMetadata(currentComponentId, 'error')
-            })}\n\n`);
-
-            // Reset state and return
-            currentComponentId = null;
-            currentComponentName = null;
-            accumulatedCode = '';
-            componentStartTime = null;
-            return;
+        const { error } = validation;
+        console.warn(`❌ ${currentComponentName} failed validation at ${error.line}:${error.column}: ${error.message}`);
+
+        updateComponentState(currentComponentId, {
+          isStreaming: false,
+          isComplete: false,
+          code: accumulatedCode,
+          error: 'VALIDATION_FAILED',
+          validationError: error
+        });
+
+        sendEvent({
+          type: 'validation_error',
+          metadata: createMetadata(currentComponentId, 'error'),
+          error: {
+            ...error,
+            // Line of the response the component block started on, for locating it in the raw output
+            streamLine: currentComponentLine + error.line
           }
-        }
-
-        if (validateComponent(accumulatedCode, currentComponentName)) {
-          // Update component state
-          updateComponentState(currentComponentId, {
-            isStreaming: false,
-            isComplete: true,
-            code: accumulatedCode,
-            duration: componentDuration || Date.now() - componentStartTime
-          });
+        });
 
-          // Send accumulated code
-          res.write(`data: ${JSON.stringify({
-            type: 'content_block_delta',
-            metadata: createMetadata(currentComponentId, 'delta'),
-            delta: { text: accumulatedCode }
-          })}\n\n`);
-
-          // Mark as complete
-          res.write(`data: ${JSON.stringify({
-            type: 'content_block_stop',
-            metadata: createMetadata(currentComponentId, 'stop')
-          })}\n\n`);
-        } else {
-          console.warn(`❌ Invalid component code for ${currentComponentName}`);
-          // Update state to reflect validation failure
-          updateComponentState(currentComponentId, {
-            isStreaming: false,
-            isComplete: false,
-            error: 'VALIDATION_FAILED'
-          });
+        if (MAX_REPAIR_ATTEMPTS > 0) {
+          pendingRepairs.push(repairComponent(currentComponentId, accumulatedCode, error));
         }
       }
-      
+
       // Reset state
       currentComponentId = null;
       currentComponentName = null;
+      currentComponentLine = null;
       accumulatedCode = '';
       componentStartTime = null;
     };
 
-    // Handle stream events
-    stream.on('data', (chunk) => {
-      try {
-        if (!res.writable) {
-          console.log('❌ Response no longer writable');
-          stream.destroy();
-          return;
+    // Ask the model to fix an invalid component and replace it under the same componentId
+    const repairComponent = async (componentId, code, error) => {
+      const { name, position } = componentStates.get(componentId);
+
+      for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        if (session.isComplete || isCancelled) return;
+
+        try {
+          const repairStream = await repair(
+            { componentName: name, position, code, error, language },
+            { provider, model, signal: abortController.signal }
+          );
+          code = await readMarkedComponent(repairStream, name, usageMeter.call());
+        } catch (repairError) {
+          if (isCancelled) return;
+          console.error(`❌ Repair request for ${name} failed:`, repairError);
+          error = {
+            code: repairError.code || 'REPAIR_ERROR',
+            message: repairError.message || 'Repair request failed'
+          };
+          break;
         }
+        if (session.isComplete || isCancelled) return;
 
-        // Check for component timeout
-        if (currentComponentId && componentStartTime && 
-            (Date.now() - componentStartTime > MAX_COMPONENT_TIME)) {
-          console.warn(`⚠️ Component ${currentComponentName} timed out after ${MAX_COMPONENT_TIME}ms`);
-          stopComponent();
-        }
+        const validation = validateComponentCode(code, name, { language });
+        if (validation.valid) {
+          console.log(`🔧 Repaired ${name} after ${attempt} attempt(s)`);
+          updateComponentState(componentId, {
+            isStreaming: false,
+            isComplete: true,
+            code,
+            error: undefined,
+            validationError: undefined,
+            repairAttempts: attempt
+          });
 
-        // Avoid huge memory usage
-        if (buffer.length > MAX_BUFFER_SIZE) {
-          console.warn('🚨 Buffer overflow - clearing');
-          if (currentComponentId) {
-            // Try to salvage current component before clearing
-            stopComponent();
-          }
-          buffer = '';
-          accumulatedCode = '';
+          sendEvent({
+            type: 'component_replaced',
+            metadata: createMetadata(componentId, 'stop'),
+            attempt,
+            delta: { text: code }
+          });
+          return;
         }
 
-        // Parse Anthropic's format
-        const event = JSON.parse(chunk.toString());
+        error = validation.error;
+        console.warn(`❌ Repair attempt ${attempt} for ${name} failed validation: ${error.message}`);
+        sendEvent({
+          type: 'validation_error',
+          metadata: createMetadata(componentId, 'error'),
+          attempt,
+          error
+        });
+      }
 
-        if (event.type === 'content_block_delta' && event.delta?.text) {
-          // Accumulate text in buffer
-          buffer += event.delta.text;
-          console.log(`📝 Accumulated ${event.delta.text.length} bytes in buffer`);
-        }
+      updateComponentState(componentId, {
+        error: 'REPAIR_FAILED',
+        validationError: error,
+        repairAttempts: MAX_REPAIR_ATTEMPTS
+      });
+      if (!session.isComplete) {
+        sendEvent({
+          type: 'error',
+          code: 'REPAIR_FAILED',
+          message: `${name} could not be repaired: ${error.message}`,
+          metadata: createMetadata(componentId, 'error'),
+          retryable: false
+        });
+      }
+    };
 
-        // Skip processing if we detect an incomplete marker
-        if (INCOMPLETE_MARKER.test(buffer)) {
-          console.log('⏳ Detected incomplete marker, waiting for more data');
-          return;
+    // Apply text and markers coming out of the parser
+    const handleParsed = (parsed) => {
+      for (const item of parsed) {
+        if (item.type === 'text') {
+          if (themeText !== null) {
+            themeText += item.text;
+          } else if (currentComponentId) {
+            accumulatedCode += item.text;
+          }
+          continue;
         }
 
-        // Keep searching for complete markers
-        let match;
-        while ((match = buffer.match(MARKER_PATTERN))) {
-          const markerFull = match[0];
-          const markerType = match[1];          // START or END
-          const markerName = match[2].trim();   // e.g. Header, RootLayout, etc.
-          const markerPosition = match[3] || ''; // e.g. header, main, etc.
-
-          // Instead of halting on an incomplete marker, we flush a partial update
-          if (!validateMarkers(markerType, markerName, currentComponentName, buffer, match.index)) {
-            console.warn('⚠️ Incomplete marker detected; emitting partial update.');
-            if (currentComponentId && accumulatedCode.trim()) {
-              res.write(`data: ${JSON.stringify({
-                type: 'content_block_delta',
-                metadata: createMetadata(currentComponentId, 'delta'),
-                delta: { text: accumulatedCode }
-              })}\n\n`);
+        const { kind, name, attributes, line } = item;
+
+        // The Theme block holds JSON for the theme, not a component
+        if (name === THEME_BLOCK) {
+          if (kind === 'START' && !currentComponentId) {
+            themeText = '';
+          } else if (kind === 'END' && themeText !== null) {
+            try {
+              theme = parseTheme(themeText);
+              sendEvent({ type: 'theme', theme });
+            } catch (error) {
+              console.warn(`⚠️ Ignoring the model's theme: ${error.message}`);
             }
-            // Remove the problematic marker from buffer and continue processing
-            const markerLength = markerFull.length;
-            buffer = buffer.slice(match.index + markerLength);
-            continue;
+            themeText = null;
           }
+          continue;
+        }
 
-          const matchIndex = match.index;
-          const codeBeforeMarker = buffer.slice(0, matchIndex);
+        if (skippedComponentName) {
+          if (kind === 'END' && name === skippedComponentName) skippedComponentName = null;
+          continue;
+        }
 
-          // If we see a new START while still inside a component, emit current code and stop
-          if (currentComponentId && markerType === 'START') {
-            console.log(`⚠️ New component ${markerName} started while ${currentComponentName} is active - emitting current`);
-            accumulatedCode += codeBeforeMarker;
-            
-            // Emit the accumulated code before stopping
-            res.write(`data: ${JSON.stringify({
-              type: 'content_block_delta',
-              metadata: createMetadata(currentComponentId, 'delta'),
-              delta: { text: accumulatedCode }
-            })}\n\n`);
-            
+        if (kind === 'START') {
+          if (currentComponentId) {
+            console.warn(`⚠️ New component ${name} started while ${currentComponentName} is active - completing current`);
             stopComponent();
           }
-
-          if (currentComponentId) {
-            accumulatedCode += codeBeforeMarker;
-            
-            // Emit accumulated code as a delta update
-            if (accumulatedCode.trim()) {
-              res.write(`data: ${JSON.stringify({
-                type: 'content_block_delta',
-                metadata: createMetadata(currentComponentId, 'delta'),
-                delta: { text: accumulatedCode }
-              })}\n\n`);
-              accumulatedCode = ''; // Reset after emitting
-            }
+          if (plan && name !== 'RootLayout' && !plannedSections.has(name)) {
+            console.warn(`⚠️ Dropping ${name}, it isn't in the approved plan`);
+            skippedComponentName = name;
+            continue;
           }
 
-          // Remove consumed portion from buffer
-          buffer = buffer.slice(matchIndex + markerFull.length);
-
-          if (markerType === 'START') {
-            const componentId = getComponentId(markerName);
-            console.log(`🎯 Starting component ${markerName} with ID ${componentId}`);
-            startComponent(markerName, markerPosition, componentId);
-          } else if (markerType === 'END') {
-            if (markerName === currentComponentName) {
-              const componentDuration = Date.now() - componentStartTime;
-              console.log(`✅ Ending component ${markerName} after ${componentDuration}ms`);
-              
-              // Emit any remaining code before stopping
-              if (accumulatedCode.trim()) {
-                res.write(`data: ${JSON.stringify({
-                  type: 'content_block_delta',
-                  metadata: createMetadata(currentComponentId, 'delta'),
-                  delta: { text: accumulatedCode }
-                })}\n\n`);
-              }
-              
-              stopComponent(componentDuration);
-            } else {
-              console.warn(`❌ END marker for ${markerName} but current is ${currentComponentName}`);
-            }
-          }
-        }
+          const componentId = getComponentId(name);
+          const position = plannedSections.get(name)?.position || attributes.position || 'main';
+          const page = resolvePage(name, position, attributes.page);
 
-        // If in a component, accumulate any leftover buffer
-        if (currentComponentId) {
-          accumulatedCode += buffer;
-          buffer = '';
-        }
+          // Shared components are generated once; a second copy for another page is dropped
+          if (sitePlan && !page && componentStates.get(componentId)?.isComplete) {
+            console.warn(`⚠️ Dropping repeated shared component ${name}`);
+            skippedComponentName = name;
+            continue;
+          }
 
-        // Flush SSE to client
-        if (typeof res.flush === 'function') {
-          res.flush();
+          console.log(`🎯 Starting component ${name} with ID ${componentId}`);
+          startComponent(name, position, componentId, line, page);
+        } else if (name === currentComponentName) {
+          const componentDuration = Date.now() - componentStartTime;
+          console.log(`✅ Ending component ${name} after ${componentDuration}ms`);
+          stopComponent(componentDuration);
+        } else {
+          console.warn(`❌ END marker for ${name} but current is ${currentComponentName}`);
         }
-      } catch (error) {
-        handleStreamError(error, res, currentComponentId, currentComponentName, accumulatedCode, stopComponent);
-        stream.destroy();
       }
-    });
+    };
 
-    // When the stream ends
-    stream.on('end', () => {
-      console.log('✅ Stream complete');
+    // Debit the tokens the model calls used and report them; only the first call counts
+    const settle = async (reason) => {
+      if (isUsageSettled) return;
+      isUsageSettled = true;
+      await settleUsage(usageMeter, req, session, { projectId, provider, model, reason }, sendEvent);
+    };
 
-      // If we still have a component open, close it
-      if (currentComponentId && accumulatedCode.trim()) {
-        accumulatedCode += buffer;
-        buffer = '';
+    // Stream listeners and cancel can't wait on settling or saving; failures are logged instead
+    const logFailure = (action) => (error) => console.error(`❌ Failed to ${action}:`, error);
 
-        if (validateComponent(accumulatedCode, currentComponentName)) {
-          const componentDuration = Date.now() - componentStartTime;
-          
-          // Update final component state
-          updateComponentState(currentComponentId, {
-            isStreaming: false,
-            isComplete: true,
-            code: accumulatedCode,
-            duration: componentDuration
-          });
+    // Save what was generated as the project's next version
+    const saveVersion = async (reason) => {
+      if (!persistVersions) return null;
 
-          // Final block delta
-          res.write(`data: ${JSON.stringify({
-            type: 'content_block_delta',
-            metadata: createMetadata(currentComponentId, 'delta'),
-            delta: { text: accumulatedCode }
-          })}\n\n`);
-
-          // Mark as complete
-          res.write(`data: ${JSON.stringify({
-            type: 'content_block_stop',
-            metadata: createMetadata(currentComponentId, 'stop')
-          })}\n\n`);
-        }
+      try {
+        const resolvedProvider = getProvider(provider);
+        const version = await createNextVersion(projectId, {
+          parentVersion: versionId,
+          components: Array.from(componentStates.values()).map(state => ({
+            componentId: state.id,
+            name: state.name,
+            position: state.position,
+            page: state.page,
+            code: state.code,
+            status: getComponentStatus(state),
+            validationError: state.validationError,
+            repairAttempts: state.repairAttempts
+          })),
+          sections: getSections(),
+          ...(sitePlan && { pages: getPages() }),
+          ...(theme && { theme }),
+          generation: {
+            prompt,
+            style,
+            requirements,
+            provider: resolvedProvider.name,
+            model: model || resolvedProvider.defaultModel,
+            sessionId: session.id,
+            ...(plan && { plan }),
+            ...(brief && { brief }),
+            language,
+            status: reason === 'cancelled' ? 'cancelled' : 'completed'
+          }
+        });
+        console.log(`💾 Saved generation as version ${version.versionNumber} of project ${projectId}`);
+        return version;
+      } catch (error) {
+        console.error('❌ Failed to save project version:', error);
+        return null;
       }
+    };
 
-      // Get final state of all components
+    // Send the final event; sections and components reflect whatever was generated
+    const sendMessageStop = (reason, version) => {
       const finalState = Array.from(componentStates.values()).map(state => ({
         id: state.id,
         name: state.name,
         position: state.position,
+        ...(state.page && { page: state.page }),
         isComplete: state.isComplete,
-        duration: state.duration
+        duration: state.duration,
+        // Unfinished code is kept so a cancelled generation isn't lost
+        ...(state.isPartial && { isPartial: true, code: state.code })
       }));
 
-      // Send final completion signal with complete metadata
-      res.write(`data: ${JSON.stringify({
+      sendEvent({
         type: 'message_stop',
+        ...(reason && { reason }),
+        // Lets the client link to the saved version
+        ...(version && { versionId: version._id.toString(), versionNumber: version.versionNumber }),
         metadata: {
-          sections: {
-            header: Array.from(sections.header),
-            main: Array.from(sections.main),
-            footer: Array.from(sections.footer)
-          },
+          sections: getSections(),
+          ...(sitePlan && { pages: getPages() }),
+          ...(theme && { theme }),
           totalComponents: sections.header.size + sections.main.size + sections.footer.size,
           components: finalState
         }
-      })}\n\n`);
-      res.end();
+      });
+      finishSession(session);
+      if (recorder) recorder.close();
+    };
+
+    // Debit usage and save the version before message_stop so the client gets both
+    const finishGeneration = async (reason) => {
+      isFinishing = true;
+
+      const missingSections = reason ? [] : getMissingSections();
+      if (missingSections.length) {
+        console.warn('⚠️ Planned sections missing from the generation:', missingSections);
+        sendEvent({
+          type: 'error',
+          code: 'PLAN_INCOMPLETE',
+          message: `The page is missing planned sections: ${missingSections.join(', ')}`,
+          missingSections,
+          retryable: true
+        });
+      }
+
+
+      await settle(reason || 'completed');
+      const version = await saveVersion(reason);
+      if (session.isComplete) return;
+      sendMessageStop(reason, version);
+    };
+
+    // Stop generating, keep what was produced so far and end the session
+    const cancelGeneration = (cause) => {
+      if (isCancelled || isFinishing || session.isComplete) return false;
+      isCancelled = true;
+      console.log(`🛑 Cancelling session ${session.id} (${cause})`);
+
+      abortController.abort();
+      if (stream) stream.destroy();
+
+      // Keep the component that was still streaming as a partial result
+      handleParsed(parser.end());
+      if (currentComponentId) {
+        updateComponentState(currentComponentId, {
+          isStreaming: false,
+          isComplete: false,
+          isPartial: true,
+          code: accumulatedCode
+        });
+        currentComponentId = null;
+        currentComponentName = null;
+        accumulatedCode = '';
+      }
+
+      finishGeneration('cancelled').catch(logFailure('finish the cancelled generation'));
+      return true;
+    };
+    session.cancel = cancelGeneration;
+
+    // A dropped client only detaches from the session; if nobody resumes within the
+    // grace period the model stream is aborted so it stops using tokens
+    session.onDisconnect = () => {
+      setTimeout(() => {
+        if (session.subscribers.size === 0) cancelGeneration('client disconnected');
+      }, DISCONNECT_GRACE_TIME).unref();
+    };
+
+    stream = await generate(prompt, style, requirements, { provider, model, sitePlan, plan, brief, language, signal: abortController.signal });
+    if (isCancelled) {
+      stream.destroy();
+      return;
+    }
+
+    // Handle stream events
+    stream.on('data', (chunk) => {
+      try {
+        // Check for component timeout
+        if (currentComponentId && componentStartTime && 
+            (Date.now() - componentStartTime > MAX_COMPONENT_TIME)) {
+          console.warn(`⚠️ Component ${currentComponentName} timed out after ${MAX_COMPONENT_TIME}ms`);
+          stopComponent();
+        }
+
+        // Avoid huge memory usage
+        if (accumulatedCode.length > MAX_BUFFER_SIZE) {
+          console.warn('🚨 Buffer overflow - completing current component');
+          stopComponent();
+        }
+
+        // Parse Anthropic's format
+        const event = JSON.parse(chunk.toString());
+        if (recorder) recorder.recordChunk(event);
+        generationUsage.track(event);
+
+        if (event.type === 'content_block_delta' && event.delta?.text) {
+          console.log(`📝 Received ${event.delta.text.length} bytes`);
+          handleParsed(parser.push(event.delta.text));
+        }
+
+        // Flush SSE to client
+        if (typeof res.flush === 'function') {
+          res.flush();
+        }
+      } catch (error) {
+        handleStreamError(error, session, sendEvent, currentComponentId, currentComponentName, accumulatedCode, stopComponent);
+        stream.destroy();
+        settle('error').catch(logFailure('settle usage'));
+      }
+    });
+
+    // When the stream ends
+    stream.on('end', async () => {
+      if (isCancelled) return;
+      console.log('✅ Stream complete');
+
+      // Flush whatever the parser was holding back and close a component left open
+      handleParsed(parser.end());
+      if (currentComponentId) {
+        console.warn(`⚠️ Stream ended before END ${currentComponentName}`);
+        stopComponent();
+      }
+
+      // Replacements must reach the client before message_stop
+      if (pendingRepairs.length) {
+        console.log(`🔧 Waiting for ${pendingRepairs.length} component repair(s)`);
+        await Promise.all(pendingRepairs);
+      }
+      if (isCancelled || session.isComplete) return;
+
+      // Send final completion signal with complete metadata
+      await finishGeneration().catch(logFailure('finish the generation'));
     });
 
     // Handle stream errors
     stream.on('error', (err) => {
-      handleStreamError(err, res, currentComponentId, currentComponentName, accumulatedCode, stopComponent);
+      handleStreamError(err, session, sendEvent, currentComponentId, currentComponentName, accumulatedCode, stopComponent);
+      settle('error').catch(logFailure('settle usage'));
+      if (recorder) recorder.close();
     });
     
   } catch (error) {
+    // Cancelling while the provider was connecting already ended the session
+    if (session?.isComplete) return;
+
     console.error('💥 Error:', error);
-    if (res.writable) {
-      res.write(`data: ${JSON.stringify({ 
+    if (session ? !session.isComplete : res.writable) {
+      sendEvent({ 
         type: 'error',
         code: error.code || 'GENERATION_ERROR',
         message: error.message,
         retryable: error.retryable ?? false
-      })}\n\n`);
-      res.end();
+      });
+      if (session) finishSession(session);
+      else res.end();
     }
+    if (recorder) recorder.close();
   }
 };
 
@@ -1,5 +1,55 @@
+const mongoose = require('mongoose');
 const Project = require('../models/Project');
 const ProjectVersion = require('../models/ProjectVersion');
+const CachedComponent = require('../models/CachedComponent');
+const { createNextVersion } = require('../utils/projectVersions');
+const { diffVersions } = require('../utils/versionDiff');
+const versionSections = require('../utils/versionSections');
+const { normalizeBrief } = require('../utils/brief');
+const { normalizeTheme } = require('../utils/theme');
+const { validateComponentCode } = require('../utils/componentValidation');
+const { getVersionLanguage } = require('../utils/language');
+const { exportProject, slugify } = require('../utils/projectExport');
+const { exportStaticSite } = require('../utils/staticSite');
+
+// Version list pagination
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Loads a project for the current user, answering 404 when it doesn't exist and 403
+// when it belongs to someone else. Returns null once a response has been sent.
+const findOwnedProject = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ message: 'Project not found' });
+    return null;
+  }
+
+  const project = await Project.findById(req.params.id);
+  if (!project) {
+    res.status(404).json({ message: 'Project not found' });
+    return null;
+  }
+  if (project.owner.toString() !== req.user.id) {
+    res.status(403).json({ message: 'Not authorized to access this project' });
+    return null;
+  }
+
+  return project;
+};
+
+// Loads a version of an owned project; versions of other projects are reported as missing
+const findProjectVersion = async (project, versionId, res) => {
+  const version = mongoose.isValidObjectId(versionId)
+    ? await ProjectVersion.findOne({ _id: versionId, project: project._id })
+    : null;
+
+  if (!version) {
+    res.status(404).json({ message: 'Version not found' });
+    return null;
+  }
+
+  return version;
+};
 
 exports.getProjects = async (req, res) => {
   try {
@@ -15,16 +65,19 @@ exports.getProjects = async (req, res) => {
 exports.createProject = async (req, res) => {
   try {
     const { name, components } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Project name is required' });
+    }
 
     const project = new Project({
-      name,
+      name: name.trim(),
       owner: req.user.id
     });
 
     const version = new ProjectVersion({
       project: project._id,
       versionNumber: 1,
-      components
+      components: Array.isArray(components) ? components : []
     });
 
     await version.save();
@@ -39,17 +92,419 @@ exports.createProject = async (req, res) => {
 
 exports.getProject = async (req, res) => {
   try {
-    const project = await Project.findOne({
-      _id: req.params.id,
-      owner: req.user.id
-    }).populate('versions');
-    
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    await project.populate('versions');
+    res.json(project);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// PATCH /api/projects/:id
+exports.renameProject = async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Project name is required' });
     }
-    
+
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    project.name = name.trim();
+    project.updatedAt = new Date();
+    await project.save();
+
     res.json(project);
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
-}; 
\ No newline at end of file
+};
+
+// PUT /api/projects/:id/brief - save questionnaire answers for reuse in later generations
+exports.saveBrief = async (req, res) => {
+  try {
+    let brief;
+    try {
+      brief = normalizeBrief(req.body);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    project.brief = { ...brief, updatedAt: new Date() };
+    project.updatedAt = new Date();
+    await project.save();
+
+    res.json(project.brief);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// DELETE /api/projects/:id - removes its versions and cached components too
+exports.deleteProject = async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    await Promise.all([
+      ProjectVersion.deleteMany({ project: project._id }),
+      CachedComponent.deleteMany({ projectId: project._id })
+    ]);
+    await Project.deleteOne({ _id: project._id });
+
+    res.json({ message: 'Project deleted', id: project._id });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// POST /api/projects/:id/duplicate - copies the project with its full version history
+exports.duplicateProject = async (req, res) => {
+  try {
+    const source = await findOwnedProject(req, res);
+    if (!source) return;
+
+    const project = new Project({
+      name: req.body?.name?.trim() || `${source.name} (copy)`,
+      owner: req.user.id,
+      brief: source.brief
+    });
+
+    const versions = await ProjectVersion.find({ project: source._id }).sort({ versionNumber: 1 });
+
+    // Copies get new ids, so references between versions are remapped onto them
+    const idMap = new Map(versions.map(version => [version._id.toString(), new mongoose.Types.ObjectId()]));
+    const copies = versions.map(version => {
+      const { _id, project: sourceProject, parentVersion, restoredFrom, ...fields } = version.toObject();
+      return {
+        ...fields,
+        _id: idMap.get(_id.toString()),
+        project: project._id,
+        parentVersion: parentVersion && idMap.get(parentVersion.toString()),
+        restoredFrom: restoredFrom && idMap.get(restoredFrom.toString())
+      };
+    });
+
+    if (copies.length) {
+      await ProjectVersion.insertMany(copies);
+    }
+    project.versions = copies.map(copy => copy._id);
+    await project.save();
+
+    res.status(201).json(project);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// GET /api/projects/:id/versions?page=1&limit=20 - newest first, without component code
+exports.getVersions = async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [versions, total] = await Promise.all([
+      ProjectVersion.find({ project: project._id })
+        .select('-components.code')
+        .sort({ versionNumber: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ProjectVersion.countDocuments({ project: project._id })
+    ]);
+
+    res.json({
+      versions,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// GET /api/projects/:id/versions/:versionId
+exports.getVersion = async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const version = await findProjectVersion(project, req.params.versionId, res);
+    if (!version) return;
+
+    res.json(version);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// POST /api/projects/:id/versions/:versionId/restore - copies an older version to a new head
+exports.restoreVersion = async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const version = await findProjectVersion(project, req.params.versionId, res);
+    if (!version) return;
+
+    const restored = await createNextVersion(project._id, {
+      components: version.components,
+      sections: version.sections,
+      pages: version.pages,
+      theme: version.theme,
+      generation: version.generation,
+      parentVersion: project.versions[project.versions.length - 1],
+      restoredFrom: version._id
+    });
+
+    res.status(201).json(restored);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// DELETE /api/projects/:id/versions/:versionId
+exports.deleteVersion = async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const version = await findProjectVersion(project, req.params.versionId, res);
+    if (!version) return;
+
+    // Generation needs a version to start from, so the last one stays
+    if (project.versions.length <= 1) {
+      return res.status(409).json({ message: 'Cannot delete the only version of a project' });
+    }
+
+    await Promise.all([
+      ProjectVersion.deleteOne({ _id: version._id }),
+      CachedComponent.deleteMany({ versionId: version._id }),
+      Project.updateOne(
+        { _id: project._id },
+        { $pull: { versions: version._id }, $set: { updatedAt: new Date() } }
+      )
+    ]);
+
+    res.json({ message: 'Version deleted', id: version._id });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// GET /api/projects/:id/versions/:a/diff/:b - what changed from version a to version b
+exports.diffVersions = async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const from = await findProjectVersion(project, req.params.a, res);
+    if (!from) return;
+    const to = await findProjectVersion(project, req.params.b, res);
+    if (!to) return;
+
+    res.json(diffVersions(from, to));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// GET /api/projects/:id/versions/:versionId/export?format=vite|html - the version as a zipped
+// Vite + React + Tailwind project, or pre-rendered to index.html and styles.css
+exports.exportVersion = async (req, res) => {
+  try {
+    const format = req.query.format || 'vite';
+    if (format !== 'vite' && format !== 'html') {
+      return res.status(400).json({ message: 'format must be vite or html' });
+    }
+
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const version = await findProjectVersion(project, req.params.versionId, res);
+    if (!version) return;
+
+    const { archive, warnings } = format === 'html'
+      ? await exportStaticSite(version, { name: project.name })
+      : exportProject(version, { name: project.name });
+    if (warnings.length) {
+      console.warn(`⚠️ Exported ${project.name} v${version.versionNumber} with warnings:`, warnings);
+    }
+
+    const suffix = format === 'html' ? '-html' : '';
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${slugify(project.name)}-v${version.versionNumber}${suffix}.zip"`,
+      'Content-Length': archive.length
+    });
+    res.send(archive);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// DELETE /api/projects/:id/versions/:versionId/sections/:componentName - saves the version without it
+exports.removeSection = async (req, res) => {
+  try {
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const version = await findProjectVersion(project, req.params.versionId, res);
+    if (!version) return;
+
+    const { componentName } = req.params;
+    const position = versionSections.POSITIONS.find(p => versionSections.getSectionNames(version, p).includes(componentName));
+    if (!position) {
+      return res.status(404).json({ message: `Section ${componentName} not found in this version` });
+    }
+
+    const saved = await createNextVersion(project._id, {
+      ...versionSections.removeSection(version, componentName),
+      parentVersion: version._id,
+      theme: version.theme,
+      generation: version.generation,
+      sectionChange: { action: 'remove', componentName, position }
+    });
+
+    res.status(201).json(saved);
+  } catch (error) {
+    if (error.code === 'ROOT_LAYOUT_INVALID') {
+      return res.status(422).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// PUT /api/projects/:id/versions/:versionId/sections - body { position, order: [componentName], page };
+// page picks the page whose main sections are reordered in multi-page sites
+exports.reorderSections = async (req, res) => {
+  try {
+    const { position, order, page } = req.body;
+    if (!versionSections.POSITIONS.includes(position) || !Array.isArray(order)) {
+      return res.status(400).json({ message: 'position (header, main or footer) and an order array are required' });
+    }
+
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const version = await findProjectVersion(project, req.params.versionId, res);
+    if (!version) return;
+
+    try {
+      versionSections.checkSectionPage(version, position, page);
+    } catch (error) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+
+    // The order has to name every section of the position exactly once
+    const current = versionSections.getSectionNames(version, position, page);
+    if (order.length !== current.length || new Set(order).size !== order.length || !order.every(name => current.includes(name))) {
+      return res.status(400).json({ message: `order must list each ${position} section once: ${current.join(', ')}` });
+    }
+
+    const saved = await createNextVersion(project._id, {
+      ...versionSections.reorderSections(version, position, order, page),
+      parentVersion: version._id,
+      theme: version.theme,
+      generation: version.generation,
+      sectionChange: { action: 'reorder', position, ...(page && { page }) }
+    });
+
+    res.status(201).json(saved);
+  } catch (error) {
+    if (error.code === 'ROOT_LAYOUT_INVALID') {
+      return res.status(422).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// PUT /api/projects/:id/versions/:versionId/theme - body is the theme; saved as a new version
+exports.saveTheme = async (req, res) => {
+  try {
+    let theme;
+    try {
+      theme = normalizeTheme(req.body);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const version = await findProjectVersion(project, req.params.versionId, res);
+    if (!version) return;
+
+    const saved = await createNextVersion(project._id, {
+      components: version.components,
+      sections: version.sections,
+      pages: version.pages,
+      theme,
+      generation: version.generation,
+      parentVersion: version._id,
+      themeEdited: true
+    });
+
+    res.status(201).json(saved);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// PUT /api/projects/:id/versions/:versionId/components/:componentName - body { code }; the
+// hand-edited code is validated like generated code and saved as a new version
+exports.saveComponentCode = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (typeof code !== 'string' || !code.trim()) {
+      return res.status(400).json({ message: 'code is required' });
+    }
+
+    const project = await findOwnedProject(req, res);
+    if (!project) return;
+
+    const version = await findProjectVersion(project, req.params.versionId, res);
+    if (!version) return;
+
+    const { componentName } = req.params;
+    const component = version.components.find(c => c.name === componentName);
+    if (!component) {
+      return res.status(404).json({ message: `Component ${componentName} not found in this version` });
+    }
+
+    const validation = validateComponentCode(code, componentName, { language: getVersionLanguage(version) });
+    if (!validation.valid) {
+      return res.status(400).json({ message: validation.error.message, error: validation.error });
+    }
+
+    const saved = await createNextVersion(project._id, {
+      parentVersion: version._id,
+      components: version.components.map(c => (c.name === componentName ? {
+        ...(c.toObject ? c.toObject() : c),
+        code,
+        status: 'valid',
+        validationError: undefined,
+        repairAttempts: 0
+      } : c)),
+      sections: version.sections,
+      pages: version.pages,
+      theme: version.theme,
+      generation: version.generation,
+      codeEdit: { componentName }
+    });
+
+    res.status(201).json(saved);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
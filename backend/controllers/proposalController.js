@@ -0,0 +1,77 @@
+const { propose } = require('../utils/aiClient');
+const { readText } = require('../utils/componentStream');
+const { parseProposal } = require('../utils/proposal');
+const { normalizeBrief, summarizeBrief } = require('../utils/brief');
+const { createUsageMeter, settleUsage } = require('../utils/usage');
+const { checkModelChoice } = require('../utils/providers');
+
+// POST /api/proposal - ask the model for a structured plan of the page; nothing is generated
+// or saved until the user sends the approved plan to /api/generate
+const proposalController = async (req, res) => {
+  const { style, requirements, provider, model } = req.body;
+
+  // Questionnaire answers stand in for the free-text prompt
+  let brief = null;
+  if (req.body.brief) {
+    try {
+      brief = normalizeBrief(req.body.brief);
+    } catch (error) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+  }
+
+  const prompt = req.body.prompt?.trim() || (brief && summarizeBrief(brief));
+  if (!prompt) {
+    return res.status(400).json({ message: 'A prompt or a brief is required' });
+  }
+
+  try {
+    checkModelChoice({ provider, model });
+  } catch (error) {
+    return res.status(400).json({ message: error.message, code: error.code });
+  }
+
+  const usageMeter = createUsageMeter();
+
+  // Debit the proposal call and return the fields the client reports
+  const settle = (reason) => settleUsage(usageMeter, req, null, { provider, model, reason });
+
+  try {
+    const text = await readText(await propose({
+      prompt,
+      style: style?.trim(),
+      requirements: requirements?.trim(),
+      brief
+    }, { provider, model }), usageMeter.call());
+
+    let proposal;
+    try {
+      proposal = parseProposal(text);
+    } catch (error) {
+      console.warn('⚠️ Unusable proposal:', error.message);
+      return res.status(502).json({
+        message: error.message,
+        code: error.code,
+        retryable: true,
+        ...(await settle('error'))
+      });
+    }
+
+    console.log(`📋 Proposed ${proposal.sections.length} sections:`, proposal.sections.map(section => section.name));
+    res.json({ proposal, ...(await settle('completed')) });
+  } catch (error) {
+    console.error('💥 Proposal error:', error);
+
+    if (error.code === 'UNKNOWN_PROVIDER') {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    res.status(502).json({
+      message: error.message || 'Server error',
+      code: error.code || 'PROPOSAL_ERROR',
+      retryable: error.retryable ?? false,
+      ...(await settle('error'))
+    });
+  }
+};
+
+module.exports = proposalController;
@@ -0,0 +1,238 @@
+const { generateSection, repair } = require('../utils/aiClient');
+const { readMarkedComponent } = require('../utils/componentStream');
+const { validateComponentCode } = require('../utils/componentValidation');
+const { getVersionLanguage } = require('../utils/language');
+const { createSession, setupSSE, sendSSEMessage, finishSession } = require('../utils/sseHelpers');
+const { createUsageMeter, settleUsage } = require('../utils/usage');
+const { getComponentId, loadGenerationTarget, createNextVersion } = require('../utils/projectVersions');
+const { POSITIONS, checkSectionPage, getSectionNames, addSection } = require('../utils/versionSections');
+const { getProvider, checkModelChoice } = require('../utils/providers');
+
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.MAX_REPAIR_ATTEMPTS || '2', 10); // Follow-up calls when the section doesn't validate
+
+// Section names become JSX tags, so they have to be valid component identifiers
+const COMPONENT_NAME_PATTERN = /^[A-Z][A-Za-z0-9]*$/;
+
+// POST /api/projects/:id/versions/:versionId/sections - generate one new section and save it,
+// with RootLayout or, for main sections of multi-page sites, the `page` rendering it, as a new version
+const addSectionController = async (req, res) => {
+  const { id: projectId, versionId } = req.params;
+  const { componentName, position, page, index, instruction, provider, model } = req.body;
+
+  if (!COMPONENT_NAME_PATTERN.test(componentName || '') || !POSITIONS.includes(position) || !instruction?.trim()) {
+    return res.status(400).json({ message: 'A PascalCase componentName, a position (header, main or footer) and an instruction are required' });
+  }
+  if (index !== undefined && !Number.isInteger(index)) {
+    return res.status(400).json({ message: 'index must be an integer' });
+  }
+
+  try {
+    checkModelChoice({ provider, model });
+  } catch (error) {
+    return res.status(400).json({ message: error.message, code: error.code });
+  }
+
+  let session = null;
+  let settle = null;
+
+  try {
+    const target = await loadGenerationTarget(projectId, versionId, req.user);
+    if (!target) {
+      return res.status(404).json({ message: 'Project or version not found' });
+    }
+
+    const { version } = target;
+    if (version.components.some(c => c.name === componentName)) {
+      return res.status(409).json({ message: `${componentName} already exists in this version` });
+    }
+    try {
+      checkSectionPage(version, position, page);
+    } catch (error) {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+
+    const names = getSectionNames(version, position, page);
+    const at = index === undefined ? names.length : Math.max(0, Math.min(index, names.length));
+
+    session = createSession({ userId: req.user?._id });
+    setupSSE(req, res, session);
+    const sendEvent = (data) => sendSSEMessage(session, data);
+
+    sendEvent({ type: 'session_start', sessionId: session.id });
+
+    const abortController = new AbortController();
+    const usageMeter = createUsageMeter();
+    let isCancelled = false;
+
+    const metadata = {
+      componentId: getComponentId(componentName),
+      componentName,
+      position,
+      ...(page && { page })
+    };
+
+    // Debit the calls made so far and report them
+    settle = (reason) => settleUsage(usageMeter, req, session, { projectId, provider, model, reason }, sendEvent);
+
+    session.cancel = () => {
+      if (isCancelled || session.isComplete) return false;
+      isCancelled = true;
+      console.log(`🛑 Cancelling new section ${session.id}`);
+      abortController.abort();
+      return true;
+    };
+
+    sendEvent({ type: 'content_block_start', metadata });
+
+    // Ask for the section, then for repairs until the code validates or we run out of attempts
+    const options = { provider, model, signal: abortController.signal };
+    const language = getVersionLanguage(version);
+    let code = await readMarkedComponent(await generateSection({
+      componentName,
+      position,
+      instruction: instruction.trim(),
+      context: {
+        components: version.components.map(c => ({ name: c.name, position: c.position })),
+        after: names[at - 1],
+        before: names[at],
+        style: version.generation?.style,
+        requirements: version.generation?.requirements,
+        language,
+        theme: version.theme
+      }
+    }, options), componentName, usageMeter.call());
+
+    let validation = validateComponentCode(code, componentName, { language });
+    let attempt = 0;
+
+    while (!validation.valid && !isCancelled && attempt < MAX_REPAIR_ATTEMPTS) {
+      sendEvent({
+        type: 'validation_error',
+        metadata,
+        ...(attempt > 0 && { attempt }),
+        error: validation.error
+      });
+
+      attempt++;
+      code = await readMarkedComponent(await repair({
+        componentName,
+        position,
+        code,
+        error: validation.error,
+        language
+      }, options), componentName, usageMeter.call());
+      validation = validateComponentCode(code, componentName, { language });
+    }
+
+    if (isCancelled) {
+      await settle('cancelled');
+      sendEvent({ type: 'message_stop', reason: 'cancelled', metadata: { components: [] } });
+      finishSession(session);
+      return;
+    }
+
+    if (!validation.valid) {
+      sendEvent({ type: 'validation_error', metadata, ...(attempt > 0 && { attempt }), error: validation.error });
+      sendEvent({
+        type: 'error',
+        code: 'SECTION_FAILED',
+        message: `${componentName} could not be generated: ${validation.error.message}`,
+        metadata,
+        retryable: true
+      });
+      await settle('error');
+      sendEvent({ type: 'message_stop', metadata: { components: [] } });
+      finishSession(session);
+      return;
+    }
+
+    sendEvent({ type: 'content_block_delta', metadata, delta: { text: code } });
+    sendEvent({ type: 'content_block_stop', metadata: { ...metadata, isComplete: true } });
+
+    let components;
+    let sections;
+    let pages;
+    try {
+      ({ components, sections, pages } = addSection(version, {
+        name: componentName,
+        position,
+        ...(page && { page }),
+        code,
+        status: attempt ? 'repaired' : 'valid',
+        repairAttempts: attempt
+      }, at));
+    } catch (error) {
+      if (error.code !== 'ROOT_LAYOUT_INVALID') throw error;
+
+      sendEvent({ type: 'error', code: error.code, message: error.message, retryable: false });
+      await settle('error');
+      sendEvent({ type: 'message_stop', metadata: { components: [] } });
+      finishSession(session);
+      return;
+    }
+
+    // The preview swaps in the rewritten layout so the new section shows up right away
+    const layout = components.find(c => c.name === 'RootLayout');
+    const previousLayout = version.components.find(c => c.name === 'RootLayout');
+    if (layout && layout.code !== previousLayout?.code) {
+      sendEvent({
+        type: 'component_replaced',
+        metadata: { componentId: layout.componentId, componentName: layout.name, position: layout.position },
+        delta: { text: layout.code }
+      });
+    }
+
+    const resolvedProvider = getProvider(provider);
+    const saved = await createNextVersion(projectId, {
+      parentVersion: version._id,
+      components,
+      sections,
+      pages,
+      theme: version.theme,
+      generation: version.generation,
+      sectionChange: {
+        action: 'add',
+        componentName,
+        position,
+        ...(page && { page }),
+        instruction: instruction.trim(),
+        provider: resolvedProvider.name,
+        model: model || resolvedProvider.defaultModel,
+        sessionId: session.id
+      }
+    });
+    console.log(`💾 Saved new section ${componentName} as version ${saved.versionNumber}`);
+
+    await settle('completed');
+    sendEvent({
+      type: 'message_stop',
+      versionId: saved._id.toString(),
+      versionNumber: saved.versionNumber,
+      metadata: {
+        sections,
+        ...(pages && { pages }),
+        components: [{ id: metadata.componentId, name: componentName, position, ...(page && { page }), isComplete: true }]
+      }
+    });
+    finishSession(session);
+  } catch (error) {
+    console.error('💥 Add section error:', error);
+
+    if (!session) {
+      return res.status(500).json({ message: 'Server error' });
+    }
+    if (!session.isComplete) {
+      sendSSEMessage(session, {
+        type: 'error',
+        code: error.code || 'SECTION_ERROR',
+        message: error.message,
+        retryable: error.retryable ?? false
+      });
+      // Calls that finished before the failure are still debited
+      if (settle) await settle('error');
+      finishSession(session);
+    }
+  }
+};
+
+module.exports = addSectionController;
@@ -0,0 +1,68 @@
+const { getSession, isSessionOwner, getCachedOwner, replaySession, resumeSession } = require('../utils/sseHelpers');
+
+// Last-Event-ID is sent by EventSource on reconnect; the query param covers fetch clients
+const getLastEventId = (req) => req.headers['last-event-id'] || req.query.lastEventId || '0';
+
+// GET /api/generate/:sessionId/events
+exports.streamSessionEvents = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const lastEventId = getLastEventId(req);
+    const session = getSession(sessionId);
+
+    // Someone else's session is reported as missing rather than forbidden
+    if (session && !isSessionOwner(session, req.user)) {
+      return res.status(404).json({ message: 'Session not found or nothing left to resume' });
+    }
+
+    if (session) {
+      const replayed = replaySession(req, res, session, lastEventId);
+      console.log(`🔁 Resumed session ${sessionId} after event ${lastEventId}, replayed ${replayed} events`);
+      return;
+    }
+
+    // Expired sessions can still be replayed from the fallback cache, but not continued
+    if (!isSessionOwner(await getCachedOwner(sessionId), req.user)) {
+      return res.status(404).json({ message: 'Session not found or nothing left to resume' });
+    }
+    const events = await resumeSession(sessionId, lastEventId);
+    if (!events.length) {
+      return res.status(404).json({ message: 'Session not found or nothing left to resume' });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    events.forEach(event => {
+      res.write(`id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    });
+    res.end();
+  } catch (error) {
+    console.error('❌ Error resuming session:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    } else {
+      res.end();
+    }
+  }
+};
+
+// POST /api/generate/:sessionId/cancel
+exports.cancelSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = getSession(sessionId);
+
+    if (!session || !isSessionOwner(session, req.user)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    if (session.isComplete || !session.cancel) {
+      return res.status(409).json({ message: 'Generation already finished' });
+    }
+
+    session.cancel('cancelled by client');
+    res.json({ sessionId, cancelled: true });
+  } catch (error) {
+    console.error('❌ Error cancelling session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
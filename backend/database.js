@@ -50,6 +50,10 @@ class InMemoryCache {
     return this.store.get(key);
   }
 
+  async delete(key) {
+    this.store.delete(key);
+  }
+
   async clear() {
     this.store.clear();
   }
@@ -1,5 +1,20 @@
 const mongoose = require('mongoose');
 
+// Discovery questionnaire answers kept on the project so later generations can reuse them
+const briefSchema = new mongoose.Schema({
+  industry: String,
+  businessModel: String,
+  audience: String,
+  primaryCta: String,
+  tone: String,
+  mustHaveSections: [String],
+  description: String,
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  }
+}, { _id: false });
+
 const projectSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -14,6 +29,7 @@ const projectSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ProjectVersion'
   }],
+  brief: briefSchema,
   createdAt: {
     type: Date,
     default: Date.now,
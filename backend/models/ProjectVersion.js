@@ -1,5 +1,52 @@
 const mongoose = require('mongoose');
 
+// A single generated component as it stood when the version was saved
+const componentSchema = new mongoose.Schema({
+  componentId: {
+    type: String,
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  position: {
+    type: String,
+    default: 'main'
+  },
+  // Page id in multi-page sites; unset for shared components
+  page: String,
+  code: {
+    type: String,
+    default: ''
+  },
+  // valid: passed validation, repaired: valid after follow-up calls,
+  // invalid: still failing validation, partial: cut off by a cancel
+  status: {
+    type: String,
+    enum: ['valid', 'repaired', 'invalid', 'partial'],
+    default: 'valid'
+  },
+  validationError: {
+    type: Object
+  },
+  repairAttempts: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// A page of a multi-page site and the sections it renders inside RootLayout
+const pageSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+  },
+  name: String,
+  path: String,
+  sections: [String]
+}, { _id: false });
+
 const projectVersionSchema = new mongoose.Schema({
   project: {
     type: mongoose.Schema.Types.ObjectId,
@@ -10,9 +57,89 @@ const projectVersionSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // Version the generation was started from
+  parentVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProjectVersion'
+  },
+  // Set when this version was created by restoring an older one
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProjectVersion'
+  },
   components: {
-    type: Object,
-    required: true,
+    type: [componentSchema],
+    default: []
+  },
+  sections: {
+    header: [String],
+    main: [String],
+    footer: [String]
+  },
+  // Only set for multi-page sites
+  pages: {
+    type: [pageSchema],
+    default: undefined
+  },
+  // Colors, radius and fonts the page is skinned with, from utils/theme.js; unset for
+  // versions generated before themes, which use the preview's default variables
+  theme: {
+    type: Object
+  },
+  // Set when this version was created by saving the theme editor
+  themeEdited: Boolean,
+  // Set when this version was created by saving a component from the code editor
+  codeEdit: {
+    componentName: String
+  },
+  // Set for versions created by /api/generate
+  generation: {
+    prompt: String,
+    style: String,
+    requirements: String,
+    provider: String,
+    model: String,
+    sessionId: String,
+    // Proposal the user approved before building, from /api/proposal
+    plan: {
+      type: Object
+    },
+    // Questionnaire answers the page was generated from, when it wasn't a free-text prompt
+    brief: {
+      type: Object
+    },
+    // tsx when the components were generated in TypeScript; unset for jsx
+    language: {
+      type: String,
+      enum: ['jsx', 'tsx']
+    },
+    status: {
+      type: String,
+      enum: ['completed', 'cancelled']
+    }
+  },
+  // Set for versions created by /api/edit
+  edit: {
+    componentName: String,
+    instruction: String,
+    provider: String,
+    model: String,
+    sessionId: String
+  },
+  // Set for versions created by adding, removing or reordering sections
+  sectionChange: {
+    action: {
+      type: String,
+      enum: ['add', 'remove', 'reorder']
+    },
+    componentName: String,
+    position: String,
+    // Page of a multi-page site the section was added to or reordered on
+    page: String,
+    instruction: String,
+    provider: String,
+    model: String,
+    sessionId: String
   },
   createdAt: {
     type: Date,
@@ -20,4 +147,7 @@ const projectVersionSchema = new mongoose.Schema({
   }
 });
 
-module.exports = mongoose.model('ProjectVersion', projectVersionSchema); 
\ No newline at end of file
+// Two generations finishing together can't both claim the same number
+projectVersionSchema.index({ project: 1, versionNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('ProjectVersion', projectVersionSchema);
@@ -1,5 +1,34 @@
 const mongoose = require('mongoose');
 
+// One entry per generation, written by utils/usage.debitUsage
+const usageEntrySchema = new mongoose.Schema({
+  sessionId: String,
+  projectId: String,
+  provider: String,
+  model: String,
+  reason: {
+    type: String,
+    enum: ['completed', 'cancelled', 'error'],
+    default: 'completed'
+  },
+  input_tokens: {
+    type: Number,
+    default: 0
+  },
+  output_tokens: {
+    type: Number,
+    default: 0
+  },
+  total_tokens: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -19,6 +48,7 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 250
   },
+  usage_history: [usageEntrySchema],
   projects: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Project'
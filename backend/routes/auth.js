@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { register, login } = require('../controllers/authController');
+const tokenCheck = require('../utils/tokenCheck');
+const { register, login, getUsage } = require('../controllers/authController');
 
 router.post('/register', register);
 router.post('/login', login);
+router.get('/me/usage', tokenCheck, getUsage);
 
 module.exports = router; 
\ No newline at end of file
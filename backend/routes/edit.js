@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const tokenCheck = require('../utils/tokenCheck');
+const quotaCheck = require('../utils/quotaCheck');
+const editController = require('../controllers/editController');
 
-// Placeholder route until we implement editing
-router.post('/', tokenCheck, (req, res) => {
-  res.json({ message: 'Edit route placeholder' });
-});
+// POST /api/edit - regenerate one component from an instruction, streamed over SSE
+router.post('/', tokenCheck, quotaCheck, editController);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
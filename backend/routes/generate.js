@@ -1,8 +1,17 @@
 const express = require('express');
 const router = express.Router();
+const tokenCheck = require('../utils/tokenCheck');
+const quotaCheck = require('../utils/quotaCheck');
 const generateController = require('../controllers/generateController');
+const { streamSessionEvents, cancelSession } = require('../controllers/sessionController');
 
-// POST /api/generate
-router.post('/', generateController);
+// POST /api/generate - approved users with tokens left; usage is debited when it finishes
+router.post('/', tokenCheck, quotaCheck, generateController);
+
+// GET /api/generate/:sessionId/events - replay missed events, then continue live
+router.get('/:sessionId/events', tokenCheck, streamSessionEvents);
+
+// POST /api/generate/:sessionId/cancel - abort the model stream and keep partial components
+router.post('/:sessionId/cancel', tokenCheck, cancelSession);
 
 module.exports = router; 
\ No newline at end of file
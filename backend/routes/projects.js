@@ -1,10 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const tokenCheck = require('../utils/tokenCheck');
+const quotaCheck = require('../utils/quotaCheck');
+const addSectionController = require('../controllers/sectionsController');
 const {
   getProjects,
   createProject,
-  getProject
+  getProject,
+  renameProject,
+  deleteProject,
+  duplicateProject,
+  saveBrief,
+  getVersions,
+  getVersion,
+  restoreVersion,
+  deleteVersion,
+  diffVersions,
+  exportVersion,
+  removeSection,
+  reorderSections,
+  saveTheme,
+  saveComponentCode
 } = require('../controllers/projectsController');
 
 router.use(tokenCheck);
@@ -12,5 +28,24 @@ router.use(tokenCheck);
 router.get('/', getProjects);
 router.post('/', createProject);
 router.get('/:id', getProject);
+router.patch('/:id', renameProject);
+router.delete('/:id', deleteProject);
+router.post('/:id/duplicate', duplicateProject);
+router.put('/:id/brief', saveBrief);
 
-module.exports = router; 
\ No newline at end of file
+// Versions
+router.get('/:id/versions', getVersions);
+router.get('/:id/versions/:versionId', getVersion);
+router.post('/:id/versions/:versionId/restore', restoreVersion);
+router.delete('/:id/versions/:versionId', deleteVersion);
+router.get('/:id/versions/:a/diff/:b', diffVersions);
+router.get('/:id/versions/:versionId/export', exportVersion);
+router.put('/:id/versions/:versionId/theme', saveTheme);
+router.put('/:id/versions/:versionId/components/:componentName', saveComponentCode);
+
+// Sections; each change is saved as a new version with RootLayout rewritten to match
+router.post('/:id/versions/:versionId/sections', quotaCheck, addSectionController); // streamed over SSE
+router.put('/:id/versions/:versionId/sections', reorderSections);
+router.delete('/:id/versions/:versionId/sections/:componentName', removeSection);
+
+module.exports = router;
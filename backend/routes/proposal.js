@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const tokenCheck = require('../utils/tokenCheck');
+const quotaCheck = require('../utils/quotaCheck');
+const proposalController = require('../controllers/proposalController');
+
+// POST /api/proposal - plan a page (sections, palette, typography, copy outline) before building it
+router.post('/', tokenCheck, quotaCheck, proposalController);
+
+module.exports = router;
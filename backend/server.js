@@ -4,7 +4,11 @@ const cors = require('cors');
 const compression = require('compression');
 const { connectDB, pingDB } = require('./database');
 const componentsRoutes = require('./routes/components');
-const generateController = require('./controllers/generateController');
+const authRoutes = require('./routes/auth');
+const projectRoutes = require('./routes/projects');
+const editRoutes = require('./routes/edit');
+const proposalRoutes = require('./routes/proposal');
+const generateRoutes = require('./routes/generate');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -31,8 +35,9 @@ app.use(compression());
 // CORS configuration
 app.use(cors({
   origin: ['http://localhost:3000', 'http://localhost:3001'],
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Last-Event-ID'],
+  exposedHeaders: ['X-Session-Id'],
   credentials: true
 }));
 
@@ -61,7 +66,11 @@ app.get('/health', async (req, res) => {
 });
 
 // Routes
-app.post('/api/generate', generateController);
+app.use('/api/auth', authRoutes);
+app.use('/api/generate', generateRoutes);
+app.use('/api/proposal', proposalRoutes);
+app.use('/api/edit', editRoutes);
+app.use('/api/projects', projectRoutes);
 app.use('/api/components', componentsRoutes);
 
 // Error handling middleware
@@ -1,6 +1,6 @@
 const mongoose = require('mongoose');
 const { connectDB, fallbackCache } = require('../database');
-const { setupSSE, sendSSEMessage, resumeSession, activeSessions } = require('../utils/sseHelpers');
+const { createSession, setupSSE, sendSSEMessage, resumeSession, activeSessions } = require('../utils/sseHelpers');
 
 describe('Error Recovery System', () => {
   describe('Database Fallback', () => {
@@ -54,64 +54,72 @@ describe('Error Recovery System', () => {
         setHeader: jest.fn(),
         flushHeaders: jest.fn(),
         write: jest.fn(),
-        writeable: true
+        writable: true
       };
     });
 
     it('should maintain session state', async () => {
-      const sessionId = setupSSE(req, res);
+      const sessionId = setupSSE(req, res, createSession());
       expect(activeSessions.has(sessionId)).toBe(true);
       
       const session = activeSessions.get(sessionId);
-      expect(session.lastEventId).toBe('0');
-      expect(session.components).toEqual([]);
+      expect(session.lastEventId).toBe(0);
+      expect(session.events).toEqual([]);
+      expect(session.subscribers.has(res)).toBe(true);
     });
 
-    it('should cache components during streaming', async () => {
-      const sessionId = setupSSE(req, res);
+    it('should cache events per session during streaming', async () => {
+      const session = createSession();
+      setupSSE(req, res, session);
       
       const mockComponent = {
         type: 'content_block_delta',
         delta: {
-          code: 'const Test = () => <div>Test</div>;',
-          name: 'Test'
+          text: 'const Test = () => <div>Test</div>;'
         }
       };
 
-      await sendSSEMessage(res, mockComponent, '1');
+      const eventId = sendSSEMessage(session, mockComponent);
       
-      const cached = await fallbackCache.get('component_1');
+      expect(eventId).toBe(1);
+      expect(res.write).toHaveBeenCalledWith(`id: 1\ndata: ${JSON.stringify(mockComponent)}\n\n`);
+      const cached = await fallbackCache.get(`${session.id}:event_1`);
       expect(cached).toBeDefined();
       expect(JSON.parse(cached)).toMatchObject(mockComponent);
     });
 
     it('should resume session from last event', async () => {
-      // Store some test components
-      await fallbackCache.set('component_1', JSON.stringify({ id: 1, data: 'test1' }));
-      await fallbackCache.set('component_2', JSON.stringify({ id: 2, data: 'test2' }));
-
-      const components = await resumeSession('test-session', '1');
-      expect(components).toHaveLength(1);
-      expect(components[0]).toMatchObject({ id: 2, data: 'test2' });
+      // Store some test events
+      await fallbackCache.set('test-session:event_1', JSON.stringify({ id: 1, data: 'test1' }));
+      await fallbackCache.set('test-session:event_2', JSON.stringify({ id: 2, data: 'test2' }));
+      await fallbackCache.set('other-session:event_3', JSON.stringify({ id: 3, data: 'other' }));
+
+      const events = await resumeSession('test-session', '1');
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ id: 2, data: { id: 2, data: 'test2' } });
     });
 
     it('should handle client disconnection', () => {
-      const sessionId = setupSSE(req, res);
-      expect(activeSessions.has(sessionId)).toBe(true);
+      const session = createSession();
+      setupSSE(req, res, session);
+      expect(session.subscribers.has(res)).toBe(true);
 
       // Simulate client disconnect
       const disconnectHandler = req.on.mock.calls.find(call => call[0] === 'close')[1];
       disconnectHandler();
 
-      expect(activeSessions.has(sessionId)).toBe(false);
+      // The session outlives the connection so the client can resume
+      expect(session.subscribers.has(res)).toBe(false);
+      expect(activeSessions.has(session.id)).toBe(true);
     });
 
     it('should handle write failures gracefully', async () => {
-      const sessionId = setupSSE(req, res);
+      const session = createSession();
+      setupSSE(req, res, session);
       res.write.mockImplementation(() => { throw new Error('Write failed'); });
 
-      const result = await sendSSEMessage(res, { type: 'test' }, '1');
-      expect(result).toBe(false);
+      expect(() => sendSSEMessage(session, { type: 'test' })).not.toThrow();
+      expect(session.events).toHaveLength(1);
     });
   });
 
@@ -132,21 +140,23 @@ describe('Error Recovery System', () => {
         setHeader: jest.fn(),
         flushHeaders: jest.fn(),
         write: jest.fn(),
-        writeable: true
+        writable: true
       };
 
-      // 3. Store some components in fallback cache
-      await fallbackCache.set('component_1', JSON.stringify({ id: 1, data: 'test1' }));
-      await fallbackCache.set('component_2', JSON.stringify({ id: 2, data: 'test2' }));
-      await fallbackCache.set('component_3', JSON.stringify({ id: 3, data: 'test3' }));
+      // 3. Stream some events through a session
+      const session = createSession();
+      setupSSE(req, res, session);
+      sendSSEMessage(session, { id: 1, data: 'test1' });
+      sendSSEMessage(session, { id: 2, data: 'test2' });
+      sendSSEMessage(session, { id: 3, data: 'test3' });
+      await new Promise(resolve => setImmediate(resolve));
 
-      // 4. Set up new session and resume
-      const sessionId = setupSSE(req, res);
-      const components = await resumeSession(sessionId, '2');
+      // 4. Resume from the fallback cache
+      const events = await resumeSession(session.id, req.headers['last-event-id']);
 
       // 5. Verify recovery
-      expect(components).toHaveLength(1);
-      expect(components[0]).toMatchObject({ id: 3, data: 'test3' });
+      expect(events).toHaveLength(1);
+      expect(events[0].data).toMatchObject({ id: 3, data: 'test3' });
     });
   });
 }); 
\ No newline at end of file
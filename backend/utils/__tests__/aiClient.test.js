@@ -0,0 +1,163 @@
+const { generate } = require('../aiClient');
+const { registerProvider, getProvider, checkModelChoice } = require('../providers');
+
+// Helper to drain the aiClient stream into parsed events
+const collectChunks = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(JSON.parse(chunk.toString())));
+  stream.on('end', () => resolve(chunks));
+  stream.on('error', reject);
+});
+
+// Helper to build a fetch Response-like object streaming SSE lines
+const mockSSEResponse = (payloads) => {
+  const encoder = new TextEncoder();
+  return {
+    ok: true,
+    status: 200,
+    body: (async function* () {
+      for (const payload of payloads) {
+        yield encoder.encode(`data: ${payload}\n\n`);
+      }
+    })()
+  };
+};
+
+describe('aiClient provider layer', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  describe('replay provider', () => {
+    it('should stream a recorded fixture through the normal event shape', async () => {
+      const stream = await generate('Coffee shop', 'warm', '', {
+        provider: 'replay',
+        model: 'landing-page'
+      });
+      const chunks = await collectChunks(stream);
+
+      expect(chunks[0]).toMatchObject({ type: 'message_start', message: { usage: { input_tokens: 1287 } } });
+      expect(chunks[1]).toMatchObject({ type: 'content_block_start', index: 0 });
+      expect(chunks[chunks.length - 2]).toMatchObject({ type: 'message_delta', usage: { output_tokens: 812 } });
+      expect(chunks[chunks.length - 1]).toEqual({ type: 'message_stop' });
+
+      const text = chunks
+        .filter(c => c.type === 'content_block_delta')
+        .map(c => c.delta.text)
+        .join('');
+      expect(text).toContain('/// START Header position=header');
+      expect(text).toContain('/// END RootLayout');
+    });
+
+    it('should reject with a normalized error for a missing fixture', async () => {
+      await expect(generate('x', '', '', { provider: 'replay', model: 'does-not-exist' }))
+        .rejects.toMatchObject({ type: 'error', code: 'REPLAY_ERROR', retryable: false });
+    });
+
+    it('should not read files outside the fixtures directory', async () => {
+      const replay = getProvider('replay');
+
+      expect(replay.isModelAllowed('../../package.json')).toBe(false);
+      expect(replay.isModelAllowed('cassettes/../../../server.js')).toBe(false);
+      expect(replay.isModelAllowed('/etc/passwd')).toBe(false);
+      await expect(generate('x', '', '', { provider: 'replay', model: '/etc/passwd' }))
+        .rejects.toMatchObject({ code: 'REPLAY_ERROR', message: 'The replay fixture could not be read' });
+    });
+  });
+
+  describe('provider registry', () => {
+    it('should reject unknown providers', async () => {
+      await expect(generate('x', '', '', { provider: 'nope' }))
+        .rejects.toMatchObject({ type: 'error', code: 'UNKNOWN_PROVIDER' });
+    });
+
+    it('should pass the requested model to a registered adapter', async () => {
+      const stream = jest.fn(async function* ({ model }) {
+        yield { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: model } };
+        yield { type: 'message_stop' };
+      });
+      registerProvider({ name: 'test-stub', defaultModel: 'stub-1', stream });
+
+      const chunks = await collectChunks(await generate('x', '', '', { provider: 'test-stub', model: 'stub-2' }));
+
+      expect(stream.mock.calls[0][0]).toMatchObject({ model: 'stub-2', maxTokens: 4000 });
+      expect(chunks[0].delta.text).toBe('stub-2');
+    });
+
+    it('should ask for TypeScript only when the generation is tsx', async () => {
+      const stream = jest.fn(async function* () {
+        yield { type: 'message_stop' };
+      });
+      registerProvider({ name: 'test-stub', defaultModel: 'stub-1', stream });
+
+      await collectChunks(await generate('x', '', '', { provider: 'test-stub', language: 'tsx' }));
+      await collectChunks(await generate('x', '', '', { provider: 'test-stub' }));
+
+      const [tsx, jsx] = stream.mock.calls.map(([request]) => request);
+      expect(tsx.system).toContain('TYPESCRIPT');
+      expect(tsx.messages[0].content).toContain('Write TypeScript (TSX)');
+      expect(jsx.system).not.toContain('TYPESCRIPT');
+      expect(jsx.messages[0].content).not.toContain('TypeScript');
+    });
+
+    it('should only let requests pick registered providers and their allowed models', () => {
+      registerProvider({ name: 'test-stub', defaultModel: 'stub-1', models: ['stub-2'], stream: jest.fn() });
+
+      expect(() => checkModelChoice({})).not.toThrow();
+      expect(() => checkModelChoice({ provider: 'test-stub', model: 'stub-2' })).not.toThrow();
+      expect(() => checkModelChoice({ provider: 'test-stub', model: 'stub-3' })).toThrow(expect.objectContaining({ code: 'INVALID_MODEL' }));
+      expect(() => checkModelChoice({ provider: 'nope' })).toThrow(expect.objectContaining({ code: 'INVALID_MODEL' }));
+      expect(() => checkModelChoice({ provider: 'replay', model: '../../.env' })).toThrow(expect.objectContaining({ code: 'INVALID_MODEL' }));
+    });
+
+    it('should fall back to AI_PROVIDER when no provider is requested', () => {
+      process.env.AI_PROVIDER = 'replay';
+      try {
+        expect(getProvider().name).toBe('replay');
+      } finally {
+        delete process.env.AI_PROVIDER;
+      }
+    });
+  });
+
+  describe('openai provider', () => {
+    it('should normalize chat completion chunks into content blocks', async () => {
+      process.env.OPENAI_BASE_URL = 'http://localhost:11434/v1';
+      global.fetch = jest.fn().mockResolvedValue(mockSSEResponse([
+        JSON.stringify({ id: 'c1', model: 'llama3', choices: [{ delta: { role: 'assistant' } }] }),
+        JSON.stringify({ id: 'c1', choices: [{ delta: { content: '/// START Hero' } }] }),
+        JSON.stringify({ id: 'c1', choices: [{ delta: { content: 'Section position=main' }, finish_reason: 'stop' }] }),
+        JSON.stringify({ id: 'c1', choices: [], usage: { prompt_tokens: 10, completion_tokens: 4 } }),
+        '[DONE]'
+      ]));
+
+      try {
+        const chunks = await collectChunks(await generate('x', '', '', { provider: 'openai', model: 'llama3' }));
+
+        expect(global.fetch).toHaveBeenCalledWith(
+          'http://localhost:11434/v1/chat/completions',
+          expect.objectContaining({ method: 'POST' })
+        );
+        expect(chunks.map(c => c.type)).toEqual([
+          'message_start',
+          'content_block_start',
+          'content_block_delta',
+          'content_block_delta',
+          'content_block_stop',
+          'message_delta',
+          'message_stop'
+        ]);
+        expect(chunks[2].delta).toEqual({ type: 'text_delta', text: '/// START Hero' });
+        expect(chunks[5].usage).toEqual({ input_tokens: 10, output_tokens: 4 });
+      } finally {
+        delete process.env.OPENAI_BASE_URL;
+      }
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const { parse } = require('@babel/parser');
+const { walk } = require('../astWalk');
+
+const parseJSX = (code) => parse(code, { sourceType: 'module', plugins: ['jsx'] });
+
+describe('walk', () => {
+  it('should visit every node depth-first with its parent and key', () => {
+    const ast = parseJSX('const a = <Card.Header title={b} />;');
+    const visited = [];
+
+    walk(ast.program, (node, parent, key) => {
+      if (node.type === 'Identifier' || node.type === 'JSXIdentifier') visited.push([node.name, parent.type, key]);
+    });
+
+    expect(visited).toEqual([
+      ['a', 'VariableDeclarator', 'id'],
+      ['Card', 'JSXMemberExpression', 'object'],
+      ['Header', 'JSXMemberExpression', 'property'],
+      ['title', 'JSXAttribute', 'name'],
+      ['b', 'JSXExpressionContainer', 'expression']
+    ]);
+  });
+
+  it('should skip the children of nodes the visitor returns false for', () => {
+    const ast = parseJSX('function Hero() { return <section><h1>Hi</h1></section>; }');
+    const elements = [];
+
+    walk(ast.program, (node) => {
+      if (node.type !== 'JSXElement') return undefined;
+      elements.push(node.openingElement.name.name);
+      return false;
+    });
+
+    expect(elements).toEqual(['section']);
+  });
+});
@@ -0,0 +1,44 @@
+const { normalizeBrief, summarizeBrief, formatBrief } = require('../brief');
+
+const BRIEF = {
+  industry: ' Specialty coffee ',
+  businessModel: 'b2c',
+  audience: 'Remote workers who need a third place',
+  primaryCta: 'Order ahead',
+  tone: 'friendly',
+  mustHaveSections: ['hero', 'pricing', 'hero'],
+  description: '',
+  budget: 'dropped'
+};
+
+describe('brief', () => {
+  it('should keep the answers it knows, trimmed and deduplicated', () => {
+    expect(normalizeBrief(BRIEF)).toEqual({
+      industry: 'Specialty coffee',
+      businessModel: 'b2c',
+      audience: 'Remote workers who need a third place',
+      primaryCta: 'Order ahead',
+      tone: 'friendly',
+      mustHaveSections: ['hero', 'pricing']
+    });
+  });
+
+  it('should reject unanswered or unknown answers', () => {
+    expect(() => normalizeBrief(null)).toThrow(expect.objectContaining({ code: 'INVALID_BRIEF' }));
+    expect(() => normalizeBrief({ ...BRIEF, industry: ' ' })).toThrow('Industry is required');
+    expect(() => normalizeBrief({ ...BRIEF, businessModel: 'b2z' })).toThrow('Business model');
+    expect(() => normalizeBrief({ ...BRIEF, tone: 'sarcastic' })).toThrow('Tone');
+    expect(() => normalizeBrief({ ...BRIEF, mustHaveSections: ['blog'] })).toThrow('Must-have sections');
+    expect(() => normalizeBrief({ ...BRIEF, audience: 'x'.repeat(501) })).toThrow('at most 500');
+  });
+
+  it('should describe the brief as typed prompt fields', () => {
+    const brief = normalizeBrief({ ...BRIEF, description: 'Roasts in house' });
+
+    expect(summarizeBrief(brief)).toBe('Specialty coffee (b2c) for Remote workers who need a third place');
+    expect(formatBrief(brief)).toContain('- Business model: B2C, selling to consumers');
+    expect(formatBrief(brief)).toContain('- Primary call to action: "Order ahead"');
+    expect(formatBrief(brief)).toContain('- Must-have sections: hero, pricing');
+    expect(formatBrief(brief)).toContain('- About the business: Roasts in house');
+  });
+});
@@ -0,0 +1,85 @@
+const { validateComponentCode } = require('../componentValidation');
+
+describe('validateComponentCode', () => {
+  it('should accept a component that parses', () => {
+    const code = 'export function Header() {\n  return <header className="p-4"><Button>Go</Button></header>;\n}\n';
+
+    expect(validateComponentCode(code, 'Header')).toEqual({ valid: true });
+  });
+
+  it('should accept arrow function components', () => {
+    expect(validateComponentCode('export const RootLayout = () => <main />;', 'RootLayout').valid).toBe(true);
+  });
+
+  it('should report the line and column of a syntax error', () => {
+    const code = 'export function Header() {\n  return (\n    <header>\n      <p>Hi</div>\n    </header>\n  );\n}\n';
+
+    const result = validateComponentCode(code, 'Header');
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatchObject({ code: 'SYNTAX_ERROR', line: 4, column: 11 });
+    expect(result.error.message).toMatch(/Expected corresponding JSX closing tag/);
+    expect(result.error.message).not.toMatch(/\(\d+:\d+\)$/);
+  });
+
+  it('should reject a block that does not declare its component', () => {
+    const result = validateComponentCode('export function Hero() { return null; }', 'HeroSection');
+
+    expect(result).toEqual({
+      valid: false,
+      error: expect.objectContaining({ code: 'MISSING_COMPONENT', line: 1, column: 0 })
+    });
+  });
+
+  it('should reject a component that is not exported', () => {
+    const code = 'const Footer = () => <footer />;\n\nconst Unused = 1;\n';
+
+    expect(validateComponentCode(code, 'Footer').error).toMatchObject({ code: 'MISSING_EXPORT', line: 1, column: 6 });
+    expect(validateComponentCode(`${code}export default Footer;\n`, 'Footer')).toEqual({ valid: true });
+    expect(validateComponentCode(`${code}export { Footer };\n`, 'Footer')).toEqual({ valid: true });
+  });
+
+  it('should reject a component that does not return JSX', () => {
+    const code = 'import React from "react";\n\nexport function Header() {\n  return "Header";\n}\n';
+
+    expect(validateComponentCode(code, 'Header').error).toMatchObject({
+      code: 'MISSING_JSX_RETURN',
+      message: 'Header must return JSX',
+      line: 3,
+      column: 7
+    });
+    expect(validateComponentCode('export function Header() {\n  return React.createElement("header");\n}', 'Header').valid).toBe(true);
+  });
+
+  it('should reject compound components missing required subcomponents', () => {
+    const parts = ['Header', 'Title', 'Description', 'Content'];
+    const code = `export function Card() {\n  return <div>${parts.map(part => `<Card.${part} />`).join('')}</div>;\n}\n`;
+
+    expect(validateComponentCode(code, 'Card').error).toMatchObject({
+      code: 'MISSING_SUBCOMPONENTS',
+      message: 'Card is missing required subcomponents: Footer',
+      line: 1
+    });
+    expect(validateComponentCode(code.replace('</div>', '<Card.Footer /></div>'), 'Card')).toEqual({ valid: true });
+  });
+
+  it('should reject empty blocks', () => {
+    expect(validateComponentCode('  \n', 'Footer').error.code).toBe('EMPTY_COMPONENT');
+  });
+
+  it('should only accept TypeScript when the language is tsx', () => {
+    const code = [
+      'interface HeroSectionProps {',
+      '  title?: string;',
+      '}',
+      '',
+      'export function HeroSection({ title = \'Hello\' }: HeroSectionProps) {',
+      '  const [items] = useState<string[]>([]);',
+      '  return <section>{title}{items.length}</section>;',
+      '}'
+    ].join('\n');
+
+    expect(validateComponentCode(code, 'HeroSection', { language: 'tsx' })).toEqual({ valid: true });
+    expect(validateComponentCode(code, 'HeroSection').error.code).toBe('SYNTAX_ERROR');
+  });
+});
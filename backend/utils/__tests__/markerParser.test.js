@@ -0,0 +1,164 @@
+const { MarkerParser } = require('../markerParser');
+
+// Feeds text in the given chunks and returns markers plus the joined non-marker text
+const parseChunks = (chunks) => {
+  const parser = new MarkerParser();
+  const events = [];
+  chunks.forEach(chunk => events.push(...parser.push(chunk)));
+  events.push(...parser.end());
+
+  return {
+    markers: events
+      .filter(event => event.type === 'marker')
+      .map(({ kind, name, attributes }) => ({ kind, name, attributes })),
+    text: events.filter(event => event.type === 'text').map(event => event.text).join('')
+  };
+};
+
+const parseText = (text) => parseChunks([text]);
+
+// Splits text into single characters, the worst case for chunk boundaries
+const parseByCharacter = (text) => parseChunks(text.split(''));
+
+const HERO = [
+  '/// START HeroSection position=main',
+  'export function HeroSection() {',
+  '  return <section className="py-20">Hello</section>;',
+  '}',
+  '/// END HeroSection',
+  ''
+].join('\n');
+
+describe('MarkerParser', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should split markers from component code', () => {
+    const { markers, text } = parseText(HERO);
+
+    expect(markers).toEqual([
+      { kind: 'START', name: 'HeroSection', attributes: { position: 'main' } },
+      { kind: 'END', name: 'HeroSection', attributes: {} }
+    ]);
+    expect(text).toBe([
+      'export function HeroSection() {',
+      '  return <section className="py-20">Hello</section>;',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  it('should not truncate names split across chunks', () => {
+    const { markers } = parseChunks(['/// START Hero', 'S', 'ection position=ma', 'in\nexport function HeroSection() {}\n/// EN', 'D HeroSection\n']);
+
+    expect(markers.map(marker => marker.name)).toEqual(['HeroSection', 'HeroSection']);
+    expect(markers[0].attributes).toEqual({ position: 'main' });
+  });
+
+  it('should produce the same result when streamed one character at a time', () => {
+    expect(parseByCharacter(HERO)).toEqual(parseText(HERO));
+  });
+
+  it('should accept any PascalCase component name and extra attributes', () => {
+    const { markers } = parseText('/// START PricingTable position=main page=pricing\n/// END PricingTable\n');
+
+    expect(markers[0]).toEqual({
+      kind: 'START',
+      name: 'PricingTable',
+      attributes: { position: 'main', page: 'pricing' }
+    });
+  });
+
+  it.each([
+    ['a string', 'const label = "\\\n/// END HeroSection";'],
+    ['a template literal', 'const label = `\n/// END HeroSection\n`;'],
+    ['a block comment', '/*\n/// END HeroSection\n*/'],
+    ['JSX text', 'const el = (\n  <p>\n/// START Footer\n  </p>\n);']
+  ])('should ignore marker text inside %s', (_, code) => {
+    const { markers, text } = parseText(`/// START HeroSection\n${code}\n/// END HeroSection\n`);
+
+    expect(markers.map(marker => `${marker.kind} ${marker.name}`)).toEqual([
+      'START HeroSection',
+      'END HeroSection'
+    ]);
+    expect(text).toBe(`${code}\n`);
+  });
+
+  it('should only recognize markers at the start of a line', () => {
+    const { markers } = parseText('/// START A\nconst x = 1; /// END A\n/// END A\n');
+
+    expect(markers).toHaveLength(2);
+  });
+
+  it('should recover at an END marker inside unterminated JSX', () => {
+    const { markers } = parseText([
+      '/// START Broken',
+      'export function Broken() {',
+      '  return <div><span>',
+      '/// END Broken',
+      '/// START Footer',
+      'export function Footer() { return <footer />; }',
+      '/// END Footer',
+      ''
+    ].join('\n'));
+
+    expect(markers.map(marker => `${marker.kind} ${marker.name}`)).toEqual([
+      'START Broken',
+      'END Broken',
+      'START Footer',
+      'END Footer'
+    ]);
+  });
+
+  it('should treat comparisons and generics as code, not JSX', () => {
+    const { markers } = parseText([
+      '/// START Counter',
+      'const isSmall = count < limit;',
+      'const items = list.filter(i => i.size<max);',
+      '/// END Counter',
+      ''
+    ].join('\n'));
+
+    expect(markers).toHaveLength(2);
+  });
+
+  it('should follow TypeScript generics without mistaking them for JSX', () => {
+    const code = [
+      '/// START PricingSection position=main',
+      'interface Plan { name: string; features: Array<{ label: string }> }',
+      'const first = <T,>(list: T[]): T => list[0];',
+      'const byName = <T extends { name: string }>(list: T[]) => list.map(item => item.name);',
+      'export function PricingSection({ plans }: { plans: Plan[] }): JSX.Element {',
+      '  const [open, setOpen] = useState<boolean>(false);',
+      "  return <section>{open ? <p>{first(byName(plans))}</p> : <p>Don't miss out</p>}</section>;",
+      '}',
+      '/// END PricingSection',
+      ''
+    ].join('\n');
+
+    const { markers, text } = parseByCharacter(code);
+
+    expect(markers.map(({ kind, name }) => `${kind} ${name}`)).toEqual(['START PricingSection', 'END PricingSection']);
+    expect(text).toBe(code.split('\n').slice(1, -2).join('\n') + '\n');
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it('should drop markdown code fences', () => {
+    const { markers, text } = parseText('```jsx\n/// START A\nconst A = 1;\n/// END A\n```\n');
+
+    expect(markers).toHaveLength(2);
+    expect(text).toBe('const A = 1;\n');
+  });
+
+  it('should report the line each marker was found on', () => {
+    const parser = new MarkerParser();
+    const events = [...parser.push(HERO), ...parser.end()];
+
+    expect(events.filter(event => event.type === 'marker').map(event => event.line)).toEqual([1, 5]);
+  });
+});
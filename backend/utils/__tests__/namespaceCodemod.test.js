@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadCompoundMappings, flattenNamespaces, formatImports } = require('../namespaceCodemod');
+
+const PRICING = `export function PricingSection() {
+  const plans = [{ name: 'Pro', icon: Icons.Rocket }];
+  return (
+    <section>
+      {plans.map(({ name, icon: Icon }) => (
+        <Card key={name}>
+          <Card.Header>
+            <Icon className="h-6 w-6" />
+            <Card.Title>{name}</Card.Title>
+          </Card.Header>
+          <Card.Body />
+          <Icons.Link className="h-4 w-4" />
+          <Link href="/signup">Sign up</Link>
+        </Card>
+      ))}
+    </section>
+  );
+}
+`;
+
+describe('namespaceCodemod', () => {
+  it('should read COMPOUND_MAPPINGS from the frontend', () => {
+    const mappings = loadCompoundMappings();
+
+    expect(mappings.Card).toEqual(['Header', 'Title', 'Description', 'Content', 'Footer']);
+    expect(mappings.NavigationMenu).toContain('List');
+  });
+
+  it('should read the frontend sources from FRONTEND_SRC_DIR when it is set', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'frontend-src-'));
+    fs.mkdirSync(path.join(dir, 'components', 'utils'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'components', 'utils', 'compoundComponents.js'), "export const COMPOUND_MAPPINGS = { Tabs: ['List'] };\n");
+
+    process.env.FRONTEND_SRC_DIR = dir;
+    try {
+      jest.isolateModules(() => {
+        expect(require('../namespaceCodemod').loadCompoundMappings()).toEqual({ Tabs: ['List'] });
+        expect(require('../projectExport').UI_DIR).toBe(path.join(dir, 'components', 'ui'));
+      });
+    } finally {
+      delete process.env.FRONTEND_SRC_DIR;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should flatten compound components and icons in place', () => {
+    const result = flattenNamespaces(PRICING, { isIcon: icon => icon !== 'Sparkle' });
+
+    expect(result.code).toContain("const plans = [{ name: 'Pro', icon: Rocket }];");
+    expect(result.code).toContain('          <CardHeader>\n            <Icon className="h-6 w-6" />\n            <CardTitle>{name}</CardTitle>\n          </CardHeader>');
+    // Link is taken by the component, so the icon uses lucide's LinkIcon alias
+    expect(result.code).toContain('<LinkIcon className="h-4 w-4" />');
+    expect(result.components).toEqual(['CardHeader', 'CardTitle']);
+    expect(formatImports(result.imports)).toEqual(["import { LinkIcon, Rocket } from 'lucide-react';"]);
+    // Card.Body isn't a shadcn/ui component, so it's reported and left alone
+    expect(result.code).toContain('<Card.Body />');
+    expect(result.warnings).toEqual(['Card.Body has no shadcn/ui equivalent']);
+  });
+
+  it('should stub unknown icons and keep dynamically looked-up ones as a namespace', () => {
+    const unknown = flattenNamespaces('const A = () => <Icons.Sparklez />;', { isIcon: () => false });
+    expect(unknown.code).toBe('const A = () => <Sparklez />;');
+    expect(unknown.missingIcons).toEqual(['Sparklez']);
+    expect(unknown.imports.size).toBe(0);
+
+    const dynamic = flattenNamespaces('const A = ({ icon }) => { const Icon = Icons[icon]; return <Icons.Star />; };');
+    expect(dynamic.code).toContain('<Icons.Star />');
+    expect(formatImports(dynamic.imports)).toEqual(["import * as Icons from 'lucide-react';"]);
+  });
+});
@@ -0,0 +1,163 @@
+const { analyzeComponent, buildProjectFiles, exportProject } = require('../projectExport');
+const { readZip } = require('../zipArchive');
+
+const HEADER = `export function Header() {
+  const [open, setOpen] = useState(false);
+  return (
+    <header>
+      <Icons.Coffee className="h-6 w-6" />
+      <NavigationMenu>
+        <NavigationMenu.List>
+          <NavigationMenu.Item>
+            <NavigationMenu.Link href="/about">About</NavigationMenu.Link>
+          </NavigationMenu.Item>
+        </NavigationMenu.List>
+      </NavigationMenu>
+      <Button onClick={() => setOpen(!open)}>Menu</Button>
+    </header>
+  );
+}
+`;
+
+const HERO = `const HeroSection = () => {
+  const features = [{ icon: Icons.Zap, title: 'Fast' }];
+  return (
+    <section>
+      <Card>
+        <Card.Header>
+          <Card.Title>Fresh coffee</Card.Title>
+        </Card.Header>
+      </Card>
+      {features.map(({ icon: Icon, title }) => <Icon key={title} />)}
+      <Placeholder.Image width="100%" height="320px" label="Hero image" />
+    </section>
+  );
+};
+
+export default HeroSection;
+`;
+
+const ROOT_LAYOUT = `export function RootLayout() {
+  return (
+    <div className="min-h-screen">
+      <Header />
+      <main>
+        <HeroSection />
+        <PricingSection />
+      </main>
+    </div>
+  );
+}
+`;
+
+const createVersion = (overrides = {}) => ({
+  versionNumber: 4,
+  components: [
+    { componentId: 'comp_header', name: 'Header', position: 'header', status: 'valid', code: HEADER },
+    { componentId: 'comp_herosection', name: 'HeroSection', position: 'main', status: 'repaired', code: HERO },
+    { componentId: 'comp_pricingsection', name: 'PricingSection', position: 'main', status: 'partial', code: 'export function PricingSection() {\n  return (\n    <section>' },
+    { componentId: 'root_layout', name: 'RootLayout', position: 'main', status: 'valid', code: ROOT_LAYOUT }
+  ],
+  sections: { header: ['comp_header'], main: ['root_layout', 'comp_herosection', 'comp_pricingsection'], footer: [] },
+  ...overrides
+});
+
+const fileMap = (files) => new Map(files.map(file => [file.path, file.content]));
+
+describe('projectExport', () => {
+  it('should find the scope names a component reads', () => {
+    const { references, members } = analyzeComponent(HERO);
+
+    expect([...references].sort()).toEqual(['Card', 'Icons', 'Placeholder']);
+    expect([...members.get('Card')]).toEqual(['Header', 'Title']);
+    expect([...members.get('Icons')]).toEqual(['Zap']);
+  });
+
+  it('should turn scope names into imports', () => {
+    const files = fileMap(buildProjectFiles(createVersion(), { name: 'Bean There' }).files);
+
+    const header = files.get('src/sections/Header.jsx');
+    expect(header).toContain("import { useState } from 'react';");
+    expect(header).toContain("import { NavigationMenu, NavigationMenuItem, NavigationMenuLink, NavigationMenuList } from '../components/ui/navigation-menu';");
+    expect(header).toContain("import { Button } from '../components/ui/button';");
+    expect(header).toContain("import { Coffee } from 'lucide-react';");
+    expect(header).toContain('<NavigationMenuLink href="/about">About</NavigationMenuLink>');
+    expect(header).toMatch(/^function Header\(\) \{/m);
+    expect(header.trim().endsWith('export default Header;')).toBe(true);
+
+    const hero = files.get('src/sections/HeroSection.jsx');
+    expect(hero).toContain("import { Placeholder } from '../components/Placeholder';");
+    expect(hero).toContain("import { Card, CardHeader, CardTitle } from '../components/ui/card';");
+    expect(hero).toContain("const features = [{ icon: Zap, title: 'Fast' }];");
+
+    // Only the ui components in use, plus what they import
+    expect([...files.keys()].filter(file => file.startsWith('src/components/ui/')).sort()).toEqual([
+      'src/components/ui/button.jsx',
+      'src/components/ui/card.jsx',
+      'src/components/ui/navigation-menu.jsx'
+    ]);
+    const { dependencies } = JSON.parse(files.get('package.json'));
+    expect(dependencies).toHaveProperty('@radix-ui/react-navigation-menu');
+    expect(dependencies).toHaveProperty('lucide-react');
+    expect(dependencies).not.toHaveProperty('@radix-ui/react-dialog');
+  });
+
+  it('should leave out sections that did not generate cleanly', () => {
+    const { files, warnings } = buildProjectFiles(createVersion());
+    const byPath = fileMap(files);
+
+    expect(byPath.has('src/sections/PricingSection.jsx')).toBe(false);
+    expect(byPath.get('src/RootLayout.jsx')).not.toContain('<PricingSection />');
+    expect(byPath.get('src/RootLayout.jsx')).toContain("import HeroSection from './sections/HeroSection';");
+    expect(warnings).toEqual([expect.stringContaining('PricingSection was left out')]);
+  });
+
+  it('should route each page of a site to its sections', () => {
+    const version = createVersion({
+      pages: [
+        { id: 'home', name: 'Home', path: '/', sections: ['comp_herosection'] },
+        { id: 'about', name: 'About', path: '/about', sections: ['comp_aboutsection'] }
+      ]
+    });
+    version.components.push({ componentId: 'comp_aboutsection', name: 'AboutSection', page: 'about', status: 'valid', code: 'export function AboutSection() {\n  return <section />;\n}\n' });
+
+    const { archive } = exportProject(version, { name: 'Bean There' });
+    const app = readZip(archive).get('bean-there-v4/src/App.jsx').toString('utf8');
+
+    expect(app).toContain("'/': [HeroSection]");
+    expect(app).toContain("'/about': [AboutSection]");
+    expect(app).toContain('<RootLayout>');
+  });
+
+  it('should keep tsx components typed', () => {
+    const typedHero = `interface HeroSectionProps {
+  title?: string;
+}
+
+export const HeroSection = ({ title = 'Fresh coffee' }: HeroSectionProps) => {
+  const [open, setOpen] = useState<boolean>(false);
+  const icon: React.ElementType = Icons.Zap;
+  return <section onClick={() => setOpen(!open)}>{title}</section>;
+};
+`;
+    const version = createVersion({ generation: { language: 'tsx' } });
+    version.components[1] = { ...version.components[1], code: typedHero };
+
+    const files = fileMap(buildProjectFiles(version, { name: 'Bean There' }).files);
+
+    expect(files.has('src/sections/HeroSection.tsx')).toBe(true);
+    expect(files.has('src/RootLayout.tsx')).toBe(true);
+    expect(files.has('src/App.tsx')).toBe(true);
+    expect(files.get('index.html')).toContain('/src/main.tsx');
+    expect(files.has('tsconfig.json')).toBe(true);
+
+    const hero = files.get('src/sections/HeroSection.tsx');
+    expect(hero).toContain("import React, { useState } from 'react';");
+    expect(hero).toContain("import { Zap } from 'lucide-react';");
+    expect(hero).toContain('({ title = \'Fresh coffee\' }: HeroSectionProps)');
+    expect(hero).not.toContain('HeroSectionProps }');
+
+    const { devDependencies } = JSON.parse(files.get('package.json'));
+    expect(devDependencies).toHaveProperty('typescript');
+  });
+});
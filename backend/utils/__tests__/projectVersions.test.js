@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Project = require('../../models/Project');
+const ProjectVersion = require('../../models/ProjectVersion');
+const { getComponentStatus, createNextVersion, loadGenerationTarget } = require('../projectVersions');
+
+// Mimics the findOne().sort().select() chain
+const mockLatestVersion = (versionNumber) => ({
+  sort: () => ({ select: () => Promise.resolve(versionNumber ? { versionNumber } : null) })
+});
+
+describe('projectVersions', () => {
+  const projectId = new mongoose.Types.ObjectId().toString();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getComponentStatus', () => {
+    it('should map component state onto a stored status', () => {
+      expect(getComponentStatus({ isComplete: true })).toBe('valid');
+      expect(getComponentStatus({ isComplete: true, repairAttempts: 1 })).toBe('repaired');
+      expect(getComponentStatus({ isComplete: false, error: 'REPAIR_FAILED' })).toBe('invalid');
+      expect(getComponentStatus({ isComplete: false, isPartial: true })).toBe('partial');
+    });
+  });
+
+  describe('createNextVersion', () => {
+    it('should number the version after the latest one and append it to the project', async () => {
+      jest.spyOn(ProjectVersion, 'findOne').mockReturnValue(mockLatestVersion(2));
+      const save = jest.spyOn(ProjectVersion.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      const updateProject = jest.spyOn(Project, 'updateOne').mockResolvedValue({});
+
+      const version = await createNextVersion(projectId, { components: [] });
+
+      expect(save).toHaveBeenCalledTimes(1);
+      expect(version.versionNumber).toBe(3);
+      expect(updateProject).toHaveBeenCalledWith(
+        { _id: projectId },
+        expect.objectContaining({ $push: { versions: version._id } })
+      );
+    });
+
+    it('should retry with a fresh number when another version took it first', async () => {
+      jest.spyOn(ProjectVersion, 'findOne')
+        .mockReturnValueOnce(mockLatestVersion(1))
+        .mockReturnValueOnce(mockLatestVersion(2));
+      jest.spyOn(ProjectVersion.prototype, 'save')
+        .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }))
+        .mockImplementation(function () {
+          return Promise.resolve(this);
+        });
+      jest.spyOn(Project, 'updateOne').mockResolvedValue({});
+
+      const version = await createNextVersion(projectId, { components: [] });
+
+      expect(version.versionNumber).toBe(3);
+    });
+  });
+
+  describe('loadGenerationTarget', () => {
+    it('should reject ids that are not ObjectIds without querying', async () => {
+      const findProject = jest.spyOn(Project, 'findById');
+
+      await expect(loadGenerationTarget('abc', 'def')).resolves.toBeNull();
+      expect(findProject).not.toHaveBeenCalled();
+    });
+
+    it('should hide projects owned by someone else', async () => {
+      jest.spyOn(Project, 'findById').mockResolvedValue({ _id: projectId, owner: new mongoose.Types.ObjectId() });
+      const findVersion = jest.spyOn(ProjectVersion, 'findOne');
+
+      const target = await loadGenerationTarget(projectId, new mongoose.Types.ObjectId().toString(), {
+        _id: new mongoose.Types.ObjectId()
+      });
+
+      expect(target).toBeNull();
+      expect(findVersion).not.toHaveBeenCalled();
+    });
+  });
+});
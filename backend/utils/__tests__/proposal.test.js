@@ -0,0 +1,50 @@
+const { normalizeProposal, parseProposal } = require('../proposal');
+
+const PLAN = {
+  sections: [
+    { name: 'Navbar', position: 'header', purpose: 'Navigation', copy: ['Menu', 'Visit'] },
+    { name: 'HeroSection', position: 'main', purpose: ' Introduce the shop ', copy: ['Fresh coffee daily', ''] },
+    { name: 'SiteFooter', position: 'footer', purpose: 'Opening hours' }
+  ],
+  palette: { primary: '#6b4226', background: '#fffaf3', shadow: 42 },
+  typography: { headings: 'Playfair Display', body: 'Inter' },
+  rationale: 'Warm and inviting',
+  extra: 'dropped'
+};
+
+describe('proposal', () => {
+  it('should keep the planned sections in order and drop fields it does not know', () => {
+    expect(normalizeProposal(PLAN)).toEqual({
+      sections: [
+        { name: 'Navbar', position: 'header', purpose: 'Navigation', copy: ['Menu', 'Visit'] },
+        { name: 'HeroSection', position: 'main', purpose: 'Introduce the shop', copy: ['Fresh coffee daily'] },
+        { name: 'SiteFooter', position: 'footer', purpose: 'Opening hours', copy: [] }
+      ],
+      palette: { primary: '#6b4226', background: '#fffaf3' },
+      typography: { headings: 'Playfair Display', body: 'Inter' },
+      rationale: 'Warm and inviting'
+    });
+  });
+
+  it('should reject plans that cannot be built', () => {
+    const withSection = (section) => ({ sections: [section] });
+
+    expect(() => normalizeProposal({})).toThrow(expect.objectContaining({ code: 'INVALID_PROPOSAL' }));
+    expect(() => normalizeProposal({ sections: [] })).toThrow('between 1 and');
+    expect(() => normalizeProposal(withSection({ name: 'hero', position: 'main', purpose: 'Intro' }))).toThrow('PascalCase');
+    expect(() => normalizeProposal(withSection({ name: 'RootLayout', position: 'main', purpose: 'Layout' }))).toThrow('PascalCase');
+    expect(() => normalizeProposal(withSection({ name: 'Hero', position: 'sidebar', purpose: 'Intro' }))).toThrow('position');
+    expect(() => normalizeProposal(withSection({ name: 'Hero', position: 'main' }))).toThrow('purpose');
+    expect(() => normalizeProposal({
+      sections: [PLAN.sections[1], PLAN.sections[1]]
+    })).toThrow('unique');
+  });
+
+  it('should read the plan out of a fenced or chatty reply', () => {
+    const reply = `Here is the plan:\n\`\`\`json\n${JSON.stringify(PLAN, null, 2)}\n\`\`\``;
+
+    expect(parseProposal(reply).sections.map(section => section.name)).toEqual(['Navbar', 'HeroSection', 'SiteFooter']);
+    expect(() => parseProposal('I cannot help with that')).toThrow('did not contain a JSON plan');
+    expect(() => parseProposal('{ sections: [ }')).toThrow('not valid JSON');
+  });
+});
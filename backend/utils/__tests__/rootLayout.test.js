@@ -0,0 +1,54 @@
+const { findSections, insertSection, removeSection, reorderSections } = require('../rootLayout');
+
+const ROOT_LAYOUT = `export function RootLayout() {
+  return (
+    <div className="min-h-screen bg-white">
+      <Header />
+      <main>
+        <HeroSection />
+        <PricingSection />
+      </main>
+      <Footer />
+    </div>
+  );
+}
+`;
+
+describe('rootLayout', () => {
+  it('should find the rendered sections in page order', () => {
+    const { sections, containers } = findSections(ROOT_LAYOUT, ['Footer', 'HeroSection', 'Header']);
+
+    expect(sections.map(section => section.name)).toEqual(['Header', 'HeroSection', 'Footer']);
+    expect(sections[1].indent).toBe('        ');
+    expect(containers.main).not.toBeNull();
+  });
+
+  it('should insert a section next to a sibling with its indentation', () => {
+    expect(insertSection(ROOT_LAYOUT, 'FeaturesSection', { before: 'PricingSection', after: 'HeroSection', position: 'main' }))
+      .toContain('        <HeroSection />\n        <FeaturesSection />\n        <PricingSection />\n');
+    expect(insertSection(ROOT_LAYOUT, 'FaqSection', { after: 'PricingSection', position: 'main' }))
+      .toContain('        <PricingSection />\n        <FaqSection />\n      </main>');
+  });
+
+  it('should place the first section of a position inside the page', () => {
+    const empty = removeSection(removeSection(removeSection(ROOT_LAYOUT, 'Header'), 'HeroSection'), 'PricingSection');
+
+    const withHero = insertSection(empty, 'HeroSection', { position: 'main' });
+    expect(withHero).toContain('      <main>\n        <HeroSection />\n      </main>');
+
+    const withHeader = insertSection(withHero, 'Navbar', { position: 'header' });
+    expect(withHeader).toContain('<div className="min-h-screen bg-white">\n      <Navbar />\n      <main>');
+  });
+
+  it('should remove a section together with its line', () => {
+    expect(removeSection(ROOT_LAYOUT, 'HeroSection')).toBe(ROOT_LAYOUT.replace('        <HeroSection />\n', ''));
+    expect(removeSection(ROOT_LAYOUT, 'Testimonials')).toBe(ROOT_LAYOUT);
+  });
+
+  it('should swap sections into each other\'s slots, keeping their props', () => {
+    const code = ROOT_LAYOUT.replace('<HeroSection />', '<HeroSection variant="dark" />');
+
+    expect(reorderSections(code, ['PricingSection', 'HeroSection']))
+      .toContain('        <PricingSection />\n        <HeroSection variant="dark" />\n');
+  });
+});
@@ -0,0 +1,22 @@
+const { createSitePlan, DEFAULT_SITE_PAGES } = require('../sitePlan');
+
+describe('sitePlan', () => {
+  it('should give every page an id and a path, serving the first page at /', () => {
+    expect(createSitePlan(['Home', 'Our Story', { name: 'Contact', path: '/contact-us' }])).toEqual([
+      { id: 'home', name: 'Home', path: '/' },
+      { id: 'our-story', name: 'Our Story', path: '/our-story' },
+      { id: 'contact', name: 'Contact', path: '/contact-us' }
+    ]);
+  });
+
+  it('should plan the default pages when none are given', () => {
+    expect(createSitePlan().map(page => page.name)).toEqual(DEFAULT_SITE_PAGES);
+  });
+
+  it('should reject page lists that cannot be routed', () => {
+    expect(() => createSitePlan([])).toThrow(expect.objectContaining({ code: 'INVALID_PAGES' }));
+    expect(() => createSitePlan(['Home', ' '])).toThrow('Every page needs a name');
+    expect(() => createSitePlan(['Pricing', 'pricing'])).toThrow('Page names must be unique');
+    expect(() => createSitePlan(['Home', 'Shared'])).toThrow('reserved');
+  });
+});
@@ -0,0 +1,138 @@
+const { renderStaticSite } = require('../staticSite');
+
+const HEADER = `export function Header() {
+  const [open] = useState(false);
+  return (
+    <header className="border-b">
+      <Icons.Coffee className="h-6 w-6 text-amber-600" />
+      <NavigationMenu>
+        <NavigationMenu.List>
+          <NavigationMenu.Item>
+            <NavigationMenu.Link href="/about">About</NavigationMenu.Link>
+          </NavigationMenu.Item>
+        </NavigationMenu.List>
+      </NavigationMenu>
+      <Button>{open ? 'Close' : 'Order now'}</Button>
+    </header>
+  );
+}
+`;
+
+const HERO = `const HeroSection = () => (
+  <section className="py-24">
+    <Card>
+      <Card.Header>
+        <Card.Title>Fresh coffee</Card.Title>
+      </Card.Header>
+    </Card>
+    <Placeholder.Image width="100%" height="320px" label="Hero image" />
+  </section>
+);
+
+export default HeroSection;
+`;
+
+const ROOT_LAYOUT = `export function RootLayout({ children }) {
+  return (
+    <div className="min-h-screen">
+      <Header />
+      <main>
+        <HeroSection />
+        <BrokenSection />
+        {children}
+      </main>
+    </div>
+  );
+}
+`;
+
+const createVersion = (overrides = {}) => ({
+  versionNumber: 2,
+  components: [
+    { componentId: 'comp_header', name: 'Header', status: 'valid', code: HEADER },
+    { componentId: 'comp_herosection', name: 'HeroSection', status: 'valid', code: HERO },
+    { componentId: 'comp_brokensection', name: 'BrokenSection', status: 'valid', code: 'export function BrokenSection() {\n  return <p>{menu.items.length}</p>;\n}\n' },
+    { componentId: 'root_layout', name: 'RootLayout', status: 'valid', code: ROOT_LAYOUT }
+  ],
+  sections: { header: ['comp_header'], main: ['root_layout', 'comp_herosection', 'comp_brokensection'], footer: [] },
+  ...overrides
+});
+
+describe('staticSite', () => {
+  it('should pre-render the page with the preview scope', async () => {
+    const { files, warnings } = await renderStaticSite(createVersion(), { name: 'Bean There' });
+    const html = files.find(file => file.path === 'index.html').content;
+
+    expect(html).toContain('<link rel="stylesheet" href="styles.css" />');
+    expect(html).not.toContain('<script');
+    expect(html).toContain('lucide-coffee');
+    expect(html).toContain('<a href="/about"');
+    expect(html).toContain('Order now');
+    expect(html).toContain('Fresh coffee');
+    expect(html).toContain('style="width:100%;height:320px"');
+    // A section that throws is left out instead of failing the page
+    expect(warnings).toEqual([expect.stringContaining('BrokenSection was left out because it failed to render')]);
+  });
+
+  it('should compile only the Tailwind classes the markup uses', async () => {
+    const { files } = await renderStaticSite(createVersion());
+    const css = files.find(file => file.path === 'styles.css').content;
+
+    expect(css).toContain('.text-amber-600');
+    expect(css).toContain('.py-24');
+    expect(css).toContain('.bg-card');
+    expect(css).toContain('--primary:');
+    expect(css).not.toContain('.text-red-500');
+    expect(css).not.toContain('@tailwind');
+  });
+
+  it('should strip the types from tsx components before rendering', async () => {
+    const version = createVersion({ generation: { language: 'tsx' } });
+    version.components[1] = {
+      ...version.components[1],
+      code: 'interface HeroSectionProps {\n  title?: string;\n}\n\nexport function HeroSection({ title = \'Typed coffee\' }: HeroSectionProps) {\n  const [count] = useState<number>(3);\n  return <section>{title} x{count}</section>;\n}\n'
+    };
+
+    const { files } = await renderStaticSite(version);
+    const html = files.find(file => file.path === 'index.html').content;
+
+    expect(html).toContain('Typed coffee');
+    expect(html).not.toContain('HeroSectionProps');
+  });
+
+  it('should write one page per site page', async () => {
+    const version = createVersion({
+      pages: [
+        { id: 'home', name: 'Home', path: '/', sections: [] },
+        { id: 'about', name: 'About', path: '/about', sections: ['comp_aboutsection'] }
+      ]
+    });
+    version.components.push({ componentId: 'comp_aboutsection', name: 'AboutSection', page: 'about', status: 'valid', code: 'export function AboutSection() {\n  return <section>Our story</section>;\n}\n' });
+
+    const { files } = await renderStaticSite(version);
+    const about = files.find(file => file.path === 'about/index.html').content;
+
+    expect(files.map(file => file.path)).toEqual(['index.html', 'about/index.html', 'styles.css']);
+    expect(about).toContain('href="../styles.css"');
+    expect(about).toContain('Our story');
+  });
+
+  it('should leave out sections that reach for the server process or never finish rendering', async () => {
+    const version = createVersion();
+    version.components.push(
+      { componentId: 'comp_envsection', name: 'EnvSection', status: 'valid', code: 'export function EnvSection() {\n  return <p>{Object.keys(process.env).length} {process.pid}</p>;\n}\n' },
+      { componentId: 'comp_loopsection', name: 'LoopSection', status: 'valid', code: 'export function LoopSection() {\n  while (true) {}\n  return <p>Never</p>;\n}\n' }
+    );
+    version.sections.main.push('comp_envsection', 'comp_loopsection');
+
+    const { files, warnings } = await renderStaticSite(version);
+    const html = files.find(file => file.path === 'index.html').content;
+
+    expect(html).toContain('Fresh coffee');
+    expect(html).not.toContain('Never');
+    expect(warnings).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^EnvSection was left out because it failed to render: process is not defined/),
+      expect.stringMatching(/^LoopSection was left out because it failed to render: Script execution timed out/)
+    ]));
+  }, 30000);
+});
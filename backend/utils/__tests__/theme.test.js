@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeTheme, parseTheme, themeFromPlan, formatThemeCss, getFontStylesheetUrl } = require('../theme');
+
+describe('theme', () => {
+  it('should fill in what a theme leaves out from the default theme', () => {
+    expect(normalizeTheme({ colors: { primary: '#4F46E5' }, fonts: { heading: 'Playfair Display' } })).toEqual({
+      colors: {
+        primary: '#4f46e5',
+        secondary: '#f1f5f9',
+        accent: '#f1f5f9',
+        background: '#ffffff',
+        foreground: '#020817'
+      },
+      radius: '0.5rem',
+      fonts: { heading: 'Playfair Display', body: '' }
+    });
+  });
+
+  it('should reject values it cannot turn into CSS', () => {
+    expect(() => normalizeTheme({ colors: { primary: 'indigo' } })).toThrow(expect.objectContaining({ code: 'INVALID_THEME' }));
+    expect(() => normalizeTheme({ radius: '1em; color: red' })).toThrow('radius must be a length');
+    expect(() => normalizeTheme({ fonts: { body: 'Inter"; }' } })).toThrow('fonts.body');
+    expect(() => normalizeTheme([])).toThrow('A theme must be an object');
+  });
+
+  it('should read the JSON out of the Theme block', () => {
+    const theme = parseTheme('\n{ "colors": { "background": "#0b1121", "foreground": "#f8fafc" }, "radius": "1rem" }\n');
+
+    expect(theme.colors.background).toBe('#0b1121');
+    expect(theme.radius).toBe('1rem');
+    expect(() => parseTheme('{ "colors": ')).toThrow(expect.objectContaining({ code: 'INVALID_THEME' }));
+  });
+
+  it('should start from the colors and fonts of an approved plan', () => {
+    const theme = themeFromPlan({
+      palette: { primary: '#6b4226', text: '#1c1917', accent: 'warm amber' },
+      typography: { headings: 'Playfair Display', body: 'Inter' }
+    });
+
+    expect(theme.colors).toMatchObject({ primary: '#6b4226', foreground: '#1c1917', accent: '#f1f5f9' });
+    expect(theme.fonts).toEqual({ heading: 'Playfair Display', body: 'Inter' });
+  });
+
+  it('should set the variables tailwind.config.js reads', () => {
+    const theme = normalizeTheme({ colors: { primary: '#2563eb', background: '#0b1121', foreground: '#f8fafc' }, fonts: { body: 'Inter' } });
+    const css = formatThemeCss(theme);
+
+    expect(css).toContain('--primary: 221.2 83.2% 53.3%;');
+    // Text on primary is whichever of background and foreground reads better
+    expect(css).toContain('--primary-foreground: 210 40% 98%;');
+    expect(css).toContain('--background: 223.6 50% 8.6%;');
+    expect(css).toContain('--font-body: "Inter", ui-sans-serif, system-ui, sans-serif;');
+    expect(getFontStylesheetUrl(theme)).toBe('https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700&display=swap');
+  });
+
+  it('should read the theme tokens from FRONTEND_SRC_DIR when it is set', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'frontend-src-'));
+    const tokensFile = path.join(__dirname, '..', '..', '..', 'frontend', 'src', 'components', 'utils', 'themeTokens.js');
+    fs.mkdirSync(path.join(dir, 'components', 'utils'), { recursive: true });
+    fs.writeFileSync(
+      path.join(dir, 'components', 'utils', 'themeTokens.js'),
+      fs.readFileSync(tokensFile, 'utf8').replace("radius: '0.5rem'", "radius: '1rem'")
+    );
+
+    process.env.FRONTEND_SRC_DIR = dir;
+    try {
+      jest.isolateModules(() => {
+        expect(require('../theme').normalizeTheme({}).radius).toBe('1rem');
+      });
+    } finally {
+      delete process.env.FRONTEND_SRC_DIR;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
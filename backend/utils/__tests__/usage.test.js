@@ -0,0 +1,127 @@
+const User = require('../../models/User');
+const { createUsageMeter, debitUsage, settleUsage, USAGE_HISTORY_LIMIT } = require('../usage');
+const quotaCheck = require('../quotaCheck');
+
+describe('usage metering', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createUsageMeter', () => {
+    it('should read input tokens from message_start and cumulative output from message_delta', () => {
+      const meter = createUsageMeter();
+      const call = meter.call();
+
+      call.track({ type: 'message_start', message: { usage: { input_tokens: 1287, output_tokens: 1 } } });
+      call.track({ type: 'content_block_delta', delta: { text: 'x' } });
+      call.track({ type: 'message_delta', usage: { output_tokens: 400 } });
+      call.track({ type: 'message_delta', usage: { output_tokens: 812 } });
+
+      expect(meter.totals()).toEqual({ input_tokens: 1287, output_tokens: 812 });
+    });
+
+    it('should sum usage over separate calls', () => {
+      const meter = createUsageMeter();
+      const page = meter.call();
+      const repair = meter.call();
+
+      page.track({ type: 'message_start', message: { usage: { input_tokens: 100, output_tokens: 1 } } });
+      repair.track({ type: 'message_start', message: { usage: { input_tokens: 30, output_tokens: 1 } } });
+      repair.track({ type: 'message_delta', usage: { output_tokens: 20 } });
+      page.track({ type: 'message_delta', usage: { output_tokens: 50 } });
+
+      expect(meter.totals()).toEqual({ input_tokens: 130, output_tokens: 70 });
+    });
+
+    it('should take input tokens reported on message_delta', () => {
+      const meter = createUsageMeter();
+      meter.call().track({ type: 'message_delta', usage: { input_tokens: 10, output_tokens: 4 } });
+
+      expect(meter.totals()).toEqual({ input_tokens: 10, output_tokens: 4 });
+    });
+  });
+
+  describe('debitUsage', () => {
+    it('should decrement the balance and push a capped history entry in one update', async () => {
+      const update = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({ tokens_remaining: 100 });
+
+      const user = await debitUsage('user-1', { input_tokens: 30, output_tokens: 20 }, { sessionId: 's1', reason: 'completed' });
+
+      expect(user.tokens_remaining).toBe(100);
+      expect(update).toHaveBeenCalledWith('user-1', {
+        $inc: { tokens_remaining: -50 },
+        $push: {
+          usage_history: {
+            $each: [{ sessionId: 's1', reason: 'completed', input_tokens: 30, output_tokens: 20, total_tokens: 50 }],
+            $slice: -USAGE_HISTORY_LIMIT
+          }
+        }
+      }, { new: true });
+    });
+  });
+
+  describe('settleUsage', () => {
+    const meterOf = (input, output) => {
+      const meter = createUsageMeter();
+      meter.call().track({ type: 'message_delta', usage: { input_tokens: input, output_tokens: output } });
+      return meter;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    it('should debit the user for the session and send the usage event', async () => {
+      const update = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({ tokens_remaining: 70 });
+      const sendEvent = jest.fn();
+
+      const result = await settleUsage(meterOf(20, 10), { user: { _id: 'user-1' } }, { id: 'session_1' }, { projectId: 'p1', reason: 'completed' }, sendEvent);
+
+      expect(update.mock.calls[0][1].$push.usage_history.$each[0]).toMatchObject({ sessionId: 'session_1', projectId: 'p1', reason: 'completed', total_tokens: 30 });
+      expect(result).toEqual({ usage: { input_tokens: 20, output_tokens: 10 }, tokensRemaining: 70 });
+      expect(sendEvent).toHaveBeenCalledWith({ type: 'usage', ...result });
+    });
+
+    it('should only meter unauthenticated callers and report to the caller without sendEvent', async () => {
+      const update = jest.spyOn(User, 'findByIdAndUpdate');
+
+      await expect(settleUsage(meterOf(5, 5), {}, null, { reason: 'error' })).resolves.toEqual({ usage: { input_tokens: 5, output_tokens: 5 } });
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should not send to a session that is already complete', async () => {
+      const sendEvent = jest.fn();
+
+      await settleUsage(meterOf(1, 1), {}, { id: 'session_2', isComplete: true }, {}, sendEvent);
+
+      expect(sendEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('quotaCheck', () => {
+    const run = (user) => {
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      const next = jest.fn();
+      quotaCheck({ user }, res, next);
+      return { res, next };
+    };
+
+    it('should let approved users with tokens left through', () => {
+      const { next } = run({ status: 'approved', tokens_remaining: 10 });
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject users pending approval with 403', () => {
+      const { res, next } = run({ status: 'pending', tokens_remaining: 250 });
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject users without tokens with 402', () => {
+      const { res, next } = run({ status: 'approved', tokens_remaining: -12 });
+      expect(res.status).toHaveBeenCalledWith(402);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Token quota exhausted', tokensRemaining: -12 });
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
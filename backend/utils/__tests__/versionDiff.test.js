@@ -0,0 +1,120 @@
+const { diffVersions, diffComponentCode, codeSimilarity } = require('../versionDiff');
+
+const HERO = [
+  'export function Hero() {',
+  '  return (',
+  '    <section className="py-20">',
+  '      <h1>Fresh coffee, every morning</h1>',
+  '      <p>Roasted in small batches.</p>',
+  '    </section>',
+  '  );',
+  '}',
+  ''
+].join('\n');
+
+const component = (name, position, code, status = 'valid') => ({
+  componentId: `comp_${name.toLowerCase()}`,
+  name,
+  position,
+  code,
+  status
+});
+
+const version = (versionNumber, components) => ({
+  _id: `v${versionNumber}`,
+  versionNumber,
+  components,
+  sections: {
+    header: components.filter(c => c.position === 'header').map(c => c.componentId),
+    main: components.filter(c => c.position === 'main').map(c => c.componentId),
+    footer: components.filter(c => c.position === 'footer').map(c => c.componentId)
+  }
+});
+
+describe('versionDiff', () => {
+  it('should report added, removed and unchanged components by name', () => {
+    const header = component('Header', 'header', 'export function Header() {}\n');
+    const from = version(1, [header, component('Pricing', 'main', 'export function Pricing() { return <div>$9</div>; }\n')]);
+    const to = version(2, [header, component('Footer', 'footer', 'export function Footer() { return <footer />; }\n')]);
+
+    const diff = diffVersions(from, to);
+
+    expect(diff.from).toEqual({ id: 'v1', versionNumber: 1 });
+    expect(diff.to).toEqual({ id: 'v2', versionNumber: 2 });
+    expect(diff.added.map(c => c.name)).toEqual(['Footer']);
+    expect(diff.removed.map(c => c.name)).toEqual(['Pricing']);
+    expect(diff.renamed).toEqual([]);
+    expect(diff.unchanged).toEqual(['Header']);
+    expect(diff.changed).toEqual([]);
+  });
+
+  it('should detect a rename when most of the code carried over', () => {
+    const from = version(1, [component('Hero', 'main', HERO)]);
+    const to = version(2, [component('HeroSection', 'main', HERO.replace('function Hero()', 'function HeroSection()'))]);
+
+    const diff = diffVersions(from, to);
+
+    expect(diff.added).toEqual([]);
+    expect(diff.removed).toEqual([]);
+    expect(diff.renamed).toEqual([{ from: 'Hero', to: 'HeroSection', similarity: 0.88 }]);
+    expect(diff.changed[0]).toMatchObject({ name: 'HeroSection', previousName: 'Hero' });
+    expect(diff.changed[0].unified).toContain('-export function Hero() {');
+    expect(diff.changed[0].unified).toContain('+export function HeroSection() {');
+  });
+
+  it('should report components that moved to another position', () => {
+    const cta = component('Cta', 'main', 'export function Cta() {}\n');
+    const from = version(1, [component('Hero', 'main', HERO), cta]);
+    const to = version(2, [component('Hero', 'main', HERO), { ...cta, position: 'footer' }]);
+
+    const diff = diffVersions(from, to);
+
+    expect(diff.moved).toEqual([{
+      name: 'Cta',
+      from: { position: 'main', index: 1 },
+      to: { position: 'footer', index: 0 }
+    }]);
+    expect(diff.unchanged).toEqual(['Hero', 'Cta']);
+  });
+
+  it('should not report sections shifted by an insertion or removal as moved', () => {
+    const sections = ['Hero', 'Features', 'Pricing', 'Faq'].map(name => component(name, 'main', `export function ${name}() {}\n`));
+    const [hero, features, pricing, faq] = sections;
+    const testimonials = component('Testimonials', 'main', 'export function Testimonials() {}\n');
+
+    expect(diffVersions(version(1, sections), version(2, [testimonials, ...sections])).moved).toEqual([]);
+    expect(diffVersions(version(1, sections), version(2, [hero, pricing, faq])).moved).toEqual([]);
+
+    // Faq jumps ahead of the rest while Testimonials is added: only Faq moved
+    const diff = diffVersions(version(1, sections), version(2, [faq, hero, testimonials, features, pricing]));
+    expect(diff.moved).toEqual([{
+      name: 'Faq',
+      from: { position: 'main', index: 3 },
+      to: { position: 'main', index: 0 }
+    }]);
+  });
+
+  it('should produce a unified diff of changed code', () => {
+    const { unified, hunks } = diffComponentCode('Hero', 'Hero', HERO, HERO.replace('every morning', 'all day'));
+
+    expect(hunks).toHaveLength(1);
+    expect(unified.split('\n')).toEqual([
+      '--- a/Hero',
+      '+++ b/Hero',
+      '@@ -1,7 +1,7 @@',
+      ' export function Hero() {',
+      '   return (',
+      '     <section className="py-20">',
+      '-      <h1>Fresh coffee, every morning</h1>',
+      '+      <h1>Fresh coffee, all day</h1>',
+      '       <p>Roasted in small batches.</p>',
+      '     </section>',
+      '   );'
+    ]);
+  });
+
+  it('should score code similarity between 0 and 1', () => {
+    expect(codeSimilarity(HERO, HERO)).toBe(1);
+    expect(codeSimilarity('a\nb\n', 'c\nd\n')).toBe(0);
+  });
+});
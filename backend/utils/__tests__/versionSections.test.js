@@ -0,0 +1,162 @@
+const { getSectionNames, addSection, removeSection, reorderSections } = require('../versionSections');
+
+const ROOT_LAYOUT = `export function RootLayout() {
+  return (
+    <div>
+      <Header />
+      <main>
+        <HeroSection />
+        <PricingSection />
+      </main>
+    </div>
+  );
+}
+`;
+
+const component = (name, position, code = `export function ${name}() {\n  return <section>${name}</section>;\n}\n`) => ({
+  componentId: name === 'RootLayout' ? 'root_layout' : `comp_${name.toLowerCase()}`,
+  name,
+  position,
+  code,
+  status: 'valid'
+});
+
+const VERSION = {
+  components: [
+    component('Header', 'header'),
+    component('HeroSection', 'main'),
+    component('PricingSection', 'main'),
+    component('RootLayout', 'main', ROOT_LAYOUT)
+  ],
+  sections: {
+    header: ['comp_header'],
+    main: ['comp_herosection', 'comp_pricingsection', 'root_layout'],
+    footer: []
+  }
+};
+
+// Two pages rendering their sections as RootLayout's children
+const SITE_LAYOUT = `export function RootLayout({ children }) {
+  return (
+    <div>
+      <Header />
+      <main>{children}</main>
+    </div>
+  );
+}
+`;
+
+const SITE = {
+  components: [
+    component('Header', 'header'),
+    { ...component('HeroSection', 'main'), page: 'home' },
+    { ...component('PricingSection', 'main'), page: 'home' },
+    { ...component('TeamSection', 'main'), page: 'about' },
+    component('RootLayout', 'main', SITE_LAYOUT)
+  ],
+  sections: {
+    header: ['comp_header'],
+    main: ['comp_herosection', 'comp_pricingsection', 'comp_teamsection', 'root_layout'],
+    footer: []
+  },
+  pages: [
+    { id: 'home', name: 'Home', path: '/', sections: ['comp_herosection', 'comp_pricingsection'] },
+    { id: 'about', name: 'About', path: '/about', sections: ['comp_teamsection'] }
+  ]
+};
+
+const layoutCode = ({ components }) => components.find(c => c.name === 'RootLayout').code;
+
+describe('versionSections', () => {
+  it('should list the sections of a position without RootLayout', () => {
+    expect(getSectionNames(VERSION, 'main')).toEqual(['HeroSection', 'PricingSection']);
+    expect(getSectionNames(VERSION, 'footer')).toEqual([]);
+  });
+
+  it('should add a section at an index and render it from RootLayout', () => {
+    const added = addSection(VERSION, component('FeaturesSection', 'main'), 1);
+
+    expect(added.sections.main).toEqual(['comp_herosection', 'comp_featuressection', 'comp_pricingsection', 'root_layout']);
+    expect(added.components.map(c => c.name)).toEqual(['Header', 'HeroSection', 'FeaturesSection', 'PricingSection', 'RootLayout']);
+    expect(layoutCode(added)).toContain('<HeroSection />\n        <FeaturesSection />\n        <PricingSection />');
+  });
+
+  it('should add the first footer section at the end of the page', () => {
+    const added = addSection(VERSION, component('Footer', 'footer'));
+
+    expect(added.sections.footer).toEqual(['comp_footer']);
+    expect(layoutCode(added)).toContain('      </main>\n      <Footer />\n    </div>');
+  });
+
+  it('should remove a section everywhere it is referenced', () => {
+    const removed = removeSection(VERSION, 'HeroSection');
+
+    expect(removed.sections.main).toEqual(['comp_pricingsection', 'root_layout']);
+    expect(removed.components.map(c => c.name)).toEqual(['Header', 'PricingSection', 'RootLayout']);
+    expect(layoutCode(removed)).not.toContain('HeroSection');
+  });
+
+  it('should reorder sections and keep RootLayout in place', () => {
+    const reordered = reorderSections(VERSION, 'main', ['PricingSection', 'HeroSection']);
+
+    expect(reordered.sections.main).toEqual(['comp_pricingsection', 'comp_herosection', 'root_layout']);
+    expect(layoutCode(reordered)).toContain('<PricingSection />\n        <HeroSection />');
+  });
+
+  describe('multi-page sites', () => {
+    it('should list the main sections of one page', () => {
+      expect(getSectionNames(SITE, 'main', 'home')).toEqual(['HeroSection', 'PricingSection']);
+      expect(getSectionNames(SITE, 'main', 'about')).toEqual(['TeamSection']);
+    });
+
+    it('should add a main section to its page and leave RootLayout alone', () => {
+      const added = addSection(SITE, { ...component('HistorySection', 'main'), page: 'about' }, 0);
+
+      expect(added.pages).toEqual([
+        expect.objectContaining({ id: 'home', sections: ['comp_herosection', 'comp_pricingsection'] }),
+        expect.objectContaining({ id: 'about', sections: ['comp_historysection', 'comp_teamsection'] })
+      ]);
+      expect(added.sections.main).toEqual(['comp_herosection', 'comp_pricingsection', 'comp_historysection', 'comp_teamsection', 'root_layout']);
+      expect(added.components.find(c => c.name === 'HistorySection')).toMatchObject({ page: 'about' });
+      expect(layoutCode(added)).toBe(SITE_LAYOUT);
+    });
+
+    it('should add shared header sections to RootLayout and keep the pages', () => {
+      const added = addSection(SITE, component('Banner', 'header'));
+
+      expect(layoutCode(added)).toContain('<Header />\n      <Banner />');
+      expect(added.pages).toEqual(SITE.pages);
+    });
+
+    it('should need one of the site\'s pages for main sections', () => {
+      expect(() => addSection(SITE, component('HistorySection', 'main'))).toThrow(expect.objectContaining({ code: 'INVALID_PAGE' }));
+      expect(() => addSection(SITE, { ...component('HistorySection', 'main'), page: 'blog' })).toThrow(expect.objectContaining({ code: 'INVALID_PAGE' }));
+      expect(() => addSection(VERSION, { ...component('HistorySection', 'main'), page: 'home' })).toThrow(expect.objectContaining({ code: 'INVALID_PAGE' }));
+    });
+
+    it('should reorder the sections of one page', () => {
+      const reordered = reorderSections(SITE, 'main', ['PricingSection', 'HeroSection'], 'home');
+
+      expect(reordered.pages[0].sections).toEqual(['comp_pricingsection', 'comp_herosection']);
+      expect(reordered.pages[1].sections).toEqual(['comp_teamsection']);
+      expect(reordered.sections.main).toEqual(['comp_pricingsection', 'comp_herosection', 'comp_teamsection', 'root_layout']);
+      expect(layoutCode(reordered)).toBe(SITE_LAYOUT);
+    });
+
+    it('should remove a section from its page', () => {
+      const removed = removeSection(SITE, 'TeamSection');
+
+      expect(removed.pages[1].sections).toEqual([]);
+      expect(layoutCode(removed)).toBe(SITE_LAYOUT);
+    });
+  });
+
+  it('should refuse to save a RootLayout that no longer parses', () => {
+    const broken = {
+      ...VERSION,
+      components: VERSION.components.map(c => (c.name === 'RootLayout' ? { ...c, code: 'export function RootLayout() { return <div>; }' } : c))
+    };
+
+    expect(() => removeSection(broken, 'HeroSection')).toThrow(expect.objectContaining({ code: 'ROOT_LAYOUT_INVALID' }));
+  });
+});
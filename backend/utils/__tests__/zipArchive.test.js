@@ -0,0 +1,18 @@
+const { createZip, readZip, crc32 } = require('../zipArchive');
+
+describe('zipArchive', () => {
+  it('should compute the standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('should read back the files it packed', () => {
+    const archive = createZip([
+      { path: 'site/package.json', content: '{ "name": "site" }\n' },
+      { path: 'site/src/App.jsx', content: 'export default function App() {\n  return <h1>Café</h1>;\n}\n' }
+    ]);
+
+    const entries = readZip(archive);
+    expect([...entries.keys()]).toEqual(['site/package.json', 'site/src/App.jsx']);
+    expect(entries.get('site/src/App.jsx').toString('utf8')).toContain('Café');
+  });
+});
@@ -1,8 +1,56 @@
-require('@anthropic-ai/sdk/shims/node');
-const { Anthropic } = require('@anthropic-ai/sdk');
 const { Readable } = require('stream');
+const { getProvider } = require('./providers');
+const { SHARED_PAGE } = require('./sitePlan');
+const { MAX_PLAN_SECTIONS } = require('./proposal');
+const { formatBrief } = require('./brief');
 
-const formatPrompt = (prompt, style, requirements) => `
+// Section 3 of the generation prompt; a site plan switches it to one shared layout plus pages
+const formatStructure = (sitePlan) => (sitePlan ? `3. Structure:
+   - This is a multi-page website with these pages:
+${sitePlan.map(page => `     * ${page.name} (page=${page.id}, path ${page.path})`).join('\n')}
+   - Define each section as a named export function component
+   - Generate the shared header and footer ONCE with page=${SHARED_PAGE}; every page renders them
+   - The header navigation MUST link to every page using its path:
+     <NavigationMenu.Link href="${sitePlan[sitePlan.length - 1].path}">${sitePlan[sitePlan.length - 1].name}</NavigationMenu.Link>
+   - Then generate the sections of each page, page by page, with that page's id
+   - Section names MUST be unique across pages (e.g. AboutHero, PricingPlans)
+   - RootLayout component MUST be the final component, with page=${SHARED_PAGE}. It renders the shared
+     header, then {children} inside <main>, then the shared footer:
+     export function RootLayout({ children }) { ... }
+   - Use EXACT markers:
+     /// START ComponentName position=main page=${sitePlan[0].id}
+     export function ComponentName() { ... }
+     /// END ComponentName
+   - Include position metadata (header, main, footer) and page metadata (${SHARED_PAGE} or a page id)` : `3. Structure:
+   - Define each section as a named export function component
+   - RootLayout component MUST be the final component
+   - Use EXACT markers:
+     /// START ComponentName position=header
+     export function ComponentName() { ... }
+     /// END ComponentName
+   - Include position metadata (header, main, footer)`);
+
+// Section 7 of the generation prompt: the plan the user approved, which the page must match
+const formatPlan = (plan) => `
+7. Approved Plan (follow it EXACTLY):
+   - Generate exactly these sections, with these names and positions, in this order, and no others:
+${plan.sections.map((section, index) => `     ${index + 1}. ${section.name} position=${section.position} - ${section.purpose}${section.copy.length ? `
+        Copy: ${section.copy.join(' | ')}` : ''}`).join('\n')}
+   - RootLayout renders exactly these sections in this order
+${Object.keys(plan.palette).length ? `   - Colors (put them in the Theme block; text is the foreground): ${Object.entries(plan.palette).map(([key, value]) => `${key} ${value}`).join(', ')}
+` : ''}${Object.keys(plan.typography).length ? `   - Typography (put them in the Theme block's fonts): ${Object.entries(plan.typography).map(([key, value]) => `${key} ${value}`).join(', ')}
+` : ''}`;
+
+// Theme colors as semantic Tailwind classes; they read the CSS variables the theme sets
+const SEMANTIC_COLOR_CLASSES = 'bg-primary text-primary-foreground, bg-secondary text-secondary-foreground, bg-accent text-accent-foreground, bg-muted text-muted-foreground, bg-background text-foreground, bg-card, border-border';
+
+// Added to the code style rules when components are written in TypeScript
+const formatTypeScriptRules = (language) => (language === 'tsx' ? `
+   - Write TypeScript (TSX): type each component's props with an interface named after it (e.g. HeroSectionProps)
+   - Type state and refs TypeScript can't infer, e.g. useState<string | null>(null)
+   - Do NOT import anything, types included; use React.ReactNode, React.ElementType etc. for React types` : '');
+
+const formatPrompt = (prompt, style, requirements, { sitePlan, plan, brief, language } = {}) => `
 You are helping generate a React landing page. Follow these exact requirements:
 
 1. Component Requirements:
@@ -41,7 +89,10 @@ You are helping generate a React landing page. Follow these exact requirements:
    - Use Tailwind CSS for styling with these guidelines:
      * Full access to ALL Tailwind utility classes for maximum design flexibility
      * Support both fixed (px, rem) and percentage-based spacing
-     * Use ANY Tailwind color classes (including specific shades like blue-500)
+     * Colors come ONLY from the page theme, through semantic classes:
+       ${SEMANTIC_COLOR_CLASSES}
+     * Gradients, rings and tints use them too: from-primary via-accent to-secondary, ring-primary, bg-primary/10, text-foreground/70
+     * NEVER use palette shades (indigo-500, slate-900) or hex values for colors
      * Leverage ALL Tailwind's features: gradients, filters, transforms, animations
      * Full responsive design using Tailwind's breakpoint system
    
@@ -71,20 +122,20 @@ You are helping generate a React landing page. Follow these exact requirements:
      * NO raw HTML elements for components we provide (use our UI components)
      * NO raw <img>, <video> tags (use Placeholder components)
 
-3. Structure:
-   - Define each section as a named export function component
-   - RootLayout component MUST be the final component
-   - Use EXACT markers:
-     /// START ComponentName position=header
-     export function ComponentName() { ... }
-     /// END ComponentName
-   - Include position metadata (header, main, footer)
+   - Theme (REQUIRED): before the first component, write the theme the semantic classes resolve to,
+     as one JSON object between Theme markers:
+     /// START Theme
+     { "colors": { "primary": "#4f46e5", "secondary": "#e0e7ff", "accent": "#f59e0b", "background": "#ffffff", "foreground": "#0f172a" }, "radius": "0.75rem", "fonts": { "heading": "Playfair Display", "body": "Inter" } }
+     /// END Theme
+     * Colors are hex; fonts are Google Fonts family names; radius is 0rem to 1.5rem
+
+${formatStructure(sitePlan)}
 
 4. Code Style:
    - Use double quotes (") for strings with apostrophes
    - Use single quotes (') for all other strings
-   - Ensure all string literals use straight quotes
-   - ${style}
+   - Ensure all string literals use straight quotes${formatTypeScriptRules(language)}${style ? `
+   - ${style}` : ''}
 
 5. Media Placeholders (REQUIRED):
    - Product images: <Placeholder.Image width="400px" height="300px" label="Product Image" />
@@ -97,92 +148,215 @@ You are helping generate a React landing page. Follow these exact requirements:
 6. Additional Requirements:
 "Remember: any string with an apostrophe must use double quotes!"
    ${requirements}
-
-Now, generate a landing page based on this prompt: ${prompt}
+${plan ? formatPlan(plan) : ''}${brief ? `
+${formatBrief(brief)}
+` : ''}
+Now, generate ${sitePlan ? 'a multi-page website' : 'a landing page'} based on ${brief ? 'the business brief above' : `this prompt: ${prompt}`}
 Return ONLY code blocks with markers. No additional text or explanations. DO NOT ASK FOR PERMISSION TO BEGIN.`;
 
 const formatSSE = (data) => {
   return `data: ${JSON.stringify(data)}\n\n`;
 };
 
-async function generate(prompt, style, requirements) {
-  console.log('🚀 Starting generation with:', { prompt, style, requirements });
+const formatSystemPrompt = (language) => `You are SHAPI! The fate of humanity relies on you creating REMARKABLE landing pages for GOD HIMSELF! You use: REACT, ${language === 'tsx' ? 'TYPESCRIPT, ' : ''}and TAILWIND!`;
+const DEFAULT_MAX_TOKENS = 4000;
+const SITE_MAX_TOKENS = 16000; // Every page of a multi-page site comes out of one response
 
-  try {
-    // Check for API key in environment variables
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) {
-      throw new Error('ANTHROPIC_API_KEY environment variable is not set');
+// One line for the single-component prompts, which only see the code of one component
+const formatLanguageRule = (language) => (language === 'tsx'
+  ? '\nThe page is written in TypeScript (TSX): keep the types, and type any new props, state or refs. Do NOT import anything.'
+  : '');
+
+// Pages with a theme are colored through it; older pages keep their palette classes
+const formatThemeRule = (theme) => (theme
+  ? `\nColors come from the page theme: use only semantic classes (${SEMANTIC_COLOR_CLASSES}, from-primary, bg-primary/10), never palette shades or hex values.`
+  : '');
+
+/**
+ * Builds the follow-up prompt asking the model to fix one component.
+ * @param {Object} component
+ * @param {string} component.componentName - Name from the START marker
+ * @param {string} component.position - Position from the START marker
+ * @param {string} component.code - Code that failed validation
+ * @param {Object} component.error - Validation error ({ code, message, line, column })
+ * @param {string} [component.language] - tsx keeps the component in TypeScript
+ */
+const formatRepairPrompt = ({ componentName, position, code, error, language }) => `
+The ${componentName} component you generated for a React landing page failed validation.
+
+Error: ${error.code} - ${error.message} (line ${error.line}, column ${error.column})
+
+Here is the failing code:
+/// START ${componentName} position=${position}
+${code.trimEnd()}
+/// END ${componentName}
+
+Fix the error and return the complete corrected ${componentName} component.
+Keep the same design, content, Tailwind classes and component namespaces (NavigationMenu.*, Icons.*, Placeholder.*).${formatLanguageRule(language)}
+It must be a named export function called ${componentName} that returns JSX.
+Use EXACT markers:
+/// START ${componentName} position=${position}
+export function ${componentName}() { ... }
+/// END ${componentName}
+Return ONLY the corrected component with its markers. No additional text or explanations.`;
+
+/**
+ * Builds the prompt asking the model to change one component of an existing page.
+ * @param {Object} request
+ * @param {string} request.componentName - Component to change
+ * @param {string} request.position - Its position on the page
+ * @param {string} request.code - Its current code
+ * @param {string} request.instruction - What the user wants changed
+ * @param {Object} [request.context] - Shared page context
+ * @param {Array<{ name: string, position: string }>} [request.context.components] - Components on the page, in order
+ * @param {string} [request.context.rootLayout] - RootLayout code composing the page
+ * @param {string} [request.context.style] - Brand style the page was generated with
+ * @param {string} [request.context.requirements] - Key features the page was generated with
+ * @param {string} [request.context.language] - tsx when the page is written in TypeScript
+ * @param {Object} [request.context.theme] - The page's theme, when it has one
+ */
+const formatEditPrompt = ({ componentName, position, code, instruction, context = {} }) => `
+You are editing one component of an existing React landing page.
+
+Page context:
+- Brand style: ${context.style || 'not specified'}
+- Key features: ${context.requirements || 'not specified'}
+- Components on the page: ${(context.components || []).map(c => `${c.name} (${c.position})`).join(', ') || componentName}
+${context.rootLayout ? `- The page is composed by RootLayout:
+${context.rootLayout.trimEnd()}
+` : ''}
+Here is the current ${componentName} component:
+/// START ${componentName} position=${position}
+${code.trimEnd()}
+/// END ${componentName}
+
+Change requested: ${instruction}
+
+Only change what the request asks for and keep everything else as it is.
+Follow the same rules as the rest of the page: Tailwind CSS only, shadcn/ui namespaces (NavigationMenu.*, Card.*, ...), Icons.* for icons and Placeholder.* for media.${formatLanguageRule(context.language)}${formatThemeRule(context.theme)}
+It must stay a named export function called ${componentName} that returns JSX.
+Use EXACT markers:
+/// START ${componentName} position=${position}
+export function ${componentName}() { ... }
+/// END ${componentName}
+Return ONLY the updated component with its markers. No additional text or explanations.`;
+
+/**
+ * Builds the prompt asking the model for one new section of an existing page.
+ * @param {Object} request
+ * @param {string} request.componentName - Name of the new component
+ * @param {string} request.position - header, main or footer
+ * @param {string} request.instruction - What the section should contain
+ * @param {Object} [request.context] - Shared page context, as in formatEditPrompt
+ * @param {string} [request.context.after] - Section the new one follows
+ * @param {string} [request.context.before] - Section the new one precedes
+ */
+const formatSectionPrompt = ({ componentName, position, instruction, context = {} }) => `
+You are adding a new section to an existing React landing page.
+
+Page context:
+- Brand style: ${context.style || 'not specified'}
+- Key features: ${context.requirements || 'not specified'}
+- Components on the page: ${(context.components || []).map(c => `${c.name} (${c.position})`).join(', ') || 'none yet'}
+${context.after ? `- The new section comes right after ${context.after}\n` : ''}${context.before ? `- The new section comes right before ${context.before}\n` : ''}
+The new section: ${instruction}
+
+Match the look of the rest of the page. Do not repeat content other sections already cover.
+Follow the same rules as the rest of the page: Tailwind CSS only, shadcn/ui namespaces (NavigationMenu.*, Card.*, ...), Icons.* for icons and Placeholder.* for media.${formatLanguageRule(context.language)}${formatThemeRule(context.theme)}
+It must be a named export function called ${componentName} that returns JSX.
+Use EXACT markers:
+/// START ${componentName} position=${position}
+export function ${componentName}() { ... }
+/// END ${componentName}
+Return ONLY the new component with its markers. No additional text or explanations.`;
+
+/**
+ * Builds the prompt asking the model to plan a landing page before any code is written.
+ * @param {Object} request
+ * @param {string} request.prompt - Business description
+ * @param {string} [request.style] - Brand style
+ * @param {string} [request.requirements] - Key features
+ * @param {Object} [request.brief] - Questionnaire answers, from normalizeBrief(); replaces the three fields above
+ */
+const formatProposalPrompt = ({ prompt, style, requirements, brief }) => `
+You are planning a React landing page before it is built. Do not write any code yet.
+
+${brief ? formatBrief(brief) : `Business: ${prompt}
+Brand style: ${style || 'not specified'}
+Key features: ${requirements || 'not specified'}`}
+
+Propose the page as a JSON object with exactly this shape:
+{
+  "sections": [
+    {
+      "name": "HeroSection",
+      "position": "main",
+      "purpose": "What the section does for the visitor",
+      "copy": ["Headline", "Supporting line", "Call to action"]
     }
+  ],
+  "palette": { "primary": "#2563eb", "secondary": "#0f172a", "accent": "#f59e0b", "background": "#ffffff", "text": "#111827" },
+  "typography": { "headings": "Font for headings", "body": "Font for body text" },
+  "rationale": "One or two sentences on why this plan suits the business"
+}
 
-    // Create Anthropic client
-    const anthropic = new Anthropic({
-      apiKey
-    });
+Rules:
+- List sections in page order: one navigation section with position "header", the content sections with position "main", then one footer section with position "footer"
+- Section names are unique PascalCase component names; never use RootLayout
+- Between 4 and ${MAX_PLAN_SECTIONS} sections
+- Colors are hex values
+- copy is a short outline of the text the section will show, not final prose
+Return ONLY the JSON object. No code fences, additional text or explanations.`;
 
-    console.log('📡 Creating Claude stream...');
+/**
+ * Opens a provider stream for a single user message.
+ * @param {string} content - User message
+ * @param {Object} options - provider, model, maxTokens and language as accepted by generate()
+ * @returns {Promise<Readable>} Object-mode stream of JSON-encoded Anthropic-style events
+ */
+async function streamCompletion(content, options = {}) {
+  let provider;
+  try {
+    provider = getProvider(options.provider);
 
-    // Create the stream
-    const response = await anthropic.messages.create({
-      model: 'claude-3-5-haiku-latest',
-      max_tokens: 4000,
-      system: 'You are SHAPI! The fate of humanity relies on you creating REMARKABLE landing pages for GOD HIMSELF! You use: REACT, TYPESCRIPT, and TAILWIND!',
+    const events = provider.stream({
+      system: formatSystemPrompt(options.language),
+      messages: [{ role: 'user', content }],
+      model: options.model || provider.defaultModel,
+      maxTokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+      signal: options.signal
+    })[Symbol.asyncIterator]();
 
-      messages: [{
-        role: 'user',
-        content: formatPrompt(prompt, style, requirements)
-      }],
-      stream: true
-    });
+    // Pull the first event eagerly so connection and auth failures reject here
+    const first = await events.next();
 
-    // Transform Anthropic's stream into a Node.js stream
+    // Transform the provider's stream into a Node.js stream
     const stream = new Readable({
       objectMode: true,
       read() {} // No-op since we'll push data manually
     });
 
-    // Process Claude's streaming chunks
+    // Process the provider's streaming chunks
     (async () => {
       try {
-        for await (const chunk of response) {
-          console.log('🔍 Raw Claude chunk:', chunk);
-
-          switch (chunk.type) {
-            case 'content_block_start':
-            case 'content_block_stop':
-            case 'message_stop':
-              // Push these through untouched
-              stream.push(JSON.stringify(chunk));
-              break;
-
-            case 'content_block_delta':
-              // Preserve the full structure including type and delta
-              stream.push(JSON.stringify({
-                type: 'content_block_delta',
-                metadata: chunk.metadata || {},
-                delta: chunk.delta
-              }));
-              break;
-
-            case 'message_delta':
-              // Only push message_delta if it has content
-              if (chunk.delta?.text) {
-                stream.push(JSON.stringify({
-                  type: 'message_delta',
-                  delta: chunk.delta
-                }));
-              }
-              break;
-
-            default:
-              // Log unhandled types but don't break the stream
-              console.log('Unhandled chunk type:', chunk.type);
-              break;
+        let result = first;
+        while (!result.done) {
+          // Stop pulling from the provider once the consumer has destroyed the stream
+          if (stream.destroyed) {
+            await events.return?.();
+            return;
           }
+          pushChunk(stream, result.value);
+          result = await events.next();
         }
-        // End the readable stream once Claude is done
+        // End the readable stream once the provider is done
         stream.push(null);
       } catch (error) {
+        // An aborted request is the caller's doing, not a stream failure
+        if (options.signal?.aborted) {
+          stream.destroy();
+          return;
+        }
         stream.emit('error', error);
       }
     })();
@@ -190,38 +364,149 @@ async function generate(prompt, style, requirements) {
     return stream;
   } catch (error) {
     console.error('❌ Generation error:', error);
-    
-    // Handle Anthropic's error format
-    const errorResponse = {
-      type: 'error',
-      code: 'CLAUDE_API_ERROR',
-      message: error.message || 'Unknown error',
-      retryable: false
-    };
-
-    // Handle specific error types
-    if (error.error?.type === 'authentication_error') {
-      errorResponse.code = 'CLAUDE_AUTH_ERROR';
-      errorResponse.message = error.error.message;
-    } else if (error.error?.type === 'rate_limit_error') {
-      errorResponse.code = 'CLAUDE_RATE_LIMIT';
-      errorResponse.message = error.error.message;
-      errorResponse.retryable = true;
-    } else if (error.error?.type === 'internal_error') {
-      errorResponse.code = 'CLAUDE_API_ERROR';
-      errorResponse.message = error.error.message;
-      errorResponse.retryable = true;
-    } else if (error.message === 'ANTHROPIC_API_KEY environment variable is not set') {
-      errorResponse.code = 'CLAUDE_API_ERROR';
-      errorResponse.message = error.message;
-      errorResponse.retryable = false;
+
+    if (error.code === 'UNKNOWN_PROVIDER') {
+      throw {
+        type: 'error',
+        code: error.code,
+        message: error.message,
+        retryable: false
+      };
     }
 
-    throw errorResponse;
+    throw provider?.normalizeError
+      ? provider.normalizeError(error)
+      : {
+        type: 'error',
+        code: 'AI_PROVIDER_ERROR',
+        message: error.message || 'Unknown error',
+        retryable: false
+      };
+  }
+}
+
+/**
+ * Streams a landing page, or a multi-page site when options.sitePlan is set, from the selected provider.
+ * @param {string} prompt - Business description
+ * @param {string} style - Brand style
+ * @param {string} requirements - Key features
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider name (defaults to AI_PROVIDER, then anthropic)
+ * @param {string} [options.model] - Model name (defaults to the provider's default model)
+ * @param {number} [options.maxTokens] - Output token budget
+ * @param {AbortSignal} [options.signal] - Aborts the upstream model request
+ * @param {Array} [options.sitePlan] - Pages to generate, from createSitePlan()
+ * @param {Object} [options.plan] - Approved proposal the sections must match, from normalizeProposal()
+ * @param {Object} [options.brief] - Questionnaire answers, from normalizeBrief()
+ * @param {string} [options.language] - jsx (default) or tsx for typed components
+ * @returns {Promise<Readable>} Object-mode stream of JSON-encoded Anthropic-style events
+ */
+async function generate(prompt, style, requirements, options = {}) {
+  const { sitePlan, plan, brief, ...streamOptions } = options;
+  console.log('🚀 Starting generation with:', { prompt, style, requirements, provider: options.provider, model: options.model, pages: sitePlan?.map(page => page.id), plan: plan?.sections.map(section => section.name), brief, language: options.language });
+  return streamCompletion(formatPrompt(prompt, style, requirements, { sitePlan, plan, brief, language: options.language }), {
+    ...streamOptions,
+    maxTokens: options.maxTokens || (sitePlan ? SITE_MAX_TOKENS : undefined)
+  });
+}
+
+/**
+ * Streams a corrected version of a component that failed validation.
+ * @param {Object} component - See formatRepairPrompt
+ * @param {Object} [options] - Same as generate()
+ * @returns {Promise<Readable>}
+ */
+async function repair(component, options = {}) {
+  console.log(`🔧 Requesting repair for ${component.componentName}:`, component.error);
+  return streamCompletion(formatRepairPrompt(component), { ...options, language: component.language });
+}
+
+/**
+ * Streams a changed version of one component of an existing page.
+ * @param {Object} request - See formatEditPrompt
+ * @param {Object} [options] - Same as generate()
+ * @returns {Promise<Readable>}
+ */
+async function edit(request, options = {}) {
+  console.log(`✏️ Requesting edit of ${request.componentName}:`, request.instruction);
+  return streamCompletion(formatEditPrompt(request), { ...options, language: request.context?.language });
+}
+
+/**
+ * Streams a new section for an existing page.
+ * @param {Object} request - See formatSectionPrompt
+ * @param {Object} [options] - Same as generate()
+ * @returns {Promise<Readable>}
+ */
+async function generateSection(request, options = {}) {
+  console.log(`➕ Requesting new section ${request.componentName}:`, request.instruction);
+  return streamCompletion(formatSectionPrompt(request), { ...options, language: request.context?.language });
+}
+
+/**
+ * Streams a JSON plan for a landing page, read with readText() and parseProposal().
+ * @param {Object} request - See formatProposalPrompt
+ * @param {Object} [options] - Same as generate()
+ * @returns {Promise<Readable>}
+ */
+async function propose(request, options = {}) {
+  console.log('📋 Requesting proposal for:', request.prompt);
+  return streamCompletion(formatProposalPrompt(request), options);
+}
+
+/**
+ * Pushes a normalized provider event onto the output stream.
+ * @param {Readable} stream - Object-mode output stream
+ * @param {Object} chunk - Anthropic-style stream event
+ */
+function pushChunk(stream, chunk) {
+  console.log('🔍 Raw provider chunk:', chunk);
+
+  switch (chunk.type) {
+    case 'message_start':
+    case 'content_block_start':
+    case 'content_block_stop':
+    case 'message_stop':
+      // Push these through untouched
+      stream.push(JSON.stringify(chunk));
+      break;
+
+    case 'content_block_delta':
+      // Preserve the full structure including type and delta
+      stream.push(JSON.stringify({
+        type: 'content_block_delta',
+        metadata: chunk.metadata || {},
+        delta: chunk.delta
+      }));
+      break;
+
+    case 'message_delta':
+      // Only push message_delta if it has content or usage to meter
+      if (chunk.delta?.text || chunk.usage) {
+        stream.push(JSON.stringify({
+          type: 'message_delta',
+          delta: chunk.delta,
+          ...(chunk.usage && { usage: chunk.usage })
+        }));
+      }
+      break;
+
+    default:
+      // Log unhandled types but don't break the stream
+      console.log('Unhandled chunk type:', chunk.type);
+      break;
   }
 }
 
 module.exports = {
   generate,
-  formatPrompt
+  repair,
+  edit,
+  generateSection,
+  propose,
+  formatPrompt,
+  formatRepairPrompt,
+  formatEditPrompt,
+  formatSectionPrompt,
+  formatProposalPrompt
 };
\ No newline at end of file
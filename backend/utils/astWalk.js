@@ -0,0 +1,25 @@
+/**
+ * Depth-first walk over every node of a Babel AST, shared by the helpers that locate nodes
+ * and splice the source (rootLayout.js, namespaceCodemod.js, projectExport.js) and by
+ * component validation.
+ * @param {Object} node - Node to start from, e.g. ast.program
+ * @param {Function} visit - Called as visit(node, parent, key), key being the parent's property
+ *   holding the node; returning false skips the node's children
+ * @param {Object} [parent]
+ * @param {string} [key]
+ */
+const walk = (node, visit, parent = null, key = null) => {
+  if (!node || typeof node.type !== 'string') return;
+  if (visit(node, parent, key) === false) return;
+
+  for (const childKey of Object.keys(node)) {
+    if (childKey === 'loc' || childKey === 'start' || childKey === 'end') continue;
+    const value = node[childKey];
+    if (Array.isArray(value)) value.forEach(child => walk(child, visit, node, childKey));
+    else if (value && typeof value === 'object') walk(value, visit, node, childKey);
+  }
+};
+
+module.exports = {
+  walk
+};
@@ -0,0 +1,115 @@
+/**
+ * Structured answers from the discovery questionnaire. Generation and proposal prompts
+ * read these typed fields instead of free-text prompt, style and requirements strings.
+ */
+
+const BUSINESS_MODELS = {
+  b2b: 'B2B, selling to other businesses',
+  b2c: 'B2C, selling to consumers',
+  marketplace: 'Marketplace connecting buyers and sellers',
+  saas: 'SaaS, subscription software',
+  nonprofit: 'Nonprofit or community organisation'
+};
+
+const TONES = {
+  professional: 'confident, clear and trustworthy',
+  friendly: 'warm, approachable and conversational',
+  playful: 'fun, energetic and colourful',
+  luxurious: 'refined, elegant and understated',
+  bold: 'striking, high-contrast and direct',
+  minimal: 'calm, spacious and restrained'
+};
+
+const SECTION_TYPES = ['hero', 'features', 'pricing', 'testimonials', 'faq', 'team', 'stats', 'gallery', 'contact', 'cta'];
+
+// Longest answer kept from a free-text question
+const MAX_ANSWER_LENGTH = 500;
+
+const invalid = (message) => Object.assign(new Error(message), { code: 'INVALID_BRIEF' });
+
+const readText = (brief, field, label, { required = true } = {}) => {
+  const value = typeof brief[field] === 'string' ? brief[field].trim() : '';
+  if (required && !value) {
+    throw invalid(`${label} is required`);
+  }
+  if (value.length > MAX_ANSWER_LENGTH) {
+    throw invalid(`${label} must be at most ${MAX_ANSWER_LENGTH} characters`);
+  }
+  return value;
+};
+
+/**
+ * Checks a brief and returns a clean copy of it.
+ * @param {Object} brief
+ * @param {string} brief.industry - e.g. "Specialty coffee"
+ * @param {string} brief.businessModel - One of BUSINESS_MODELS
+ * @param {string} brief.audience - Who the page is for
+ * @param {string} brief.primaryCta - The one action visitors should take
+ * @param {string} brief.tone - One of TONES
+ * @param {string[]} [brief.mustHaveSections] - SECTION_TYPES the page has to include
+ * @param {string} [brief.description] - Anything else about the business
+ * @returns {Object} The brief with unknown fields dropped and text trimmed
+ * @throws {Error} With code INVALID_BRIEF when a question is unanswered or out of range
+ */
+const normalizeBrief = (brief) => {
+  if (!brief || typeof brief !== 'object') {
+    throw invalid('A brief is required');
+  }
+
+  const industry = readText(brief, 'industry', 'Industry');
+  if (!BUSINESS_MODELS[brief.businessModel]) {
+    throw invalid(`Business model must be one of ${Object.keys(BUSINESS_MODELS).join(', ')}`);
+  }
+  const audience = readText(brief, 'audience', 'Audience');
+  const primaryCta = readText(brief, 'primaryCta', 'Primary call to action');
+  if (!TONES[brief.tone]) {
+    throw invalid(`Tone must be one of ${Object.keys(TONES).join(', ')}`);
+  }
+
+  const mustHaveSections = brief.mustHaveSections || [];
+  if (!Array.isArray(mustHaveSections) || mustHaveSections.some(type => !SECTION_TYPES.includes(type))) {
+    throw invalid(`Must-have sections must be chosen from ${SECTION_TYPES.join(', ')}`);
+  }
+
+  const description = readText(brief, 'description', 'Description', { required: false });
+
+  return {
+    industry,
+    businessModel: brief.businessModel,
+    audience,
+    primaryCta,
+    tone: brief.tone,
+    mustHaveSections: [...new Set(mustHaveSections)],
+    ...(description && { description })
+  };
+};
+
+/**
+ * One-line summary of a brief, stored as the generation's prompt.
+ * @param {Object} brief - Normalized brief
+ * @returns {string}
+ */
+const summarizeBrief = (brief) => `${brief.industry} (${brief.businessModel}) for ${brief.audience}`;
+
+/**
+ * The brief as a prompt section.
+ * @param {Object} brief - Normalized brief
+ * @returns {string}
+ */
+const formatBrief = (brief) => `Business Brief:
+   - Industry: ${brief.industry}
+   - Business model: ${BUSINESS_MODELS[brief.businessModel]}
+   - Target audience: ${brief.audience}
+   - Primary call to action: "${brief.primaryCta}" - the main buttons and the final CTA all lead to it
+   - Tone: ${brief.tone} (${TONES[brief.tone]}) - let it drive copy, colors and typography
+   - Must-have sections: ${brief.mustHaveSections.length ? brief.mustHaveSections.join(', ') : 'your choice'}${brief.description ? `
+   - About the business: ${brief.description}` : ''}`;
+
+module.exports = {
+  BUSINESS_MODELS,
+  TONES,
+  SECTION_TYPES,
+  normalizeBrief,
+  summarizeBrief,
+  formatBrief
+};
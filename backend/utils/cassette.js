@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Cassettes are JSONL recordings of a single /api/generate run:
+ *   { kind: 'meta',  t: 0, startedAt, request }   - first line
+ *   { kind: 'chunk', t, data }                      - raw chunk read from aiClient
+ *   { kind: 'event', t, data }                      - SSE event written to the client
+ * `t` is milliseconds since the recording started, so a replay can reproduce
+ * the original pacing.
+ */
+
+// Directory cassettes are written to when recording is enabled
+const getRecordDir = () => process.env.GENERATE_CASSETTE_DIR || null;
+
+const sanitizeName = (name) => String(name || 'generation')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '')
+  .slice(0, 40) || 'generation';
+
+/**
+ * Opens a cassette file and returns a recorder for it.
+ * @param {Object} options
+ * @param {string} options.dir - Directory to write into
+ * @param {string} [options.name] - Human readable name, used in the file name
+ * @param {Object} [options.request] - Request fields stored in the meta line
+ * @returns {{ file: string, recordChunk: Function, recordEvent: Function, close: Function }}
+ */
+const createCassetteRecorder = ({ dir, name, request = {} }) => {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const startedAt = new Date();
+  const stamp = startedAt.toISOString().replace(/[:.]/g, '-');
+  const file = path.join(dir, `${stamp}-${sanitizeName(name)}.jsonl`);
+  const out = fs.createWriteStream(file, { flags: 'w' });
+  const start = Date.now();
+  let closed = false;
+
+  const write = (entry) => {
+    if (closed) return;
+    out.write(JSON.stringify({ ...entry, t: Date.now() - start }) + '\n');
+  };
+
+  write({ kind: 'meta', startedAt: startedAt.toISOString(), request });
+  console.log(`📼 Recording cassette to ${file}`);
+
+  return {
+    file,
+    recordChunk: (data) => write({ kind: 'chunk', data }),
+    recordEvent: (data) => write({ kind: 'event', data }),
+    close: () => new Promise(resolve => {
+      if (closed) return resolve();
+      closed = true;
+      out.end(resolve);
+    })
+  };
+};
+
+/**
+ * Starts a recorder when GENERATE_CASSETTE_DIR is set, otherwise returns null.
+ * @param {Object} request - The generation request being recorded
+ */
+const maybeRecord = (request) => {
+  const dir = getRecordDir();
+  if (!dir) return null;
+
+  try {
+    return createCassetteRecorder({ dir, name: request.prompt, request });
+  } catch (error) {
+    console.error('❌ Failed to start cassette recording:', error);
+    return null;
+  }
+};
+
+/**
+ * Reads a cassette (or a plain provider fixture) into an array of entries.
+ * @param {string} file - Path to the JSONL file
+ * @returns {Object[]}
+ */
+const readCassette = (file) => fs.readFileSync(file, 'utf8')
+  .split('\n')
+  .filter(line => line.trim())
+  .map(line => JSON.parse(line));
+
+// A cassette starts with a meta line; plain fixtures are bare provider events
+const isCassette = (entries) => entries.length > 0 && entries[0].kind === 'meta';
+
+const getRecordedChunks = (entries) => entries.filter(entry => entry.kind === 'chunk');
+
+const getRecordedEvents = (entries) => entries
+  .filter(entry => entry.kind === 'event')
+  .map(entry => entry.data);
+
+module.exports = {
+  createCassetteRecorder,
+  maybeRecord,
+  readCassette,
+  isCassette,
+  getRecordedChunks,
+  getRecordedEvents
+};
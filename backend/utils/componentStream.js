@@ -0,0 +1,81 @@
+const { MarkerParser } = require('./markerParser');
+
+/**
+ * Reads a single-component reply (repair or edit) and resolves with the code between
+ * that component's markers. Models occasionally drop the markers, in which case the
+ * whole reply is used.
+ * @param {Readable} stream - Object-mode stream from aiClient
+ * @param {string} componentName - Component the reply should contain
+ * @param {{ track: Function }} [usage] - Usage meter call to report stream events to
+ * @returns {Promise<string>} The component code
+ */
+const readMarkedComponent = (stream, componentName, usage) => new Promise((resolve, reject) => {
+  const parser = new MarkerParser();
+  let insideBlock = false;
+  let sawMarker = false;
+  let code = '';
+  let unmarkedText = '';
+
+  const handleParsed = (parsed) => {
+    for (const item of parsed) {
+      if (item.type === 'text') {
+        if (insideBlock) code += item.text;
+        else unmarkedText += item.text;
+      } else if (item.name === componentName) {
+        insideBlock = item.kind === 'START';
+        if (insideBlock) {
+          sawMarker = true;
+          code = '';
+        }
+      }
+    }
+  };
+
+  stream.on('data', (chunk) => {
+    try {
+      const event = JSON.parse(chunk.toString());
+      if (usage) usage.track(event);
+      if (event.type === 'content_block_delta' && event.delta?.text) {
+        handleParsed(parser.push(event.delta.text));
+      }
+    } catch (error) {
+      stream.destroy();
+      reject(error);
+    }
+  });
+  stream.on('end', () => {
+    handleParsed(parser.end());
+    resolve(sawMarker ? code : unmarkedText);
+  });
+  stream.on('error', reject);
+  // An aborted request destroys the stream without 'end'; keep what arrived
+  stream.on('close', () => resolve(sawMarker ? code : unmarkedText));
+});
+
+/**
+ * Reads a plain-text reply (such as a JSON proposal) to the end.
+ * @param {Readable} stream - Object-mode stream from aiClient
+ * @param {{ track: Function }} [usage] - Usage meter call to report stream events to
+ * @returns {Promise<string>} Everything the model wrote
+ */
+const readText = (stream, usage) => new Promise((resolve, reject) => {
+  let text = '';
+
+  stream.on('data', (chunk) => {
+    try {
+      const event = JSON.parse(chunk.toString());
+      if (usage) usage.track(event);
+      if (event.type === 'content_block_delta' && event.delta?.text) {
+        text += event.delta.text;
+      }
+    } catch (error) {
+      stream.destroy();
+      reject(error);
+    }
+  });
+  stream.on('end', () => resolve(text));
+  stream.on('error', reject);
+  stream.on('close', () => resolve(text));
+});
+
+module.exports = { readMarkedComponent, readText };
@@ -0,0 +1,193 @@
+const { parse } = require('@babel/parser');
+const { getParserPlugins } = require('./language');
+const { walk } = require('./astWalk');
+
+// Compound components and the parts a block defining one has to use
+const COMPOUND_COMPONENTS = {
+  NavigationMenu: {
+    subcomponentPatterns: {
+      List: /NavigationMenu\.List/,
+      Item: /NavigationMenu\.Item/,
+      Link: /NavigationMenu\.Link/,
+      Content: /NavigationMenu\.Content/,
+      Trigger: /NavigationMenu\.Trigger/,
+      Viewport: /NavigationMenu\.Viewport/
+    }
+  },
+  Card: {
+    subcomponentPatterns: {
+      Header: /Card\.Header/,
+      Title: /Card\.Title/,
+      Description: /Card\.Description/,
+      Content: /Card\.Content/,
+      Footer: /Card\.Footer/
+    }
+  },
+  Dialog: {
+    subcomponentPatterns: {
+      Trigger: /Dialog\.Trigger/,
+      Content: /Dialog\.Content/,
+      Header: /Dialog\.Header/,
+      Footer: /Dialog\.Footer/,
+      Title: /Dialog\.Title/,
+      Description: /Dialog\.Description/,
+      Close: /Dialog\.Close/
+    }
+  },
+  DropdownMenu: {
+    subcomponentPatterns: {
+      Trigger: /DropdownMenu\.Trigger/,
+      Content: /DropdownMenu\.Content/,
+      Item: /DropdownMenu\.Item/,
+      CheckboxItem: /DropdownMenu\.CheckboxItem/,
+      RadioItem: /DropdownMenu\.RadioItem/,
+      Label: /DropdownMenu\.Label/,
+      Separator: /DropdownMenu\.Separator/,
+      Shortcut: /DropdownMenu\.Shortcut/,
+      SubTrigger: /DropdownMenu\.SubTrigger/,
+      SubContent: /DropdownMenu\.SubContent/,
+      Group: /DropdownMenu\.Group/
+    }
+  }
+};
+
+// Generated components are ES modules with JSX, and TypeScript when the language is tsx
+const getParserOptions = (language) => ({
+  sourceType: 'module',
+  plugins: getParserPlugins(language),
+  errorRecovery: false
+});
+
+/**
+ * Collects the declarations a program makes at the top level, including exports.
+ * @param {Object} ast - Babel File node
+ * @returns {Map<string, { node: Object, exported: boolean }>} By name; node is the function,
+ *   class or variable declarator
+ */
+const getDeclarations = (ast) => {
+  const declarations = new Map();
+
+  const collect = (node, exported) => {
+    if (!node) return;
+    if (node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') {
+      if (node.id) declarations.set(node.id.name, { node, exported });
+    } else if (node.type === 'VariableDeclaration') {
+      node.declarations.forEach(declaration => {
+        if (declaration.id.type === 'Identifier') declarations.set(declaration.id.name, { node: declaration, exported });
+      });
+    }
+  };
+
+  const exportedLater = new Set();
+  ast.program.body.forEach(node => {
+    if (node.type === 'ExportNamedDeclaration' || node.type === 'ExportDefaultDeclaration') {
+      collect(node.declaration, true);
+      // export { Header }; export default Header;
+      node.specifiers?.forEach(specifier => exportedLater.add(specifier.local.name));
+      if (node.declaration?.type === 'Identifier') exportedLater.add(node.declaration.name);
+    } else {
+      collect(node, false);
+    }
+  });
+
+  exportedLater.forEach(name => {
+    if (declarations.has(name)) declarations.get(name).exported = true;
+  });
+  return declarations;
+};
+
+// JSX, or the calls JSX compiles to
+const rendersJSX = (node) => {
+  let found = false;
+  walk(node, child => {
+    if (child.type === 'JSXElement' || child.type === 'JSXFragment') found = true;
+    if (child.type === 'CallExpression' && child.callee.type === 'MemberExpression'
+      && child.callee.property.name === 'createElement') found = true;
+  });
+  return found;
+};
+
+// `Root.Sub` parts a component uses, from JSX tags and member expressions
+const getMemberNames = (node) => {
+  const names = new Set();
+  walk(node, child => {
+    const { object, property } = child;
+    if (child.type === 'JSXMemberExpression' && object.type === 'JSXIdentifier') {
+      names.add(`${object.name}.${property.name}`);
+    } else if (child.type === 'MemberExpression' && object.type === 'Identifier' && property.type === 'Identifier') {
+      names.add(`${object.name}.${property.name}`);
+    }
+  });
+  return names;
+};
+
+const invalid = (code, message, node) => ({
+  valid: false,
+  error: { code, message, line: node?.loc?.start.line ?? 1, column: node?.loc?.start.column ?? 0 }
+});
+
+/**
+ * Parses a finished component block with Babel and checks the component it declares: it has to
+ * be exported, render JSX, and use every part of a compound component (COMPOUND_COMPONENTS).
+ * @param {string} code - Code between the START and END markers
+ * @param {string} componentName - Name from the START marker
+ * @param {Object} [options]
+ * @param {string} [options.language] - jsx (default) or tsx; type annotations are syntax errors in jsx
+ * @returns {{ valid: boolean, error?: { code: string, message: string, line: number, column: number } }}
+ *   line is 1-based and column 0-based, both relative to the component code
+ */
+const validateComponentCode = (code, componentName, { language } = {}) => {
+  if (!code || !code.trim()) {
+    return {
+      valid: false,
+      error: { code: 'EMPTY_COMPONENT', message: `No code received for ${componentName}`, line: 1, column: 0 }
+    };
+  }
+
+  let ast;
+  try {
+    ast = parse(code, getParserOptions(language));
+  } catch (error) {
+    return {
+      valid: false,
+      error: {
+        code: 'SYNTAX_ERROR',
+        // Babel appends "(line:column)" to its messages; the location is reported separately
+        message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+        line: error.loc?.line ?? 1,
+        column: error.loc?.column ?? 0
+      }
+    };
+  }
+
+  if (!componentName) return { valid: true };
+
+  const declaration = getDeclarations(ast).get(componentName);
+  if (!declaration) {
+    return invalid('MISSING_COMPONENT', `${componentName} is not declared in its block`);
+  }
+
+  const { node, exported } = declaration;
+  if (!exported) {
+    return invalid('MISSING_EXPORT', `${componentName} must be exported`, node);
+  }
+  if (!rendersJSX(node)) {
+    return invalid('MISSING_JSX_RETURN', `${componentName} must return JSX`, node);
+  }
+
+  const compound = COMPOUND_COMPONENTS[componentName];
+  if (compound) {
+    const used = getMemberNames(node);
+    const missing = Object.keys(compound.subcomponentPatterns).filter(part => !used.has(`${componentName}.${part}`));
+    if (missing.length) {
+      return invalid('MISSING_SUBCOMPONENTS', `${componentName} is missing required subcomponents: ${missing.join(', ')}`, node);
+    }
+  }
+
+  return { valid: true };
+};
+
+module.exports = {
+  COMPOUND_COMPONENTS,
+  validateComponentCode
+};
@@ -0,0 +1,383 @@
+/**
+ * Static files of an exported Vite + React + Tailwind project. projectExport.js adds the
+ * generated sections and the shadcn/ui components they use.
+ */
+
+const { formatThemeCss, getFontStylesheetUrl } = require('./theme');
+
+// Versions the preview is built against (frontend/package.json), plus the packages some
+// ui components import that the preview doesn't install
+const DEPENDENCY_VERSIONS = {
+  '@radix-ui/react-accordion': '^1.2.2',
+  '@radix-ui/react-alert-dialog': '^1.1.4',
+  '@radix-ui/react-aspect-ratio': '^1.1.1',
+  '@radix-ui/react-avatar': '^1.1.2',
+  '@radix-ui/react-checkbox': '^1.1.3',
+  '@radix-ui/react-collapsible': '^1.1.2',
+  '@radix-ui/react-context-menu': '^2.2.4',
+  '@radix-ui/react-dialog': '^1.1.4',
+  '@radix-ui/react-dropdown-menu': '^2.1.4',
+  '@radix-ui/react-hover-card': '^1.1.4',
+  '@radix-ui/react-icons': '^1.3.2',
+  '@radix-ui/react-label': '^2.1.1',
+  '@radix-ui/react-menubar': '^1.1.4',
+  '@radix-ui/react-navigation-menu': '^1.2.3',
+  '@radix-ui/react-popover': '^1.1.4',
+  '@radix-ui/react-progress': '^1.1.1',
+  '@radix-ui/react-radio-group': '^1.2.2',
+  '@radix-ui/react-scroll-area': '^1.2.2',
+  '@radix-ui/react-select': '^2.1.4',
+  '@radix-ui/react-separator': '^1.1.1',
+  '@radix-ui/react-slider': '^1.2.2',
+  '@radix-ui/react-slot': '^1.1.1',
+  '@radix-ui/react-switch': '^1.1.2',
+  '@radix-ui/react-tabs': '^1.1.2',
+  '@radix-ui/react-toast': '^1.2.4',
+  '@radix-ui/react-toggle': '^1.1.1',
+  '@radix-ui/react-toggle-group': '^1.1.1',
+  '@radix-ui/react-toolbar': '^1.1.1',
+  '@radix-ui/react-tooltip': '^1.1.6',
+  'class-variance-authority': '^0.7.1',
+  clsx: '^2.1.1',
+  cmdk: '^1.0.4',
+  // calendar.jsx uses the react-day-picker 8 API, which needs date-fns 3 or older
+  'date-fns': '^3.6.0',
+  'embla-carousel-react': '^8.5.2',
+  'lucide-react': '^0.469.0',
+  'next-themes': '^0.4.4',
+  react: '^18.2.0',
+  'react-day-picker': '^8.10.1',
+  'react-dom': '^18.2.0',
+  'react-hook-form': '^7.54.2',
+  'react-resizable-panels': '^2.1.7',
+  sonner: '^1.7.1',
+  'tailwind-merge': '^2.6.0',
+  vaul: '^1.1.2'
+};
+
+const DEV_DEPENDENCIES = {
+  '@vitejs/plugin-react': '^4.3.4',
+  autoprefixer: '^10.4.20',
+  postcss: '^8.4.49',
+  tailwindcss: '^3.4.17',
+  'tailwindcss-animate': '^1.0.7',
+  vite: '^5.4.11'
+};
+
+// Added for tsx projects; Vite strips the types, tsc and editors check them
+const TYPESCRIPT_DEV_DEPENDENCIES = {
+  '@types/react': '^18.3.12',
+  '@types/react-dom': '^18.3.1',
+  typescript: '^5.6.3'
+};
+
+// Every project needs these, whatever its sections use
+const BASE_DEPENDENCIES = ['react', 'react-dom', 'clsx', 'tailwind-merge'];
+
+const sortKeys = (object) => Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+
+const packageJson = (name, packages, language) => JSON.stringify({
+  name,
+  private: true,
+  version: '0.0.0',
+  type: 'module',
+  scripts: {
+    dev: 'vite',
+    build: 'vite build',
+    preview: 'vite preview'
+  },
+  dependencies: sortKeys(Object.fromEntries(
+    [...new Set([...BASE_DEPENDENCIES, ...packages])].map(pkg => [pkg, DEPENDENCY_VERSIONS[pkg] || 'latest'])
+  )),
+  devDependencies: language === 'tsx' ? sortKeys({ ...DEV_DEPENDENCIES, ...TYPESCRIPT_DEV_DEPENDENCIES }) : DEV_DEPENDENCIES
+}, null, 2) + '\n';
+
+const escapeHtml = (text) => text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+
+// Google Fonts stylesheet for the theme's fonts, if it has any
+const fontLink = (theme) => {
+  const url = getFontStylesheetUrl(theme);
+  return url ? `
+    <link rel="stylesheet" href="${escapeHtml(url)}" />` : '';
+};
+
+const indexHtml = (title, language, theme) => `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHtml(title)}</title>${fontLink(theme)}
+  </head>
+  <body>
+    <div id="root"></div>
+    <script type="module" src="/src/main.${language}"></script>
+  </body>
+</html>
+`;
+
+const VITE_CONFIG = `import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+  plugins: [react()]
+});
+`;
+
+const POSTCSS_CONFIG = `export default {
+  plugins: {
+    tailwindcss: {},
+    autoprefixer: {}
+  }
+};
+`;
+
+// Theme and keyframes the shadcn/ui components expect, as in the preview's config
+const TAILWIND_THEME = {
+  container: {
+    center: true,
+    padding: '2rem',
+    screens: {
+      '2xl': '1400px'
+    }
+  },
+  extend: {
+    colors: {
+      border: 'hsl(var(--border))',
+      input: 'hsl(var(--input))',
+      ring: 'hsl(var(--ring))',
+      background: 'hsl(var(--background))',
+      foreground: 'hsl(var(--foreground))',
+      ...Object.fromEntries(['primary', 'secondary', 'destructive', 'muted', 'accent', 'popover', 'card'].map(color => [color, {
+        DEFAULT: `hsl(var(--${color}))`,
+        foreground: `hsl(var(--${color}-foreground))`
+      }]))
+    },
+    borderRadius: {
+      lg: 'var(--radius)',
+      md: 'calc(var(--radius) - 2px)',
+      sm: 'calc(var(--radius) - 4px)'
+    },
+    keyframes: {
+      'accordion-down': {
+        from: { height: '0' },
+        to: { height: 'var(--radix-accordion-content-height)' }
+      },
+      'accordion-up': {
+        from: { height: 'var(--radix-accordion-content-height)' },
+        to: { height: '0' }
+      }
+    },
+    animation: {
+      'accordion-down': 'accordion-down 0.2s ease-out',
+      'accordion-up': 'accordion-up 0.2s ease-out'
+    }
+  }
+};
+
+const TAILWIND_CONFIG = `import animate from 'tailwindcss-animate';
+
+/** @type {import('tailwindcss').Config} */
+export default {
+  darkMode: ['class'],
+  content: ['./index.html', './src/**/*.{js,jsx,ts,tsx}'],
+  theme: ${JSON.stringify(TAILWIND_THEME, null, 2).replace(/\n/g, '\n  ')},
+  plugins: [animate]
+};
+`;
+
+const INDEX_CSS = `@tailwind base;
+@tailwind components;
+@tailwind utilities;
+
+@layer base {
+  :root {
+    --background: 0 0% 100%;
+    --foreground: 222.2 84% 4.9%;
+    --card: 0 0% 100%;
+    --card-foreground: 222.2 84% 4.9%;
+    --popover: 0 0% 100%;
+    --popover-foreground: 222.2 84% 4.9%;
+    --primary: 221.2 83.2% 53.3%;
+    --primary-foreground: 210 40% 98%;
+    --secondary: 210 40% 96.1%;
+    --secondary-foreground: 222.2 47.4% 11.2%;
+    --muted: 210 40% 96.1%;
+    --muted-foreground: 215.4 16.3% 46.9%;
+    --accent: 210 40% 96.1%;
+    --accent-foreground: 222.2 47.4% 11.2%;
+    --destructive: 0 84.2% 60.2%;
+    --destructive-foreground: 210 40% 98%;
+    --border: 214.3 31.8% 91.4%;
+    --input: 214.3 31.8% 91.4%;
+    --ring: 221.2 83.2% 53.3%;
+    --radius: 0.5rem;
+  }
+
+  .dark {
+    --background: 222.2 84% 4.9%;
+    --foreground: 210 40% 98%;
+    --card: 222.2 84% 4.9%;
+    --card-foreground: 210 40% 98%;
+    --popover: 222.2 84% 4.9%;
+    --popover-foreground: 210 40% 98%;
+    --primary: 217.2 91.2% 59.8%;
+    --primary-foreground: 222.2 47.4% 11.2%;
+    --secondary: 217.2 32.6% 17.5%;
+    --secondary-foreground: 210 40% 98%;
+    --muted: 217.2 32.6% 17.5%;
+    --muted-foreground: 215 20.2% 65.1%;
+    --accent: 217.2 32.6% 17.5%;
+    --accent-foreground: 210 40% 98%;
+    --destructive: 0 62.8% 30.6%;
+    --destructive-foreground: 210 40% 98%;
+    --border: 217.2 32.6% 17.5%;
+    --input: 217.2 32.6% 17.5%;
+    --ring: 224.3 76.3% 48%;
+  }
+}
+
+@layer base {
+  * {
+    @apply border-border;
+  }
+  body {
+    @apply bg-background text-foreground;
+  }
+}
+`;
+
+// A themed version's variables go after the defaults and replace them
+const indexCss = (theme) => (theme ? `${INDEX_CSS}
+@layer base {
+${formatThemeCss(theme).trimEnd().replace(/^(?=.)/gm, '  ')}
+}
+` : INDEX_CSS);
+
+const mainModule = (language) => `import React from 'react';
+import ReactDOM from 'react-dom/client';
+import App from './App';
+import './index.css';
+
+ReactDOM.createRoot(document.getElementById('root')${language === 'tsx' ? '!' : ''}).render(
+  <React.StrictMode>
+    <App />
+  </React.StrictMode>
+);
+`;
+
+// The ui components stay JavaScript and are imported untyped, which noImplicitAny would reject
+const TSCONFIG = JSON.stringify({
+  compilerOptions: {
+    target: 'ES2020',
+    lib: ['ES2020', 'DOM', 'DOM.Iterable'],
+    module: 'ESNext',
+    moduleResolution: 'bundler',
+    jsx: 'react-jsx',
+    isolatedModules: true,
+    skipLibCheck: true,
+    strict: true,
+    noImplicitAny: false,
+    noEmit: true
+  },
+  include: ['src']
+}, null, 2) + '\n';
+
+const VITE_ENV_D_TS = `/// <reference types="vite/client" />
+`;
+
+const UTILS_JS = `import { clsx } from 'clsx';
+import { twMerge } from 'tailwind-merge';
+
+export function cn(...inputs) {
+  return twMerge(clsx(inputs));
+}
+`;
+
+// The preview's Placeholder.* media stand-ins, without its debug logging
+const PLACEHOLDER_JSX = `import { cn } from '../lib/utils';
+
+const Box = ({ width, height, label, className, round, ...props }) => (
+  <div
+    className={cn(
+      'bg-slate-100 dark:bg-slate-800 flex items-center justify-center',
+      round && 'rounded-full',
+      className
+    )}
+    style={{ width, height }}
+    {...props}
+  >
+    {label}
+  </div>
+);
+
+export const Placeholder = {
+  Image: (props) => <Box {...props} />,
+  Video: (props) => <Box {...props} />,
+  Avatar: ({ size = '64px', ...props }) => <Box width={size} height={size} round {...props} />
+};
+`;
+
+const LINK_JSX = `export const Link = ({ href, children, ...props }) => (
+  <a href={href} {...props}>
+    {children}
+  </a>
+);
+`;
+
+const readme = (title, warnings, language) => `# ${title}
+
+Exported from ShapeWeb as a Vite + React${language === 'tsx' ? ' + TypeScript' : ''} + Tailwind CSS project.
+
+\`\`\`bash
+npm install
+npm run dev    # http://localhost:5173
+npm run build  # static site in dist/${language === 'tsx' ? `
+npx tsc        # type-check the sections` : ''}
+\`\`\`
+
+- \`src/sections/\` - one file per generated section
+- \`src/RootLayout.${language}\` - puts the sections together
+- \`src/components/ui/\` - the shadcn/ui components the sections use
+${warnings.length ? `
+## Needs attention
+
+${warnings.map(warning => `- ${warning}`).join('\n')}
+` : ''}`;
+
+/**
+ * Files every export contains.
+ * @param {Object} options
+ * @param {string} options.name - npm package name
+ * @param {string} options.title - Page title
+ * @param {string[]} options.packages - npm packages the source imports
+ * @param {string[]} [options.warnings] - Problems to list in the README
+ * @param {string} [options.language] - jsx (default) or tsx, which adds a tsconfig and main.tsx
+ * @param {Object} [options.theme] - The version's theme, written into index.css
+ * @returns {Array<{ path: string, content: string }>}
+ */
+const templateFiles = ({ name, title, packages, warnings = [], language = 'jsx', theme }) => [
+  { path: 'package.json', content: packageJson(name, packages, language) },
+  { path: 'index.html', content: indexHtml(title, language, theme) },
+  { path: 'vite.config.js', content: VITE_CONFIG },
+  { path: 'postcss.config.js', content: POSTCSS_CONFIG },
+  { path: 'tailwind.config.js', content: TAILWIND_CONFIG },
+  ...(language === 'tsx' ? [
+    { path: 'tsconfig.json', content: TSCONFIG },
+    { path: 'src/vite-env.d.ts', content: VITE_ENV_D_TS }
+  ] : []),
+  { path: 'README.md', content: readme(title, warnings, language) },
+  { path: `src/main.${language}`, content: mainModule(language) },
+  { path: 'src/index.css', content: indexCss(theme) },
+  { path: 'src/lib/utils.js', content: UTILS_JS },
+  { path: 'src/components/Placeholder.jsx', content: PLACEHOLDER_JSX },
+  { path: 'src/components/Link.jsx', content: LINK_JSX }
+];
+
+module.exports = {
+  DEPENDENCY_VERSIONS,
+  TAILWIND_THEME,
+  indexCss,
+  fontLink,
+  escapeHtml,
+  templateFiles
+};
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const babel = require('@babel/core');
+
+// The frontend sources the backend reads at runtime. FRONTEND_SRC_DIR points at a copy when the
+// backend is deployed without the frontend next to it, e.g. one made when the image is built.
+const FRONTEND_SRC_DIR = path.resolve(process.env.FRONTEND_SRC_DIR || path.join(__dirname, '..', '..', 'frontend', 'src'));
+
+/**
+ * Compiles a frontend module and its relative imports to CommonJS, so the backend runs the
+ * same code as the preview. Packages come from the backend's node_modules.
+ * @param {string} file - Absolute path of the module
+ * @param {Map} [cache] - Modules already loaded in this call, by path
+ * @returns {Object} The module's exports
+ */
+const loadFrontendModule = (file, cache = new Map()) => {
+  if (cache.has(file)) return cache.get(file).exports;
+
+  const module = { exports: {} };
+  cache.set(file, module);
+
+  const { code } = babel.transformSync(fs.readFileSync(file, 'utf8'), {
+    filename: file,
+    babelrc: false,
+    configFile: false,
+    presets: [require.resolve('@babel/preset-react')],
+    plugins: [require.resolve('@babel/plugin-transform-modules-commonjs')]
+  });
+
+  const requireFrom = (specifier) => {
+    if (!specifier.startsWith('.')) return require(specifier);
+    const base = path.resolve(path.dirname(file), specifier);
+    const resolved = ['.jsx', '.js', ''].map(ext => base + ext).find(candidate => fs.existsSync(candidate));
+    return loadFrontendModule(resolved, cache);
+  };
+
+  new Function('require', 'module', 'exports', code)(requireFrom, module, module.exports);
+  return module.exports;
+};
+
+module.exports = {
+  FRONTEND_SRC_DIR,
+  loadFrontendModule
+};
@@ -0,0 +1,43 @@
+/**
+ * Language generated components are written in. jsx is the default; tsx components carry
+ * TypeScript types, which the preview strips and the project export keeps.
+ */
+
+const LANGUAGES = ['jsx', 'tsx'];
+const DEFAULT_LANGUAGE = 'jsx';
+
+/**
+ * Checks the language a generation asks for.
+ * @param {string} [language] - jsx or tsx; unset means jsx
+ * @returns {string}
+ * @throws {Error} With code INVALID_LANGUAGE for anything else
+ */
+const normalizeLanguage = (language) => {
+  if (language === undefined || language === null || language === '') return DEFAULT_LANGUAGE;
+  if (!LANGUAGES.includes(language)) {
+    throw Object.assign(new Error(`language must be one of ${LANGUAGES.join(', ')}`), { code: 'INVALID_LANGUAGE' });
+  }
+  return language;
+};
+
+/**
+ * Language of a saved version; versions from before the option are jsx.
+ * @param {Object} version - ProjectVersion
+ * @returns {string}
+ */
+const getVersionLanguage = (version) => version.generation?.language || DEFAULT_LANGUAGE;
+
+/**
+ * @babel/parser plugins for a language.
+ * @param {string} [language]
+ * @returns {string[]}
+ */
+const getParserPlugins = (language) => (language === 'tsx' ? ['jsx', 'typescript'] : ['jsx']);
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  getVersionLanguage,
+  getParserPlugins
+};
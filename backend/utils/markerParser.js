@@ -0,0 +1,410 @@
+/**
+ * Incremental, lexer-aware splitter for the model's `/// START Name position=x`
+ * and `/// END Name` markers.
+ *
+ * Text is pushed in as it streams. The parser tracks enough JavaScript/JSX
+ * lexical state (strings, template literals, comments, JSX tags and JSX text,
+ * bracket depth) to know whether a line start is real code, and only treats a
+ * `///` line as a marker when it is not inside a string, template, comment or
+ * JSX text. TypeScript is covered too: type arguments (`useState<string>`) never
+ * look like JSX, and generic arrow functions (`<T,>(...)`, `<T extends X>(...)`)
+ * are told apart from elements once their `,` or `extends` shows up. A marker
+ * line is held back until its newline arrives, so names split across chunks
+ * ("HeroS" + "ection") are never cut short.
+ *
+ * push() and end() return a list of events:
+ *   { type: 'text', text }                                 - everything that is not a marker
+ *   { type: 'marker', kind: 'START'|'END', name, attributes, line, raw }
+ */
+
+// `/// START HeroSection position=main` or `/// END HeroSection`
+const MARKER_LINE = /^[ \t]*\/\/\/[ \t]*(START|END)[ \t]+([A-Z][A-Za-z0-9_]*)((?:[ \t]+[A-Za-z]+=[\w-]+)*)[ \t]*$/;
+const MARKER_PREFIX = /^[ \t]*\/\/\//;
+const CODE_FENCE = /^[ \t]*```/;
+const LINE_START_PREFIX = /^[ \t]*(?:\/{0,2}|`{0,2})$/;
+
+// `<T,` or `<T extends ` opens the type parameters of a generic arrow function, not an element
+const TYPE_PARAMS_START = /^[A-Za-z_$][\w$]*\s*,$|^[A-Za-z_$][\w$]*\s+extends\s$/;
+
+// Characters after which `<` starts a JSX element rather than a comparison or generic
+const JSX_PRECEDING_CHARS = new Set(['(', ',', '=', '?', ':', '{', '[', '&', '|', '!', ';', '}', '>', '']);
+const JSX_PRECEDING_WORDS = new Set(['return', 'yield', 'default', 'case', 'else', 'do']);
+
+const parseAttributes = (raw) => {
+  const attributes = {};
+  for (const [, key, value] of raw.matchAll(/([A-Za-z]+)=([\w-]+)/g)) {
+    attributes[key] = value;
+  }
+  return attributes;
+};
+
+class MarkerParser {
+  constructor() {
+    this.pending = '';
+    this.line = 1;
+    this.atLineStart = true;
+    this.resetLexer();
+  }
+
+  /**
+   * Resets lexical state to plain top-level code.
+   */
+  resetLexer() {
+    // Frames: code (with bracket depth), template, jsxTag, jsxChildren, jsxClose, typeParams
+    this.stack = [{ mode: 'code', depth: 0 }];
+    // Transient state inside the current frame: string, comment or attribute value
+    this.sub = null;
+    this.lastChar = '';
+    this.lastWord = '';
+    this.word = '';
+  }
+
+  get frame() {
+    return this.stack[this.stack.length - 1];
+  }
+
+  /**
+   * Whether the lexer is in plain code (not a string, template, comment or JSX text).
+   * Markers are recognized at line starts only in this state.
+   */
+  isInCode() {
+    return this.frame.mode === 'code' && !this.sub;
+  }
+
+  /**
+   * Whether the lexer is back at the outermost level with every bracket closed.
+   */
+  isTopLevel() {
+    return this.stack.length === 1 && this.isInCode() && this.frame.depth === 0;
+  }
+
+  push(text) {
+    this.pending += text;
+    return this.drain(false);
+  }
+
+  end() {
+    return this.drain(true);
+  }
+
+  drain(isFinal) {
+    const events = [];
+    let textStart = 0;
+    let i = 0;
+    const src = this.pending;
+
+    const flushText = (upTo) => {
+      if (upTo > textStart) {
+        events.push({ type: 'text', text: src.slice(textStart, upTo) });
+      }
+    };
+
+    while (i < src.length) {
+      if (this.atLineStart) {
+        const lineEnd = src.indexOf('\n', i);
+        const lineText = src.slice(i, lineEnd === -1 ? src.length : lineEnd);
+        const canHoldMarker = this.isInCode() || this.frame.mode === 'jsxChildren';
+
+        // Not enough of the line yet to tell whether it is a marker or fence
+        if (lineEnd === -1 && !isFinal && LINE_START_PREFIX.test(lineText)) break;
+
+        if (canHoldMarker && MARKER_PREFIX.test(lineText)) {
+          // Wait for the full line before deciding
+          if (lineEnd === -1 && !isFinal) break;
+
+          const match = lineText.match(MARKER_LINE);
+          if (match && this.acceptsMarker(match[1])) {
+            flushText(i);
+            if (!this.isTopLevel()) {
+              console.warn(`⚠️ ${match[1]} ${match[2]} marker reached with unbalanced code, resetting parser state`);
+            }
+            events.push({
+              type: 'marker',
+              kind: match[1],
+              name: match[2],
+              attributes: parseAttributes(match[3] || ''),
+              line: this.line,
+              raw: lineText.trim()
+            });
+            this.resetLexer();
+            i = lineEnd === -1 ? src.length : lineEnd + 1;
+            textStart = i;
+            if (lineEnd !== -1) this.line++;
+            continue;
+          }
+        }
+
+        // Markdown fences from chatty models are dropped
+        if (this.stack.length === 1 && !this.sub && CODE_FENCE.test(lineText)) {
+          if (lineEnd === -1 && !isFinal) break;
+          flushText(i);
+          i = lineEnd === -1 ? src.length : lineEnd + 1;
+          textStart = i;
+          if (lineEnd !== -1) this.line++;
+          continue;
+        }
+
+        this.atLineStart = false;
+      }
+
+      const ch = src[i];
+      const next = src[i + 1];
+
+      // Some decisions need one character of lookahead
+      if (next === undefined && !isFinal && this.needsLookahead(ch)) break;
+
+      const consumed = this.step(ch, next);
+      for (let k = i; k < i + consumed; k++) {
+        if (src[k] === '\n') {
+          this.line++;
+          this.atLineStart = true;
+        }
+      }
+      i += consumed;
+    }
+
+    flushText(i);
+    this.pending = src.slice(i);
+    if (isFinal && this.pending) {
+      events.push({ type: 'text', text: this.pending });
+      this.pending = '';
+    }
+    return events;
+  }
+
+  /**
+   * START markers are only honored in code; inside unterminated JSX an END marker
+   * is still accepted so one unclosed tag cannot swallow the rest of the page.
+   */
+  acceptsMarker(kind) {
+    if (this.isInCode()) return true;
+    return kind === 'END' && this.frame.mode === 'jsxChildren';
+  }
+
+  needsLookahead(ch) {
+    if (this.sub) return ch === '\\' || ch === '*';
+    const { mode } = this.frame;
+    if (mode === 'code') return ch === '/' || ch === '<';
+    if (mode === 'template') return ch === '$' || ch === '\\';
+    if (mode === 'jsxTag') return ch === '/';
+    if (mode === 'jsxChildren') return ch === '<';
+    if (mode === 'typeParams') return ch === '=';
+    return false;
+  }
+
+  /**
+   * Advances the lexer over one character (or a two-character token).
+   * @returns {number} How many characters were consumed
+   */
+  step(ch, next) {
+    if (this.sub) return this.stepSub(ch, next);
+
+    switch (this.frame.mode) {
+      case 'code':
+        return this.stepCode(ch, next);
+      case 'template':
+        if (ch === '\\') return 2;
+        if (ch === '`') {
+          this.stack.pop();
+          this.noteChar('`');
+          return 1;
+        }
+        if (ch === '$' && next === '{') {
+          this.stack.push({ mode: 'code', depth: 0, closesOn: '}' });
+          return 2;
+        }
+        return 1;
+      case 'jsxTag':
+        if (this.startsTypeParams(ch)) {
+          this.frame.mode = 'typeParams';
+          this.frame.depth = 1;
+          return 1;
+        }
+        if (ch === '"' || ch === "'") {
+          this.sub = { type: 'attr', quote: ch };
+          return 1;
+        }
+        if (ch === '{') {
+          this.stack.push({ mode: 'code', depth: 0, closesOn: '}' });
+          return 1;
+        }
+        if (ch === '/' && next === '>') {
+          this.closeElement();
+          return 2;
+        }
+        if (ch === '>') {
+          this.frame.mode = 'jsxChildren';
+          return 1;
+        }
+        return 1;
+      case 'jsxChildren':
+        if (ch === '{') {
+          this.stack.push({ mode: 'code', depth: 0, closesOn: '}' });
+          return 1;
+        }
+        if (ch === '<') {
+          if (next === '/') {
+            this.frame.mode = 'jsxClose';
+            return 2;
+          }
+          this.stack.push({ mode: 'jsxTag' });
+          return 1;
+        }
+        return 1;
+      case 'jsxClose':
+        if (ch === '>') this.closeElement();
+        return 1;
+      case 'typeParams':
+        return this.stepTypeParams(ch, next);
+      default:
+        return 1;
+    }
+  }
+
+  stepCode(ch, next) {
+    const frame = this.frame;
+
+    if (/[A-Za-z0-9_$]/.test(ch)) {
+      this.word += ch;
+      this.lastChar = ch;
+      return 1;
+    }
+    if (this.word) {
+      this.lastWord = this.word;
+      this.word = '';
+    }
+
+    if (ch === '/' && next === '/') {
+      this.sub = { type: 'lineComment' };
+      return 2;
+    }
+    if (ch === '/' && next === '*') {
+      this.sub = { type: 'blockComment' };
+      return 2;
+    }
+    if (ch === '"' || ch === "'") {
+      this.sub = { type: 'string', quote: ch };
+      return 1;
+    }
+    if (ch === '`') {
+      this.stack.push({ mode: 'template' });
+      return 1;
+    }
+    if (ch === '<' && this.startsJSX(next)) {
+      this.stack.push({ mode: 'jsxTag' });
+      return 1;
+    }
+    if (ch === '(' || ch === '[' || ch === '{') {
+      frame.depth++;
+    } else if (ch === ')' || ch === ']' || ch === '}') {
+      if (frame.depth === 0 && frame.closesOn === ch) {
+        // End of a `${...}` or JSX `{...}` expression
+        this.stack.pop();
+        return 1;
+      }
+      frame.depth = Math.max(0, frame.depth - 1);
+    }
+
+    this.noteChar(ch);
+    return 1;
+  }
+
+  stepSub(ch, next) {
+    const sub = this.sub;
+
+    switch (sub.type) {
+      case 'lineComment':
+        if (ch === '\n') this.sub = null;
+        return 1;
+      case 'blockComment':
+        if (ch === '*' && next === '/') {
+          this.sub = null;
+          return 2;
+        }
+        return 1;
+      case 'string':
+        if (ch === '\\') return 2;
+        // Unterminated quotes end at the line break (stray apostrophes in prose)
+        if (ch === sub.quote || ch === '\n') {
+          this.sub = null;
+          this.noteChar(ch);
+        }
+        return 1;
+      case 'attr':
+        if (ch === sub.quote) this.sub = null;
+        return 1;
+      default:
+        this.sub = null;
+        return 1;
+    }
+  }
+
+  /**
+   * Whether a just-opened tag turns out to be type parameters. Only the tag's first few
+   * characters are kept, which is all the check needs.
+   */
+  startsTypeParams(ch) {
+    const frame = this.frame;
+    if (frame.text === undefined) frame.text = '';
+    if (frame.text.length > 64) return false;
+    frame.text += ch;
+    return TYPE_PARAMS_START.test(frame.text);
+  }
+
+  /**
+   * Skips to the `>` closing a generic's type parameters, past any nested `<...>`.
+   */
+  stepTypeParams(ch, next) {
+    const frame = this.frame;
+    if (ch === '=' && next === '>') return 2;
+    if (ch === '<') frame.depth++;
+    if (ch === '>' && --frame.depth === 0) {
+      this.stack.pop();
+      // The parameter list follows, as after a closing generic
+      this.lastChar = '>';
+      this.lastWord = '';
+      this.lastArrow = false;
+    }
+    return 1;
+  }
+
+  /**
+   * Decides whether `<` opens a JSX element based on what precedes it.
+   */
+  startsJSX(next) {
+    if (!next || !/[A-Za-z>]/.test(next)) return false;
+    if (this.lastWord && this.lastChar !== ')' && /[A-Za-z0-9_$]/.test(this.lastChar)) {
+      return JSX_PRECEDING_WORDS.has(this.lastWord);
+    }
+    if (this.lastChar === '>') {
+      // Only the arrow of `=>`, not a closing generic or comparison
+      return this.lastArrow === true;
+    }
+    return JSX_PRECEDING_CHARS.has(this.lastChar);
+  }
+
+  noteChar(ch) {
+    if (/\s/.test(ch)) return;
+    this.lastArrow = ch === '>' && this.lastChar === '=';
+    this.lastChar = ch;
+    if (!/[A-Za-z0-9_$]/.test(ch)) this.lastWord = '';
+  }
+
+  /**
+   * Pops a finished JSX element and returns to whatever contained it.
+   */
+  closeElement() {
+    this.stack.pop();
+    if (this.frame.mode === 'code') {
+      // A JSX expression behaves like a value, e.g. `(<div />)` or `a ? <b /> : c`
+      this.lastChar = ')';
+      this.lastWord = '';
+      this.lastArrow = false;
+    }
+  }
+}
+
+module.exports = {
+  MarkerParser,
+  MARKER_LINE
+};
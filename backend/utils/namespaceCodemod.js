@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('@babel/parser');
+const { getParserPlugins } = require('./language');
+const { FRONTEND_SRC_DIR } = require('./frontendModule');
+const { walk } = require('./astWalk');
+
+/**
+ * Codemod from the preview's namespaced JSX to the flat shadcn/ui API:
+ * <Card.Header> -> <CardHeader>, <NavigationMenu.List> -> <NavigationMenuList> and
+ * <Icons.Rocket /> -> <Rocket /> with `import { Rocket } from 'lucide-react'`.
+ * Like rootLayout.js, nodes are located with Babel and the source is spliced, so the
+ * model's formatting survives.
+ */
+
+const COMPOUND_COMPONENTS_FILE = path.join(FRONTEND_SRC_DIR, 'components', 'utils', 'compoundComponents.js');
+
+// Namespaces that resolve to lucide-react in the preview
+const ICON_NAMESPACES = ['Icons', 'LucideIcons'];
+
+/**
+ * Reads COMPOUND_MAPPINGS out of the frontend's compoundComponents.js, so the export
+ * flattens exactly the namespaces the preview builds.
+ * @param {string} [file]
+ * @returns {Object<string, string[]>} Subcomponent names by root component
+ */
+const loadCompoundMappings = (file = COMPOUND_COMPONENTS_FILE) => {
+  const ast = parse(fs.readFileSync(file, 'utf8'), { sourceType: 'module' });
+  const declarator = ast.program.body
+    .map(node => (node.type === 'ExportNamedDeclaration' ? node.declaration : node))
+    .filter(node => node?.type === 'VariableDeclaration')
+    .flatMap(node => node.declarations)
+    .find(node => node.id.name === 'COMPOUND_MAPPINGS');
+
+  if (!declarator || declarator.init.type !== 'ObjectExpression') {
+    throw new Error(`COMPOUND_MAPPINGS not found in ${file}`);
+  }
+
+  return Object.fromEntries(declarator.init.properties.map(property => [
+    property.key.name || property.key.value,
+    property.value.elements.map(element => element.value)
+  ]));
+};
+
+let compoundMappings;
+const getCompoundMappings = () => {
+  if (!compoundMappings) compoundMappings = loadCompoundMappings();
+  return compoundMappings;
+};
+
+// `Root.Sub` as [root, sub], for both JSX tag names and plain member expressions
+const getMemberPair = (node) => {
+  if (node.type === 'JSXMemberExpression' && node.object.type === 'JSXIdentifier') {
+    return [node.object.name, node.property.name];
+  }
+  if (node.type === 'MemberExpression' && !node.computed
+    && node.object.type === 'Identifier' && node.property.type === 'Identifier') {
+    return [node.object.name, node.property.name];
+  }
+  return null;
+};
+
+/**
+ * Rewrites a component's namespaced references to flat names.
+ * @param {string} code - Component source
+ * @param {Object} [options]
+ * @param {Object<string, string[]>} [options.mappings] - Defaults to the frontend's COMPOUND_MAPPINGS
+ * @param {Function} [options.isComponent] - Whether a flat name (CardHeader) can be imported
+ * @param {Function} [options.isIcon] - Whether lucide-react exports an icon name
+ * @param {Iterable<string>} [options.reserved] - Names an icon import mustn't take, e.g. other sections
+ * @param {string} [options.language] - tsx for TypeScript components
+ * @returns {{ code: string, components: string[], imports: Map<string, Set<string>>,
+ *   missingIcons: string[], warnings: string[] }} components lists the flat names now used;
+ *   imports holds the lucide-react specifiers; missingIcons are local names to stub out
+ */
+const flattenNamespaces = (code, {
+  mappings = getCompoundMappings(),
+  isComponent = () => true,
+  isIcon = () => true,
+  reserved = [],
+  language
+} = {}) => {
+  const ast = parse(code, { sourceType: 'module', plugins: getParserPlugins(language) });
+  const replacements = [];
+  const components = new Set();
+  const imports = new Map();
+  const missingIcons = new Set();
+  const warnings = new Set();
+
+  // Every name in the file, so an icon import can't shadow anything; `.Sub` property
+  // names never bind and would otherwise push every icon onto its <Name>Icon alias
+  const properties = new Set();
+  walk(ast.program, (node) => {
+    if (getMemberPair(node)) properties.add(node.property);
+  });
+  const taken = new Set(reserved);
+  walk(ast.program, (node) => {
+    if ((node.type === 'Identifier' || node.type === 'JSXIdentifier') && !properties.has(node)) taken.add(node.name);
+  });
+
+  // Icons['Rocket'] can't be resolved ahead of time; that file keeps the whole namespace
+  const dynamicIcons = new Set();
+  walk(ast.program, (node) => {
+    if (node.type === 'MemberExpression' && node.computed && node.object.type === 'Identifier'
+      && ICON_NAMESPACES.includes(node.object.name)) {
+      dynamicIcons.add(node.object.name);
+    }
+  });
+  dynamicIcons.forEach(namespace => imports.set('lucide-react', new Set([`* as ${namespace}`])));
+
+  const iconLocals = new Map();
+  const getIconLocal = (icon) => {
+    if (!iconLocals.has(icon)) {
+      const local = taken.has(icon) ? `${icon}Icon` : icon;
+      taken.add(local);
+      iconLocals.set(icon, local);
+
+      if (!isIcon(icon)) {
+        missingIcons.add(local);
+      } else {
+        if (!imports.has('lucide-react')) imports.set('lucide-react', new Set());
+        // lucide-react exports every icon a second time as <Name>Icon
+        imports.get('lucide-react').add(local);
+      }
+    }
+    return iconLocals.get(icon);
+  };
+
+  walk(ast.program, (node) => {
+    const pair = getMemberPair(node);
+    if (!pair) return;
+    const [root, sub] = pair;
+
+    if (ICON_NAMESPACES.includes(root) && !dynamicIcons.has(root)) {
+      replacements.push([node.start, node.end, getIconLocal(sub)]);
+      return;
+    }
+    if (!mappings[root]) return;
+
+    const flatName = `${root}${sub}`;
+    if (mappings[root].includes(sub) && isComponent(flatName)) {
+      replacements.push([node.start, node.end, flatName]);
+      components.add(flatName);
+    } else {
+      warnings.add(`${root}.${sub} has no shadcn/ui equivalent`);
+    }
+  });
+
+  return {
+    code: replacements
+      .sort((a, b) => b[0] - a[0])
+      .reduce((result, [start, end, text]) => result.slice(0, start) + text + result.slice(end), code),
+    components: [...components].sort(),
+    imports,
+    missingIcons: [...missingIcons].sort(),
+    warnings: [...warnings]
+  };
+};
+
+/**
+ * Renders import statements, one per module.
+ * @param {Map<string, Iterable<string>>} imports - Specifiers by module; `* as X` for namespace imports
+ * @returns {string[]}
+ */
+const formatImports = (imports) => [...imports].map(([source, specifiers]) => {
+  const names = [...specifiers];
+  const namespace = names.find(name => name.startsWith('* as '));
+  return namespace
+    ? `import ${namespace} from '${source}';`
+    : `import { ${names.sort().join(', ')} } from '${source}';`;
+});
+
+module.exports = {
+  loadCompoundMappings,
+  flattenNamespaces,
+  formatImports
+};
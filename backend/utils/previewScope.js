@@ -0,0 +1,105 @@
+const path = require('path');
+const babel = require('@babel/core');
+const React = require('react');
+const LucideIcons = require('lucide-react');
+const { UI_DIR } = require('./projectExport');
+const { loadFrontendModule } = require('./frontendModule');
+
+/**
+ * The scope the frontend preview (SimpleLivePreview's ESSENTIAL_SCOPE) evaluates generated
+ * components in, rebuilt for rendering on the server. The shadcn/ui components are the
+ * frontend's own files, compiled to CommonJS on first use.
+ */
+
+const LIB_DIR = path.join(UI_DIR, '..', '..', 'lib');
+
+/**
+ * Compiles JSX the way the preview's react-live does (classic runtime, React in scope).
+ * @param {string} code - A function body; it may end with a return statement
+ * @returns {string}
+ */
+const compileJsx = (code) => babel.transformSync(code, {
+  babelrc: false,
+  configFile: false,
+  sourceType: 'script',
+  parserOpts: { allowReturnOutsideFunction: true },
+  presets: [[require.resolve('@babel/preset-react'), { runtime: 'classic' }]]
+}).code;
+
+/**
+ * Strips the types from a tsx component, leaving JSX for compileJsx, as the preview
+ * does before evaluating it.
+ * @param {string} code - Component source
+ * @returns {string}
+ */
+const stripTypes = (code) => babel.transformSync(code, {
+  babelrc: false,
+  configFile: false,
+  filename: 'component.tsx',
+  retainLines: true,
+  presets: [[require.resolve('@babel/preset-typescript'), { isTSX: true, allExtensions: true }]]
+}).code;
+
+let scope;
+
+/**
+ * Names generated components can use without importing them.
+ * @returns {Object} React and its hooks, NavigationMenu.*, Button, Card*, Icons, Link and Placeholder.*
+ */
+const getPreviewScope = () => {
+  if (scope) return scope;
+
+  const navigation = loadFrontendModule(path.join(UI_DIR, 'navigation-menu.jsx'));
+  const { Button } = loadFrontendModule(path.join(UI_DIR, 'button.jsx'));
+  const card = loadFrontendModule(path.join(UI_DIR, 'card.jsx'));
+  const { cn } = loadFrontendModule(path.join(LIB_DIR, 'utils.js'));
+  const h = React.createElement;
+
+  const placeholder = (round) => ({ width, height, size, label, className = '', ...props }) => h('div', {
+    className: cn('bg-slate-100 dark:bg-slate-800 flex items-center justify-center', round && 'rounded-full', className),
+    style: { width: size || width, height: size || height },
+    ...props
+  }, label);
+
+  scope = {
+    ...React,
+    React,
+    NavigationMenu: Object.assign(
+      (props) => h(navigation.NavigationMenu, props),
+      {
+        List: navigation.NavigationMenuList,
+        Item: navigation.NavigationMenuItem,
+        Link: navigation.NavigationMenuLink,
+        Content: navigation.NavigationMenuContent,
+        Trigger: navigation.NavigationMenuTrigger,
+        Viewport: navigation.NavigationMenuViewport
+      }
+    ),
+    Button,
+    // Card.Header and CardHeader both work, as compoundComponents.js arranges in the preview
+    Card: Object.assign(
+      (props) => h(card.Card, props),
+      { Header: card.CardHeader, Title: card.CardTitle, Description: card.CardDescription, Content: card.CardContent, Footer: card.CardFooter }
+    ),
+    ...Object.fromEntries(['CardHeader', 'CardTitle', 'CardDescription', 'CardContent', 'CardFooter'].map(name => [name, card[name]])),
+    // Unknown icons render nothing, as in the preview
+    Icons: new Proxy(LucideIcons, {
+      get: (target, prop) => target[prop] || (() => null)
+    }),
+    LucideIcons,
+    Link: ({ href, children, ...props }) => h('a', { href, ...props }, children),
+    Placeholder: {
+      Image: placeholder(false),
+      Video: placeholder(false),
+      Avatar: ({ size = '64px', ...props }) => placeholder(true)({ size, ...props })
+    }
+  };
+
+  return scope;
+};
+
+module.exports = {
+  compileJsx,
+  stripTypes,
+  getPreviewScope
+};
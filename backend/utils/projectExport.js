@@ -0,0 +1,441 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('@babel/parser');
+const { validateComponentCode } = require('./componentValidation');
+const { getParserPlugins, getVersionLanguage } = require('./language');
+const { getSectionNames, POSITIONS } = require('./versionSections');
+const rootLayout = require('./rootLayout');
+const { templateFiles } = require('./exportTemplate');
+const { createZip } = require('./zipArchive');
+const { flattenNamespaces, formatImports } = require('./namespaceCodemod');
+const { FRONTEND_SRC_DIR } = require('./frontendModule');
+const { walk } = require('./astWalk');
+
+/**
+ * Turns a saved version into a standalone Vite project. The preview evaluates every
+ * component in one scope (Button, Card.*, Icons.*, Placeholder.*...); here each
+ * component becomes a module, namespaced names are flattened by namespaceCodemod.js and
+ * the remaining scope names become explicit imports.
+ */
+
+const UI_DIR = process.env.EXPORT_UI_DIR || path.join(FRONTEND_SRC_DIR, 'components', 'ui');
+
+// Names the preview spreads in from React
+const REACT_EXPORTS = new Set([
+  'useState', 'useEffect', 'useLayoutEffect', 'useRef', 'useMemo', 'useCallback', 'useContext',
+  'useReducer', 'useId', 'useTransition', 'useDeferredValue', 'useImperativeHandle',
+  'Fragment', 'createContext', 'forwardRef', 'memo', 'lazy', 'Suspense', 'Children', 'cloneElement'
+]);
+
+// Both resolve to lucide-react in the preview
+const ICON_NAMESPACES = new Set(['Icons', 'LucideIcons']);
+
+const collectPatternNames = (pattern, names) => {
+  if (!pattern) return;
+  switch (pattern.type) {
+    case 'Identifier':
+      names.add(pattern.name);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach(property => collectPatternNames(property.type === 'RestElement' ? property : property.value, names));
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach(element => collectPatternNames(element, names));
+      break;
+    case 'AssignmentPattern':
+      collectPatternNames(pattern.left, names);
+      break;
+    case 'RestElement':
+      collectPatternNames(pattern.argument, names);
+      break;
+    default:
+  }
+};
+
+// TypeScript nodes that wrap a value (`plans as Plan[]`, `ref.current!`); every other TS node is a type
+const TS_VALUE_WRAPPERS = new Set([
+  'TSAsExpression', 'TSSatisfiesExpression', 'TSNonNullExpression', 'TSTypeAssertion', 'TSInstantiationExpression'
+]);
+
+const isTypeNode = (node) => node.type.startsWith('TS') && !TS_VALUE_WRAPPERS.has(node.type);
+
+// Root of a type name: React for React.ReactNode
+const getTypeNameRoot = (name) => (name.type === 'TSQualifiedName' ? getTypeNameRoot(name.left) : name.name);
+
+// Identifiers that name a property or label rather than read a variable
+const isReference = (parent, key) => !(
+  ((parent.type === 'MemberExpression' || parent.type === 'OptionalMemberExpression') && key === 'property' && !parent.computed)
+  || ((parent.type === 'ObjectProperty' || parent.type === 'ObjectMethod' || parent.type === 'ClassMethod' || parent.type === 'ClassProperty') && key === 'key' && !parent.computed)
+  || ((parent.type === 'LabeledStatement' || parent.type === 'BreakStatement' || parent.type === 'ContinueStatement') && key === 'label')
+);
+
+/**
+ * Works out what a component reads from the preview scope.
+ * @param {string} code - Component source
+ * @param {Object} [options]
+ * @param {string} [options.language] - tsx for TypeScript components
+ * @returns {{ references: Set<string>, typeReferences: Set<string>, members: Map<string, Set<string>>,
+ *   removals: Array<[number, number, string]> }} Free names, roots of the type names in
+ *   annotations (React for React.ReactNode), `Root.Sub` pairs by root, and splices that
+ *   strip imports and exports
+ */
+const analyzeComponent = (code, { language } = {}) => {
+  const ast = parse(code, { sourceType: 'module', plugins: getParserPlugins(language) });
+  const declared = new Set();
+  const references = new Set();
+  const typeReferences = new Set();
+  const members = new Map();
+  const removals = [];
+
+  // Types never read a variable; only the names they're built from are kept
+  const collectTypeReferences = (typeNode) => walk(typeNode, (node) => {
+    if (node.type === 'TSTypeReference') typeReferences.add(getTypeNameRoot(node.typeName));
+    if (node.type === 'TSInterfaceDeclaration' || node.type === 'TSTypeAliasDeclaration') declared.add(node.id.name);
+  });
+
+  const addMember = (root, sub) => {
+    if (!members.has(root)) members.set(root, new Set());
+    members.get(root).add(sub);
+  };
+
+  walk(ast.program, (node, parent, key) => {
+    if (isTypeNode(node)) {
+      collectTypeReferences(node);
+      return false;
+    }
+
+    switch (node.type) {
+      case 'VariableDeclarator':
+        collectPatternNames(node.id, declared);
+        break;
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+      case 'ClassDeclaration':
+        if (node.id) declared.add(node.id.name);
+        node.params?.forEach(param => collectPatternNames(param, declared));
+        break;
+      case 'CatchClause':
+        collectPatternNames(node.param, declared);
+        break;
+      case 'Identifier':
+        if (parent && isReference(parent, key)) references.add(node.name);
+        break;
+      case 'JSXOpeningElement': {
+        let name = node.name;
+        if (name.type === 'JSXIdentifier') {
+          if (/^[A-Z]/.test(name.name)) references.add(name.name);
+          break;
+        }
+        if (name.type === 'JSXMemberExpression' && name.object.type === 'JSXIdentifier') {
+          addMember(name.object.name, name.property.name);
+        }
+        while (name.type === 'JSXMemberExpression') name = name.object;
+        if (name.type === 'JSXIdentifier') references.add(name.name);
+        break;
+      }
+      case 'MemberExpression':
+      case 'OptionalMemberExpression':
+        if (node.object.type === 'Identifier' && !node.computed && node.property.type === 'Identifier') {
+          addMember(node.object.name, node.property.name);
+        }
+        break;
+      default:
+    }
+  }, null, null);
+
+  // The export's own imports replace whatever the model wrote
+  ast.program.body.forEach(node => {
+    if (node.type === 'ImportDeclaration') {
+      removals.push([node.start, node.end, '']);
+    } else if (node.type === 'ExportNamedDeclaration' || node.type === 'ExportDefaultDeclaration') {
+      if (node.declaration && /Declaration$/.test(node.declaration.type)) {
+        removals.push([node.start, node.declaration.start, '']);
+      } else {
+        removals.push([node.start, node.end, '']);
+      }
+    }
+  });
+  // Bare exports of a local (`export default HeroSection;`) don't declare anything
+  declared.forEach(name => {
+    references.delete(name);
+    typeReferences.delete(name);
+  });
+
+  return { references, typeReferences, members, removals };
+};
+
+const applyRemovals = (code, removals) => [...removals]
+  .sort((a, b) => b[0] - a[0])
+  .reduce((result, [start, end, text]) => result.slice(0, start) + text + result.slice(end), code)
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// npm package an import specifier resolves to
+const packageName = (source) => (source.startsWith('@') ? source.split('/').slice(0, 2) : source.split('/').slice(0, 1)).join('/');
+
+const uiIndexCache = new Map();
+
+/**
+ * Reads the shadcn/ui components the preview ships.
+ * @param {string} [uiDir]
+ * @returns {{ exports: Map<string, string>, files: Map<string, { code: string, siblings: string[], packages: string[] }> }}
+ *   exports maps an exported name to its file (without extension)
+ */
+const loadUiIndex = (uiDir = UI_DIR) => {
+  if (uiIndexCache.has(uiDir)) return uiIndexCache.get(uiDir);
+
+  const index = { exports: new Map(), files: new Map() };
+  const fileNames = fs.existsSync(uiDir) ? fs.readdirSync(uiDir).filter(file => file.endsWith('.jsx')).sort() : [];
+
+  for (const fileName of fileNames) {
+    const file = fileName.replace(/\.jsx$/, '');
+    const code = fs.readFileSync(path.join(uiDir, fileName), 'utf8');
+    const ast = parse(code, { sourceType: 'module', plugins: ['jsx'] });
+    const siblings = [];
+    const packages = [];
+
+    ast.program.body.forEach(node => {
+      if (node.type === 'ImportDeclaration') {
+        const source = node.source.value;
+        if (source.startsWith('./')) siblings.push(source.slice(2).replace(/\.jsx?$/, ''));
+        else if (!source.startsWith('.')) packages.push(packageName(source));
+      }
+      if (node.type !== 'ExportNamedDeclaration') return;
+
+      const names = node.specifiers.map(specifier => specifier.exported.name);
+      if (node.declaration?.id) names.push(node.declaration.id.name);
+      node.declaration?.declarations?.forEach(declaration => declaration.id.name && names.push(declaration.id.name));
+      // A name exported twice belongs to the file named after it (toggle-group's ToggleGroup, not toolbar's)
+      names.forEach(name => {
+        const owner = name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+        if (!index.exports.has(name) || owner === file) index.exports.set(name, file);
+      });
+    });
+
+    index.files.set(file, { code, siblings, packages });
+  }
+
+  uiIndexCache.set(uiDir, index);
+  return index;
+};
+
+// Icon names lucide-react exports, each with an XIcon alias
+const LUCIDE_EXPORTS = new Set(Object.keys(require('lucide-react')));
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'website';
+
+// Components that made it through generation; invalid and cut-off ones would break the build
+const getExportableComponents = (version) => version.components.filter(component =>
+  component.code
+  && (component.status === 'valid' || component.status === 'repaired' || !component.status)
+  && validateComponentCode(component.code, component.name, { language: getVersionLanguage(version) }).valid
+);
+
+/**
+ * Builds the files of the exported project.
+ * @param {Object} version - ProjectVersion
+ * @param {Object} [options]
+ * @param {string} [options.name] - Project name, used for package.json and the page title
+ * @param {string} [options.uiDir] - Where to copy shadcn/ui components from
+ * @returns {{ files: Array<{ path: string, content: string }>, warnings: string[] }}
+ */
+const buildProjectFiles = (version, { name = 'Website', uiDir } = {}) => {
+  const ui = loadUiIndex(uiDir);
+  const warnings = [];
+  // tsx versions keep their types in .tsx files; the copied ui components stay .jsx
+  const language = getVersionLanguage(version);
+
+  const components = getExportableComponents(version);
+  const skipped = version.components.filter(component => !components.includes(component));
+  skipped.forEach(component => warnings.push(`${component.name} was left out because it didn't generate cleanly (${component.status || 'no code'})`));
+
+  const sectionNames = new Set(components.filter(component => component.name !== 'RootLayout').map(component => component.name));
+  const layout = components.find(component => component.name === 'RootLayout');
+  // RootLayout mustn't render the sections that were left out
+  const layoutCode = layout && skipped.reduce((code, component) => rootLayout.removeSection(code, component.name), layout.code);
+
+  const usedUiFiles = new Set();
+
+  const toModule = (component) => {
+    const isLayout = component === layout;
+    const base = isLayout ? '.' : '..';
+
+    // <Card.Header> -> <CardHeader>, <Icons.Rocket /> -> <Rocket /> before working out the imports
+    const flat = flattenNamespaces(isLayout ? layoutCode : component.code, {
+      isComponent: flatName => ui.exports.has(flatName),
+      isIcon: icon => LUCIDE_EXPORTS.has(icon),
+      reserved: sectionNames,
+      language
+    });
+    flat.warnings.forEach(warning => warnings.push(`${component.name} uses ${warning}`));
+    flat.missingIcons.forEach(icon => warnings.push(`${component.name} uses the icon ${icon}, which lucide-react doesn't have; it renders nothing`));
+
+    const { references, typeReferences, removals } = analyzeComponent(flat.code, { language });
+    const icons = new Set(flat.imports.get('lucide-react'));
+    const reactImports = new Set();
+    const sectionImports = [];
+    const imports = new Map();
+    let usesReact = false;
+
+    const addImport = (source, specifier) => {
+      if (!imports.has(source)) imports.set(source, new Set());
+      imports.get(source).add(specifier);
+    };
+
+    [...references].sort().forEach(ref => {
+      if (ref === component.name) return;
+      if (sectionNames.has(ref)) {
+        sectionImports.push(`import ${ref} from '${isLayout ? './sections' : '.'}/${ref}';`);
+      } else if (ref === 'React') {
+        usesReact = true;
+      } else if (REACT_EXPORTS.has(ref)) {
+        reactImports.add(ref);
+      } else if (ref === 'Placeholder' || ref === 'Link') {
+        addImport(`${base}/components/${ref}`, ref);
+      } else if (ui.exports.has(ref)) {
+        addImport(`${base}/components/ui/${ui.exports.get(ref)}`, ref);
+        usedUiFiles.add(ui.exports.get(ref));
+      } else if (!ICON_NAMESPACES.has(ref) && !icons.has(ref) && !flat.missingIcons.includes(ref) && /^[A-Z]/.test(ref) && !(ref in globalThis)) {
+        warnings.push(`${component.name} uses ${ref}, which the export couldn't find`);
+      }
+    });
+    flat.imports.forEach((specifiers, source) => specifiers.forEach(specifier => addImport(source, specifier)));
+
+    // React.ReactNode and friends need React in scope too
+    const react = [(usesReact || typeReferences.has('React')) && 'React', reactImports.size && `{ ${[...reactImports].sort().join(', ')} }`].filter(Boolean);
+
+    return [
+      [
+        ...(react.length ? [`import ${react.join(', ')} from 'react';`] : []),
+        ...sectionImports,
+        ...formatImports(imports)
+      ].join('\n'),
+      flat.missingIcons.map(icon => `const ${icon} = () => null;`).join('\n'),
+      applyRemovals(flat.code, removals),
+      `export default ${component.name};`
+    ].filter(Boolean).join('\n\n') + '\n';
+  };
+
+  const files = components.map(component => ({
+    path: component === layout ? `src/RootLayout.${language}` : `src/sections/${component.name}.${language}`,
+    content: toModule(component)
+  }));
+
+  // ui components pull in their siblings (date-picker needs calendar, popover and button)
+  const queue = [...usedUiFiles];
+  while (queue.length) {
+    ui.files.get(queue.shift())?.siblings.forEach(sibling => {
+      if (!usedUiFiles.has(sibling)) {
+        usedUiFiles.add(sibling);
+        queue.push(sibling);
+      }
+    });
+  }
+
+  const packages = new Set();
+  [...usedUiFiles].sort().forEach(file => {
+    const { code, packages: filePackages } = ui.files.get(file);
+    filePackages.forEach(pkg => packages.add(pkg));
+    files.push({ path: `src/components/ui/${file}.jsx`, content: code });
+  });
+  if (files.some(file => file.content.includes("from 'lucide-react'"))) {
+    packages.add('lucide-react');
+  }
+
+  files.push({ path: `src/App.${language}`, content: appModule(version, layout, sectionNames, language) });
+
+  return {
+    files: [
+      ...templateFiles({ name: slugify(name), title: name, packages: [...packages], warnings, language, theme: version.theme }),
+      ...files
+    ],
+    warnings
+  };
+};
+
+// App renders RootLayout; sites pick the sections for the current path and pass them in
+const appModule = (version, layout, sectionNames, language) => {
+  const names = new Map(version.components.map(component => [component.componentId, component.name]));
+  const importSection = name => `import ${name} from './sections/${name}';`;
+
+  if (layout && version.pages?.length) {
+    const pageSections = version.pages.map(page => ({
+      path: page.path,
+      sections: page.sections.map(id => names.get(id)).filter(name => sectionNames.has(name))
+    }));
+    const used = [...new Set(pageSections.flatMap(page => page.sections))];
+
+    return `${[
+      ...(language === 'tsx' ? [`import type { ComponentType } from 'react';`] : []),
+      `import RootLayout from './RootLayout';`,
+      ...used.map(importSection)
+    ].join('\n')}
+
+const PAGES${language === 'tsx' ? ': Record<string, ComponentType[]>' : ''} = {
+${pageSections.map(page => `  '${page.path}': [${page.sections.join(', ')}]`).join(',\n')}
+};
+
+export default function App() {
+  const path = window.location.pathname.replace(/\\/+$/, '') || '/';
+  const sections = PAGES[path] || PAGES['${pageSections[0].path}'];
+
+  return (
+    <RootLayout>
+      {sections.map((Section, index) => (
+        <Section key={index} />
+      ))}
+    </RootLayout>
+  );
+}
+`;
+  }
+
+  if (layout) {
+    return `import RootLayout from './RootLayout';
+
+export default function App() {
+  return <RootLayout />;
+}
+`;
+  }
+
+  // Without a layout the sections are stacked in page order
+  const ordered = POSITIONS.flatMap(position => getSectionNames(version, position)).filter(name => sectionNames.has(name));
+  return `${ordered.map(importSection).join('\n')}
+
+export default function App() {
+  return (
+    <>
+${ordered.map(name => `      <${name} />`).join('\n')}
+    </>
+  );
+}
+`;
+};
+
+/**
+ * Zips a version up as a Vite + React + Tailwind project.
+ * @param {Object} version - ProjectVersion
+ * @param {Object} [options] - See buildProjectFiles
+ * @returns {{ archive: Buffer, warnings: string[] }}
+ */
+const exportProject = (version, options = {}) => {
+  const { files, warnings } = buildProjectFiles(version, options);
+  const root = `${slugify(options.name || 'website')}-v${version.versionNumber}`;
+  return {
+    archive: createZip(files.map(file => ({ ...file, path: `${root}/${file.path}` }))),
+    warnings
+  };
+};
+
+module.exports = {
+  UI_DIR,
+  analyzeComponent,
+  applyRemovals,
+  getExportableComponents,
+  loadUiIndex,
+  buildProjectFiles,
+  exportProject,
+  slugify
+};
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const ProjectVersion = require('../models/ProjectVersion');
+
+// Retries when another generation took the same versionNumber first
+const MAX_VERSION_RETRIES = 3;
+
+/**
+ * Component ID used in version sections and by the preview.
+ * @param {string} componentName - Name from the START marker
+ * @returns {string}
+ */
+const getComponentId = (componentName) => {
+  // Special case for RootLayout, which the preview looks up by this ID
+  if (componentName === 'RootLayout') {
+    return 'root_layout';
+  }
+
+  return `comp_${componentName.toLowerCase()}`;
+};
+
+/**
+ * Looks up the project and version a generation starts from.
+ * @param {string} projectId - Project to add the new version to
+ * @param {string} versionId - Version the generation is based on
+ * @param {Object} [user] - Authenticated user; when set, the project must be theirs
+ * @returns {Promise<{ project: Object, version: Object }|null>} null if either is missing
+ */
+const loadGenerationTarget = async (projectId, versionId, user) => {
+  if (!mongoose.isValidObjectId(projectId) || !mongoose.isValidObjectId(versionId)) {
+    return null;
+  }
+
+  const project = await Project.findById(projectId);
+  if (!project || (user && !project.owner.equals(user._id))) {
+    return null;
+  }
+
+  const version = await ProjectVersion.findOne({ _id: versionId, project: project._id });
+  if (!version) {
+    return null;
+  }
+
+  return { project, version };
+};
+
+/**
+ * Maps a component's generation state onto the status stored with the version.
+ * @param {Object} state - Component state from generateController
+ * @returns {'valid'|'repaired'|'invalid'|'partial'}
+ */
+const getComponentStatus = (state) => {
+  if (state.isPartial) return 'partial';
+  if (!state.isComplete) return 'invalid';
+  return state.repairAttempts ? 'repaired' : 'valid';
+};
+
+/**
+ * Saves a new version with the next versionNumber and appends it to Project.versions.
+ * @param {string} projectId - Project the version belongs to
+ * @param {Object} fields - ProjectVersion fields other than project and versionNumber
+ * @returns {Promise<Object>} The saved version
+ */
+const createNextVersion = async (projectId, fields) => {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await ProjectVersion.findOne({ project: projectId })
+      .sort({ versionNumber: -1 })
+      .select('versionNumber');
+
+    const version = new ProjectVersion({
+      ...fields,
+      project: projectId,
+      versionNumber: (latest?.versionNumber || 0) + 1
+    });
+
+    try {
+      await version.save();
+    } catch (error) {
+      // Duplicate key on (project, versionNumber): someone else saved first
+      if (error.code === 11000 && attempt < MAX_VERSION_RETRIES) continue;
+      throw error;
+    }
+
+    await Project.updateOne(
+      { _id: projectId },
+      { $push: { versions: version._id }, $set: { updatedAt: new Date() } }
+    );
+    return version;
+  }
+};
+
+module.exports = {
+  getComponentId,
+  loadGenerationTarget,
+  getComponentStatus,
+  createNextVersion
+};
@@ -0,0 +1,99 @@
+/**
+ * Structured page plan the model proposes before any code is generated. The user edits
+ * it, then it's sent back with the generation request and the page is built to match it.
+ */
+
+const POSITIONS = ['header', 'main', 'footer'];
+const MAX_PLAN_SECTIONS = 12;
+const PALETTE_KEYS = ['primary', 'secondary', 'accent', 'background', 'text'];
+
+// Section names become component names and JSX tags
+const SECTION_NAME_PATTERN = /^[A-Z][A-Za-z0-9]*$/;
+
+const invalid = (message) => Object.assign(new Error(message), { code: 'INVALID_PROPOSAL' });
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+const pickText = (source, keys) => Object.fromEntries(
+  keys.filter(key => isText(source?.[key])).map(key => [key, source[key].trim()])
+);
+
+/**
+ * Checks a plan and returns a clean copy of it.
+ * @param {Object} plan
+ * @param {Array<{ name: string, position: string, purpose: string, copy?: string[] }>} plan.sections - In page order
+ * @param {{ primary?: string, secondary?: string, accent?: string, background?: string, text?: string }} [plan.palette]
+ * @param {{ headings?: string, body?: string }} [plan.typography]
+ * @param {string} [plan.rationale] - Why the model chose this plan
+ * @returns {Object} The plan with unknown fields dropped and text trimmed
+ * @throws {Error} With code INVALID_PROPOSAL when the plan can't be built
+ */
+const normalizeProposal = (plan) => {
+  if (!plan || typeof plan !== 'object' || !Array.isArray(plan.sections)) {
+    throw invalid('A plan needs a list of sections');
+  }
+  if (plan.sections.length === 0 || plan.sections.length > MAX_PLAN_SECTIONS) {
+    throw invalid(`A plan must have between 1 and ${MAX_PLAN_SECTIONS} sections`);
+  }
+
+  const sections = plan.sections.map((section) => {
+    const name = typeof section?.name === 'string' ? section.name.trim() : '';
+    if (!SECTION_NAME_PATTERN.test(name) || name === 'RootLayout') {
+      throw invalid(`"${name}" is not a valid section name; use PascalCase like HeroSection`);
+    }
+    if (!POSITIONS.includes(section.position)) {
+      throw invalid(`${name} needs a position of header, main or footer`);
+    }
+    if (!isText(section.purpose)) {
+      throw invalid(`${name} needs a purpose`);
+    }
+
+    return {
+      name,
+      position: section.position,
+      purpose: section.purpose.trim(),
+      copy: (Array.isArray(section.copy) ? section.copy : []).filter(isText).map(line => line.trim())
+    };
+  });
+
+  if (new Set(sections.map(section => section.name)).size !== sections.length) {
+    throw invalid('Section names must be unique');
+  }
+
+  return {
+    sections,
+    palette: pickText(plan.palette, PALETTE_KEYS),
+    typography: pickText(plan.typography, ['headings', 'body']),
+    ...(isText(plan.rationale) && { rationale: plan.rationale.trim() })
+  };
+};
+
+/**
+ * Reads the plan out of a proposal reply. Models sometimes wrap the JSON in a code fence
+ * or a sentence, so everything outside the outermost braces is ignored.
+ * @param {string} text - The model's reply
+ * @returns {Object} Normalized plan
+ * @throws {Error} With code INVALID_PROPOSAL when there's no usable plan in the reply
+ */
+const parseProposal = (text) => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw invalid('The proposal did not contain a JSON plan');
+  }
+
+  let plan;
+  try {
+    plan = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw invalid(`The proposal is not valid JSON: ${error.message}`);
+  }
+  return normalizeProposal(plan);
+};
+
+module.exports = {
+  MAX_PLAN_SECTIONS,
+  PALETTE_KEYS,
+  normalizeProposal,
+  parseProposal
+};
@@ -0,0 +1,63 @@
+require('@anthropic-ai/sdk/shims/node');
+const { Anthropic } = require('@anthropic-ai/sdk');
+
+/**
+ * Anthropic Messages API adapter. Claude already streams the event shape the
+ * rest of the pipeline expects, so chunks are passed through untouched.
+ */
+const anthropicProvider = {
+  name: 'anthropic',
+  defaultModel: 'claude-3-5-haiku-latest',
+  models: ['claude-3-5-sonnet-latest', 'claude-3-7-sonnet-latest'],
+
+  async *stream({ system, messages, model, maxTokens, signal }) {
+    // Check for API key in environment variables
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    if (!apiKey) {
+      throw new Error('ANTHROPIC_API_KEY environment variable is not set');
+    }
+
+    const anthropic = new Anthropic({ apiKey });
+
+    console.log('📡 Creating Claude stream...');
+
+    const response = await anthropic.messages.create({
+      model,
+      max_tokens: maxTokens,
+      system,
+      messages,
+      stream: true
+    }, { signal });
+
+    for await (const chunk of response) {
+      yield chunk;
+    }
+  },
+
+  normalizeError(error) {
+    const errorResponse = {
+      type: 'error',
+      code: 'CLAUDE_API_ERROR',
+      message: error.message || 'Unknown error',
+      retryable: false
+    };
+
+    // Handle specific error types
+    if (error.error?.type === 'authentication_error') {
+      errorResponse.code = 'CLAUDE_AUTH_ERROR';
+      errorResponse.message = error.error.message;
+    } else if (error.error?.type === 'rate_limit_error') {
+      errorResponse.code = 'CLAUDE_RATE_LIMIT';
+      errorResponse.message = error.error.message;
+      errorResponse.retryable = true;
+    } else if (error.error?.type === 'internal_error') {
+      errorResponse.code = 'CLAUDE_API_ERROR';
+      errorResponse.message = error.error.message;
+      errorResponse.retryable = true;
+    }
+
+    return errorResponse;
+  }
+};
+
+module.exports = anthropicProvider;
@@ -0,0 +1,91 @@
+const anthropic = require('./anthropic');
+const openai = require('./openai');
+const replay = require('./replay');
+
+// Provider used when neither the request nor the environment names one
+const DEFAULT_PROVIDER = 'anthropic';
+
+// Registered provider adapters, keyed by name
+const providers = new Map();
+
+/**
+ * Registers a provider adapter.
+ *
+ * An adapter is an object with:
+ *   - name: unique provider name
+ *   - defaultModel: model used when the caller does not pick one
+ *   - models: optional, other models requests may pick; isModelAllowed(model) can decide instead
+ *   - stream(request): async iterable of Anthropic-style stream events
+ *     (message_start, content_block_start/delta/stop, message_delta, message_stop).
+ *     request.signal is an AbortSignal that should stop the upstream call
+ *   - normalizeError(error): optional, maps native errors to { type, code, message, retryable }
+ *
+ * @param {Object} adapter - The provider adapter
+ */
+const registerProvider = (adapter) => {
+  if (!adapter || !adapter.name || typeof adapter.stream !== 'function') {
+    throw new Error('Provider adapter must have a name and a stream function');
+  }
+  providers.set(adapter.name, adapter);
+};
+
+/**
+ * Looks up a provider adapter by name, falling back to AI_PROVIDER and then the default.
+ * @param {string} [name] - Provider name
+ * @returns {Object} The provider adapter
+ */
+const getProvider = (name) => {
+  const providerName = name || process.env.AI_PROVIDER || DEFAULT_PROVIDER;
+  const adapter = providers.get(providerName);
+
+  if (!adapter) {
+    const error = new Error(`Unknown AI provider: ${providerName}`);
+    error.code = 'UNKNOWN_PROVIDER';
+    error.retryable = false;
+    throw error;
+  }
+
+  return adapter;
+};
+
+const listProviders = () => Array.from(providers.keys());
+
+const invalidChoice = (message) => Object.assign(new Error(message), { code: 'INVALID_MODEL', retryable: false });
+
+/**
+ * Checks the provider and model a request asks for. Clients may only pick registered
+ * providers and the models each one allows; leaving either out picks the default.
+ * @param {Object} choice
+ * @param {string} [choice.provider]
+ * @param {string} [choice.model]
+ * @throws {Error} With code INVALID_MODEL for anything else
+ */
+const checkModelChoice = ({ provider, model } = {}) => {
+  if (provider !== undefined && provider !== null && provider !== '' && !providers.has(provider)) {
+    throw invalidChoice(`Unknown AI provider: ${provider}`);
+  }
+  if (model === undefined || model === null || model === '') return;
+
+  const adapter = getProvider(provider || undefined);
+  const isAllowed = model === adapter.defaultModel || (adapter.isModelAllowed
+    ? adapter.isModelAllowed(model)
+    : (adapter.models || []).includes(model));
+  if (!isAllowed) {
+    throw invalidChoice(`Model ${model} is not available for ${adapter.name}`);
+  }
+};
+
+[anthropic, openai].forEach(registerProvider);
+
+// Recorded streams are for tests; outside them a request could ask for any fixture
+if (process.env.NODE_ENV === 'test') {
+  registerProvider(replay);
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  checkModelChoice,
+  DEFAULT_PROVIDER
+};
@@ -0,0 +1,149 @@
+/**
+ * OpenAI-compatible Chat Completions adapter. Works against api.openai.com or any
+ * self-hosted server exposing the same /chat/completions streaming API
+ * (vLLM, Ollama, LM Studio, ...). The native `chat.completion.chunk` stream is
+ * normalized into Anthropic-style events.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+// Map OpenAI finish reasons onto Anthropic stop reasons
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  content_filter: 'end_turn',
+  tool_calls: 'tool_use'
+};
+
+/**
+ * Splits a Server-Sent Events byte stream into `data:` payloads.
+ * @param {AsyncIterable<Uint8Array>} body - The response body
+ */
+async function* readSSEData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+
+      if (line.startsWith('data:')) {
+        yield line.slice(5).trim();
+      }
+    }
+  }
+
+  if (buffer.trim().startsWith('data:')) {
+    yield buffer.trim().slice(5).trim();
+  }
+}
+
+const openaiProvider = {
+  name: 'openai',
+  defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  // OPENAI_MODELS (comma-separated) lists what a self-hosted server offers instead
+  models: (process.env.OPENAI_MODELS || 'gpt-4o').split(',').map(m => m.trim()).filter(Boolean),
+
+  async *stream({ system, messages, model, maxTokens, signal }) {
+    const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+    const apiKey = process.env.OPENAI_API_KEY;
+
+    // Self-hosted endpoints often run without a key, the public API never does
+    if (!apiKey && baseUrl === DEFAULT_BASE_URL) {
+      throw new Error('OPENAI_API_KEY environment variable is not set');
+    }
+
+    console.log(`📡 Creating OpenAI-compatible stream at ${baseUrl}...`);
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        stream: true,
+        stream_options: { include_usage: true },
+        messages: [
+          { role: 'system', content: system },
+          ...messages
+        ]
+      })
+    });
+
+    if (!response.ok) {
+      const error = new Error(`OpenAI-compatible API error: ${response.status} ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    let started = false;
+    let stopReason = null;
+    let usage = null;
+
+    for await (const data of readSSEData(response.body)) {
+      if (data === '[DONE]') break;
+
+      const chunk = JSON.parse(data);
+
+      if (!started) {
+        started = true;
+        yield {
+          type: 'message_start',
+          message: { id: chunk.id, model: chunk.model, usage: { input_tokens: 0, output_tokens: 0 } }
+        };
+        yield {
+          type: 'content_block_start',
+          index: 0,
+          content_block: { type: 'text', text: '' }
+        };
+      }
+
+      const choice = chunk.choices?.[0];
+      if (choice?.delta?.content) {
+        yield {
+          type: 'content_block_delta',
+          index: 0,
+          delta: { type: 'text_delta', text: choice.delta.content }
+        };
+      }
+      if (choice?.finish_reason) {
+        stopReason = STOP_REASONS[choice.finish_reason] || 'end_turn';
+      }
+      if (chunk.usage) {
+        usage = {
+          input_tokens: chunk.usage.prompt_tokens || 0,
+          output_tokens: chunk.usage.completion_tokens || 0
+        };
+      }
+    }
+
+    if (started) {
+      yield { type: 'content_block_stop', index: 0 };
+    }
+    yield {
+      type: 'message_delta',
+      delta: { stop_reason: stopReason || 'end_turn' },
+      usage: usage || { output_tokens: 0 }
+    };
+    yield { type: 'message_stop' };
+  },
+
+  normalizeError(error) {
+    return {
+      type: 'error',
+      code: 'OPENAI_API_ERROR',
+      message: error.message || 'Unknown error',
+      retryable: error.status === 429 || error.status >= 500
+    };
+  }
+};
+
+module.exports = openaiProvider;
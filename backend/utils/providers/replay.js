@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { readCassette, isCassette, getRecordedChunks } = require('../cassette');
+
+// Recorded streams live next to the tests that use them
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'test', 'fixtures');
+
+// AI_REPLAY_DIR points replays at another directory, e.g. freshly recorded cassettes
+const getFixturesDir = () => path.resolve(process.env.AI_REPLAY_DIR || FIXTURES_DIR);
+
+const invalidFixture = (fixture) => Object.assign(
+  new Error(`Invalid replay fixture: ${fixture}`),
+  { code: 'INVALID_FIXTURE' }
+);
+
+/**
+ * Resolves a fixture name ("landing-page", "cassettes/landing-page") to a JSONL file in the
+ * fixtures directory. The name comes from the request's model, so it can't leave that directory.
+ * @param {string} fixture - Fixture name, relative to the fixtures directory
+ * @returns {string} Absolute path to the fixture file
+ * @throws {Error} With code INVALID_FIXTURE for absolute paths and paths outside the directory
+ */
+const resolveFixture = (fixture) => {
+  if (typeof fixture !== 'string' || !fixture || path.isAbsolute(fixture) || fixture.split(/[\\/]/).includes('..')) {
+    throw invalidFixture(fixture);
+  }
+
+  const dir = getFixturesDir();
+  const fileName = fixture.endsWith('.jsonl') ? fixture : `${fixture}.jsonl`;
+  const resolved = path.resolve(dir, fileName);
+  const relative = path.relative(dir, resolved);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw invalidFixture(fixture);
+  }
+  return resolved;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Replays a recorded provider stream from a JSONL file. The "model" selects the
+ * file so the pipeline runs offline with `{ provider: 'replay', model: 'landing-page' }`.
+ * Only registered when running tests (see providers/index.js).
+ *
+ * Two formats are accepted:
+ *   - plain fixtures: one provider event per line, paced by AI_REPLAY_DELAY (ms per event)
+ *   - cassettes recorded by generateController: the raw chunks are replayed with their
+ *     original timing divided by AI_REPLAY_SPEED (1 = real time, 0 = no waiting)
+ */
+const replayProvider = {
+  name: 'replay',
+  defaultModel: process.env.AI_REPLAY_FIXTURE || 'landing-page',
+
+  // Any fixture inside the fixtures directory
+  isModelAllowed(model) {
+    try {
+      resolveFixture(model);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  async *stream({ model, signal }) {
+    const fixturePath = resolveFixture(model);
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`Replay fixture not found: ${model}`);
+    }
+
+    const entries = readCassette(fixturePath);
+
+    if (isCassette(entries)) {
+      const speed = parseFloat(process.env.AI_REPLAY_SPEED || '0');
+      let lastT = 0;
+
+      for (const chunk of getRecordedChunks(entries)) {
+        if (signal?.aborted) return;
+        if (speed > 0 && chunk.t > lastT) {
+          await sleep((chunk.t - lastT) / speed);
+        }
+        lastT = chunk.t;
+        yield chunk.data;
+      }
+      return;
+    }
+
+    const delay = parseInt(process.env.AI_REPLAY_DELAY || '0', 10);
+    for (const event of entries) {
+      if (signal?.aborted) return;
+      if (delay > 0) await sleep(delay);
+      yield event;
+    }
+  },
+
+  // The details stay in the log: a parse error would quote the fixture's contents
+  normalizeError(error) {
+    console.error('❌ Replay failed:', error.message);
+    return {
+      type: 'error',
+      code: 'REPLAY_ERROR',
+      message: 'The replay fixture could not be read',
+      retryable: false
+    };
+  }
+};
+
+module.exports = replayProvider;
+module.exports.FIXTURES_DIR = FIXTURES_DIR;
+module.exports.resolveFixture = resolveFixture;
@@ -0,0 +1,21 @@
+// Runs after tokenCheck: only approved users with tokens left may generate
+const quotaCheck = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'No token provided' });
+  }
+
+  if (req.user.status !== 'approved') {
+    return res.status(403).json({ message: 'Account is pending approval' });
+  }
+
+  if (req.user.tokens_remaining <= 0) {
+    return res.status(402).json({
+      message: 'Token quota exhausted',
+      tokensRemaining: req.user.tokens_remaining
+    });
+  }
+
+  next();
+};
+
+module.exports = quotaCheck;
@@ -0,0 +1,154 @@
+const { parse } = require('@babel/parser');
+const { walk } = require('./astWalk');
+
+/**
+ * RootLayout composes the page out of the section components (<Header />, <HeroSection />...).
+ * These helpers edit that composition in place: elements are located with Babel and
+ * the source is spliced, so the model's formatting and wrapper markup are preserved.
+ */
+
+const getElementName = (element) => {
+  const { name } = element.openingElement;
+  return name.type === 'JSXIdentifier' ? name.name : null;
+};
+
+// Whitespace between the start of the line and `offset`
+const getIndent = (code, offset) => {
+  const lineStart = code.lastIndexOf('\n', offset - 1) + 1;
+  return code.slice(lineStart, offset).match(/^[ \t]*/)[0];
+};
+
+/**
+ * Finds the section elements RootLayout renders.
+ * @param {string} code - RootLayout source
+ * @param {string[]} names - Section component names to look for
+ * @returns {{ sections: Array<{ name, start, end, indent }>, containers: Object }} Sections in
+ *   source order; containers holds the root element and the <main> element when present
+ */
+const findSections = (code, names) => {
+  // TypeScript's grammar takes plain JSX too, so tsx layouts parse the same way
+  const ast = parse(code, { sourceType: 'module', plugins: ['jsx', 'typescript'] });
+  const wanted = new Set(names);
+  const sections = [];
+  const containers = { root: null, main: null };
+
+  walk(ast.program, (node) => {
+    if (node.type === 'ReturnStatement' && node.argument?.type === 'JSXElement' && !containers.root) {
+      containers.root = node.argument;
+    }
+    if (node.type !== 'JSXElement') return;
+
+    const name = getElementName(node);
+    if (name === 'main' && !containers.main) {
+      containers.main = node;
+    }
+    if (wanted.has(name) && !sections.some(section => section.name === name)) {
+      sections.push({ name, start: node.start, end: node.end, indent: getIndent(code, node.start) });
+    }
+  });
+
+  sections.sort((a, b) => a.start - b.start);
+  return { sections, containers };
+};
+
+// Replaces [start, end) with `text`
+const splice = (code, start, end, text) => code.slice(0, start) + text + code.slice(end);
+
+/**
+ * Removes a section element, together with its line when it sits on a line of its own.
+ * @returns {string} Updated RootLayout source (unchanged if the section isn't rendered)
+ */
+const removeSection = (code, name) => {
+  const [section] = findSections(code, [name]).sections;
+  if (!section) return code;
+
+  const lineStart = code.lastIndexOf('\n', section.start - 1) + 1;
+  const lineEnd = code.indexOf('\n', section.end);
+  const ownsLine = !code.slice(lineStart, section.start).trim()
+    && !code.slice(section.end, lineEnd === -1 ? code.length : lineEnd).trim();
+
+  return ownsLine
+    ? splice(code, lineStart, lineEnd === -1 ? code.length : lineEnd + 1, '')
+    : splice(code, section.start, section.end, '');
+};
+
+// Inserts `<Name />` as the last child of a container element
+const appendToContainer = (code, container, name) => {
+  const closingStart = container.closingElement.start;
+  const indent = getIndent(code, container.start);
+  const childIndent = `${indent}  `;
+  const lineStart = code.lastIndexOf('\n', closingStart - 1) + 1;
+  const closingOnOwnLine = !code.slice(lineStart, closingStart).trim();
+
+  return closingOnOwnLine
+    ? splice(code, lineStart, lineStart, `${childIndent}<${name} />\n`)
+    : splice(code, closingStart, closingStart, `\n${childIndent}<${name} />\n${indent}`);
+};
+
+/**
+ * Inserts `<Name />` next to a sibling section, or into the page when the position has none yet.
+ * Multi-page sites only use this for their shared header and footer; each page's main sections
+ * are listed in its pages[].sections (see versionSections).
+ * @param {string} code - RootLayout source
+ * @param {string} name - Component to render
+ * @param {Object} placement
+ * @param {string} [placement.before] - Section to insert in front of
+ * @param {string} [placement.after] - Section to insert behind
+ * @param {string} placement.position - header, main or footer; used without a sibling
+ * @returns {string} Updated RootLayout source
+ */
+const insertSection = (code, name, { before, after, position }) => {
+  const { sections, containers } = findSections(code, [before, after].filter(Boolean));
+  const anchor = sections.find(section => section.name === before) || sections.find(section => section.name === after);
+
+  if (anchor) {
+    const element = `<${name} />`;
+    return anchor.name === before
+      ? splice(code, anchor.start, anchor.start, `${element}\n${anchor.indent}`)
+      : splice(code, anchor.end, anchor.end, `\n${anchor.indent}${element}`);
+  }
+
+  const { root, main } = containers;
+  if (!root || !root.closingElement) {
+    throw new Error('RootLayout does not return a JSX element to add sections to');
+  }
+
+  if (position === 'main' && main?.closingElement) {
+    return appendToContainer(code, main, name);
+  }
+
+  if (position === 'header') {
+    // First child of the root element
+    const openingEnd = root.openingElement.end;
+    const indent = `${getIndent(code, root.start)}  `;
+    return splice(code, openingEnd, openingEnd, `\n${indent}<${name} />`);
+  }
+
+  return appendToContainer(code, root, name);
+};
+
+/**
+ * Renders the given sections in a new order. Each listed section takes the slot of the
+ * one that was rendered there before, so wrappers around the slots stay where they are.
+ * @param {string} code - RootLayout source
+ * @param {string[]} order - The sections in their new order
+ * @returns {string} Updated RootLayout source
+ */
+const reorderSections = (code, order) => {
+  const { sections } = findSections(code, order);
+  const sources = new Map(sections.map(section => [section.name, code.slice(section.start, section.end)]));
+  const ordered = order.filter(name => sources.has(name));
+
+  // Splice from the end so earlier offsets stay valid
+  return sections
+    .map((slot, index) => ({ slot, source: sources.get(ordered[index]) }))
+    .reverse()
+    .reduce((updated, { slot, source }) => splice(updated, slot.start, slot.end, source), code);
+};
+
+module.exports = {
+  findSections,
+  removeSection,
+  insertSection,
+  reorderSections
+};
@@ -0,0 +1,57 @@
+/**
+ * Pages of a multi-page site generation. Each page gets an id the model uses in
+ * `page=` marker attributes and a path the shared navigation links to.
+ */
+
+const DEFAULT_SITE_PAGES = ['Home', 'About', 'Pricing', 'Contact'];
+const MAX_SITE_PAGES = 8;
+
+// page= value of the header, footer and other components every page renders
+const SHARED_PAGE = 'shared';
+
+// Marker attribute values only allow word characters and dashes
+const toPageId = (name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Builds the page plan for a site generation.
+ * @param {Array<string|{ name: string, path?: string }>} [pages] - Page names, defaults to DEFAULT_SITE_PAGES
+ * @returns {Array<{ id: string, name: string, path: string }>} The first page is served at /
+ * @throws {Error} With code INVALID_PAGES when the pages can't be used
+ */
+const createSitePlan = (pages = DEFAULT_SITE_PAGES) => {
+  const invalid = (message) => Object.assign(new Error(message), { code: 'INVALID_PAGES' });
+
+  if (!Array.isArray(pages) || pages.length === 0 || pages.length > MAX_SITE_PAGES) {
+    throw invalid(`pages must list between 1 and ${MAX_SITE_PAGES} pages`);
+  }
+
+  const plan = pages.map((page, index) => {
+    const name = typeof page === 'string' ? page : page?.name;
+    const id = typeof name === 'string' ? toPageId(name) : '';
+    if (!id) {
+      throw invalid('Every page needs a name');
+    }
+    if (id === SHARED_PAGE) {
+      throw invalid(`"${name}" is reserved for shared components`);
+    }
+
+    return {
+      id,
+      name: name.trim(),
+      path: page.path || (index === 0 ? '/' : `/${id}`)
+    };
+  });
+
+  if (new Set(plan.map(page => page.id)).size !== plan.length) {
+    throw invalid('Page names must be unique');
+  }
+
+  return plan;
+};
+
+module.exports = {
+  DEFAULT_SITE_PAGES,
+  MAX_SITE_PAGES,
+  SHARED_PAGE,
+  createSitePlan
+};
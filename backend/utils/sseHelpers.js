@@ -1,64 +1,198 @@
+const crypto = require('crypto');
 const { fallbackCache } = require('../database');
 
+// How long a finished session can still be resumed
+const SESSION_TTL = parseInt(process.env.SSE_SESSION_TTL || '300000', 10); // 5 minutes
+// How long its events then stay in the fallback cache
+const CACHE_TTL = parseInt(process.env.SSE_CACHE_TTL || '1800000', 10); // 30 minutes
+
 // Store active SSE sessions
 const activeSessions = new Map();
 
-const setupSSE = (req, res) => {
-  const sessionId = req.query.sessionId || `session_${Date.now()}`;
+// Cache keys are scoped to the session so ids from different generations never collide
+const getEventKey = (sessionId, eventId) => `${sessionId}:event_${eventId}`;
+const getOwnerKey = (sessionId) => `${sessionId}:owner`;
+
+/**
+ * Creates a generation session. Every event sent through it gets the next id.
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - Defaults to a random id
+ * @param {string} [options.userId] - The user who started it; only they can resume or cancel it
+ * @returns {Object} The session
+ */
+const createSession = ({ sessionId = `session_${crypto.randomUUID()}`, userId } = {}) => {
+  const session = {
+    id: sessionId,
+    userId: userId ? String(userId) : null,
+    lastEventId: 0,
+    events: [],
+    subscribers: new Set(),
+    isComplete: false,
+    // Set by the generation: cancel(cause) stops it, onDisconnect() runs when the last client leaves
+    cancel: null,
+    onDisconnect: null,
+    createdAt: Date.now()
+  };
+  activeSessions.set(sessionId, session);
+
+  if (session.userId) {
+    fallbackCache.set(getOwnerKey(sessionId), session.userId)
+      .catch(error => console.error('Error caching session owner:', error));
+  }
+  return session;
+};
+
+const getSession = (sessionId) => activeSessions.get(sessionId) || null;
+
+/**
+ * Whether `user` started the session. Sessions without an owner belong to nobody.
+ * @param {Object|string|null} owner - The session, or the owner id cached for an expired one
+ * @param {Object} [user] - req.user
+ * @returns {boolean}
+ */
+const isSessionOwner = (owner, user) => {
+  const ownerId = typeof owner === 'string' ? owner : owner?.userId;
+  return Boolean(ownerId && user?._id && String(user._id) === ownerId);
+};
+
+/**
+ * The owner id cached for a session that is no longer held in memory.
+ * @returns {Promise<string|null>}
+ */
+const getCachedOwner = async (sessionId) => (await fallbackCache.get(getOwnerKey(sessionId))) || null;
 
+// Drops a session's events and owner from the fallback cache
+const evictSession = (session) => {
+  const keys = [getOwnerKey(session.id)];
+  for (let i = 1; i <= session.lastEventId; i++) keys.push(getEventKey(session.id, i));
+
+  Promise.all(keys.map(key => fallbackCache.delete(key)))
+    .catch(error => console.error('Error evicting SSE session:', error));
+};
+
+/**
+ * Sets SSE headers and attaches the response to a session. Disconnecting only
+ * detaches the response; the session keeps collecting events for a resume.
+ * @returns {string} The session id
+ */
+const setupSSE = (req, res, session) => {
   // Set headers
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
   res.setHeader('X-Accel-Buffering', 'no');
-  res.flushHeaders();
+  res.setHeader('X-Session-Id', session.id);
+  if (typeof res.flushHeaders === 'function') {
+    res.flushHeaders();
+  }
 
-  // Store session info
-  activeSessions.set(sessionId, {
-    lastEventId: req.headers['last-event-id'] || '0',
-    components: [],
-    res
-  });
+  session.subscribers.add(res);
 
   // Clean up on client disconnect
   req.on('close', () => {
-    console.log(`Client disconnected from session ${sessionId}`);
-    activeSessions.delete(sessionId);
+    console.log(`Client disconnected from session ${session.id}`);
+    session.subscribers.delete(res);
+
+    // Lets the generation decide whether to keep running without a client
+    if (session.subscribers.size === 0 && !session.isComplete && session.onDisconnect) {
+      session.onDisconnect();
+    }
   });
 
-  return sessionId;
+  return session.id;
 };
 
-const sendSSEMessage = async (res, data, eventId) => {
-  if (!res.writeable) return false;
+const writeEvent = (res, eventId, data) => {
+  if (!res.writable || res.writableEnded) return false;
 
   try {
-    // Store component in fallback cache if it's a component
-    if (data.type === 'content_block_delta' && data.delta?.code) {
-      await fallbackCache.set(
-        `component_${eventId}`,
-        JSON.stringify(data)
-      );
+    const written = res.write(`id: ${eventId}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Push the event past compression buffering
+    if (typeof res.flush === 'function') {
+      res.flush();
     }
-
-    const message = `id: ${eventId}\ndata: ${JSON.stringify(data)}\n\n`;
-    return res.write(message);
+    return written;
   } catch (error) {
     console.error('Error sending SSE message:', error);
     return false;
   }
 };
 
+/**
+ * Assigns the next event id, stores the event and writes it to every attached client.
+ * @returns {number} The event id
+ */
+const sendSSEMessage = (session, data) => {
+  const eventId = ++session.lastEventId;
+  session.events.push({ id: eventId, data });
+
+  fallbackCache.set(getEventKey(session.id, eventId), JSON.stringify(data))
+    .catch(error => console.error('Error caching SSE message:', error));
+
+  session.subscribers.forEach(res => writeEvent(res, eventId, data));
+  return eventId;
+};
+
+/**
+ * Returns the stored events with an id greater than lastEventId.
+ */
+const getEventsAfter = (session, lastEventId) => {
+  const after = parseInt(lastEventId, 10) || 0;
+  return session.events.filter(event => event.id > after);
+};
+
+/**
+ * Writes missed events to a reconnecting client, then keeps it attached if the
+ * generation is still running.
+ * @returns {number} How many events were replayed
+ */
+const replaySession = (req, res, session, lastEventId) => {
+  setupSSE(req, res, session);
+
+  // Detach while replaying so live events cannot overtake missed ones
+  session.subscribers.delete(res);
+  const missed = getEventsAfter(session, lastEventId);
+  missed.forEach(event => writeEvent(res, event.id, event.data));
+
+  if (session.isComplete) {
+    res.end();
+  } else {
+    session.subscribers.add(res);
+  }
+
+  return missed.length;
+};
+
+/**
+ * Marks a session complete, ends attached clients and schedules cleanup.
+ */
+const finishSession = (session) => {
+  session.isComplete = true;
+  session.subscribers.forEach(res => {
+    if (!res.writableEnded) res.end();
+  });
+  session.subscribers.clear();
+
+  // After the TTL the events are only available from the fallback cache, until they expire there too
+  setTimeout(() => {
+    activeSessions.delete(session.id);
+    setTimeout(() => evictSession(session), CACHE_TTL).unref();
+  }, SESSION_TTL).unref();
+};
+
+/**
+ * Reads events after lastEventId from the fallback cache, for sessions that are
+ * no longer held in memory.
+ */
 const resumeSession = async (sessionId, lastEventId) => {
   try {
-    // Get all cached components after lastEventId
-    const components = [];
-    for (let i = parseInt(lastEventId) + 1; ; i++) {
-      const component = await fallbackCache.get(`component_${i}`);
-      if (!component) break;
-      components.push(JSON.parse(component));
+    const events = [];
+    for (let i = parseInt(lastEventId, 10) + 1; ; i++) {
+      const event = await fallbackCache.get(getEventKey(sessionId, i));
+      if (!event) break;
+      events.push({ id: i, data: JSON.parse(event) });
     }
-    return components;
+    return events;
   } catch (error) {
     console.error('Error resuming session:', error);
     return [];
@@ -66,8 +200,15 @@ const resumeSession = async (sessionId, lastEventId) => {
 };
 
 module.exports = {
+  createSession,
+  getSession,
+  isSessionOwner,
+  getCachedOwner,
   setupSSE,
   sendSSEMessage,
+  getEventsAfter,
+  replaySession,
+  finishSession,
   resumeSession,
   activeSessions
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,112 @@
+const vm = require('vm');
+const React = require('react');
+const { renderToStaticMarkup } = require('react-dom/server');
+const { analyzeComponent, applyRemovals } = require('./projectExport');
+const { compileJsx, getPreviewScope } = require('./previewScope');
+const { getSectionNames, POSITIONS } = require('./versionSections');
+const rootLayout = require('./rootLayout');
+
+/**
+ * Renders a version's pages to markup. staticSite.js runs this file in a child process of its
+ * own, since the components are the user's code: they are evaluated in a fresh context holding
+ * only the preview's scope, and every evaluation and render is cut off after RENDER_TIMEOUT.
+ */
+
+const RENDER_TIMEOUT = 2000;
+
+// Runs `fn` under the vm watchdog, which also interrupts loops in code it calls
+const withTimeout = (fn) => vm.runInNewContext('run()', { run: fn }, { timeout: RENDER_TIMEOUT });
+
+// Runs the components' code in one scope, as the preview does, and returns them by name
+const evaluateComponents = (components) => {
+  const source = [
+    ...components.map(({ code }) => applyRemovals(code, analyzeComponent(code).removals)),
+    `return { ${components.map(({ name }) => name).join(', ')} };`
+  ].join('\n\n');
+
+  return vm.runInNewContext(compileJsx(`(function () {\n${source}\n})()`), { ...getPreviewScope() }, { timeout: RENDER_TIMEOUT });
+};
+
+const renderMarkup = (element) => withTimeout(() => renderToStaticMarkup(element));
+
+// Sections that throw or time out while rendering are dropped rather than failing the whole page
+const findBrokenSections = (components, warnings) => {
+  const evaluated = evaluateComponents(components);
+  return components
+    .filter(({ name }) => name !== 'RootLayout')
+    .filter(({ name }) => {
+      try {
+        renderMarkup(React.createElement(evaluated[name]));
+        return false;
+      } catch (error) {
+        warnings.push(`${name} was left out because it failed to render: ${error.message}`);
+        return true;
+      }
+    })
+    .map(({ name }) => name);
+};
+
+/**
+ * Renders the pages of a version.
+ * @param {Object} payload
+ * @param {Object} payload.version - components, sections and pages of the ProjectVersion
+ * @param {Array<{ name: string, code: string }>} payload.components - The exportable components, as JSX
+ * @returns {{ pages: Array<{ path: string, markup: string }>, warnings: string[] }}
+ */
+const renderPages = ({ version, components }) => {
+  const warnings = [];
+  const broken = findBrokenSections(components, warnings);
+
+  // RootLayout mustn't render what was left out
+  const dropped = [
+    ...version.components.map(component => component.name).filter(name => !components.some(component => component.name === name)),
+    ...broken
+  ];
+  const kept = components
+    .filter(component => !dropped.includes(component.name))
+    .map(component => component.name === 'RootLayout'
+      ? { ...component, code: dropped.reduce((code, sectionName) => rootLayout.removeSection(code, sectionName), component.code) }
+      : component);
+
+  const evaluated = evaluateComponents(kept);
+  const names = new Map(version.components.map(component => [component.componentId, component.name]));
+  const sectionElements = (sectionNames) => sectionNames
+    .filter(sectionName => evaluated[sectionName] && sectionName !== 'RootLayout')
+    .map(sectionName => React.createElement(evaluated[sectionName], { key: sectionName }));
+
+  let pages;
+  if (evaluated.RootLayout && version.pages?.length) {
+    pages = version.pages.map(page => ({
+      path: page.path,
+      element: React.createElement(evaluated.RootLayout, null, ...sectionElements(page.sections.map(id => names.get(id))))
+    }));
+  } else if (evaluated.RootLayout) {
+    pages = [{ path: '/', element: React.createElement(evaluated.RootLayout) }];
+  } else {
+    // Without a layout the sections are stacked in page order
+    const ordered = POSITIONS.flatMap(position => getSectionNames(version, position));
+    pages = [{ path: '/', element: React.createElement(React.Fragment, null, ...sectionElements(ordered)) }];
+  }
+
+  return {
+    pages: pages.map(page => ({ path: page.path, markup: renderMarkup(page.element) })),
+    warnings
+  };
+};
+
+// Run by staticSite.js: one render per process, answered over IPC
+if (require.main === module) {
+  process.once('message', (payload) => {
+    let message;
+    try {
+      message = { result: renderPages(payload) };
+    } catch (error) {
+      message = { error: error.message };
+    }
+    process.send(message, () => process.exit(0));
+  });
+}
+
+module.exports = {
+  renderPages
+};
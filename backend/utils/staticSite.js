@@ -0,0 +1,156 @@
+const path = require('path');
+const { fork } = require('child_process');
+const postcss = require('postcss');
+const tailwindcss = require('tailwindcss');
+const animate = require('tailwindcss-animate');
+const { getExportableComponents, slugify } = require('./projectExport');
+const { TAILWIND_THEME, indexCss, fontLink, escapeHtml } = require('./exportTemplate');
+const { stripTypes } = require('./previewScope');
+const { getVersionLanguage } = require('./language');
+const { FRONTEND_SRC_DIR } = require('./frontendModule');
+const { createZip } = require('./zipArchive');
+
+/**
+ * Pre-renders a saved version to plain HTML and CSS: components are evaluated in the
+ * preview's scope and rendered with react-dom/server, so the page needs no JavaScript.
+ */
+
+const RENDERER = path.join(__dirname, 'staticRenderer.js');
+const RENDER_PROCESS_TIMEOUT = Number(process.env.STATIC_RENDER_PROCESS_TIMEOUT) || 30000;
+const RENDER_MEMORY_MB = 256;
+
+// Node's permission model keeps the renderer from writing files or starting processes
+const PERMISSION_FLAG = ['--permission', '--experimental-permission']
+  .find(flag => process.allowedNodeEnvironmentFlags.has(flag));
+
+/**
+ * Renders the pages in a child process (see staticRenderer.js) that sees no environment but
+ * the frontend path, and is killed when it runs out of time.
+ * @param {Object} payload - See staticRenderer.renderPages
+ * @returns {Promise<{ pages: Array<{ path: string, markup: string }>, warnings: string[] }>}
+ */
+const renderInChildProcess = (payload) => new Promise((resolve, reject) => {
+  const child = fork(RENDERER, [], {
+    env: { FRONTEND_SRC_DIR },
+    execArgv: [
+      `--max-old-space-size=${RENDER_MEMORY_MB}`,
+      ...(PERMISSION_FLAG ? [PERMISSION_FLAG, '--allow-fs-read=*'] : [])
+    ],
+    stdio: ['ignore', 'ignore', 'ignore', 'ipc']
+  });
+
+  let settled = false;
+  const finish = (error, result) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    child.kill('SIGKILL');
+    if (error) reject(Object.assign(new Error(error), { code: 'RENDER_FAILED' }));
+    else resolve(result);
+  };
+  const timer = setTimeout(() => finish('Rendering the site timed out'), RENDER_PROCESS_TIMEOUT);
+
+  child.once('message', ({ result, error }) => finish(error && `Rendering the site failed: ${error}`, result));
+  child.once('error', error => finish(`Rendering the site failed: ${error.message}`));
+  child.once('exit', code => finish(`The renderer exited with code ${code}`));
+  child.send(JSON.parse(JSON.stringify(payload)));
+});
+
+// Path of a page's HTML file, and the prefix back to the site root from it
+const getPageFile = (pagePath) => {
+  const segments = pagePath.split('/').filter(Boolean);
+  return {
+    path: [...segments, 'index.html'].join('/'),
+    root: '../'.repeat(segments.length)
+  };
+};
+
+const htmlDocument = ({ title, markup, root, theme }) => `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHtml(title)}</title>
+    <link rel="stylesheet" href="${root}styles.css" />${fontLink(theme)}
+  </head>
+  <body>
+    <div id="root">${markup}</div>
+  </body>
+</html>
+`;
+
+/**
+ * Compiles the Tailwind classes the markup uses, and nothing else.
+ * @param {string} html
+ * @param {Object} [theme] - The version's theme, if it has one
+ * @returns {Promise<string>}
+ */
+const compileCss = async (html, theme) => {
+  const { css } = await postcss([
+    tailwindcss({
+      darkMode: ['class'],
+      content: [{ raw: html, extension: 'html' }],
+      theme: TAILWIND_THEME,
+      plugins: [animate]
+    })
+  ]).process(indexCss(theme), { from: undefined });
+  return css;
+};
+
+/**
+ * Renders a version to static files.
+ * @param {Object} version - ProjectVersion
+ * @param {Object} [options]
+ * @param {string} [options.name] - Page title
+ * @returns {Promise<{ files: Array<{ path: string, content: string }>, warnings: string[] }>}
+ *   index.html (one per page for sites) and styles.css
+ */
+const renderStaticSite = async (version, { name = 'Website' } = {}) => {
+  const warnings = [];
+  // Types don't render; tsx components are stripped to JSX once, up front
+  let components = getExportableComponents(version);
+  if (getVersionLanguage(version) === 'tsx') {
+    components = components.map(component => ({ ...component, code: stripTypes(component.code) }));
+  }
+  const keptNames = new Set(components.map(component => component.name));
+  version.components
+    .filter(component => !keptNames.has(component.name))
+    .forEach(component => warnings.push(`${component.name} was left out because it didn't generate cleanly (${component.status || 'no code'})`));
+
+  const { pages, warnings: renderWarnings } = await renderInChildProcess({
+    version: { components: version.components, sections: version.sections, pages: version.pages },
+    components
+  });
+  warnings.push(...renderWarnings);
+
+  const rendered = pages.map(page => ({ ...getPageFile(page.path), markup: page.markup }));
+  const css = await compileCss(rendered.map(page => page.markup).join('\n'), version.theme);
+
+  return {
+    files: [
+      ...rendered.map(page => ({ path: page.path, content: htmlDocument({ title: name, theme: version.theme, ...page }) })),
+      { path: 'styles.css', content: css }
+    ],
+    warnings
+  };
+};
+
+/**
+ * Zips up the static rendering of a version.
+ * @param {Object} version - ProjectVersion
+ * @param {Object} [options] - See renderStaticSite
+ * @returns {Promise<{ archive: Buffer, warnings: string[] }>}
+ */
+const exportStaticSite = async (version, options = {}) => {
+  const { files, warnings } = await renderStaticSite(version, options);
+  const root = `${slugify(options.name || 'website')}-v${version.versionNumber}-html`;
+  return {
+    archive: createZip(files.map(file => ({ ...file, path: `${root}/${file.path}` }))),
+    warnings
+  };
+};
+
+module.exports = {
+  renderStaticSite,
+  exportStaticSite
+};
@@ -0,0 +1,143 @@
+const path = require('path');
+const { FRONTEND_SRC_DIR, loadFrontendModule } = require('./frontendModule');
+
+/**
+ * Theme tokens of a generated page: primary/secondary/accent/background/foreground colors,
+ * a corner radius and font families. The model writes one in a `/// START Theme` block, the
+ * theme editor saves edited ones, and both are checked here. Turning a theme into CSS
+ * variables is left to the frontend's themeTokens.js, so the exports match the preview.
+ */
+
+const THEME_TOKENS_FILE = path.join(FRONTEND_SRC_DIR, 'components', 'utils', 'themeTokens.js');
+
+// Name of the marker block the model writes the theme in
+const THEME_BLOCK = 'Theme';
+
+const RADIUS_PATTERN = /^(?:0|\d{1,2}(?:\.\d{1,3})?(?:rem|px))$/;
+
+let tokens;
+const getTokens = () => {
+  if (!tokens) tokens = loadFrontendModule(THEME_TOKENS_FILE);
+  return tokens;
+};
+
+const invalid = (message) => Object.assign(new Error(message), { code: 'INVALID_THEME' });
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Checks a theme and returns a complete copy of it; whatever it leaves out comes from the
+ * default theme.
+ * @param {Object} theme
+ * @param {Object<string, string>} [theme.colors] - Hex colors for primary, secondary, accent, background and foreground
+ * @param {string} [theme.radius] - e.g. 0.5rem
+ * @param {{ heading?: string, body?: string }} [theme.fonts] - Font family names
+ * @returns {{ colors: Object<string, string>, radius: string, fonts: { heading: string, body: string } }}
+ * @throws {Error} With code INVALID_THEME for values that can't be used
+ */
+const normalizeTheme = (theme) => {
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+    throw invalid('A theme must be an object');
+  }
+  const { THEME_COLOR_KEYS, HEX_COLOR_PATTERN, FONT_NAME_PATTERN, DEFAULT_THEME } = getTokens();
+
+  const colors = Object.fromEntries(THEME_COLOR_KEYS.map((key) => {
+    const value = theme.colors?.[key];
+    if (!isSet(value)) return [key, DEFAULT_THEME.colors[key]];
+    if (typeof value !== 'string' || !HEX_COLOR_PATTERN.test(value.trim())) {
+      throw invalid(`colors.${key} must be a hex color like #2563eb`);
+    }
+    return [key, value.trim().toLowerCase()];
+  }));
+
+  let radius = DEFAULT_THEME.radius;
+  if (isSet(theme.radius)) {
+    if (typeof theme.radius !== 'string' || !RADIUS_PATTERN.test(theme.radius.trim())) {
+      throw invalid('radius must be a length like 0.5rem or 8px');
+    }
+    radius = theme.radius.trim();
+  }
+
+  const fonts = Object.fromEntries(['heading', 'body'].map((key) => {
+    const value = theme.fonts?.[key];
+    if (!isSet(value)) return [key, ''];
+    if (typeof value !== 'string' || !FONT_NAME_PATTERN.test(value.trim())) {
+      throw invalid(`fonts.${key} must be a font family name like Inter`);
+    }
+    return [key, value.trim()];
+  }));
+
+  return { colors, radius, fonts };
+};
+
+/**
+ * Reads the theme out of the model's Theme block.
+ * @param {string} text - The block's contents
+ * @returns {Object} Normalized theme
+ * @throws {Error} With code INVALID_THEME when the block isn't a usable theme
+ */
+const parseTheme = (text) => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw invalid('The theme block did not contain JSON');
+  }
+
+  let theme;
+  try {
+    theme = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw invalid(`The theme is not valid JSON: ${error.message}`);
+  }
+  return normalizeTheme(theme);
+};
+
+/**
+ * Theme for an approved proposal, used until the model writes its own. Palette entries
+ * that aren't hex colors are left to the defaults.
+ * @param {Object} plan - From normalizeProposal()
+ * @returns {Object} Normalized theme
+ */
+const themeFromPlan = (plan) => {
+  const { HEX_COLOR_PATTERN, FONT_NAME_PATTERN } = getTokens();
+  const pick = (value, pattern) => (typeof value === 'string' && pattern.test(value.trim()) ? value : undefined);
+  const { palette = {}, typography = {} } = plan;
+
+  return normalizeTheme({
+    colors: {
+      primary: pick(palette.primary, HEX_COLOR_PATTERN),
+      secondary: pick(palette.secondary, HEX_COLOR_PATTERN),
+      accent: pick(palette.accent, HEX_COLOR_PATTERN),
+      background: pick(palette.background, HEX_COLOR_PATTERN),
+      foreground: pick(palette.text, HEX_COLOR_PATTERN)
+    },
+    fonts: {
+      heading: pick(typography.headings, FONT_NAME_PATTERN),
+      body: pick(typography.body, FONT_NAME_PATTERN)
+    }
+  });
+};
+
+/**
+ * The theme as CSS: its variables on `scope` and its font rules.
+ * @param {Object} theme
+ * @param {string} [scope]
+ * @returns {string}
+ */
+const formatThemeCss = (theme, scope) => getTokens().formatThemeCss(theme, scope);
+
+/**
+ * Google Fonts stylesheet for the theme's fonts, or null.
+ * @param {Object} [theme]
+ * @returns {string|null}
+ */
+const getFontStylesheetUrl = (theme) => getTokens().getFontStylesheetUrl(theme);
+
+module.exports = {
+  THEME_BLOCK,
+  normalizeTheme,
+  parseTheme,
+  themeFromPlan,
+  formatThemeCss,
+  getFontStylesheetUrl
+};
@@ -0,0 +1,113 @@
+const User = require('../models/User');
+
+// Generations kept in User.usage_history; older entries are dropped on debit
+const USAGE_HISTORY_LIMIT = parseInt(process.env.USAGE_HISTORY_LIMIT || '100', 10);
+
+/**
+ * Accumulates token usage over the provider calls made for one generation
+ * (the page itself plus any repair requests).
+ * @returns {{ call: Function, totals: Function }}
+ */
+const createUsageMeter = () => {
+  const calls = [];
+
+  return {
+    /**
+     * Starts metering one provider call.
+     * @returns {{ track: Function }} track(event) reads usage off each stream event
+     */
+    call() {
+      const usage = { input_tokens: 0, output_tokens: 0 };
+      calls.push(usage);
+
+      return {
+        track(event) {
+          // message_start carries the prompt size, message_delta the cumulative output count
+          const eventUsage = event.type === 'message_start' ? event.message?.usage
+            : event.type === 'message_delta' ? event.usage
+              : null;
+          if (!eventUsage) return;
+
+          if (typeof eventUsage.input_tokens === 'number') usage.input_tokens = eventUsage.input_tokens;
+          if (typeof eventUsage.output_tokens === 'number') usage.output_tokens = eventUsage.output_tokens;
+        }
+      };
+    },
+
+    /**
+     * @returns {{ input_tokens: number, output_tokens: number }} Usage summed over all calls
+     */
+    totals() {
+      return calls.reduce((sum, usage) => ({
+        input_tokens: sum.input_tokens + usage.input_tokens,
+        output_tokens: sum.output_tokens + usage.output_tokens
+      }), { input_tokens: 0, output_tokens: 0 });
+    }
+  };
+};
+
+/**
+ * Debits a generation's usage from the user's balance and records it in their history.
+ * Both happen in one update so concurrent generations can't lose a debit. The balance
+ * may go below zero when a generation overruns it; the quota check then blocks the next one.
+ * @param {string} userId - User to debit
+ * @param {{ input_tokens: number, output_tokens: number }} usage - Metered usage
+ * @param {Object} details - History fields (sessionId, projectId, provider, model, reason)
+ * @returns {Promise<Object|null>} The updated user, or null if they no longer exist
+ */
+const debitUsage = async (userId, usage, details = {}) => {
+  const totalTokens = usage.input_tokens + usage.output_tokens;
+
+  return User.findByIdAndUpdate(userId, {
+    $inc: { tokens_remaining: -totalTokens },
+    $push: {
+      usage_history: {
+        $each: [{
+          ...details,
+          input_tokens: usage.input_tokens,
+          output_tokens: usage.output_tokens,
+          total_tokens: totalTokens
+        }],
+        $slice: -USAGE_HISTORY_LIMIT
+      }
+    }
+  }, { new: true });
+};
+
+/**
+ * Debits the usage a meter collected from the signed-in user and reports it. Unauthenticated
+ * callers (tests, cassette recording) are metered but not charged.
+ * @param {Object} meter - From createUsageMeter
+ * @param {Object} req - The request; req.user is debited
+ * @param {Object|null} session - SSE session the usage belongs to; no event is sent once it's complete
+ * @param {Object} meta - History fields besides the session (projectId, provider, model, reason)
+ * @param {Function} [sendEvent] - Sends the `usage` event; without it the caller reports the result
+ * @returns {Promise<{ usage: Object, tokensRemaining?: number }>}
+ */
+const settleUsage = async (meter, req, session, meta, sendEvent) => {
+  const usage = meter.totals();
+  let tokensRemaining;
+
+  if (req.user) {
+    try {
+      const user = await debitUsage(req.user._id, usage, { ...(session && { sessionId: session.id }), ...meta });
+      tokensRemaining = user?.tokens_remaining;
+      console.log(`🪙 Debited ${usage.input_tokens + usage.output_tokens} tokens, ${tokensRemaining} remaining`);
+    } catch (error) {
+      console.error('❌ Failed to debit token usage:', error);
+    }
+  }
+
+  const result = { usage, ...(tokensRemaining !== undefined && { tokensRemaining }) };
+  if (sendEvent && !session?.isComplete) {
+    sendEvent({ type: 'usage', ...result });
+  }
+  return result;
+};
+
+module.exports = {
+  createUsageMeter,
+  debitUsage,
+  settleUsage,
+  USAGE_HISTORY_LIMIT
+};
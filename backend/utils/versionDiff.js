@@ -0,0 +1,200 @@
+const { structuredPatch, diffLines } = require('diff');
+
+// Unchanged lines kept around each hunk
+const CONTEXT_LINES = 3;
+// Removed and added components sharing at least this much code count as a rename
+const RENAME_SIMILARITY = 0.6;
+
+/**
+ * Share of lines two snippets have in common.
+ * @returns {number} 0 (nothing shared) to 1 (identical)
+ */
+const codeSimilarity = (a, b) => {
+  let shared = 0;
+  let total = 0;
+
+  for (const change of diffLines(a || '', b || '')) {
+    // Unchanged lines exist on both sides
+    if (!change.added && !change.removed) {
+      shared += change.count * 2;
+      total += change.count * 2;
+    } else {
+      total += change.count;
+    }
+  }
+
+  return total ? shared / total : 1;
+};
+
+/**
+ * Line diff of one component's code.
+ * @param {string} oldName - Name in the older version
+ * @param {string} newName - Name in the newer version
+ * @returns {{ unified: string, hunks: Array }} Unified diff text and the hunks it was built from
+ */
+const diffComponentCode = (oldName, newName, oldCode, newCode) => {
+  const { hunks } = structuredPatch(`a/${oldName}`, `b/${newName}`, oldCode || '', newCode || '', '', '', {
+    context: CONTEXT_LINES
+  });
+
+  const unified = [
+    `--- a/${oldName}`,
+    `+++ b/${newName}`,
+    ...hunks.flatMap(hunk => [
+      `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+      ...hunk.lines
+    ])
+  ].join('\n');
+
+  return { unified, hunks };
+};
+
+// Where a component sits on the page: its section and its index within that section
+const getPlacement = (version, component) => {
+  const section = version.sections?.[component.position] || [];
+  return { position: component.position, index: section.indexOf(component.componentId) };
+};
+
+/**
+ * Indexes of a longest strictly increasing run (not necessarily contiguous) in `values`.
+ * @param {number[]} values
+ * @returns {Set<number>}
+ */
+const longestIncreasing = (values) => {
+  const lengths = values.map(() => 1);
+  const previous = values.map(() => -1);
+
+  values.forEach((value, i) => {
+    for (let j = 0; j < i; j++) {
+      if (values[j] < value && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+  });
+
+  const kept = new Set();
+  let i = lengths.indexOf(Math.max(0, ...lengths));
+  while (i !== -1) {
+    kept.add(i);
+    i = previous[i];
+  }
+  return kept;
+};
+
+/**
+ * Finds the matched components that moved. Moving to another position always counts; within
+ * a position only the relative order of the components both versions place there matters, so
+ * sections added or removed around them don't make them move. The most components that kept
+ * their order stay put and the rest moved.
+ * @param {Array} pairs - [oldComponent, newComponent] pairs
+ * @returns {Array<{ name, from, to }>} In the order of `pairs`
+ */
+const findMoved = (from, to, pairs) => {
+  const placed = pairs.map(([oldComponent, newComponent]) => ({
+    name: newComponent.name,
+    from: getPlacement(from, oldComponent),
+    to: getPlacement(to, newComponent)
+  }));
+
+  const moved = new Set(placed.filter(placement => placement.from.position !== placement.to.position
+    || (placement.from.index === -1) !== (placement.to.index === -1)));
+
+  const staying = placed.filter(placement => !moved.has(placement) && placement.from.index !== -1);
+  const positions = new Set(staying.map(placement => placement.from.position));
+  positions.forEach(position => {
+    const inOldOrder = staying
+      .filter(placement => placement.from.position === position)
+      .sort((a, b) => a.from.index - b.from.index);
+    const kept = longestIncreasing(inOldOrder.map(placement => placement.to.index));
+    inOldOrder.forEach((placement, i) => {
+      if (!kept.has(i)) moved.add(placement);
+    });
+  });
+
+  return placed.filter(placement => moved.has(placement));
+};
+
+/**
+ * Compares two versions of a project at component granularity. Components are matched
+ * by name; unmatched ones that share most of their code are reported as renames.
+ * @param {Object} from - Older ProjectVersion
+ * @param {Object} to - Newer ProjectVersion
+ * @returns {Object} added, removed, renamed, moved and changed components
+ */
+const diffVersions = (from, to) => {
+  const oldByName = new Map(from.components.map(component => [component.name, component]));
+  const newByName = new Map(to.components.map(component => [component.name, component]));
+
+  const pairs = [];
+  const removed = from.components.filter(component => !newByName.has(component.name));
+  const added = to.components.filter(component => !oldByName.has(component.name));
+
+  for (const component of from.components) {
+    if (newByName.has(component.name)) {
+      pairs.push([component, newByName.get(component.name)]);
+    }
+  }
+
+  // Pair up renames, most similar first
+  const renamed = [];
+  const candidates = removed
+    .flatMap(oldComponent => added.map(newComponent => ({
+      oldComponent,
+      newComponent,
+      similarity: codeSimilarity(oldComponent.code, newComponent.code)
+    })))
+    .filter(candidate => candidate.similarity >= RENAME_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity);
+
+  for (const { oldComponent, newComponent, similarity } of candidates) {
+    if (!removed.includes(oldComponent) || !added.includes(newComponent)) continue;
+
+    removed.splice(removed.indexOf(oldComponent), 1);
+    added.splice(added.indexOf(newComponent), 1);
+    renamed.push({ from: oldComponent.name, to: newComponent.name, similarity: Number(similarity.toFixed(2)) });
+    pairs.push([oldComponent, newComponent]);
+  }
+
+  const moved = findMoved(from, to, pairs);
+  const changed = [];
+  const unchanged = [];
+
+  for (const [oldComponent, newComponent] of pairs) {
+    if (oldComponent.code === newComponent.code) {
+      unchanged.push(newComponent.name);
+      continue;
+    }
+
+    changed.push({
+      name: newComponent.name,
+      ...(oldComponent.name !== newComponent.name && { previousName: oldComponent.name }),
+      status: { from: oldComponent.status, to: newComponent.status },
+      ...diffComponentCode(oldComponent.name, newComponent.name, oldComponent.code, newComponent.code)
+    });
+  }
+
+  const summarize = (component) => ({
+    name: component.name,
+    position: component.position,
+    status: component.status,
+    code: component.code
+  });
+
+  return {
+    from: { id: from._id, versionNumber: from.versionNumber },
+    to: { id: to._id, versionNumber: to.versionNumber },
+    added: added.map(summarize),
+    removed: removed.map(summarize),
+    renamed,
+    moved,
+    changed,
+    unchanged
+  };
+};
+
+module.exports = {
+  diffVersions,
+  diffComponentCode,
+  codeSimilarity
+};
@@ -0,0 +1,209 @@
+const { getComponentId } = require('./projectVersions');
+const { validateComponentCode } = require('./componentValidation');
+const { getVersionLanguage } = require('./language');
+const rootLayout = require('./rootLayout');
+
+const POSITIONS = ['header', 'main', 'footer'];
+
+const toPlain = (component) => (component.toObject ? component.toObject() : { ...component });
+
+const copySections = (version) => Object.fromEntries(
+  POSITIONS.map(position => [position, [...(version.sections?.[position] || [])]])
+);
+
+// Multi-page sites carry their page list over; `omit` drops a removed section from it
+const copyPages = (version, omit) => version.pages?.length ? {
+  pages: version.pages.map(page => ({
+    ...(page.toObject ? page.toObject() : page),
+    sections: page.sections.filter(id => id !== omit)
+  }))
+} : {};
+
+// In multi-page sites each page renders its own main sections as RootLayout's children, while
+// the header and footer are shared and rendered by RootLayout itself
+const isPageSection = (version, position) => position === 'main' && version.pages?.length > 0;
+
+/**
+ * Checks the page a section change targets: main sections of multi-page sites need one of
+ * the site's pages, anything else none.
+ * @param {Object} version - ProjectVersion
+ * @param {string} position - header, main or footer
+ * @param {string} [page] - Page id
+ * @throws {Error} With code INVALID_PAGE otherwise
+ */
+const checkSectionPage = (version, position, page) => {
+  const invalid = (message) => Object.assign(new Error(message), { code: 'INVALID_PAGE' });
+
+  if (!isPageSection(version, position)) {
+    if (page !== undefined) throw invalid('page only applies to main sections of multi-page sites');
+    return;
+  }
+  if (!version.pages.some(p => p.id === page)) {
+    throw invalid(`page must be one of: ${version.pages.map(p => p.id).join(', ')}`);
+  }
+};
+
+/**
+ * Names of the section components rendered at a position, in page order.
+ * RootLayout is listed under main but isn't a section.
+ * @param {Object} version - ProjectVersion
+ * @param {string} position - header, main or footer
+ * @param {string} [page] - Only the main sections of this page of a multi-page site
+ * @returns {string[]}
+ */
+const getSectionNames = (version, position, page) => {
+  const names = new Map(version.components.map(component => [component.componentId, component.name]));
+  const ids = page ? version.pages?.find(p => p.id === page)?.sections : version.sections?.[position];
+  return (ids || [])
+    .filter(id => names.has(id) && names.get(id) !== 'RootLayout')
+    .map(id => names.get(id));
+};
+
+// Puts `id` in front of `beforeId` or behind `afterId`, otherwise at `fallbackIndex`
+const insertId = (ids, id, { beforeId, afterId }, fallbackIndex = ids.length) => {
+  if (beforeId && ids.includes(beforeId)) {
+    ids.splice(ids.indexOf(beforeId), 0, id);
+  } else if (afterId && ids.includes(afterId)) {
+    ids.splice(ids.indexOf(afterId) + 1, 0, id);
+  } else {
+    ids.splice(fallbackIndex, 0, id);
+  }
+};
+
+// Refills the slots of the listed ids in their new order, so everything else keeps its place
+const refillSlots = (ids, order) => {
+  const listed = new Set(order);
+  let next = 0;
+  return ids.map(id => (listed.has(id) ? order[next++] : id));
+};
+
+// Runs `rewrite` over RootLayout's code; a layout that no longer validates isn't saved
+const rewriteRootLayout = (version, components, rewrite) => components.map(component => {
+  if (component.name !== 'RootLayout' || !component.code) return component;
+
+  let code;
+  let validation;
+  try {
+    code = rewrite(component.code);
+    validation = validateComponentCode(code, 'RootLayout', { language: getVersionLanguage(version) });
+  } catch (error) {
+    validation = { valid: false, error };
+  }
+
+  if (!validation.valid) {
+    const error = new Error(`RootLayout could not be updated: ${validation.error.message}`);
+    error.code = 'ROOT_LAYOUT_INVALID';
+    throw error;
+  }
+
+  return { ...component, code };
+});
+
+/**
+ * Adds a section to a version's components and sections, and renders it from RootLayout or,
+ * for the main sections of multi-page sites, from its page.
+ * @param {Object} version - ProjectVersion to start from
+ * @param {Object} component - New component ({ name, position, page, code, status, repairAttempts });
+ *   page is required for main sections of multi-page sites, see checkSectionPage
+ * @param {number} [index] - Place among the position's (or page's) sections; defaults to the end
+ * @returns {{ components: Object[], sections: Object, pages?: Object[] }} Fields for the next version
+ */
+const addSection = (version, component, index) => {
+  const { name, position, page } = component;
+  checkSectionPage(version, position, page);
+
+  const names = getSectionNames(version, position, page);
+  const at = index === undefined ? names.length : Math.max(0, Math.min(index, names.length));
+  const before = names[at];
+  const after = names[at - 1];
+
+  const componentId = getComponentId(name);
+  const components = version.components.map(toPlain);
+  const idOf = (sectionName) => sectionName && components.find(c => c.name === sectionName).componentId;
+  const neighbours = { beforeId: idOf(before), afterId: idOf(after) };
+
+  // Next to its neighbours when it has any, otherwise ahead of RootLayout
+  const sections = copySections(version);
+  const ids = sections[position];
+  const layoutIndex = ids.indexOf('root_layout');
+  insertId(ids, componentId, neighbours, layoutIndex === -1 ? ids.length : layoutIndex);
+
+  const neighbourIndex = components.findIndex(c => c.name === (before || after || 'RootLayout'));
+  const insertAt = neighbourIndex === -1 ? components.length : neighbourIndex + (before || !after ? 0 : 1);
+  components.splice(insertAt, 0, { ...component, componentId });
+
+  // A page renders its own sections; RootLayout stays the same for every page
+  if (page) {
+    const { pages } = copyPages(version);
+    insertId(pages.find(p => p.id === page).sections, componentId, neighbours);
+    return { components, sections, pages };
+  }
+
+  return {
+    components: rewriteRootLayout(version, components, code => rootLayout.insertSection(code, name, { before, after, position })),
+    sections,
+    ...copyPages(version)
+  };
+};
+
+/**
+ * Removes a section from a version's components, sections and RootLayout.
+ * @param {Object} version - ProjectVersion to start from
+ * @param {string} name - Section component to remove
+ * @returns {{ components: Object[], sections: Object, pages?: Object[] }} Fields for the next version
+ */
+const removeSection = (version, name) => {
+  const removed = version.components.find(c => c.name === name);
+  const components = version.components.filter(c => c !== removed).map(toPlain);
+  const sections = copySections(version);
+  POSITIONS.forEach(position => {
+    sections[position] = sections[position].filter(id => id !== removed.componentId);
+  });
+
+  return {
+    components: rewriteRootLayout(version, components, code => rootLayout.removeSection(code, name)),
+    sections,
+    ...copyPages(version, removed.componentId)
+  };
+};
+
+/**
+ * Puts the sections of one position in a new order.
+ * @param {Object} version - ProjectVersion to start from
+ * @param {string} position - header, main or footer
+ * @param {string[]} order - Every section of the position (or page), in its new order
+ * @param {string} [page] - Page whose main sections are reordered, in multi-page sites
+ * @returns {{ components: Object[], sections: Object, pages?: Object[] }} Fields for the next version
+ */
+const reorderSections = (version, position, order, page) => {
+  checkSectionPage(version, position, page);
+
+  const components = version.components.map(toPlain);
+  const ids = order.map(name => components.find(c => c.name === name).componentId);
+
+  // RootLayout keeps its place; the section slots around it are refilled in order
+  const sections = copySections(version);
+  sections[position] = refillSlots(sections[position], ids);
+
+  if (page) {
+    const { pages } = copyPages(version);
+    const reordered = pages.find(p => p.id === page);
+    reordered.sections = refillSlots(reordered.sections, ids);
+    return { components, sections, pages };
+  }
+
+  return {
+    components: rewriteRootLayout(version, components, code => rootLayout.reorderSections(code, order)),
+    sections,
+    ...copyPages(version)
+  };
+};
+
+module.exports = {
+  POSITIONS,
+  checkSectionPage,
+  getSectionNames,
+  addSection,
+  removeSection,
+  reorderSections
+};
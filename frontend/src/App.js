@@ -3,6 +3,7 @@ import { BrowserRouter as Router, Routes, Route, Link } from 'react-router-dom';
 import { Button } from './components/ui/button';
 import SimpleLivePreview from './components/SimpleLivePreview';
 import GeneratePage from './pages/GeneratePage';
+import ProjectHistoryPage from './pages/ProjectHistoryPage';
 import { Card, Input, Label } from './components/ui';
 import * as LucideIcons from 'lucide-react';
 import LivePreviewTestPage from './components/LivePreviewTestPage';
@@ -29,6 +30,7 @@ function App() {
         <Routes>
           <Route path="/" element={<GeneratePage />} />
           <Route path="/generate" element={<GeneratePage />} />
+          <Route path="/projects/:projectId/history" element={<ProjectHistoryPage />} />
           <Route path="/test" element={<LivePreviewTestPage />} />
           <Route path="/preview" element={
             <div className="p-6 bg-[#0B1121] min-h-screen">
@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Editor } from 'react-live';
+import { AlertCircle, Loader2, Save, X } from 'lucide-react';
+import { Button } from './ui/button';
+import { cn } from './utils/cn';
+import { fixSnippet, validateJSXSyntax, getSyntaxDiagnostics } from './utils/babelTransformations';
+import { getCompletions } from './utils/codeCompletions';
+
+// Edits reach the preview once typing pauses for this long
+export const PREVIEW_DELAY = 250; // ms
+
+/**
+ * Code for the preview, and the syntax errors to mark, after an edit.
+ * @param {string} code - The code as typed
+ * @param {string} language - jsx or tsx
+ * @returns {{ diagnostics: Array, previewCode: string|null }} previewCode is null when the
+ *   edit can't be rendered and the preview should keep showing the last code that could
+ */
+export const checkEditedCode = (code, language) => {
+  const diagnostics = getSyntaxDiagnostics(code, language);
+  if (!diagnostics.length) return { diagnostics, previewCode: code };
+
+  // Half-typed code mostly lacks closing tags and braces, which fixSnippet supplies
+  const fixed = fixSnippet(code);
+  const canPreview = validateJSXSyntax(fixed) && !getSyntaxDiagnostics(fixed, language).length;
+  return { diagnostics, previewCode: canPreview ? fixed : null };
+};
+
+// Where the caret ended up after an edit: the end of the text that differs from before
+const getEditEnd = (previous, next) => {
+  let suffix = 0;
+  while (
+    suffix < previous.length && suffix < next.length
+    && previous[previous.length - 1 - suffix] === next[next.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  return next.length - suffix;
+};
+
+// Puts the caret `offset` characters into the editor's text, after a completion replaced it
+const placeCaret = (root, offset) => {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let remaining = offset;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (remaining <= node.length) {
+      window.getSelection()?.collapse(node, remaining);
+      return;
+    }
+    remaining -= node.length;
+  }
+};
+
+/**
+ * Hand-edits the code of one generated component. Edits go to the preview through onChange
+ * as the user types, fixed up by fixSnippet where they are incomplete; syntax errors are
+ * marked beside their lines. Nothing is saved until the user asks for it.
+ * @param {Object} props
+ * @param {{ name: string, code: string }} props.component - The registry entry being edited, as
+ *   it was before the edit
+ * @param {string} [props.language] - jsx or tsx
+ * @param {Function} props.onChange - Called with code the preview can render
+ * @param {Function} props.onSave - Called with the code as typed
+ * @param {Function} props.onCancel - Called when the edit is discarded
+ * @param {boolean} [props.isBusy] - Disables saving while a change is being saved
+ * @param {string} [props.error] - Why the last save failed
+ */
+const CodeEditorPanel = ({ component, language = 'jsx', onChange, onSave, onCancel, isBusy = false, error }) => {
+  const [code, setCode] = useState(component.code);
+  const [diagnostics, setDiagnostics] = useState(() => getSyntaxDiagnostics(component.code, language));
+  // Open suggestions: { prefix, items, caret, highlighted }
+  const [completions, setCompletions] = useState(null);
+  const editorRef = useRef(null);
+  const timerRef = useRef(null);
+  const caretRef = useRef(null);
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  // After a completion, the caret goes back to the end of the inserted name
+  useEffect(() => {
+    if (caretRef.current === null) return;
+    const pre = editorRef.current?.querySelector('pre');
+    if (pre) placeCaret(pre, caretRef.current);
+    caretRef.current = null;
+  }, [code]);
+
+  const update = (nextCode, caret) => {
+    setCode(nextCode);
+
+    const found = getCompletions(nextCode.slice(0, caret));
+    setCompletions(found && { ...found, caret, highlighted: 0 });
+
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => {
+      const checked = checkEditedCode(nextCode, language);
+      setDiagnostics(checked.diagnostics);
+      if (checked.previewCode !== null) onChangeRef.current(checked.previewCode);
+    }, PREVIEW_DELAY);
+  };
+
+  const handleEditorChange = (nextCode) => update(nextCode, getEditEnd(code, nextCode));
+
+  const complete = (item) => {
+    const start = completions.caret - completions.prefix.length;
+    caretRef.current = start + item.length;
+    update(code.slice(0, start) + item + code.slice(completions.caret), start + item.length);
+    setCompletions(null);
+  };
+
+  // While suggestions are open the arrow, Enter, Tab and Escape keys drive them instead of
+  // reaching the editor
+  const handleKeyDownCapture = (event) => {
+    if (!completions) return;
+
+    const moves = { ArrowDown: 1, ArrowUp: -1 };
+    if (event.key in moves) {
+      const count = completions.items.length;
+      setCompletions({ ...completions, highlighted: (completions.highlighted + moves[event.key] + count) % count });
+    } else if (event.key === 'Enter' || event.key === 'Tab') {
+      complete(completions.items[completions.highlighted]);
+    } else if (event.key === 'Escape') {
+      setCompletions(null);
+    } else {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  const handleCancel = () => {
+    clearTimeout(timerRef.current);
+    onCancel();
+  };
+
+  const lineCount = code.split('\n').length;
+  const diagnosticsByLine = new Map(diagnostics.map(diagnostic => [diagnostic.line, diagnostic]));
+
+  return (
+    <div className="h-full flex flex-col min-h-0 border rounded-lg bg-slate-950 text-slate-200 text-xs" data-testid="code-editor-panel">
+      <div className="flex items-center justify-between gap-2 border-b border-slate-800 p-2">
+        <h3 className="font-mono font-semibold text-white">{component.name}</h3>
+        <div className="flex items-center gap-2">
+          <Button
+            size="sm"
+            onClick={() => onSave(code)}
+            disabled={isBusy || code === component.code || diagnostics.length > 0}
+          >
+            {isBusy ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}
+            Save Code
+          </Button>
+          <Button size="icon" variant="ghost" aria-label="Cancel code edit" onClick={handleCancel} className="h-8 w-8">
+            <X className="w-4 h-4" />
+          </Button>
+        </div>
+      </div>
+
+      <div className="relative flex flex-1 min-h-0 overflow-auto font-mono leading-5" onKeyDownCapture={handleKeyDownCapture}>
+        {/* Line numbers, with a marker on lines that don't parse; 10px matches the editor's padding */}
+        <div className="shrink-0 select-none py-[10px] pl-2 text-right text-slate-500" aria-hidden="true">
+          {Array.from({ length: lineCount }, (_, index) => {
+            const diagnostic = diagnosticsByLine.get(index + 1);
+            return (
+              <div
+                key={index}
+                title={diagnostic?.message}
+                className={cn('flex items-center justify-end gap-1', diagnostic && 'text-red-400')}
+                data-testid={diagnostic ? 'diagnostic-marker' : undefined}
+              >
+                {diagnostic && <AlertCircle className="w-3 h-3" />}
+                {index + 1}
+              </div>
+            );
+          })}
+        </div>
+        <div ref={editorRef} className="flex-1 min-w-0">
+          <Editor
+            code={code}
+            language={language}
+            onChange={handleEditorChange}
+            disabled={isBusy}
+            style={{ minHeight: '100%', lineHeight: '1.25rem' }}
+          />
+        </div>
+
+        {completions && (
+          <ul
+            role="listbox"
+            aria-label="Suggestions"
+            className="absolute right-2 top-2 z-10 min-w-[10rem] rounded border border-slate-700 bg-slate-900 py-1 shadow-lg"
+          >
+            {completions.items.map((item, index) => (
+              <li
+                key={item}
+                role="option"
+                aria-selected={index === completions.highlighted}
+                // Keeps the caret in the editor
+                onMouseDown={e => e.preventDefault()}
+                onClick={() => complete(item)}
+                className={cn('cursor-pointer px-2 py-0.5', index === completions.highlighted && 'bg-blue-600 text-white')}
+              >
+                {item}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {(diagnostics.length > 0 || error) && (
+        <ul className="max-h-24 overflow-auto border-t border-slate-800 p-2 space-y-1" data-testid="code-diagnostics">
+          {diagnostics.map(diagnostic => (
+            <li key={`${diagnostic.line}:${diagnostic.column}`} className="text-red-400">
+              Line {diagnostic.line}:{diagnostic.column} {diagnostic.message}
+            </li>
+          ))}
+          {error && <li className="text-red-400">{error}</li>}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CodeEditorPanel;
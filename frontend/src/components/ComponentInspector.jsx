@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { Code2, Loader2, Pencil, RefreshCw, X } from 'lucide-react';
+import { Button } from './ui/button';
+import { Textarea } from './ui/textarea';
+import { cn } from './utils/cn';
+
+// What the generation stream last said about a component
+const describeState = (state) => {
+  if (state?.validationError) {
+    return { label: `Failed validation: ${state.validationError.message || state.validationError}`, isError: true };
+  }
+  if (state?.error) return { label: `Error: ${state.error}`, isError: true };
+  if (state?.isStreaming) return { label: 'Streaming' };
+  if (state?.isComplete) return { label: 'Complete' };
+  return { label: 'Waiting' };
+};
+
+/**
+ * Side panel for the component selected in the preview: its position, state and code, with
+ * buttons to regenerate or edit it, or to open its code in the code editor. Without
+ * onRegenerate/onEdit/onEditCode (e.g. before the page is saved) it only shows the component.
+ * @param {Object} props
+ * @param {{ name: string, position: string, page?: string, code: string }} props.component
+ * @param {Object} [props.state] - The component's entry in streamingStates
+ * @param {Function} [props.onRegenerate] - Called with the component name
+ * @param {Function} [props.onEdit] - Called with (componentName, instruction)
+ * @param {Function} [props.onEditCode] - Called with the component name
+ * @param {Function} props.onClose
+ * @param {boolean} [props.isBusy] - Disables the buttons while a change is being saved
+ */
+const ComponentInspector = ({ component, state, onRegenerate, onEdit, onEditCode, onClose, isBusy = false }) => {
+  const [instruction, setInstruction] = useState('');
+  const { label, isError } = describeState(state);
+
+  const handleEdit = () => {
+    onEdit(component.name, instruction.trim());
+    setInstruction('');
+  };
+
+  return (
+    <aside className="w-80 shrink-0 border-l bg-background flex flex-col text-sm" data-testid="component-inspector">
+      <div className="flex items-center justify-between border-b p-2">
+        <h3 className="font-mono font-semibold">{component.name}</h3>
+        <Button size="icon" variant="ghost" aria-label="Close inspector" onClick={onClose} className="h-7 w-7">
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 p-2 text-xs">
+        <dt className="text-muted-foreground">Position</dt>
+        <dd>{component.position || 'main'}</dd>
+        {component.page && (
+          <>
+            <dt className="text-muted-foreground">Page</dt>
+            <dd>{component.page}</dd>
+          </>
+        )}
+        <dt className="text-muted-foreground">State</dt>
+        <dd className={cn(isError && 'text-destructive')} data-testid="inspector-state">{label}</dd>
+      </dl>
+
+      <pre className="mx-2 flex-1 min-h-[8rem] overflow-auto rounded bg-muted p-2 text-xs whitespace-pre-wrap">
+        <code>{component.code}</code>
+      </pre>
+
+      {(onRegenerate || onEdit || onEditCode) && (
+        <div className="space-y-2 border-t p-2">
+          {onRegenerate && (
+            <Button
+              variant="outline"
+              onClick={() => onRegenerate(component.name)}
+              disabled={isBusy}
+              className="w-full"
+            >
+              {isBusy ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <RefreshCw className="w-4 h-4 mr-2" />}
+              Regenerate {component.name}
+            </Button>
+          )}
+          {onEditCode && (
+            <Button
+              variant="outline"
+              onClick={() => onEditCode(component.name)}
+              disabled={isBusy}
+              className="w-full"
+            >
+              <Code2 className="w-4 h-4 mr-2" />
+              Edit code
+            </Button>
+          )}
+          {onEdit && (
+            <>
+              <Textarea
+                value={instruction}
+                onChange={e => setInstruction(e.target.value)}
+                placeholder="What should change in this section..."
+                aria-label="Edit instruction"
+                rows={2}
+              />
+              <Button onClick={handleEdit} disabled={isBusy || !instruction.trim()} className="w-full">
+                <Pencil className="w-4 h-4 mr-2" />
+                Edit {component.name}
+              </Button>
+            </>
+          )}
+        </div>
+      )}
+    </aside>
+  );
+};
+
+export default ComponentInspector;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { Minimize2, RotateCw } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { cn } from './utils/cn';
+import { DEVICE_PRESETS, MIN_VIEWPORT_WIDTH, MAX_VIEWPORT_WIDTH, getDevicePreset } from './utils/devicePresets';
+
+/**
+ * Picks the viewport the live preview lays the page out at.
+ * @param {Object} props
+ * @param {Object} props.viewport - { deviceId, customWidth, isRotated, isFitted }
+ * @param {Function} props.onChange - Called with the whole changed viewport
+ * @param {number} [props.scale] - How far the preview is zoomed out to fit, shown when below 1
+ */
+const DeviceToolbar = ({ viewport, onChange, scale = 1 }) => {
+  const device = getDevicePreset(viewport.deviceId);
+  const isFullWidth = device.id === 'full';
+  const width = device.id === 'custom' ? viewport.customWidth : device.width;
+
+  return (
+    <div className="flex items-center gap-2 p-2 border-b bg-muted text-xs" data-testid="device-toolbar">
+      <select
+        value={device.id}
+        onChange={e => onChange({ ...viewport, deviceId: e.target.value, isRotated: false })}
+        aria-label="Device"
+        className="h-8 rounded-md border border-input bg-background px-2"
+      >
+        {DEVICE_PRESETS.map(preset => (
+          <option key={preset.id} value={preset.id}>
+            {preset.width ? `${preset.name} (${preset.width})` : preset.name}
+          </option>
+        ))}
+      </select>
+      {/* Typing a width switches to a custom viewport of that width */}
+      <Input
+        type="number"
+        min={MIN_VIEWPORT_WIDTH}
+        max={MAX_VIEWPORT_WIDTH}
+        value={width ?? ''}
+        placeholder="Width"
+        onChange={e => onChange({ ...viewport, deviceId: 'custom', customWidth: Number(e.target.value), isRotated: false })}
+        aria-label="Viewport width"
+        className="h-8 w-20 px-2 text-xs"
+      />
+      <span className="text-muted-foreground">px</span>
+      <Button
+        size="icon"
+        variant="ghost"
+        aria-label="Rotate"
+        disabled={!device.height}
+        onClick={() => onChange({ ...viewport, isRotated: !viewport.isRotated })}
+        className="h-8 w-8"
+      >
+        <RotateCw className="w-4 h-4" />
+      </Button>
+      <Button
+        size="icon"
+        variant="ghost"
+        aria-label="Zoom to fit"
+        aria-pressed={viewport.isFitted}
+        disabled={isFullWidth}
+        onClick={() => onChange({ ...viewport, isFitted: !viewport.isFitted })}
+        className={cn('h-8 w-8', viewport.isFitted && !isFullWidth && 'bg-background')}
+      >
+        <Minimize2 className="w-4 h-4" />
+      </Button>
+      {!isFullWidth && scale < 1 && (
+        <span className="text-muted-foreground" data-testid="preview-zoom">{Math.round(scale * 100)}%</span>
+      )}
+    </div>
+  );
+};
+
+export default DeviceToolbar;
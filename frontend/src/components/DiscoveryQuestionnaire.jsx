@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import { ArrowLeft, ArrowRight, Check, Save } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Textarea } from './ui/textarea';
+import { Progress } from './ui/progress';
+import { RadioGroup, RadioGroupItem } from './ui/radio-group';
+import { ToggleGroup, ToggleGroupItem } from './ui/toggle-group';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+
+// Answer options; keys match backend/utils/brief.js
+const INDUSTRIES = [
+  'Software & SaaS',
+  'E-commerce',
+  'Food & Drink',
+  'Health & Wellness',
+  'Finance',
+  'Education',
+  'Real Estate',
+  'Creative Agency',
+  'Professional Services',
+  'Travel & Hospitality'
+];
+
+const BUSINESS_MODELS = {
+  b2b: 'B2B - selling to businesses',
+  b2c: 'B2C - selling to consumers',
+  marketplace: 'Marketplace',
+  saas: 'SaaS subscription',
+  nonprofit: 'Nonprofit'
+};
+
+const CALLS_TO_ACTION = ['Sign up', 'Book a demo', 'Buy now', 'Contact us', 'Download the app', 'Visit us'];
+
+const TONES = ['professional', 'friendly', 'playful', 'luxurious', 'bold', 'minimal'];
+
+const SECTION_TYPES = ['hero', 'features', 'pricing', 'testimonials', 'faq', 'team', 'stats', 'gallery', 'contact', 'cta'];
+
+export const EMPTY_BRIEF = {
+  industry: '',
+  businessModel: '',
+  audience: '',
+  primaryCta: '',
+  tone: '',
+  mustHaveSections: [],
+  description: ''
+};
+
+// One question per step; `isAnswered` gates the Next button
+const STEPS = [
+  { title: 'What industry are you in?', isAnswered: brief => !!brief.industry.trim() },
+  { title: 'How do you make money?', isAnswered: brief => !!brief.businessModel },
+  { title: 'Who is the page for?', isAnswered: brief => !!brief.audience.trim() },
+  { title: 'What should visitors do?', isAnswered: brief => !!brief.primaryCta.trim() },
+  { title: 'How should it feel?', isAnswered: brief => !!brief.tone },
+  { title: 'What must the page include?', isAnswered: () => true }
+];
+
+/**
+ * Step-by-step discovery questions whose answers make up the brief sent to /api/proposal
+ * and /api/generate.
+ * @param {Object} props
+ * @param {Object} [props.initialBrief] - Answers to start from, e.g. the project's saved brief
+ * @param {Function} props.onComplete - Called with the brief after the last question
+ * @param {Function} [props.onSave] - Saves the brief on the project; hidden when not given
+ */
+const DiscoveryQuestionnaire = ({ initialBrief, onComplete, onSave }) => {
+  const [brief, setBrief] = useState({ ...EMPTY_BRIEF, ...initialBrief });
+  const [step, setStep] = useState(0);
+
+  const answer = (field) => (value) => setBrief(current => ({ ...current, [field]: value }));
+  const isLastStep = step === STEPS.length - 1;
+  const { title, isAnswered } = STEPS[step];
+
+  return (
+    <div className="space-y-4 text-sm text-slate-200">
+      <div className="space-y-1">
+        <p className="text-xs text-slate-400">Question {step + 1} of {STEPS.length}</p>
+        <Progress value={((step + 1) / STEPS.length) * 100} className="h-2" />
+      </div>
+
+      <h3 className="font-semibold text-white">{title}</h3>
+
+      {step === 0 && (
+        <div className="space-y-2">
+          <Select value={INDUSTRIES.includes(brief.industry) ? brief.industry : ''} onValueChange={answer('industry')}>
+            <SelectTrigger aria-label="Industry" className="text-slate-900">
+              <SelectValue placeholder="Pick an industry" />
+            </SelectTrigger>
+            <SelectContent>
+              {INDUSTRIES.map(industry => (
+                <SelectItem key={industry} value={industry}>{industry}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Input
+            value={brief.industry}
+            onChange={e => answer('industry')(e.target.value)}
+            placeholder="...or describe it"
+            aria-label="Describe your industry"
+          />
+        </div>
+      )}
+
+      {step === 1 && (
+        <RadioGroup value={brief.businessModel} onValueChange={answer('businessModel')} aria-label="Business model">
+          {Object.entries(BUSINESS_MODELS).map(([value, label]) => (
+            <label key={value} className="flex items-center gap-2">
+              <RadioGroupItem value={value} aria-label={label} className="border-slate-300" />
+              {label}
+            </label>
+          ))}
+        </RadioGroup>
+      )}
+
+      {step === 2 && (
+        <Textarea
+          value={brief.audience}
+          onChange={e => answer('audience')(e.target.value)}
+          placeholder="e.g. Remote workers looking for a quiet place to work"
+          aria-label="Audience"
+          rows={3}
+        />
+      )}
+
+      {step === 3 && (
+        <div className="space-y-2">
+          <RadioGroup value={brief.primaryCta} onValueChange={answer('primaryCta')} aria-label="Primary call to action">
+            {CALLS_TO_ACTION.map(cta => (
+              <label key={cta} className="flex items-center gap-2">
+                <RadioGroupItem value={cta} aria-label={cta} className="border-slate-300" />
+                {cta}
+              </label>
+            ))}
+          </RadioGroup>
+          <Input
+            value={brief.primaryCta}
+            onChange={e => answer('primaryCta')(e.target.value)}
+            placeholder="...or write your own"
+            aria-label="Custom call to action"
+          />
+        </div>
+      )}
+
+      {step === 4 && (
+        <ToggleGroup
+          type="single"
+          value={brief.tone}
+          onValueChange={value => value && answer('tone')(value)}
+          className="flex-wrap justify-start"
+          aria-label="Tone"
+        >
+          {TONES.map(tone => (
+            <ToggleGroupItem key={tone} value={tone} variant="outline" className="capitalize">
+              {tone}
+            </ToggleGroupItem>
+          ))}
+        </ToggleGroup>
+      )}
+
+      {step === 5 && (
+        <div className="space-y-3">
+          <ToggleGroup
+            type="multiple"
+            value={brief.mustHaveSections}
+            onValueChange={answer('mustHaveSections')}
+            className="flex-wrap justify-start"
+            aria-label="Must-have sections"
+          >
+            {SECTION_TYPES.map(type => (
+              <ToggleGroupItem key={type} value={type} variant="outline" className="capitalize">
+                {type}
+              </ToggleGroupItem>
+            ))}
+          </ToggleGroup>
+          <Textarea
+            value={brief.description}
+            onChange={e => answer('description')(e.target.value)}
+            placeholder="Anything else we should know about your business?"
+            aria-label="Anything else"
+            rows={3}
+          />
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <Button variant="outline" onClick={() => setStep(step - 1)} disabled={step === 0} className="text-slate-900">
+          <ArrowLeft className="w-4 h-4 mr-2" />
+          Back
+        </Button>
+        {isLastStep ? (
+          <>
+            {onSave && (
+              <Button variant="outline" onClick={() => onSave(brief)} className="text-slate-900">
+                <Save className="w-4 h-4 mr-2" />
+                Save Brief
+              </Button>
+            )}
+            <Button onClick={() => onComplete(brief)} className="flex-1">
+              <Check className="w-4 h-4 mr-2" />
+              Done
+            </Button>
+          </>
+        ) : (
+          <Button onClick={() => setStep(step + 1)} disabled={!isAnswered(brief)} className="flex-1">
+            Next
+            <ArrowRight className="w-4 h-4 ml-2" />
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DiscoveryQuestionnaire;
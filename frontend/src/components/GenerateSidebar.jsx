@@ -1,75 +1,179 @@
-import React, { useState } from 'react';
-import { Textarea } from './ui/textarea';
+import React, { useEffect, useState } from 'react';
+import { Input } from './ui/input';
 import { Button } from './ui/button';
-import { Loader2, Wand2 } from 'lucide-react';
+import { ClipboardList, Loader2, Pencil, Wand2 } from 'lucide-react';
+import DiscoveryQuestionnaire from './DiscoveryQuestionnaire';
+import ProposalEditor from './ProposalEditor';
 
-const GenerateSidebar = ({ onSubmit = () => {}, isLoading = false }) => {
-  const [prompt, setPrompt] = useState('');
-  const [style, setStyle] = useState('');
-  const [requirements, setRequirements] = useState('');
+const GenerateSidebar = ({ onSubmit = () => {}, onPropose, onSaveBrief, initialBrief, isLoading = false }) => {
+  // Questionnaire answers; generation and proposals are built from them
+  const [brief, setBrief] = useState(initialBrief || null);
+  const [isEditingBrief, setIsEditingBrief] = useState(!initialBrief);
+  const [isSite, setIsSite] = useState(false);
+  const [pages, setPages] = useState('Home, About, Pricing, Contact');
+  const [isTypeScript, setIsTypeScript] = useState(false);
+  // Plan from onPropose, edited here and then built with onSubmit({ ..., plan })
+  const [proposal, setProposal] = useState(null);
+  const [isProposing, setIsProposing] = useState(false);
+  const [proposalError, setProposalError] = useState(null);
+
+  // A project's saved brief arrives after the first render
+  useEffect(() => {
+    if (initialBrief) {
+      setBrief(initialBrief);
+      setIsEditingBrief(false);
+    }
+  }, [initialBrief]);
+
+  // Pages are entered comma-separated; the first one becomes the home page
+  const pageNames = pages.split(',').map(page => page.trim()).filter(Boolean);
+
+  const handleCompleteBrief = (answers) => {
+    setBrief(answers);
+    setIsEditingBrief(false);
+    setProposal(null);
+  };
+
+  // Components are generated as JSX unless TypeScript is asked for
+  const language = isTypeScript ? { language: 'tsx' } : {};
 
   const handleSubmit = () => {
-    onSubmit({ prompt, style, requirements });
+    onSubmit(isSite
+      ? { brief, mode: 'site', pages: pageNames, ...language }
+      : { brief, ...language });
+  };
+
+  const handlePropose = async () => {
+    setIsProposing(true);
+    setProposalError(null);
+    try {
+      setProposal(await onPropose({ brief }));
+    } catch (error) {
+      setProposalError(error.message);
+    } finally {
+      setIsProposing(false);
+    }
+  };
+
+  // Blank copy lines are only there while the user types
+  const handleBuild = () => {
+    onSubmit({
+      brief,
+      ...language,
+      plan: {
+        ...proposal,
+        sections: proposal.sections.map(section => ({
+          ...section,
+          name: section.name.trim(),
+          copy: section.copy.filter(line => line.trim())
+        }))
+      }
+    });
   };
 
   return (
     <div className="w-96 h-full bg-slate-900 p-6 flex flex-col gap-4">
       <h2 className="text-xl font-bold text-white">Website Generator</h2>
-      
-      <div className="space-y-4">
-        <div>
-          <label className="text-sm text-slate-200">About Your Business</label>
-          <Textarea
-            value={prompt}
-            onChange={e => setPrompt(e.target.value)}
-            placeholder="Tell us about your business..."
-            className="mt-2"
-            rows={4}
-          />
-        </div>
 
-        <div>
-          <label className="text-sm text-slate-200">Brand Style</label>
-          <Textarea
-            value={style}
-            onChange={e => setStyle(e.target.value)}
-            placeholder="How do you want customers to feel..."
-            className="mt-2"
-            rows={2}
-          />
-        </div>
+      {isEditingBrief ? (
+        <DiscoveryQuestionnaire
+          initialBrief={brief}
+          onComplete={handleCompleteBrief}
+          onSave={onSaveBrief}
+        />
+      ) : (
+        <div className="space-y-4">
+          <div className="rounded-lg bg-slate-800 p-3 text-sm text-slate-200" data-testid="brief-summary">
+            <div className="flex items-start justify-between gap-2">
+              <p className="font-semibold text-white">{brief.industry}</p>
+              <Button size="icon" variant="ghost" aria-label="Edit answers" onClick={() => setIsEditingBrief(true)}>
+                <Pencil className="w-4 h-4" />
+              </Button>
+            </div>
+            <p>For {brief.audience}</p>
+            <p className="text-slate-400">
+              {brief.tone} tone, &ldquo;{brief.primaryCta}&rdquo;
+              {brief.mustHaveSections.length > 0 && `, with ${brief.mustHaveSections.join(', ')}`}
+            </p>
+          </div>
 
-        <div>
-          <label className="text-sm text-slate-200">Key Features</label>
-          <Textarea
-            value={requirements}
-            onChange={e => setRequirements(e.target.value)}
-            placeholder="What does your website need to do..."
-            className="mt-2"
-            rows={2}
-          />
-        </div>
+          <div>
+            <label className="flex items-center gap-2 text-sm text-slate-200">
+              <input
+                type="checkbox"
+                checked={isSite}
+                onChange={e => setIsSite(e.target.checked)}
+              />
+              Multi-page site
+            </label>
+            {isSite && (
+              <Input
+                value={pages}
+                onChange={e => setPages(e.target.value)}
+                placeholder="Home, About, Pricing, Contact"
+                aria-label="Pages"
+                className="mt-2"
+              />
+            )}
+          </div>
 
-        <Button 
-          onClick={handleSubmit}
-          disabled={isLoading || !prompt?.trim()}
-          className="w-full"
-        >
-          {isLoading ? (
-            <>
-              <Loader2 className="w-4 h-4 mr-2 animate-spin" />
-              Generating...
-            </>
+          <label className="flex items-center gap-2 text-sm text-slate-200">
+            <input
+              type="checkbox"
+              checked={isTypeScript}
+              onChange={e => setIsTypeScript(e.target.checked)}
+            />
+            TypeScript components
+          </label>
+
+          {onPropose && !isSite && (
+            <Button
+              variant="outline"
+              onClick={handlePropose}
+              disabled={isLoading || isProposing}
+              className="w-full"
+            >
+              {isProposing ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <ClipboardList className="w-4 h-4 mr-2" />
+              )}
+              Propose a Plan
+            </Button>
+          )}
+          {proposalError && <p className="text-sm text-red-400">{proposalError}</p>}
+
+          {proposal && !isSite ? (
+            <ProposalEditor
+              proposal={proposal}
+              onChange={setProposal}
+              onBuild={handleBuild}
+              onDiscard={() => setProposal(null)}
+              isBusy={isLoading}
+            />
           ) : (
-            <>
-              <Wand2 className="w-4 h-4 mr-2" />
-              Generate Website
-            </>
+            <Button
+              onClick={handleSubmit}
+              disabled={isLoading || (isSite && !pageNames.length)}
+              className="w-full"
+            >
+              {isLoading ? (
+                <>
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                  Generating...
+                </>
+              ) : (
+                <>
+                  <Wand2 className="w-4 h-4 mr-2" />
+                  Generate Website
+                </>
+              )}
+            </Button>
           )}
-        </Button>
-      </div>
+        </div>
+      )}
     </div>
   );
 };
 
-export default GenerateSidebar; 
\ No newline at end of file
+export default GenerateSidebar;
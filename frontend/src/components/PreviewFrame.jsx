@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useRef, useReducer } from 'react';
+import { MemoryRouter } from 'react-router-dom';
+import PreviewRuntime from './PreviewRuntime';
+import { cn } from './utils/cn';
+import { findLinkedPage } from './utils/sitePages';
+import { findOwningComponent, getComponentRect } from './utils/componentFibers';
+import { getEditableText, getTextOccurrence } from './utils/textEditing';
+import { createPreviewMessage, isPreviewMessage } from './utils/previewMessages';
+
+// Reports to the editor; the frame can't know the editor's origin, and only sends it
+// what the editor already has
+const report = (type, payload) => {
+  window.parent.postMessage(createPreviewMessage(type, payload), '*');
+};
+
+// Outline drawn over a generated component while inspecting
+const ComponentOutline = ({ rect, name, isSelected }) => (
+  <div
+    className={cn(
+      'pointer-events-none fixed z-[9999] border-2',
+      isSelected ? 'border-blue-600' : 'border-dashed border-blue-400 bg-blue-400/10'
+    )}
+    style={{ top: rect.top, left: rect.left, width: rect.width, height: rect.height }}
+    data-testid={isSelected ? 'inspector-selected' : 'inspector-hovered'}
+  >
+    <span className="absolute left-0 top-0 bg-blue-600 px-1.5 py-0.5 font-mono text-[11px] text-white">
+      {name}
+    </span>
+  </div>
+);
+
+/**
+ * Inside of the sandboxed preview iframe: renders whatever registry the editor last posted
+ * and reports renders, errors, console output, page links and, while the editor is
+ * inspecting, the components clicked back to it. In text editing mode clicked text becomes
+ * editable, and the edit is reported when it is committed with Enter or by clicking away.
+ */
+const PreviewFrame = () => {
+  const [preview, setPreview] = useState(null);
+  // Inspect mode as the editor last set it: { enabled, selected }
+  const [inspect, setInspect] = useState({ enabled: false, selected: null });
+  const [hovered, setHovered] = useState(null);
+  const [isEditingText, setIsEditingText] = useState(false);
+  // Text being edited: { element, text, componentName, occurrence, finish }
+  const textEditRef = useRef(null);
+  const rootRef = useRef(null);
+  // Outlines follow the page as it scrolls and resizes
+  const [, refreshOutlines] = useReducer(count => count + 1, 0);
+
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (!isPreviewMessage(event, window.parent)) return;
+
+      if (event.data.type === 'render') {
+        const { registry, streamingStates, pageId } = event.data;
+        setPreview({ registry, streamingStates, pageId });
+      } else if (event.data.type === 'inspect') {
+        setInspect({ enabled: event.data.enabled, selected: event.data.selected || null });
+        if (!event.data.enabled) setHovered(null);
+      } else if (event.data.type === 'editText') {
+        setIsEditingText(event.data.enabled);
+        if (!event.data.enabled) textEditRef.current?.finish(true);
+      }
+    };
+    // Errors react-live doesn't catch, e.g. from timers and event handlers
+    const handleError = (event) => report('error', { message: event.message });
+    const handleRejection = (event) => report('error', { message: String(event.reason?.message || event.reason) });
+
+    window.addEventListener('message', handleMessage);
+    window.addEventListener('error', handleError);
+    window.addEventListener('unhandledrejection', handleRejection);
+    window.addEventListener('scroll', refreshOutlines, true);
+    window.addEventListener('resize', refreshOutlines);
+    report('ready');
+
+    return () => {
+      window.removeEventListener('message', handleMessage);
+      window.removeEventListener('error', handleError);
+      window.removeEventListener('unhandledrejection', handleRejection);
+      window.removeEventListener('scroll', refreshOutlines, true);
+      window.removeEventListener('resize', refreshOutlines);
+    };
+  }, []);
+
+  // Page links are handed to the editor's page switcher; other links would load the
+  // editor's own routes inside the frame, so only in-page anchors are followed
+  const componentNames = preview ? Array.from(preview.registry.components.values(), component => component.name) : [];
+
+  const handleMouseMove = (event) => {
+    if (!inspect.enabled) return;
+    const name = findOwningComponent(event.target, componentNames);
+    if (name !== hovered) setHovered(name);
+  };
+
+  // React keeps rendering into the element's text node, so the node is put back as it was
+  // once editing ends; a committed edit comes back from the editor as changed code
+  const startTextEdit = (element) => {
+    const node = element.firstChild;
+    const original = node.data;
+    const text = getEditableText(element);
+    const componentName = findOwningComponent(element, componentNames);
+    const occurrence = getTextOccurrence(rootRef.current, element, componentNames);
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        element.blur();
+      } else if (event.key === 'Escape') {
+        finish(false);
+      }
+    };
+    const handleBlur = () => finish(true);
+
+    const finish = (commit) => {
+      const newText = element.textContent.replace(/\s+/g, ' ').trim();
+      element.removeEventListener('keydown', handleKeyDown);
+      element.removeEventListener('blur', handleBlur);
+      element.removeAttribute('contenteditable');
+      node.data = original;
+      element.replaceChildren(node);
+      textEditRef.current = null;
+
+      if (commit && newText && newText !== text) {
+        report('textEdited', { componentName, text, newText, occurrence });
+      }
+    };
+
+    element.setAttribute('contenteditable', 'true');
+    element.addEventListener('keydown', handleKeyDown);
+    element.addEventListener('blur', handleBlur);
+    textEditRef.current = { element, finish };
+    element.focus();
+  };
+
+  const handleClick = (event) => {
+    if (isEditingText) {
+      // Clicks never follow links or press buttons; outside the text being edited they start
+      // editing the text clicked, if it can be edited
+      event.preventDefault();
+      event.stopPropagation();
+      if (textEditRef.current?.element.contains(event.target)) return;
+      textEditRef.current?.finish(true);
+      if (getEditableText(event.target) && findOwningComponent(event.target, componentNames)) {
+        startTextEdit(event.target);
+      }
+      return;
+    }
+
+    // While inspecting, clicks select components instead of reaching the page
+    if (inspect.enabled) {
+      event.preventDefault();
+      event.stopPropagation();
+      const name = findOwningComponent(event.target, componentNames);
+      if (name) report('select', { componentName: name });
+      return;
+    }
+
+    const href = event.target.closest?.('a[href]')?.getAttribute('href');
+    if (!href || href.startsWith('#')) return;
+
+    event.preventDefault();
+    const page = findLinkedPage(href, preview?.registry.pages);
+    if (page) report('navigate', { pageId: page.id });
+  };
+
+  if (!preview) return null;
+
+  const outlines = inspect.enabled
+    ? [
+      inspect.selected && { name: inspect.selected, isSelected: true },
+      hovered && hovered !== inspect.selected && { name: hovered, isSelected: false }
+    ]
+      .filter(Boolean)
+      .map(outline => ({ ...outline, rect: getComponentRect(rootRef.current, outline.name) }))
+      .filter(outline => outline.rect)
+    : [];
+
+  return (
+    <MemoryRouter>
+      <div
+        ref={rootRef}
+        onClickCapture={handleClick}
+        onMouseMoveCapture={handleMouseMove}
+        onMouseLeave={() => setHovered(null)}
+        className={cn(inspect.enabled && 'cursor-crosshair', isEditingText && 'cursor-text')}
+      >
+        <PreviewRuntime
+          {...preview}
+          onReport={(type, payload) => {
+            report(type, payload);
+            // The page's layout changed, so the outlines move with it
+            if (type === 'rendered') refreshOutlines();
+          }}
+        />
+      </div>
+      {outlines.map(outline => <ComponentOutline key={outline.name} {...outline} />)}
+    </MemoryRouter>
+  );
+};
+
+export default PreviewFrame;
@@ -0,0 +1,901 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback, useContext } from 'react';
+import { LiveProvider, LivePreview, LiveError, LiveContext } from 'react-live';
+import * as LucideIcons from 'lucide-react';
+import * as UIComponents from './ui';
+import { createUniversalNamespace } from './utils/createUniversalNamespace';
+import { extractFunctionDefinitions, completeFunctionContent, stripTypes } from './utils/babelTransformations';
+import {
+  NavigationMenu,
+  NavigationMenuList,
+  NavigationMenuItem,
+  NavigationMenuContent,
+  NavigationMenuTrigger,
+  NavigationMenuLink,
+  NavigationMenuViewport,
+} from './ui/navigation-menu';
+import { cn } from './utils/cn';
+import { selectPageComponents } from './utils/sitePages';
+import { formatConsoleArgs } from './utils/previewMessages';
+import { formatThemeCss, getFontStylesheetUrl } from './utils/themeTokens';
+import { Button } from './ui/button';
+import { Card } from './ui/card';
+import { Link } from 'react-router-dom';
+import {
+  DEBUG_MODE,
+  CRITICAL_COMPONENTS,
+  NAMESPACED_COMPONENTS,
+  ERROR_STATES,
+  VALID_POSITIONS
+} from './utils/config';
+
+// The page's theme, scoped to the preview so the builder around it keeps its own colors.
+// Rendered from the registry, so an edited theme shows up without regenerating anything.
+const ThemeStyles = ({ theme }) => {
+  const fontUrl = getFontStylesheetUrl(theme);
+  return (
+    <>
+      {fontUrl && <link rel="stylesheet" href={fontUrl} data-testid="preview-fonts" />}
+      <style data-testid="preview-theme">{formatThemeCss(theme, '[data-theme-root]')}</style>
+    </>
+  );
+};
+
+// Global styles for proper height handling
+const GlobalStyles = () => (
+  <style>
+    {`
+    /* Essential resets only */
+    html, body, #root {
+      min-height: 100%;
+      margin: 0;
+      padding: 0;
+    }
+
+    /* Minimal isolation wrapper */
+    .preview-isolation-wrapper {
+      position: relative;
+      min-height: 100%;
+      width: 100%;
+      overflow-y: auto;
+    }
+
+    /* Minimal preview root */
+    .preview-root {
+      width: 100%;
+      position: relative;
+      min-height: 100%;
+      overflow-y: auto;
+    }
+
+    /* Essential header containment only */
+    .preview-root [style*="position: fixed"]:not(.allow-fixed),
+    .preview-root [style*="position:fixed"]:not(.allow-fixed),
+    .preview-root .fixed:not(.allow-fixed) {
+      position: sticky !important;
+      top: 0 !important;
+      z-index: 50;
+      width: 100%;
+    }
+
+    /* Minimal header handling */
+    .preview-root header {
+      position: sticky;
+      top: 0;
+      width: 100%;
+      z-index: 50;
+    }
+
+    /* Basic content flow */
+    .preview-root main {
+      position: relative;
+      z-index: 1;
+    }
+
+    /* Simple z-index handling for navigation */
+    .preview-root nav {
+      position: relative;
+      z-index: 45;
+    }
+    `}
+  </style>
+);
+
+// Component resolution logging
+const logComponentResolution = (name, type, details) => {
+  if (DEBUG_MODE) {
+    console.group(`🧩 Component Resolution: ${name}`);
+    console.log(`Type: ${type}`);
+    console.log('Details:', details);
+    console.groupEnd();
+  }
+};
+
+// Replace the old extractFunctionDefinitions function with:
+export { extractFunctionDefinitions } from './utils/babelTransformations';
+
+// Update cleanCode to use Babel transformations
+export const cleanCode = (rawCode, preserveMarkers = true) => {
+  if (!rawCode || typeof rawCode !== 'string') return '';
+  
+  console.group('🧹 Code Cleaning Process');
+  console.log('📥 Raw Code Input:', {
+    code: rawCode,
+    length: rawCode.length
+  });
+
+  // Remove code fences and markers
+  let cleanedCode = rawCode
+    .replace(/```[a-z]*$/gm, '')
+    .replace(/\/\/\/\s*(START|END)\s+\w+(?:\s+position=\w+)?/gm, '')
+    .trim();
+
+  // Extract and validate functions using Babel
+  const functions = extractFunctionDefinitions(cleanedCode);
+  
+  // Rebuild the code with validated functions
+  let finalCode = '';
+  for (const [name, func] of functions) {
+    if (func.complete) {
+      finalCode += func.content + '\n\n';
+    }
+  }
+  
+  // Add render statement if needed
+  if (functions.size > 0 && !finalCode.includes('render(')) {
+    const mainComponent = Array.from(functions.keys())[functions.size - 1];
+    finalCode += `\nrender(<${mainComponent} />);`;
+  }
+  
+  console.log('📤 Cleaned Code Output:', {
+    code: finalCode,
+    length: finalCode.length,
+    functionCount: functions.size
+  });
+  console.groupEnd();
+  
+  return finalCode;
+};
+
+// 2. Component Stubs (Phase 2 from Guide)
+const createStubComponent = (name, element = 'div', defaultProps = {}) => {
+  const Component = React.forwardRef(({ className, children, variant, size, ...props }, ref) => {
+    if (DEBUG_MODE) {
+      console.log(`🎨 Rendering ${name}`, { 
+        className, 
+        variant, 
+        size, 
+        hasChildren: !!children,
+        childrenType: children?.type,
+        props 
+      });
+    }
+    
+    // Enhanced variant and size handling with proper text contrast
+    let combinedClassName = className || '';
+    
+    if (variant) {
+      const variantMap = {
+        default: 'bg-primary text-primary-foreground hover:bg-primary/90 shadow-sm',
+        outline: 'border border-input bg-background hover:bg-accent hover:text-accent-foreground',
+        secondary: 'bg-secondary text-secondary-foreground hover:bg-secondary/80',
+        ghost: 'hover:bg-accent hover:text-accent-foreground',
+        link: 'text-primary underline-offset-4 hover:underline',
+        destructive: 'bg-destructive text-destructive-foreground hover:bg-destructive/90'
+      };
+      
+      // Ensure text contrast for each variant
+      const contrastMap = {
+        default: 'text-white dark:text-primary-foreground',
+        outline: 'text-foreground',
+        secondary: 'text-white dark:text-secondary-foreground',
+        ghost: 'text-foreground',
+        link: 'text-primary dark:text-primary',
+        destructive: 'text-white'
+      };
+      
+      combinedClassName = cn(
+        combinedClassName,
+        variantMap[variant] || variantMap.default,
+        contrastMap[variant] || contrastMap.default
+      );
+    }
+    
+    if (size) {
+      const sizeMap = {
+        sm: 'h-9 px-3 text-sm',
+        md: 'h-10 px-4 py-2',
+        lg: 'h-11 px-8 text-base'
+      };
+      combinedClassName = cn(combinedClassName, sizeMap[size] || sizeMap.md);
+    }
+
+    // Add base button styles if this is a button
+    if (element === 'button') {
+      combinedClassName = cn(
+        'inline-flex items-center justify-center rounded-md font-medium transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:opacity-50 disabled:pointer-events-none ring-offset-background',
+        combinedClassName
+      );
+    }
+    
+    // Verify children for buttons and navigation links
+    if (DEBUG_MODE && (name === 'Button' || name === 'NavigationMenu.Link')) {
+      if (!children) {
+        console.error(`❌ ${name} rendered without children!`);
+      } else if (typeof children === 'string' && !children.trim()) {
+        console.error(`❌ ${name} rendered with empty text!`);
+      }
+    }
+    
+    return React.createElement(element, { 
+      ref,
+      className: combinedClassName || undefined,
+      ...defaultProps,
+      ...props,
+      children 
+    });
+  });
+  Component.displayName = name;
+  return Component;
+};
+
+// Create compound component with both direct usage and sub-components
+const createCompoundComponent = (baseName, config) => {
+  const MainComponent = createStubComponent(baseName, config.Root?.element || 'div', config.Root?.props || {});
+  
+  const subComponents = Object.entries(config).reduce((acc, [key, { element, props = {} }]) => {
+    acc[key] = createStubComponent(`${baseName}.${key}`, element, props);
+    return acc;
+  }, {});
+  
+  return Object.assign(MainComponent, subComponents);
+};
+
+// Create icon stubs with SVG elements
+const createIconStub = (name) => {
+  return createStubComponent(`Icons.${name}`, 'svg', {
+    width: '1em',
+    height: '1em',
+    viewBox: '0 0 24 24',
+    fill: 'none',
+    stroke: 'currentColor',
+    strokeWidth: 2,
+    strokeLinecap: 'round',
+    strokeLinejoin: 'round'
+  });
+};
+
+// Enhanced error boundary with better error display and critical component handling
+class EnhancedErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false, error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { hasError: true, error };
+  }
+
+  componentDidCatch(error, errorInfo) {
+    this.props.onError?.(error);
+    if (DEBUG_MODE) {
+      console.error('🔥 Component Error:', {
+        message: error.message,
+        componentStack: errorInfo.componentStack,
+        fullError: error
+      });
+    }
+  }
+
+  render() {
+    if (this.state.hasError) {
+      const { componentName } = this.props;
+      const isCritical = CRITICAL_COMPONENTS.has(componentName);
+
+      return (
+        <div 
+          data-testid="error-boundary"
+          className={cn(
+            "p-4 rounded",
+            isCritical 
+              ? "border-2 border-destructive bg-destructive/10" 
+              : "border border-destructive/50 bg-destructive/5"
+          )}
+        >
+          <div className="flex items-center gap-2">
+            <h3 className="text-destructive font-semibold">
+              {isCritical ? 'Critical Component Error' : 'Component Error'}
+            </h3>
+            <span className="text-xs text-destructive/70">
+              {componentName}
+            </span>
+          </div>
+          <p className="text-destructive/90 mt-2">
+            {this.state.error?.message}
+            {this.state.error?.code === ERROR_STATES.COMPOUND_TIMEOUT && (
+              <span className="block mt-1 text-sm">
+                Timed out waiting for subcomponents to arrive.
+              </span>
+            )}
+          </p>
+          {DEBUG_MODE && this.state.error?.componentStack && (
+            <pre className="mt-4 text-sm text-destructive/80 whitespace-pre-wrap overflow-auto max-h-[200px]">
+              {this.state.error.componentStack}
+            </pre>
+          )}
+          {isCritical && (
+            <div className="mt-4 text-sm text-destructive/90 flex items-center gap-2">
+              <span className="text-lg">⚠️</span>
+              This is a critical component. The page layout may be affected.
+            </div>
+          )}
+        </div>
+      );
+    }
+    return this.props.children;
+  }
+}
+
+// Create our universal component getter
+const getShadcnComponent = createUniversalNamespace();
+
+// Modify the createStreamingWrapper function to handle SSE chunks and positions
+const createStreamingWrapper = (components) => {
+  if (!Array.isArray(components)) {
+    console.error('Invalid components array:', components);
+    return '';
+  }
+
+  console.group(' Creating Streaming Wrapper');
+  console.log('📦 Components to Process:', components.length);
+
+  // Process all components, including streaming ones
+  const validComponents = components
+    .filter(comp => {
+      if (!comp || typeof comp.name !== 'string') {
+        console.warn('❌ Skipping invalid component:', comp);
+        return false;
+      }
+
+      // Extract metadata from markers with more lenient validation
+      const startMarker = comp.code.match(/\/\/\/\s*START\s+([A-Z][a-zA-Z0-9]*(?:Section|Layout|Component)?)\s*(?:position=(\w+))?/m);
+      const endMarker = comp.code.match(/\/\/\/\s*END\s+([A-Z][a-zA-Z0-9]*(?:Section|Layout|Component)?)/m);
+      const functionMatch = comp.code.match(/(?:export\s+(?:default\s+)?)?function\s+([A-Z][a-zA-Z0-9]*(?:Section|Layout|Component)?)\s*\(/);
+
+      // Extract function name even without export
+      const anyFunctionMatch = comp.code.match(/function\s+([A-Z][a-zA-Z0-9]*(?:Section|Layout|Component)?)\s*\(/);
+
+      const metadata = {
+        markerName: startMarker?.[1],
+        position: (startMarker?.[2] || 'main').toLowerCase(),
+        functionName: functionMatch?.[1] || anyFunctionMatch?.[1],
+        hasStartMarker: !!startMarker,
+        hasEndMarker: !!endMarker,
+        isComplete: !!startMarker && !!endMarker && !!functionMatch,
+        isStreaming: comp.streaming || false,
+        timestamp: Date.now()
+      };
+
+      // Allow streaming components even if incomplete
+      if (!metadata.hasStartMarker && !metadata.isStreaming) {
+        console.warn('❌ No start marker found:', metadata);
+        return false;
+      }
+
+      // For streaming components, be more lenient
+      const namesMatch = metadata.isStreaming ? 
+        true : // Accept any name during streaming
+        (metadata.markerName === metadata.functionName && metadata.functionName === comp.name);
+      
+      if (!namesMatch && !metadata.isStreaming) {
+        console.warn('❌ Name mismatch:', {
+          markerName: metadata.markerName,
+          functionName: metadata.functionName,
+          componentName: comp.name,
+          isStreaming: metadata.isStreaming
+        });
+        return false;
+      }
+
+      // Attach metadata for later use
+      comp.metadata = metadata;
+      return true;
+    });
+
+  // Generate ordered components maintaining streaming order
+  const componentDefinitions = validComponents
+    .map(comp => {
+      let cleanedCode = comp.code
+        .replace(/\/\/\/\s*START.*\n/gm, '')
+        .replace(/\/\/\/\s*END.*\n/gm, '')
+        .trim();
+
+      // For streaming components, ensure we have a valid function
+      if (comp.metadata.isStreaming && !cleanedCode.includes('function')) {
+        cleanedCode = `function ${comp.name}() {\n  return (\n    ${cleanedCode}\n  );\n}`;
+      }
+
+      // Add export if missing
+      if (!cleanedCode.includes('export')) {
+        cleanedCode = `export ${cleanedCode}`;
+      }
+
+      return cleanedCode;
+    })
+    .filter(Boolean)
+    .join('\n\n');
+
+  // Build the final code with proper layout structure
+  const finalCode = `
+// Component Definitions
+${componentDefinitions}
+
+// Main Preview Component
+function StreamingPreview() {
+  return (
+    <div className="flex flex-col min-h-screen">
+      ${validComponents.map(comp => 
+        `<${comp.name} key="${comp.name}" data-testid="preview-${comp.name}" data-position="${comp.metadata.position}" />`
+      ).join('\n        ')}
+    </div>
+  );
+}
+
+// Render the preview
+render(<StreamingPreview />);
+`;
+
+  if (DEBUG_MODE) {
+    console.group('📝 Streaming Wrapper Output');
+    console.log('Component Count:', validComponents.length);
+    console.log('Components:', validComponents.map(c => ({
+      name: c.name,
+      isComplete: c.metadata.isComplete,
+      isStreaming: c.metadata.isStreaming
+    })));
+    console.log('Final Code:\n', finalCode);
+    console.groupEnd();
+  }
+
+  console.groupEnd();
+  return finalCode;
+};
+
+// 5. Preview Component
+const PreviewComponent = ({ code, scope }) => {
+  const cleanedCode = useMemo(() => {
+    if (DEBUG_MODE) {
+      console.group('🎭 Preview Component Code Processing');
+      console.log('🔄 Code Before Cleaning:', code);
+    }
+    
+    const result = cleanCode(code);
+    
+    if (DEBUG_MODE) {
+      console.log('✨ Code After Cleaning:', result);
+      console.groupEnd();
+    }
+    
+    return result;
+  }, [code]);
+  
+  const isStreaming = useMemo(() => {
+    const hasRootLayout = !cleanedCode.includes('RootLayout');
+    if (DEBUG_MODE) {
+      console.log('🌊 Streaming Status:', { 
+        isStreaming: hasRootLayout,
+        hasRootLayout: !hasRootLayout,
+        codeLength: cleanedCode.length
+      });
+    }
+    return hasRootLayout;
+  }, [cleanedCode]);
+
+  return (
+    <div className="w-full" data-testid="preview-container">
+      <GlobalStyles />
+      <LiveProvider
+        code={cleanedCode}
+        scope={scope}
+        noInline={true}
+      >
+        <EnhancedErrorBoundary componentName="LivePreview">
+          <LiveError className="text-destructive p-4 bg-destructive/10 rounded mb-4 sticky top-0 z-[100]" data-testid="preview-error" />
+          <div 
+            className={cn(
+              "w-full flex flex-col preview-root",
+              isStreaming && "space-y-8 p-4"
+            )}
+            data-testid="preview-content"
+          >
+            <LivePreview />
+          </div>
+        </EnhancedErrorBoundary>
+      </LiveProvider>
+    </div>
+  );
+};
+
+// The console generated code sees: calls still log here and are also reported to the editor
+const createPreviewConsole = (onReport) => ({
+  ...console,
+  ...Object.fromEntries(['log', 'info', 'warn', 'error', 'debug'].map(level => [level, (...args) => {
+    console[level](...args);
+    onReport('console', { level, text: formatConsoleArgs(args) });
+  }]))
+});
+
+// Reports what react-live made of the code once it has rendered: the page, or its error
+const RenderReporter = ({ timingRef, onReport }) => {
+  const { element, error } = useContext(LiveContext);
+
+  useEffect(() => {
+    if (error) {
+      onReport('error', { message: error });
+    } else if (element) {
+      const { compile, startedAt } = timingRef.current;
+      onReport('rendered', {
+        timings: { compile: Math.round(compile), render: Math.round(performance.now() - startedAt) }
+      });
+    }
+  }, [element, error, timingRef, onReport]);
+
+  return null;
+};
+
+// Add debug logging utilities at the top after imports
+const debugLog = (section, data) => {
+  if (DEBUG_MODE) {
+    console.group(`🔍 ${section}`);
+    console.log(JSON.stringify(data, null, 2));
+    console.groupEnd();
+  }
+};
+
+const debugComponent = (name, props, state) => {
+  if (DEBUG_MODE) {
+    console.group(`🧩 Component Debug: ${name}`);
+    console.log('Props:', props);
+    console.log('State:', state);
+    console.groupEnd();
+  }
+};
+
+// 6. Main Component
+/**
+ * Renders the generated components with react-live. It runs inside the sandboxed preview
+ * iframe (see PreviewFrame), so generated code never runs in the editor itself.
+ * @param {Object} props
+ * @param {Object} props.registry - Components, layout, pages, language and theme
+ * @param {Map} [props.streamingStates] - Streaming state per component id
+ * @param {string} [props.pageId] - Page of a site to render; the first page by default
+ * @param {Function} [props.onReport] - Called with (type, payload) for renders, errors and console output
+ */
+const PreviewRuntime = ({ registry, streamingStates = new Map(), pageId, onReport = () => {} }) => {
+  const [stableCode, setStableCode] = useState('');
+  // How long the last code took to assemble, and when it was handed to react-live
+  const timingRef = useRef({ compile: 0, startedAt: 0 });
+  const onReportRef = useRef(onReport);
+  onReportRef.current = onReport;
+  const report = useCallback((type, payload) => onReportRef.current(type, payload), []);
+
+  // Multi-page sites render one page at a time inside the shared RootLayout
+  const pages = registry?.pages;
+  const currentPageId = pages?.some(page => page.id === pageId) ? pageId : pages?.[0]?.id;
+
+  // Add debug logging for streaming states
+  useEffect(() => {
+    if (DEBUG_MODE) {
+      console.group('🌊 Streaming States Update');
+      console.log('Current States:', Object.fromEntries(streamingStates));
+      console.log('Registry Size:', registry?.components?.size);
+      console.groupEnd();
+    }
+  }, [streamingStates, registry?.components?.size]);
+
+  // Handle streaming state with debug
+  const hasStreamingComponents = useMemo(() => {
+    const streaming = streamingStates && 
+      Array.from(streamingStates.values()).some(state => state.isStreaming);
+    
+    if (DEBUG_MODE) {
+      console.log('🔄 Streaming Components Check:', {
+        hasStreaming: streaming,
+        states: Object.fromEntries(streamingStates),
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    return streaming;
+  }, [streamingStates]);
+
+  // Update the main effect to handle streaming better and add debugging
+  useEffect(() => {
+    if (!registry?.components) return;
+    const startedAt = performance.now();
+    
+    const registeredComponents = Array.from(registry.components.entries())
+      .filter(([id]) => {
+        const state = streamingStates?.get(id);
+        const isValid = state?.isComplete || state?.isStreaming;
+        
+        if (DEBUG_MODE) {
+          console.log(`📦 Component ${id} State:`, {
+            isComplete: state?.isComplete,
+            isStreaming: state?.isStreaming,
+            isValid,
+            timestamp: new Date().toISOString()
+          });
+        }
+        
+        return isValid;
+      })
+      .map(([_, component]) => component);
+    const pageComponents = currentPageId
+      ? selectPageComponents(registeredComponents, currentPageId)
+      : registeredComponents;
+    // tsx generations are evaluated as plain JSX; the saved code keeps its types
+    const completeComponents = registry.language === 'tsx'
+      ? pageComponents.map(comp => ({ ...comp, code: stripTypes(comp.code) }))
+      : pageComponents;
+
+    if (completeComponents.length > 0) {
+      // Find RootLayout but don't wait for it to be complete
+      const rootLayout = completeComponents.find(c => c.isLayout);
+      const otherComponents = completeComponents.filter(c => !c.isLayout);
+
+      if (DEBUG_MODE) {
+        console.group('🏗 Component Assembly');
+        console.log('Root Layout:', rootLayout);
+        console.log('Other Components:', otherComponents);
+        console.groupEnd();
+      }
+
+      let finalCode;
+      if (rootLayout && streamingStates.get('root_layout')?.isComplete) {
+        // Log complete root layout
+        if (DEBUG_MODE) {
+          console.group('🎯 Root Layout Complete');
+          console.log('Final Root Layout Code:');
+          console.log(rootLayout.code);
+          console.log('All Components:', completeComponents);
+          console.groupEnd();
+        }
+
+        const componentCode = [
+          ...otherComponents.map(comp => cleanCode(comp.code)),
+          cleanCode(rootLayout.code)
+        ]
+          .filter(Boolean)
+          .join('\n\n');
+
+        // A site's RootLayout wraps the current page's sections as children
+        const pageSections = currentPageId
+          ? otherComponents.filter(comp => comp.page).map(comp => `<${comp.name} />`).join('')
+          : '';
+        finalCode = pageSections
+          ? `${componentCode}\n\nrender(<RootLayout>${pageSections}</RootLayout>);`
+          : `${componentCode}\n\nrender(<RootLayout />);`;
+      } else {
+        // Use streaming wrapper with debug
+        if (DEBUG_MODE) {
+          console.group('🌊 Streaming Wrapper Assembly');
+          console.log('Components to Stream:', completeComponents);
+          console.groupEnd();
+        }
+        
+        finalCode = createStreamingWrapper(completeComponents);
+      }
+
+      if (DEBUG_MODE) {
+        console.group('📝 Final Code Assembly');
+        console.log('Code Length:', finalCode.length);
+        console.log('Component Count:', completeComponents.length);
+        console.log('Final Code:\n', finalCode);
+        console.groupEnd();
+      }
+
+      timingRef.current = { compile: performance.now() - startedAt, startedAt: performance.now() };
+      setStableCode(finalCode);
+    }
+  }, [registry?.components, registry?.language, streamingStates, currentPageId]);
+
+  // Create a memoized scope that includes all necessary dependencies
+  // ESSENTIAL_SCOPE's NavigationMenu carries the .List/.Item/.Link namespace the prompt asks for
+  const enhancedScope = useMemo(() => ({
+    ...ESSENTIAL_SCOPE,
+    React,
+    Button,
+    Card,
+    LucideIcons,
+    Link,
+    console: createPreviewConsole(report)
+  }), [report]);
+
+  if (!registry?.components || !stableCode) return null;
+
+  return (
+    <div className="preview-isolation-wrapper" data-testid="preview-container">
+      <GlobalStyles />
+      {registry.theme && <ThemeStyles theme={registry.theme} />}
+      <LiveProvider
+        code={stableCode}
+        scope={enhancedScope}
+        noInline={true}
+      >
+        <EnhancedErrorBoundary componentName="LivePreview" onError={error => report('error', { message: error.message })}>
+          <LiveError 
+            className="text-destructive p-4 bg-destructive/10 rounded mb-4 sticky top-0 z-20" 
+            data-testid="preview-error" 
+          />
+          <div 
+            className={cn(
+              "w-full preview-root",
+              registry.theme && "bg-background text-foreground",
+              hasStreamingComponents && "space-y-8"
+            )}
+            data-theme-root
+            data-testid="preview-content"
+          >
+            <LivePreview />
+          </div>
+          <RenderReporter timingRef={timingRef} onReport={report} />
+        </EnhancedErrorBoundary>
+      </LiveProvider>
+    </div>
+  );
+};
+
+// Add debug warning utility
+const warnEmptyElement = (type, props) => {
+  if (DEBUG_MODE) {
+    console.group('⚠️ Empty Element Warning');
+    console.warn(`${type} rendered with no children!`);
+    console.log('Props:', props);
+    console.groupEnd();
+  }
+};
+
+// Update the ESSENTIAL_SCOPE with enhanced navigation handling
+const ESSENTIAL_SCOPE = {
+  ...React,
+  
+  // Navigation components with only empty state handling
+  NavigationMenu: Object.assign(
+    (props) => {
+      logComponentResolution('NavigationMenu', 'root', { props });
+      return <NavigationMenu {...props} />;
+    },
+    {
+      List: (props) => {
+        logComponentResolution('NavigationMenu.List', 'subcomponent', { props });
+        return <NavigationMenuList {...props} />;
+      },
+      Item: (props) => {
+        logComponentResolution('NavigationMenu.Item', 'subcomponent', { props });
+        if (!props.children) {
+          warnEmptyElement('NavigationMenu.Item', props);
+        }
+        return <NavigationMenuItem {...props} />;
+      },
+      Link: ({ children, ...props }) => {
+        logComponentResolution('NavigationMenu.Link', 'subcomponent', { props });
+        
+        // Only handle empty children, no styling
+        if (!children || (typeof children === 'string' && !children.trim())) {
+          warnEmptyElement('NavigationMenu.Link', props);
+          // Provide fallback content based on href or a default
+          const fallbackText = props.href ? 
+            props.href.replace(/[#\/]/g, '').split('-').map(
+              word => word.charAt(0).toUpperCase() + word.slice(1)
+            ).join(' ') : 
+            'Menu Link';
+            
+          children = DEBUG_MODE ? 
+            <span>
+              {fallbackText}
+              <span className="text-xs text-yellow-500">[Empty Link]</span>
+            </span> : 
+            fallbackText;
+        }
+
+        return <NavigationMenuLink {...props}>{children}</NavigationMenuLink>;
+      },
+      Content: props => <NavigationMenuContent {...props} />,
+      Trigger: props => <NavigationMenuTrigger {...props} />,
+      Viewport: props => <NavigationMenuViewport {...props} />
+    }
+  ),
+  
+  // Button with only empty state handling
+  Button: ({ children, ...props }) => {
+    if (!children || (typeof children === 'string' && !children.trim())) {
+      warnEmptyElement('Button', props);
+      children = DEBUG_MODE ? 
+        <span>
+          Button
+          <span className="text-xs text-yellow-500">[Empty Button]</span>
+        </span> : 
+        'Button';
+    }
+
+    return <Button {...props}>{children}</Button>;
+  },
+  
+  // All shadcn components through universal namespace with logging
+  ...Object.fromEntries(
+    ['Button', 'Card', 'CardHeader', 'CardTitle', 'CardDescription', 'CardContent', 'CardFooter']
+    .map(name => [name, (...props) => {
+      logComponentResolution(name, 'shadcn', { props });
+      const Component = getShadcnComponent(name);
+      return <Component {...props} />;
+    }])
+  ),
+  
+  // Make ALL Lucide icons available through Icons namespace with logging
+  Icons: new Proxy(LucideIcons, {
+    get: (target, prop) => {
+      logComponentResolution(`Icons.${prop}`, 'icon', { exists: !!target[prop] });
+      return target[prop] || (() => {
+        console.warn(`Icon ${prop} not found`);
+        return null;
+      });
+    }
+  }),
+
+  // Simple Link component for basic navigation with logging
+  Link: ({ href, children, ...props }) => {
+    logComponentResolution('Link', 'basic', { href });
+    return <a href={href} {...props}>{children}</a>;
+  },
+
+  // Placeholder components with logging
+  Placeholder: {
+    Image: ({ width, height, label, className = '', ...props }) => {
+      logComponentResolution('Placeholder.Image', 'placeholder', { width, height, label });
+      return (
+        <div
+          className={cn(
+            'bg-slate-100 dark:bg-slate-800 flex items-center justify-center',
+            className
+          )}
+          style={{ width, height }}
+          {...props}
+        >
+          {label}
+        </div>
+      );
+    },
+    Video: ({ width, height, label, className = '', ...props }) => {
+      logComponentResolution('Placeholder.Video', 'placeholder', { width, height, label });
+      return (
+        <div
+          className={cn(
+            'bg-slate-100 dark:bg-slate-800 flex items-center justify-center',
+            className
+          )}
+          style={{ width, height }}
+          {...props}
+        >
+          {label}
+        </div>
+      );
+    },
+    Avatar: ({ size = '64px', label, className = '', ...props }) => {
+      logComponentResolution('Placeholder.Avatar', 'placeholder', { size, label });
+      return (
+        <div
+          className={cn(
+            'bg-slate-100 dark:bg-slate-800 rounded-full flex items-center justify-center',
+            className
+          )}
+          style={{ width: size, height: size }}
+          {...props}
+        >
+          {label}
+        </div>
+      );
+    }
+  }
+};
+
+export default PreviewRuntime; 
\ No newline at end of file
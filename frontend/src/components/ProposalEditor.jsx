@@ -0,0 +1,163 @@
+import React from 'react';
+import { ArrowDown, ArrowUp, Hammer, Loader2, Plus, Trash2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Textarea } from './ui/textarea';
+
+const POSITIONS = ['header', 'main', 'footer'];
+const PALETTE_KEYS = ['primary', 'secondary', 'accent', 'background', 'text'];
+
+// Copy of `list` with the item at `index` moved by `offset`
+const move = (list, index, offset) => {
+  const next = [...list];
+  const [item] = next.splice(index, 1);
+  next.splice(index + offset, 0, item);
+  return next;
+};
+
+/**
+ * Shows the plan returned by /api/proposal and lets the user edit it before building.
+ * @param {Object} props
+ * @param {Object} props.proposal - { sections, palette, typography, rationale }
+ * @param {Function} props.onChange - Called with the edited proposal
+ * @param {Function} props.onBuild - Builds the page from the proposal as it stands
+ * @param {Function} props.onDiscard - Drops the proposal and goes back to the prompt
+ * @param {boolean} [props.isBusy] - Disables building while a generation runs
+ */
+const ProposalEditor = ({ proposal, onChange, onBuild, onDiscard, isBusy = false }) => {
+  const { sections, palette = {}, typography = {} } = proposal;
+
+  const setSections = (next) => onChange({ ...proposal, sections: next });
+  const updateSection = (index, updates) => setSections(
+    sections.map((section, i) => (i === index ? { ...section, ...updates } : section))
+  );
+
+  const addSection = () => setSections([
+    ...sections,
+    { name: `Section${sections.length + 1}`, position: 'main', purpose: '', copy: [] }
+  ]);
+
+  // Name, purpose and position are required by the build; names must be unique components
+  const names = sections.map(section => section.name.trim());
+  const isBuildable = sections.length > 0
+    && sections.every(section => /^[A-Z][A-Za-z0-9]*$/.test(section.name.trim()) && section.purpose.trim())
+    && new Set(names).size === names.length;
+
+  return (
+    <div className="rounded-lg bg-slate-800 p-4 space-y-3 text-sm text-slate-200">
+      <h3 className="font-semibold text-white">Proposed Plan</h3>
+      {proposal.rationale && <p className="text-slate-400">{proposal.rationale}</p>}
+
+      <ol className="space-y-2">
+        {sections.map((section, index) => (
+          <li key={index} className="rounded border border-slate-700 p-2 space-y-2">
+            <div className="flex gap-1">
+              <Input
+                value={section.name}
+                onChange={e => updateSection(index, { name: e.target.value })}
+                aria-label={`Section ${index + 1} name`}
+              />
+              <select
+                value={section.position}
+                onChange={e => updateSection(index, { position: e.target.value })}
+                aria-label={`Section ${index + 1} position`}
+                className="rounded-md border border-input bg-background px-2 text-slate-900"
+              >
+                {POSITIONS.map(pos => <option key={pos} value={pos}>{pos}</option>)}
+              </select>
+              <Button
+                size="icon"
+                variant="ghost"
+                aria-label={`Move ${section.name} up`}
+                disabled={index === 0}
+                onClick={() => setSections(move(sections, index, -1))}
+              >
+                <ArrowUp className="w-4 h-4" />
+              </Button>
+              <Button
+                size="icon"
+                variant="ghost"
+                aria-label={`Move ${section.name} down`}
+                disabled={index === sections.length - 1}
+                onClick={() => setSections(move(sections, index, 1))}
+              >
+                <ArrowDown className="w-4 h-4" />
+              </Button>
+              <Button
+                size="icon"
+                variant="ghost"
+                aria-label={`Remove ${section.name}`}
+                onClick={() => setSections(sections.filter((_, i) => i !== index))}
+              >
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </div>
+            <Input
+              value={section.purpose}
+              onChange={e => updateSection(index, { purpose: e.target.value })}
+              placeholder="What this section does..."
+              aria-label={`Section ${index + 1} purpose`}
+            />
+            <Textarea
+              value={section.copy.join('\n')}
+              onChange={e => updateSection(index, { copy: e.target.value.split('\n') })}
+              placeholder="Copy outline, one line each"
+              aria-label={`Section ${index + 1} copy`}
+              rows={2}
+            />
+          </li>
+        ))}
+      </ol>
+
+      <Button variant="outline" onClick={addSection} className="w-full text-slate-900">
+        <Plus className="w-4 h-4 mr-2" />
+        Add Section
+      </Button>
+
+      <div className="grid grid-cols-5 gap-2 border-t border-slate-700 pt-3">
+        {PALETTE_KEYS.map(key => (
+          <label key={key} className="flex flex-col items-center gap-1 text-xs text-slate-400">
+            <input
+              type="color"
+              value={palette[key] || '#ffffff'}
+              onChange={e => onChange({ ...proposal, palette: { ...palette, [key]: e.target.value } })}
+              aria-label={`${key} color`}
+            />
+            {key}
+          </label>
+        ))}
+      </div>
+
+      <div className="flex gap-2">
+        <Input
+          value={typography.headings || ''}
+          onChange={e => onChange({ ...proposal, typography: { ...typography, headings: e.target.value } })}
+          placeholder="Heading font"
+          aria-label="Heading font"
+        />
+        <Input
+          value={typography.body || ''}
+          onChange={e => onChange({ ...proposal, typography: { ...typography, body: e.target.value } })}
+          placeholder="Body font"
+          aria-label="Body font"
+        />
+      </div>
+
+      <div className="flex gap-2">
+        <Button variant="outline" onClick={onDiscard} className="flex-1 text-slate-900">
+          Start Over
+        </Button>
+        <Button onClick={onBuild} disabled={isBusy || !isBuildable} className="flex-1">
+          {isBusy ? (
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+          ) : (
+            <Hammer className="w-4 h-4 mr-2" />
+          )}
+          Build Website
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ProposalEditor;
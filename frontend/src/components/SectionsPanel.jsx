@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, Loader2, Plus, Trash2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Textarea } from './ui/textarea';
+
+const POSITIONS = ['header', 'main', 'footer'];
+
+// Copy of `order` with the item at `index` moved by `offset`
+const move = (order, index, offset) => {
+  const next = [...order];
+  const [item] = next.splice(index, 1);
+  next.splice(index + offset, 0, item);
+  return next;
+};
+
+/**
+ * Lists the sections of the current version and lets the user add, remove and reorder them.
+ * @param {Object} props
+ * @param {{ header: string[], main: string[], footer: string[] }} props.sections - Section names per position
+ * @param {Array<{ id: string, name: string, sections: string[] }>} [props.pages] - Pages of a multi-page
+ *   site with their main section names; main sections are then listed and added one page at a time
+ * @param {Function} props.onAdd - Called with { componentName, position, index, instruction, page? }
+ * @param {Function} props.onRemove - Called with the section name
+ * @param {Function} props.onReorder - Called with (position, order, page?)
+ * @param {boolean} [props.isBusy] - Disables the controls while a change is being saved
+ */
+const SectionsPanel = ({ sections, pages, onAdd, onRemove, onReorder, isBusy = false }) => {
+  const [componentName, setComponentName] = useState('');
+  const [position, setPosition] = useState('main');
+  const [instruction, setInstruction] = useState('');
+  const [pageId, setPageId] = useState(null);
+
+  // The header and footer are shared; main holds the sections of the selected page
+  const page = pages?.find(p => p.id === pageId) || pages?.[0];
+  const listed = page ? { ...sections, main: page.sections } : sections;
+  const pageOf = (pos) => (page && pos === 'main' ? page.id : undefined);
+
+  const handleReorder = (pos, order) => {
+    const target = pageOf(pos);
+    if (target) onReorder(pos, order, target);
+    else onReorder(pos, order);
+  };
+
+  const handleAdd = () => {
+    const target = pageOf(position);
+    onAdd({
+      componentName: componentName.trim(),
+      position,
+      index: listed[position].length,
+      instruction: instruction.trim(),
+      ...(target && { page: target })
+    });
+    setComponentName('');
+    setInstruction('');
+  };
+
+  return (
+    <div className="mt-4 rounded-lg bg-slate-900 p-4 space-y-3 text-sm text-slate-200">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="font-semibold text-white">Sections</h3>
+        {page && (
+          <select
+            value={page.id}
+            onChange={e => setPageId(e.target.value)}
+            aria-label="Page"
+            className="rounded-md border border-input bg-background px-2 text-slate-900"
+          >
+            {pages.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+        )}
+      </div>
+
+      {POSITIONS.map(pos => listed[pos].length > 0 && (
+        <div key={pos}>
+          <p className="text-xs uppercase text-slate-400">{pos}</p>
+          <ul className="mt-1 space-y-1">
+            {listed[pos].map((name, index) => (
+              <li key={name} className="flex items-center justify-between rounded border border-slate-700 px-2 py-1">
+                <span>{name}</span>
+                <span className="flex gap-1">
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    aria-label={`Move ${name} up`}
+                    disabled={isBusy || index === 0}
+                    onClick={() => handleReorder(pos, move(listed[pos], index, -1))}
+                  >
+                    <ArrowUp className="w-4 h-4" />
+                  </Button>
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    aria-label={`Move ${name} down`}
+                    disabled={isBusy || index === listed[pos].length - 1}
+                    onClick={() => handleReorder(pos, move(listed[pos], index, 1))}
+                  >
+                    <ArrowDown className="w-4 h-4" />
+                  </Button>
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    aria-label={`Remove ${name}`}
+                    disabled={isBusy}
+                    onClick={() => onRemove(name)}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+
+      <div className="space-y-2 border-t border-slate-700 pt-3">
+        <div className="flex gap-2">
+          <Input
+            value={componentName}
+            onChange={e => setComponentName(e.target.value)}
+            placeholder="TestimonialsSection"
+            aria-label="Section name"
+          />
+          <select
+            value={position}
+            onChange={e => setPosition(e.target.value)}
+            aria-label="Section position"
+            className="rounded-md border border-input bg-background px-2 text-slate-900"
+          >
+            {POSITIONS.map(pos => <option key={pos} value={pos}>{pos}</option>)}
+          </select>
+        </div>
+        <Textarea
+          value={instruction}
+          onChange={e => setInstruction(e.target.value)}
+          placeholder="What should the new section show..."
+          aria-label="Section description"
+          rows={2}
+        />
+        <Button
+          onClick={handleAdd}
+          disabled={isBusy || !componentName.trim() || !instruction.trim()}
+          className="w-full"
+        >
+          {isBusy ? (
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+          ) : (
+            <Plus className="w-4 h-4 mr-2" />
+          )}
+          Add Section
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default SectionsPanel;
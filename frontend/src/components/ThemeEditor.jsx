@@ -0,0 +1,96 @@
+import React from 'react';
+import { Loader2, Save } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { THEME_COLOR_KEYS, RADIUS_OPTIONS, resolveTheme } from './utils/themeTokens';
+
+// Color inputs only take #rrggbb, while themes may also hold #rgb
+const toColorInputValue = (hex) => (
+  hex.length === 4 ? `#${hex.slice(1).split('').map(digit => digit + digit).join('')}` : hex
+);
+
+/**
+ * Edits the theme of the current version. Every change goes straight to the preview through
+ * onChange; nothing is saved until the user asks for it.
+ * @param {Object} props
+ * @param {Object} [props.theme] - The theme being edited; defaults fill in what it leaves out
+ * @param {Function} props.onChange - Called with the whole edited theme
+ * @param {Function} props.onSave - Called when the user saves the theme
+ * @param {boolean} [props.isDirty] - Whether there are changes to save
+ * @param {boolean} [props.isBusy] - Disables the controls while a change is being saved
+ */
+const ThemeEditor = ({ theme, onChange, onSave, isDirty = false, isBusy = false }) => {
+  const { colors, radius, fonts } = resolveTheme(theme);
+
+  const update = (changes) => onChange({ colors, radius, fonts, ...changes });
+
+  return (
+    <div className="mt-4 rounded-lg bg-slate-900 p-4 space-y-3 text-sm text-slate-200">
+      <h3 className="font-semibold text-white">Theme</h3>
+
+      <div className="grid grid-cols-5 gap-2">
+        {THEME_COLOR_KEYS.map(key => (
+          <label key={key} className="flex flex-col items-center gap-1 text-xs text-slate-400">
+            <input
+              type="color"
+              value={toColorInputValue(colors[key])}
+              onChange={e => update({ colors: { ...colors, [key]: e.target.value } })}
+              aria-label={`${key} color`}
+              disabled={isBusy}
+              className="h-8 w-full cursor-pointer rounded border border-slate-700 bg-transparent"
+            />
+            {key}
+          </label>
+        ))}
+      </div>
+
+      <label className="flex items-center justify-between gap-2">
+        <span className="text-xs uppercase text-slate-400">Corner radius</span>
+        <select
+          value={radius}
+          onChange={e => update({ radius: e.target.value })}
+          aria-label="Corner radius"
+          disabled={isBusy}
+          className="rounded-md border border-input bg-background px-2 py-1 text-slate-900"
+        >
+          {/* Keep a radius the model picked outside the presets selectable */}
+          {[...new Set([...RADIUS_OPTIONS, radius])].map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="flex gap-2">
+        <Input
+          value={fonts.heading}
+          onChange={e => update({ fonts: { ...fonts, heading: e.target.value } })}
+          placeholder="Heading font, e.g. Playfair Display"
+          aria-label="Heading font"
+          disabled={isBusy}
+        />
+        <Input
+          value={fonts.body}
+          onChange={e => update({ fonts: { ...fonts, body: e.target.value } })}
+          placeholder="Body font, e.g. Inter"
+          aria-label="Body font"
+          disabled={isBusy}
+        />
+      </div>
+
+      <Button
+        onClick={onSave}
+        disabled={isBusy || !isDirty}
+        className="w-full"
+      >
+        {isBusy ? (
+          <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+        ) : (
+          <Save className="w-4 h-4 mr-2" />
+        )}
+        Save Theme
+      </Button>
+    </div>
+  );
+};
+
+export default ThemeEditor;
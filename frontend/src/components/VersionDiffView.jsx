@@ -0,0 +1,173 @@
+import React from 'react';
+import { Badge } from './ui/badge';
+
+/**
+ * Turns unified diff hunks into side-by-side rows. Runs of removed and added lines
+ * are paired up row by row so an edited line shows next to its replacement.
+ * @param {Array} hunks - Hunks from the diff endpoint ({ oldStart, newStart, lines })
+ * @returns {Array<{ type: string, left?: Object, right?: Object }>} Rows with { number, text } cells
+ */
+export const toSideBySideRows = (hunks = []) => {
+  const rows = [];
+
+  hunks.forEach((hunk, hunkIndex) => {
+    let oldLine = hunk.oldStart;
+    let newLine = hunk.newStart;
+    let removed = [];
+    let added = [];
+
+    const flushChanges = () => {
+      const count = Math.max(removed.length, added.length);
+      for (let i = 0; i < count; i++) {
+        rows.push({ type: 'change', left: removed[i], right: added[i] });
+      }
+      removed = [];
+      added = [];
+    };
+
+    if (hunkIndex > 0) {
+      rows.push({ type: 'gap' });
+    }
+
+    hunk.lines.forEach(line => {
+      const marker = line[0];
+      const text = line.slice(1);
+
+      if (marker === '-') {
+        removed.push({ number: oldLine++, text });
+      } else if (marker === '+') {
+        added.push({ number: newLine++, text });
+      } else if (marker === ' ') {
+        flushChanges();
+        rows.push({
+          type: 'context',
+          left: { number: oldLine++, text },
+          right: { number: newLine++, text }
+        });
+      }
+      // "\ No newline at end of file" lines carry no content
+    });
+
+    flushChanges();
+  });
+
+  return rows;
+};
+
+// Every line of a component that only exists on one side
+const wholeFileRows = (code = '', side) => code
+  .replace(/\n$/, '')
+  .split('\n')
+  .map((text, index) => ({ type: 'change', [side]: { number: index + 1, text } }));
+
+const cellClass = (row, side) => {
+  if (row.type !== 'change' || !row[side]) return 'bg-slate-900 text-slate-300';
+  return side === 'left' ? 'bg-red-950/60 text-red-200' : 'bg-green-950/60 text-green-200';
+};
+
+const DiffCell = ({ row, side }) => {
+  const cell = row[side];
+  return (
+    <>
+      <td className="w-12 select-none px-2 text-right text-slate-500 bg-slate-900/80">{cell?.number}</td>
+      <td className={`whitespace-pre px-2 ${cellClass(row, side)}`}>{cell?.text}</td>
+    </>
+  );
+};
+
+const SideBySideTable = ({ rows }) => (
+  <div className="overflow-x-auto">
+    <table className="w-full border-collapse font-mono text-xs">
+      <tbody>
+        {rows.map((row, index) => row.type === 'gap' ? (
+          <tr key={index}>
+            <td colSpan={4} className="bg-slate-800 px-2 text-slate-500">⋯</td>
+          </tr>
+        ) : (
+          <tr key={index} data-testid="diff-row">
+            <DiffCell row={row} side="left" />
+            <DiffCell row={row} side="right" />
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const ComponentDiff = ({ title, subtitle, rows }) => (
+  <div className="rounded-lg border border-slate-700 overflow-hidden">
+    <div className="flex items-center gap-2 bg-slate-800 px-3 py-2 text-sm text-white">
+      <span className="font-semibold">{title}</span>
+      {subtitle && <span className="text-slate-400">{subtitle}</span>}
+    </div>
+    <SideBySideTable rows={rows} />
+  </div>
+);
+
+/**
+ * Side-by-side view of GET /api/projects/:id/versions/:a/diff/:b.
+ */
+export default function VersionDiffView({ diff }) {
+  if (!diff) return null;
+
+  const { from, to, added, removed, renamed, moved, changed, unchanged } = diff;
+  const nothingChanged = !added.length && !removed.length && !moved.length && !changed.length;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm text-slate-300">
+        <span>Version {from.versionNumber} → Version {to.versionNumber}</span>
+        <Badge variant="secondary">{added.length} added</Badge>
+        <Badge variant="destructive">{removed.length} removed</Badge>
+        <Badge variant="outline" className="text-slate-200">{renamed.length} renamed</Badge>
+        <Badge variant="outline" className="text-slate-200">{moved.length} moved</Badge>
+        <Badge variant="outline" className="text-slate-200">{changed.length} changed</Badge>
+      </div>
+
+      {moved.length > 0 && (
+        <ul className="text-sm text-slate-300 list-disc pl-5">
+          {moved.map(move => (
+            <li key={move.name}>
+              {move.name}: {move.from.position} #{move.from.index + 1} → {move.to.position} #{move.to.index + 1}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {nothingChanged && (
+        <p className="text-sm text-slate-400">No differences between these versions.</p>
+      )}
+
+      {changed.map(component => (
+        <ComponentDiff
+          key={`changed-${component.name}`}
+          title={component.name}
+          subtitle={component.previousName ? `renamed from ${component.previousName}` : 'modified'}
+          rows={toSideBySideRows(component.hunks)}
+        />
+      ))}
+
+      {removed.map(component => (
+        <ComponentDiff
+          key={`removed-${component.name}`}
+          title={component.name}
+          subtitle="removed"
+          rows={wholeFileRows(component.code, 'left')}
+        />
+      ))}
+
+      {added.map(component => (
+        <ComponentDiff
+          key={`added-${component.name}`}
+          title={component.name}
+          subtitle="added"
+          rows={wholeFileRows(component.code, 'right')}
+        />
+      ))}
+
+      {unchanged.length > 0 && (
+        <p className="text-xs text-slate-500">Unchanged: {unchanged.join(', ')}</p>
+      )}
+    </div>
+  );
+}
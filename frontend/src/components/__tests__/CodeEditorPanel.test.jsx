@@ -0,0 +1,115 @@
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import CodeEditorPanel, { PREVIEW_DELAY, checkEditedCode } from '../CodeEditorPanel';
+import { getSyntaxDiagnostics } from '../utils/babelTransformations';
+
+// react-live's editor is a contentEditable jsdom can't type into; a textarea stands in
+jest.mock('react-live', () => ({
+  Editor: ({ code, onChange, disabled }) => (
+    <textarea aria-label="Code" value={code} disabled={disabled} onChange={e => onChange(e.target.value)} />
+  )
+}));
+
+const COMPONENT = {
+  name: 'HeroSection',
+  code: 'export function HeroSection() {\n  return <section>Fresh roasts</section>;\n}'
+};
+
+const renderPanel = (props = {}) => {
+  const handlers = { onChange: jest.fn(), onSave: jest.fn(), onCancel: jest.fn() };
+  render(<CodeEditorPanel component={COMPONENT} {...handlers} {...props} />);
+  return handlers;
+};
+
+const type = (code) => {
+  fireEvent.change(screen.getByLabelText('Code'), { target: { value: code } });
+  act(() => {
+    jest.advanceTimersByTime(PREVIEW_DELAY);
+  });
+};
+
+describe('CodeEditorPanel', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('sends edits to the preview once typing pauses', () => {
+    const { onChange } = renderPanel();
+    const code = COMPONENT.code.replace('Fresh roasts', 'Single origin');
+
+    fireEvent.change(screen.getByLabelText('Code'), { target: { value: code } });
+    expect(onChange).not.toHaveBeenCalled();
+
+    act(() => {
+      jest.advanceTimersByTime(PREVIEW_DELAY);
+    });
+    expect(onChange).toHaveBeenCalledWith(code);
+    expect(screen.queryByTestId('code-diagnostics')).not.toBeInTheDocument();
+  });
+
+  it('marks syntax errors on their line and previews the fixed-up code', () => {
+    const { onChange } = renderPanel();
+
+    // </section> not typed yet
+    type('export function HeroSection() {\n  return (\n    <section>\n      <h1>Fresh roasts</h1>\n  );\n}');
+
+    expect(screen.getByTestId('diagnostic-marker')).toHaveTextContent('4');
+    expect(screen.getByTestId('code-diagnostics')).toHaveTextContent(/^Line 4:/);
+    expect(onChange).toHaveBeenCalledWith(expect.stringContaining('</section>'));
+    expect(screen.getByRole('button', { name: /save code/i })).toBeDisabled();
+  });
+
+  it('saves the code as typed and cancels without saving', () => {
+    const { onSave, onCancel } = renderPanel();
+    const saveButton = screen.getByRole('button', { name: /save code/i });
+    expect(saveButton).toBeDisabled();
+
+    const code = COMPONENT.code.replace('Fresh roasts', 'Single origin');
+    type(code);
+    fireEvent.click(saveButton);
+    expect(onSave).toHaveBeenCalledWith(code);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel code edit' }));
+    expect(onCancel).toHaveBeenCalled();
+  });
+
+  it('completes icon names from the keyboard', () => {
+    renderPanel();
+    const editor = screen.getByLabelText('Code');
+    const code = COMPONENT.code.replace('Fresh roasts', 'Fresh roasts <Icons.Coff');
+
+    fireEvent.change(editor, { target: { value: code } });
+    expect(screen.getByRole('option', { name: 'Coffee' })).toHaveAttribute('aria-selected', 'true');
+
+    fireEvent.keyDown(editor, { key: 'Enter' });
+    expect(editor.value).toContain('<Icons.Coffee</section>');
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+  });
+
+  it('shows why saving failed', () => {
+    renderPanel({ error: 'HeroSection is not exported' });
+
+    expect(screen.getByTestId('code-diagnostics')).toHaveTextContent('HeroSection is not exported');
+  });
+});
+
+describe('checkEditedCode', () => {
+  it('keeps the last preview when an edit cannot be rendered', () => {
+    const { diagnostics, previewCode } = checkEditedCode('export function HeroSection() {\n  return <section =>;\n}', 'jsx');
+
+    expect(diagnostics.length).toBeGreaterThan(0);
+    expect(previewCode).toBeNull();
+  });
+
+  it('reads TypeScript for tsx components', () => {
+    const code = 'export function HeroSection({ title }: { title: string }) {\n  return <h1>{title}</h1>;\n}';
+
+    expect(getSyntaxDiagnostics(code, 'tsx')).toEqual([]);
+    expect(getSyntaxDiagnostics(code, 'jsx')[0]).toMatchObject({ line: 1 });
+  });
+});
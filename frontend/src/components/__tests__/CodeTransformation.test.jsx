@@ -4,7 +4,7 @@ import { render, screen, cleanup, waitFor } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import { parse } from '@babel/parser';
 import { LiveProvider, LivePreview, LiveError } from 'react-live';
-import { extractFunctionDefinitions, cleanCode, validateJSXSyntax, fixSnippet } from '../utils/babelTransformations';
+import { extractFunctionDefinitions, cleanCode, validateJSXSyntax, fixSnippet, stripTypes } from '../utils/babelTransformations';
 const fs = require('fs');
 const path = require('path');
 
@@ -275,6 +275,40 @@ describe('Code Transformation Pipeline', () => {
     });
   });
 
+  describe('TypeScript', () => {
+    const TYPED = `
+      interface ListProps<T> { items: Array<T> }
+      const List = <T,>({ items }: ListProps<T>) => <ul>{items.map(item => <li key={String(item)}>{String(item)}</li>)}</ul>;
+      function TypedComponent({ title }: { title: string }) {
+        const ref = useRef<HTMLDivElement>(null);
+        return (
+          <div ref={ref}>
+            <h1>{title}</h1>
+            <List<string> items={['a', 'b']} />
+          </div>
+        );
+      }
+    `;
+
+    it('should not close generics as JSX tags', () => {
+      const fixed = fixSnippet(TYPED);
+
+      expect(fixed).toContain('useRef<HTMLDivElement>(null)');
+      expect(fixed).toContain('<List<string> items');
+      expect(fixed).toContain('const List = <T,>(');
+      expect(fixed).not.toMatch(/<\/(HTMLDivElement|string|T)>/);
+    });
+
+    it('should strip types down to plain JSX', () => {
+      const stripped = stripTypes(TYPED);
+
+      expect(stripped).not.toContain('interface');
+      expect(stripped).not.toContain('HTMLDivElement');
+      expect(stripped).toContain('<List items={');
+      expect(validateJSXSyntax(`${stripped}\nrender(<TypedComponent title="Hi" />);`)).toBe(true);
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle malformed JSX gracefully', () => {
       const code = `
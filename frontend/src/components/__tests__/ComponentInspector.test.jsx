@@ -0,0 +1,63 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ComponentInspector from '../ComponentInspector';
+
+const COMPONENT = {
+  name: 'PricingSection',
+  position: 'main',
+  code: 'export function PricingSection() {\n  return <section>Pricing</section>;\n}'
+};
+
+const renderInspector = (props = {}) => {
+  const handlers = { onRegenerate: jest.fn(), onEdit: jest.fn(), onClose: jest.fn() };
+  render(<ComponentInspector component={COMPONENT} state={{ isComplete: true }} {...handlers} {...props} />);
+  return handlers;
+};
+
+describe('ComponentInspector', () => {
+  it('shows the component, its state and its code', () => {
+    renderInspector();
+
+    expect(screen.getByRole('heading', { name: 'PricingSection' })).toBeInTheDocument();
+    expect(screen.getByText('main')).toBeInTheDocument();
+    expect(screen.getByTestId('inspector-state')).toHaveTextContent('Complete');
+    expect(screen.getByText(/return <section>Pricing<\/section>/)).toBeInTheDocument();
+  });
+
+  it('shows why a component failed validation', () => {
+    renderInspector({ state: { isComplete: false, error: 'VALIDATION_FAILED', validationError: { message: 'Unexpected token (3:4)' } } });
+
+    expect(screen.getByTestId('inspector-state')).toHaveTextContent('Failed validation: Unexpected token (3:4)');
+  });
+
+  it('regenerates and edits just that component', () => {
+    const { onRegenerate, onEdit } = renderInspector();
+    const editButton = screen.getByRole('button', { name: /edit pricingsection/i });
+    expect(editButton).toBeDisabled();
+
+    fireEvent.click(screen.getByRole('button', { name: /regenerate pricingsection/i }));
+    expect(onRegenerate).toHaveBeenCalledWith('PricingSection');
+
+    fireEvent.change(screen.getByLabelText('Edit instruction'), { target: { value: ' Add a yearly plan ' } });
+    fireEvent.click(editButton);
+    expect(onEdit).toHaveBeenCalledWith('PricingSection', 'Add a yearly plan');
+  });
+
+  it('opens the component in the code editor', () => {
+    const onEditCode = jest.fn();
+    renderInspector({ onEditCode });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Edit code' }));
+    expect(onEditCode).toHaveBeenCalledWith('PricingSection');
+  });
+
+  it('only shows the component when it cannot be changed', () => {
+    renderInspector({ onRegenerate: undefined, onEdit: undefined });
+
+    expect(screen.queryByRole('button', { name: 'Edit code' })).not.toBeInTheDocument();
+
+    expect(screen.queryByRole('button', { name: /regenerate/i })).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('Edit instruction')).not.toBeInTheDocument();
+  });
+});
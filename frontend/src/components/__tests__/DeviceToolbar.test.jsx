@@ -0,0 +1,44 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import DeviceToolbar from '../DeviceToolbar';
+import { DEFAULT_VIEWPORT } from '../utils/devicePresets';
+
+const renderToolbar = (viewport = DEFAULT_VIEWPORT, props = {}) => {
+  const onChange = jest.fn();
+  render(<DeviceToolbar viewport={viewport} onChange={onChange} {...props} />);
+  return onChange;
+};
+
+describe('DeviceToolbar', () => {
+  it('switches to a device preset', () => {
+    const onChange = renderToolbar();
+    expect(screen.getByLabelText('Rotate')).toBeDisabled();
+    expect(screen.getByLabelText('Zoom to fit')).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Device'), { target: { value: 'ipad' } });
+
+    expect(onChange).toHaveBeenCalledWith({ ...DEFAULT_VIEWPORT, deviceId: 'ipad' });
+  });
+
+  it('rotates and zooms a device', () => {
+    const viewport = { ...DEFAULT_VIEWPORT, deviceId: 'iphone' };
+    const onChange = renderToolbar(viewport, { scale: 0.625 });
+    expect(screen.getByLabelText('Viewport width')).toHaveValue(390);
+    expect(screen.getByTestId('preview-zoom')).toHaveTextContent('63%');
+
+    fireEvent.click(screen.getByLabelText('Rotate'));
+    expect(onChange).toHaveBeenLastCalledWith({ ...viewport, isRotated: true });
+
+    fireEvent.click(screen.getByLabelText('Zoom to fit'));
+    expect(onChange).toHaveBeenLastCalledWith({ ...viewport, isFitted: false });
+  });
+
+  it('switches to a custom width when one is typed', () => {
+    const onChange = renderToolbar({ ...DEFAULT_VIEWPORT, deviceId: 'iphone', isRotated: true });
+
+    fireEvent.change(screen.getByLabelText('Viewport width'), { target: { value: '700' } });
+
+    expect(onChange).toHaveBeenCalledWith({ ...DEFAULT_VIEWPORT, deviceId: 'custom', customWidth: 700, isRotated: false });
+  });
+});
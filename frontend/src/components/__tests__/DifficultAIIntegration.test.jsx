@@ -1,7 +1,7 @@
 import React from 'react';
 import { render, screen } from '@testing-library/react';
 import '@testing-library/jest-dom';
-import SimpleLivePreview from '../SimpleLivePreview';
+import PreviewRuntime from '../PreviewRuntime';
 
 // Mock react-live
 jest.mock('react-live', () => {
@@ -63,7 +63,8 @@ jest.mock('react-live', () => {
     ),
     LiveError: ({ className, ...props }) => (
       <div data-testid="preview-error" className={className} {...props} />
-    )
+    ),
+    LiveContext: React.createContext({})
   };
 });
 
@@ -156,7 +157,7 @@ describe('Difficult AI Generation', () => {
 
     // 2. Render the SimpleLivePreview with our tricky AI registry
     render(
-      <SimpleLivePreview 
+      <PreviewRuntime 
         registry={mockRegistry}
         streamingStates={mockStreamingStates}
       />
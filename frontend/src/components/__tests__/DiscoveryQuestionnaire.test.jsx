@@ -0,0 +1,69 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import DiscoveryQuestionnaire from '../DiscoveryQuestionnaire';
+
+const next = () => fireEvent.click(screen.getByText('Next'));
+
+describe('DiscoveryQuestionnaire', () => {
+  it('walks through every question and hands back a structured brief', () => {
+    const onComplete = jest.fn();
+    render(<DiscoveryQuestionnaire onComplete={onComplete} />);
+
+    expect(screen.getByText('Question 1 of 6')).toBeInTheDocument();
+    expect(screen.getByText('Next').closest('button')).toBeDisabled();
+    fireEvent.change(screen.getByLabelText('Describe your industry'), { target: { value: 'Specialty coffee' } });
+    next();
+
+    fireEvent.click(screen.getByLabelText('B2C - selling to consumers'));
+    next();
+
+    fireEvent.change(screen.getByLabelText('Audience'), { target: { value: 'Remote workers' } });
+    next();
+
+    fireEvent.click(screen.getByLabelText('Visit us'));
+    next();
+
+    fireEvent.click(screen.getByText('friendly'));
+    next();
+
+    expect(screen.getByText('Question 6 of 6')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('hero'));
+    fireEvent.click(screen.getByText('pricing'));
+    fireEvent.click(screen.getByText('Done'));
+
+    expect(onComplete).toHaveBeenCalledWith({
+      industry: 'Specialty coffee',
+      businessModel: 'b2c',
+      audience: 'Remote workers',
+      primaryCta: 'Visit us',
+      tone: 'friendly',
+      mustHaveSections: ['hero', 'pricing'],
+      description: ''
+    });
+  });
+
+  it('keeps earlier answers when going back and offers to save the brief', () => {
+    const onSave = jest.fn();
+    render(
+      <DiscoveryQuestionnaire
+        initialBrief={{ industry: 'Finance', businessModel: 'b2b', audience: 'CFOs', primaryCta: 'Book a demo', tone: 'bold' }}
+        onComplete={jest.fn()}
+        onSave={onSave}
+      />
+    );
+
+    next();
+    next();
+    expect(screen.getByLabelText('Audience')).toHaveValue('CFOs');
+    fireEvent.click(screen.getByText('Back'));
+    expect(screen.getByLabelText('B2B - selling to businesses')).toBeChecked();
+
+    next();
+    next();
+    next();
+    next();
+    fireEvent.click(screen.getByText('Save Brief'));
+    expect(onSave).toHaveBeenCalledWith(expect.objectContaining({ industry: 'Finance', tone: 'bold' }));
+  });
+});
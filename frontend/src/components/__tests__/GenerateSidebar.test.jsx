@@ -0,0 +1,79 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import GenerateSidebar from '../GenerateSidebar';
+
+const BRIEF = {
+  industry: 'Food & Drink',
+  businessModel: 'b2c',
+  audience: 'Remote workers',
+  primaryCta: 'Visit us',
+  tone: 'friendly',
+  mustHaveSections: ['hero', 'pricing'],
+  description: ''
+};
+
+const PROPOSAL = {
+  sections: [
+    { name: 'HeroSection', position: 'main', purpose: 'Introduce the shop', copy: ['Fresh coffee daily'] },
+    { name: 'MenuSection', position: 'main', purpose: 'Show the drinks', copy: [] }
+  ],
+  palette: { primary: '#6b4226' },
+  typography: { headings: 'Playfair Display' }
+};
+
+describe('GenerateSidebar', () => {
+  it('starts with the questionnaire when there is no saved brief', () => {
+    render(<GenerateSidebar />);
+
+    expect(screen.getByText('What industry are you in?')).toBeInTheDocument();
+    expect(screen.queryByText('Generate Website')).not.toBeInTheDocument();
+  });
+
+  it('generates from the saved brief', () => {
+    const onSubmit = jest.fn();
+    render(<GenerateSidebar onSubmit={onSubmit} initialBrief={BRIEF} />);
+
+    expect(screen.getByTestId('brief-summary')).toHaveTextContent('For Remote workers');
+    fireEvent.click(screen.getByText('Generate Website'));
+
+    expect(onSubmit).toHaveBeenCalledWith({ brief: BRIEF });
+  });
+
+  it('asks for TypeScript components when the option is checked', () => {
+    const onSubmit = jest.fn();
+    render(<GenerateSidebar onSubmit={onSubmit} initialBrief={BRIEF} />);
+
+    fireEvent.click(screen.getByLabelText('TypeScript components'));
+    fireEvent.click(screen.getByText('Generate Website'));
+
+    expect(onSubmit).toHaveBeenCalledWith({ brief: BRIEF, language: 'tsx' });
+  });
+
+  it('builds the page from the proposal the user approved', async () => {
+    const onPropose = jest.fn().mockResolvedValue(PROPOSAL);
+    const onSubmit = jest.fn();
+    render(<GenerateSidebar onSubmit={onSubmit} onPropose={onPropose} initialBrief={BRIEF} />);
+
+    fireEvent.click(screen.getByText('Propose a Plan'));
+    expect(onPropose).toHaveBeenCalledWith({ brief: BRIEF });
+
+    fireEvent.click(await screen.findByLabelText('Move MenuSection up'));
+    fireEvent.click(screen.getByText('Build Website'));
+
+    expect(onSubmit).toHaveBeenCalledWith({
+      brief: BRIEF,
+      plan: { ...PROPOSAL, sections: [PROPOSAL.sections[1], PROPOSAL.sections[0]] }
+    });
+  });
+
+  it('shows why a proposal failed', async () => {
+    const onPropose = jest.fn().mockRejectedValue(new Error('The proposal did not contain a JSON plan'));
+    render(<GenerateSidebar onPropose={onPropose} initialBrief={BRIEF} />);
+
+    fireEvent.click(screen.getByText('Propose a Plan'));
+
+    expect(await screen.findByText('The proposal did not contain a JSON plan')).toBeInTheDocument();
+    expect(screen.getByText('Generate Website')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,52 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ProposalEditor from '../ProposalEditor';
+
+const PROPOSAL = {
+  sections: [
+    { name: 'Navbar', position: 'header', purpose: 'Navigation', copy: [] },
+    { name: 'HeroSection', position: 'main', purpose: 'Introduce the shop', copy: ['Fresh coffee daily'] },
+    { name: 'MenuSection', position: 'main', purpose: 'Show the drinks', copy: [] }
+  ],
+  palette: { primary: '#6b4226' },
+  typography: { headings: 'Playfair Display', body: 'Inter' },
+  rationale: 'Warm and inviting'
+};
+
+const renderEditor = (proposal = PROPOSAL) => {
+  const handlers = { onChange: jest.fn(), onBuild: jest.fn(), onDiscard: jest.fn() };
+  render(<ProposalEditor proposal={proposal} {...handlers} />);
+  return handlers;
+};
+
+describe('ProposalEditor', () => {
+  it('reorders, edits and removes planned sections', () => {
+    const { onChange } = renderEditor();
+
+    fireEvent.click(screen.getByLabelText('Move MenuSection up'));
+    expect(onChange.mock.calls[0][0].sections.map(section => section.name))
+      .toEqual(['Navbar', 'MenuSection', 'HeroSection']);
+
+    fireEvent.change(screen.getByLabelText('Section 2 position'), { target: { value: 'footer' } });
+    expect(onChange.mock.calls[1][0].sections[1]).toEqual({ ...PROPOSAL.sections[1], position: 'footer' });
+
+    fireEvent.change(screen.getByLabelText('Section 2 copy'), { target: { value: 'Fresh coffee daily\nOpen at 7' } });
+    expect(onChange.mock.calls[2][0].sections[1].copy).toEqual(['Fresh coffee daily', 'Open at 7']);
+
+    fireEvent.click(screen.getByLabelText('Remove Navbar'));
+    expect(onChange.mock.calls[3][0].sections).toHaveLength(2);
+  });
+
+  it('only builds plans with unique PascalCase names and a purpose for every section', () => {
+    const { onBuild } = renderEditor();
+    fireEvent.click(screen.getByText('Build Website'));
+    expect(onBuild).toHaveBeenCalled();
+
+    renderEditor({
+      ...PROPOSAL,
+      sections: [{ ...PROPOSAL.sections[0] }, { ...PROPOSAL.sections[1], name: 'Navbar' }]
+    });
+    expect(screen.getAllByText('Build Website')[1].closest('button')).toBeDisabled();
+  });
+});
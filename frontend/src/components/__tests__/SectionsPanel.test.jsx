@@ -0,0 +1,92 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SectionsPanel from '../SectionsPanel';
+
+const SECTIONS = {
+  header: ['Header'],
+  main: ['HeroSection', 'PricingSection', 'FaqSection'],
+  footer: []
+};
+
+const renderPanel = (props = {}) => {
+  const handlers = { onAdd: jest.fn(), onRemove: jest.fn(), onReorder: jest.fn() };
+  render(<SectionsPanel sections={SECTIONS} {...handlers} {...props} />);
+  return handlers;
+};
+
+describe('SectionsPanel', () => {
+  it('moves a section within its position', () => {
+    const { onReorder } = renderPanel();
+
+    fireEvent.click(screen.getByLabelText('Move PricingSection up'));
+    expect(onReorder).toHaveBeenCalledWith('main', ['PricingSection', 'HeroSection', 'FaqSection']);
+
+    fireEvent.click(screen.getByLabelText('Move PricingSection down'));
+    expect(onReorder).toHaveBeenLastCalledWith('main', ['HeroSection', 'FaqSection', 'PricingSection']);
+
+    expect(screen.getByLabelText('Move HeroSection up')).toBeDisabled();
+    expect(screen.getByLabelText('Move FaqSection down')).toBeDisabled();
+  });
+
+  it('removes a section', () => {
+    const { onRemove } = renderPanel();
+
+    fireEvent.click(screen.getByLabelText('Remove HeroSection'));
+
+    expect(onRemove).toHaveBeenCalledWith('HeroSection');
+  });
+
+  it('adds a section at the end of the chosen position', () => {
+    const { onAdd } = renderPanel();
+    const addButton = screen.getByRole('button', { name: /add section/i });
+    expect(addButton).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Section name'), { target: { value: 'Testimonials' } });
+    fireEvent.change(screen.getByLabelText('Section position'), { target: { value: 'footer' } });
+    fireEvent.change(screen.getByLabelText('Section description'), { target: { value: 'Three customer quotes' } });
+    fireEvent.click(addButton);
+
+    expect(onAdd).toHaveBeenCalledWith({
+      componentName: 'Testimonials',
+      position: 'footer',
+      index: 0,
+      instruction: 'Three customer quotes'
+    });
+  });
+
+  it('lists, adds and reorders main sections one page at a time in multi-page sites', () => {
+    const pages = [
+      { id: 'home', name: 'Home', sections: ['HeroSection', 'PricingSection'] },
+      { id: 'about', name: 'About', sections: ['TeamSection'] }
+    ];
+    const { onAdd, onReorder } = renderPanel({ pages });
+
+    fireEvent.click(screen.getByLabelText('Move PricingSection up'));
+    expect(onReorder).toHaveBeenCalledWith('main', ['PricingSection', 'HeroSection'], 'home');
+
+    fireEvent.change(screen.getByLabelText('Page'), { target: { value: 'about' } });
+    expect(screen.queryByText('HeroSection')).not.toBeInTheDocument();
+    expect(screen.getByText('TeamSection')).toBeInTheDocument();
+    expect(screen.getByText('Header')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Section name'), { target: { value: 'HistorySection' } });
+    fireEvent.change(screen.getByLabelText('Section description'), { target: { value: 'How the roastery started' } });
+    fireEvent.click(screen.getByRole('button', { name: /add section/i }));
+
+    expect(onAdd).toHaveBeenCalledWith({
+      componentName: 'HistorySection',
+      position: 'main',
+      index: 1,
+      instruction: 'How the roastery started',
+      page: 'about'
+    });
+  });
+
+  it('disables every control while a change is saving', () => {
+    renderPanel({ isBusy: true });
+
+    expect(screen.getByLabelText('Remove Header')).toBeDisabled();
+    expect(screen.getByRole('button', { name: /add section/i })).toBeDisabled();
+  });
+});
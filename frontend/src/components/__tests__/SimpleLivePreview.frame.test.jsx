@@ -0,0 +1,166 @@
+import React from 'react';
+import { render, screen, act, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SimpleLivePreview from '../SimpleLivePreview';
+import { PREVIEW_CHANNEL, PREVIEW_FRAME_PATH } from '../utils/previewMessages';
+
+const REGISTRY = {
+  components: new Map([
+    ['comp_herosection', { name: 'HeroSection', code: 'function HeroSection() { return <section />; }', position: 'main' }]
+  ]),
+  layout: { sections: { header: [], main: ['comp_herosection'], footer: [] } }
+};
+
+const SITE_REGISTRY = {
+  ...REGISTRY,
+  pages: [
+    { id: 'home', name: 'Home', path: '/' },
+    { id: 'about', name: 'About', path: '/about' }
+  ]
+};
+
+const renderPreview = (registry = REGISTRY) => {
+  render(<SimpleLivePreview registry={registry} streamingStates={new Map([['comp_herosection', { isComplete: true }]])} />);
+  const frame = screen.getByTestId('preview-frame');
+  const postMessage = jest.spyOn(frame.contentWindow, 'postMessage').mockImplementation(() => {});
+  return { frame, postMessage };
+};
+
+// A message from the preview iframe, or from whichever window is given
+const receive = (source, type, payload = {}) => act(() => {
+  window.dispatchEvent(new MessageEvent('message', {
+    source,
+    data: { ...payload, channel: PREVIEW_CHANNEL, type }
+  }));
+});
+
+describe('SimpleLivePreview frame', () => {
+  it('runs the preview in a sandboxed frame without same-origin access', () => {
+    const { frame } = renderPreview();
+
+    expect(frame).toHaveAttribute('src', PREVIEW_FRAME_PATH);
+    expect(frame).toHaveAttribute('sandbox', 'allow-scripts');
+  });
+
+  it('posts the registry to the frame once it is ready', () => {
+    const { frame, postMessage } = renderPreview(SITE_REGISTRY);
+    expect(postMessage).not.toHaveBeenCalled();
+
+    receive(frame.contentWindow, 'ready');
+
+    expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({
+      channel: PREVIEW_CHANNEL,
+      type: 'render',
+      registry: SITE_REGISTRY,
+      pageId: 'home'
+    }), '*');
+  });
+
+  it('ignores messages from other windows', () => {
+    const { postMessage } = renderPreview();
+
+    receive(window, 'ready');
+    receive(window, 'error', { message: 'Not from the preview' });
+
+    expect(postMessage).not.toHaveBeenCalled();
+    expect(screen.queryByTestId('preview-error')).not.toBeInTheDocument();
+  });
+
+  it('shows the timings, errors and console output the frame reports', () => {
+    const { frame } = renderPreview();
+
+    receive(frame.contentWindow, 'rendered', { timings: { compile: 4, render: 8 } });
+    expect(screen.getByTestId('preview-timings')).toHaveTextContent('Rendered in 12 ms');
+
+    receive(frame.contentWindow, 'console', { level: 'warn', text: 'Missing image' });
+    expect(screen.getByTestId('preview-console')).toHaveTextContent('Console (1)');
+    expect(screen.getByText('Missing image')).toBeInTheDocument();
+
+    receive(frame.contentWindow, 'error', { message: 'HeroSection is not defined' });
+    expect(screen.getByTestId('preview-error')).toHaveTextContent('HeroSection is not defined');
+
+    // The next good render replaces the error
+    receive(frame.contentWindow, 'rendered', { timings: { compile: 2, render: 3 } });
+    expect(screen.queryByTestId('preview-error')).not.toBeInTheDocument();
+  });
+
+  it('lays the page out at the chosen device size without reloading the frame', () => {
+    const { frame } = renderPreview();
+    expect(screen.getByTestId('device-frame')).not.toHaveStyle({ width: '414px' });
+
+    fireEvent.change(screen.getByLabelText('Device'), { target: { value: 'iphone' } });
+
+    // 390 by 844 inside a 12px bezel
+    expect(screen.getByTestId('device-frame')).toHaveStyle({ width: '414px', height: '868px' });
+    expect(screen.getByTestId('preview-frame')).toBe(frame);
+
+    fireEvent.click(screen.getByLabelText('Rotate'));
+    expect(screen.getByTestId('device-frame')).toHaveStyle({ width: '868px', height: '414px' });
+  });
+
+  it('opens the inspector for the component selected in the frame', () => {
+    const onRegenerateComponent = jest.fn();
+    render(
+      <SimpleLivePreview
+        registry={REGISTRY}
+        streamingStates={new Map([['comp_herosection', { isStreaming: true }]])}
+        onRegenerateComponent={onRegenerateComponent}
+      />
+    );
+    const frame = screen.getByTestId('preview-frame');
+    const postMessage = jest.spyOn(frame.contentWindow, 'postMessage').mockImplementation(() => {});
+    receive(frame.contentWindow, 'ready');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Inspect' }));
+    expect(postMessage).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'inspect', enabled: true, selected: null }), '*');
+
+    receive(frame.contentWindow, 'select', { componentName: 'HeroSection' });
+    expect(screen.getByTestId('component-inspector')).toHaveTextContent('HeroSection');
+    expect(screen.getByTestId('inspector-state')).toHaveTextContent('Streaming');
+    expect(postMessage).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'inspect', selected: 'HeroSection' }), '*');
+
+    fireEvent.click(screen.getByRole('button', { name: /regenerate herosection/i }));
+    expect(onRegenerateComponent).toHaveBeenCalledWith('HeroSection');
+
+    fireEvent.click(screen.getByLabelText('Close inspector'));
+    expect(screen.queryByTestId('component-inspector')).not.toBeInTheDocument();
+  });
+
+  it('hands text edited in the frame to onEditText', () => {
+    const onEditText = jest.fn();
+    render(<SimpleLivePreview registry={REGISTRY} onEditText={onEditText} />);
+    const frame = screen.getByTestId('preview-frame');
+    const postMessage = jest.spyOn(frame.contentWindow, 'postMessage').mockImplementation(() => {});
+    receive(frame.contentWindow, 'ready');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Edit text' }));
+    expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'editText', enabled: true }), '*');
+
+    receive(frame.contentWindow, 'textEdited', { componentName: 'HeroSection', text: 'Fresh roasts', newText: 'Single origin', occurrence: 0 });
+    expect(onEditText).toHaveBeenCalledWith('HeroSection', { text: 'Fresh roasts', newText: 'Single origin', occurrence: 0 });
+
+    // Inspecting and editing text take turns
+    fireEvent.click(screen.getByRole('button', { name: 'Inspect' }));
+    expect(screen.getByRole('button', { name: 'Edit text' })).toHaveAttribute('aria-pressed', 'false');
+    expect(postMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'editText', enabled: false }), '*');
+  });
+
+  it('only offers text editing with an onEditText handler', () => {
+    renderPreview();
+
+    expect(screen.queryByRole('button', { name: 'Edit text' })).not.toBeInTheDocument();
+  });
+
+  it('switches pages when the frame follows a link to another page', () => {
+    const { frame, postMessage } = renderPreview(SITE_REGISTRY);
+    receive(frame.contentWindow, 'ready');
+
+    receive(frame.contentWindow, 'navigate', { pageId: 'about' });
+
+    expect(screen.getByRole('tab', { name: 'About' })).toHaveAttribute('aria-selected', 'true');
+    expect(postMessage).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'render', pageId: 'about' }), '*');
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Home' }));
+    expect(postMessage).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'render', pageId: 'home' }), '*');
+  });
+});
@@ -2,7 +2,7 @@ import React from 'react';
 import { render, screen } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import * as babel from '@babel/standalone';
-import SimpleLivePreview from '../SimpleLivePreview';
+import PreviewRuntime from '../PreviewRuntime';
 
 // Mock cn function
 jest.mock('../utils/cn', () => ({
@@ -147,6 +147,7 @@ jest.mock('react-live', () => {
     LiveProvider,
     LivePreview,
     LiveError: jest.fn(({ children }) => <div>{children}</div>),
+    LiveContext: React.createContext({}),
   };
 });
 
@@ -218,7 +219,7 @@ function Navigation() {
     ]);
 
     const { container } = render(
-      <SimpleLivePreview
+      <PreviewRuntime
         registry={mockRegistry}
         streamingStates={mockStreamingStates}
       />
@@ -269,7 +270,7 @@ function HeroSection() {
     ]);
 
     const { container } = render(
-      <SimpleLivePreview
+      <PreviewRuntime
         registry={mockRegistry}
         streamingStates={mockStreamingStates}
       />
@@ -330,7 +331,7 @@ function Features() {
     ]);
 
     const { container } = render(
-      <SimpleLivePreview
+      <PreviewRuntime
         registry={mockRegistry}
         streamingStates={mockStreamingStates}
       />
@@ -402,7 +403,7 @@ function Hero() {
     mockStreamingStates.set('Hero', { isComplete: true, isStreaming: false });
 
     render(
-      <SimpleLivePreview 
+      <PreviewRuntime 
         registry={mockRegistry} 
         streamingStates={mockStreamingStates}
       />
@@ -454,7 +455,7 @@ function Hero() {
     mockStreamingStates.set('Hero', { isComplete: true, isStreaming: false });
 
     render(
-      <SimpleLivePreview 
+      <PreviewRuntime 
         registry={mockRegistry} 
         streamingStates={mockStreamingStates}
       />
@@ -490,7 +491,7 @@ function Invalid() {
     mockStreamingStates.set('Invalid', { isComplete: true, isStreaming: false });
 
     render(
-      <SimpleLivePreview 
+      <PreviewRuntime 
         registry={mockRegistry} 
         streamingStates={mockStreamingStates}
       />
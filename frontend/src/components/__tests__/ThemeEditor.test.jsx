@@ -0,0 +1,59 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ThemeEditor from '../ThemeEditor';
+import { DEFAULT_THEME } from '../utils/themeTokens';
+
+const THEME = {
+  colors: { primary: '#6b4226', background: '#fffbeb' },
+  radius: '1rem',
+  fonts: { heading: 'Playfair Display' }
+};
+
+const renderEditor = (props = {}) => {
+  const handlers = { onChange: jest.fn(), onSave: jest.fn() };
+  render(<ThemeEditor theme={THEME} {...handlers} {...props} />);
+  return handlers;
+};
+
+describe('ThemeEditor', () => {
+  it('shows the theme with defaults for what it leaves out', () => {
+    renderEditor();
+
+    expect(screen.getByLabelText('primary color')).toHaveValue('#6b4226');
+    expect(screen.getByLabelText('foreground color')).toHaveValue(DEFAULT_THEME.colors.foreground);
+    expect(screen.getByLabelText('Corner radius')).toHaveValue('1rem');
+    expect(screen.getByLabelText('Heading font')).toHaveValue('Playfair Display');
+    expect(screen.getByLabelText('Body font')).toHaveValue('');
+  });
+
+  it('reports every edit as a whole theme', () => {
+    const { onChange } = renderEditor();
+
+    fireEvent.change(screen.getByLabelText('accent color'), { target: { value: '#f59e0b' } });
+    expect(onChange).toHaveBeenLastCalledWith({
+      colors: { ...DEFAULT_THEME.colors, primary: '#6b4226', background: '#fffbeb', accent: '#f59e0b' },
+      radius: '1rem',
+      fonts: { heading: 'Playfair Display', body: '' }
+    });
+
+    fireEvent.change(screen.getByLabelText('Corner radius'), { target: { value: '0rem' } });
+    expect(onChange.mock.calls[1][0].radius).toBe('0rem');
+
+    fireEvent.change(screen.getByLabelText('Body font'), { target: { value: 'Inter' } });
+    expect(onChange.mock.calls[2][0].fonts).toEqual({ heading: 'Playfair Display', body: 'Inter' });
+  });
+
+  it('only saves when there are changes', () => {
+    renderEditor();
+    expect(screen.getByRole('button', { name: /save theme/i })).toBeDisabled();
+  });
+
+  it('saves edited themes', () => {
+    const { onSave } = renderEditor({ isDirty: true });
+
+    fireEvent.click(screen.getByRole('button', { name: /save theme/i }));
+
+    expect(onSave).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,71 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import VersionDiffView, { toSideBySideRows } from '../VersionDiffView';
+
+const HUNK = {
+  oldStart: 3,
+  newStart: 3,
+  lines: [
+    '     <section className="py-20">',
+    '-      <h1>Fresh coffee, every morning</h1>',
+    '+      <h1>Fresh coffee, all day</h1>',
+    '+      <p>Open late on Fridays.</p>',
+    '     </section>'
+  ]
+};
+
+describe('VersionDiffView', () => {
+  it('pairs removed and added lines into side-by-side rows', () => {
+    expect(toSideBySideRows([HUNK])).toEqual([
+      {
+        type: 'context',
+        left: { number: 3, text: '    <section className="py-20">' },
+        right: { number: 3, text: '    <section className="py-20">' }
+      },
+      {
+        type: 'change',
+        left: { number: 4, text: '      <h1>Fresh coffee, every morning</h1>' },
+        right: { number: 4, text: '      <h1>Fresh coffee, all day</h1>' }
+      },
+      {
+        type: 'change',
+        left: undefined,
+        right: { number: 5, text: '      <p>Open late on Fridays.</p>' }
+      },
+      {
+        type: 'context',
+        left: { number: 5, text: '    </section>' },
+        right: { number: 6, text: '    </section>' }
+      }
+    ]);
+  });
+
+  it('separates hunks with a gap row', () => {
+    const rows = toSideBySideRows([HUNK, { ...HUNK, oldStart: 40, newStart: 41 }]);
+    expect(rows.filter(row => row.type === 'gap')).toHaveLength(1);
+  });
+
+  it('renders the summary and each changed component', () => {
+    render(
+      <VersionDiffView
+        diff={{
+          from: { id: 'a', versionNumber: 1 },
+          to: { id: 'b', versionNumber: 2 },
+          added: [{ name: 'Footer', position: 'footer', code: 'export function Footer() {}\n' }],
+          removed: [],
+          renamed: [{ from: 'Hero', to: 'HeroSection', similarity: 0.9 }],
+          moved: [],
+          changed: [{ name: 'HeroSection', previousName: 'Hero', hunks: [HUNK] }],
+          unchanged: ['Header']
+        }}
+      />
+    );
+
+    expect(screen.getByText('Version 1 → Version 2')).toBeInTheDocument();
+    expect(screen.getByText('1 renamed')).toBeInTheDocument();
+    expect(screen.getByText('renamed from Hero')).toBeInTheDocument();
+    expect(screen.getByText('export function Footer() {}')).toBeInTheDocument();
+    expect(screen.getByText('Unchanged: Header')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,32 @@
+import { getCompletions, MAX_COMPLETIONS } from '../utils/codeCompletions';
+
+describe('codeCompletions', () => {
+  it('suggests lucide icons after Icons.', () => {
+    const completions = getCompletions('return <Icons.ArrowR');
+
+    expect(completions.prefix).toBe('ArrowR');
+    expect(completions.items).toContain('ArrowRight');
+    expect(completions.items.every(name => name.startsWith('ArrowR'))).toBe(true);
+    expect(completions.items.some(name => name.endsWith('Icon'))).toBe(false);
+    expect(completions.items.length).toBeLessThanOrEqual(MAX_COMPLETIONS);
+  });
+
+  it('suggests the Placeholder components', () => {
+    expect(getCompletions('<Placeholder.').items).toEqual(['Avatar', 'Image', 'Video']);
+    expect(getCompletions('<Placeholder.im')).toEqual({ prefix: 'im', items: ['Image'] });
+  });
+
+  it('suggests shadcn components for capitalized tags', () => {
+    expect(getCompletions('<div>\n  <Card').items).toEqual(
+      ['CardContent', 'CardDescription', 'CardFooter', 'CardHeader', 'CardTitle']
+    );
+    expect(getCompletions('</Tabs').items).toContain('TabsTrigger');
+  });
+
+  it('suggests nothing outside those names', () => {
+    expect(getCompletions('const Card')).toBeNull();
+    expect(getCompletions('<div')).toBeNull();
+    expect(getCompletions('<Button')).toBeNull();
+    expect(getCompletions('Icons.NoSuchIconAnywhere')).toBeNull();
+  });
+});
@@ -0,0 +1,79 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { findOwningComponent, getComponentRect } from '../utils/componentFibers';
+
+// Generated components are plain named functions, like these
+function HeroSection() {
+  return (
+    <section data-testid="hero">
+      <h1>Fresh coffee</h1>
+      <button type="button">Order</button>
+    </section>
+  );
+}
+
+function PricingSection() {
+  return (
+    <>
+      <h2 data-testid="pricing-title">Pricing</h2>
+      <ul data-testid="pricing-list"><li>Espresso</li></ul>
+    </>
+  );
+}
+
+function RootLayout({ children }) {
+  return (
+    <main>
+      <p>Opening hours</p>
+      {children}
+    </main>
+  );
+}
+
+const NAMES = ['RootLayout', 'HeroSection', 'PricingSection'];
+
+const renderPage = () => render(
+  <div data-testid="root">
+    <RootLayout>
+      <HeroSection />
+      <PricingSection />
+    </RootLayout>
+  </div>
+);
+
+const mockRect = (element, { top, left, width, height }) => {
+  element.getBoundingClientRect = () => ({ top, left, width, height, right: left + width, bottom: top + height });
+};
+
+describe('componentFibers', () => {
+  it('finds the innermost generated component a node belongs to', () => {
+    renderPage();
+
+    expect(findOwningComponent(screen.getByText('Order'), NAMES)).toBe('HeroSection');
+    expect(findOwningComponent(screen.getByText('Espresso'), NAMES)).toBe('PricingSection');
+    expect(findOwningComponent(screen.getByText('Opening hours'), NAMES)).toBe('RootLayout');
+    expect(findOwningComponent(screen.getByText('Order'), ['RootLayout'])).toBe('RootLayout');
+    expect(findOwningComponent(screen.getByTestId('root'), NAMES)).toBeNull();
+  });
+
+  it('covers everything a component rendered', () => {
+    renderPage();
+    mockRect(screen.getByTestId('pricing-title'), { top: 400, left: 0, width: 300, height: 40 });
+    mockRect(screen.getByTestId('pricing-list'), { top: 440, left: 20, width: 600, height: 200 });
+
+    expect(getComponentRect(screen.getByTestId('root'), 'PricingSection')).toEqual({
+      top: 400,
+      left: 0,
+      width: 620,
+      height: 240
+    });
+  });
+
+  it('has no rect for components that are not on screen', () => {
+    renderPage();
+
+    // jsdom lays nothing out, so the hero has no size
+    expect(getComponentRect(screen.getByTestId('root'), 'HeroSection')).toBeNull();
+    expect(getComponentRect(screen.getByTestId('root'), 'FaqSection')).toBeNull();
+  });
+});
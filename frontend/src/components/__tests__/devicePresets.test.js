@@ -0,0 +1,30 @@
+import { DEFAULT_VIEWPORT, getViewportSize, getFitScale } from '../utils/devicePresets';
+
+describe('devicePresets', () => {
+  it('lays pages out at the full preview width by default', () => {
+    expect(getViewportSize(DEFAULT_VIEWPORT)).toBeNull();
+  });
+
+  it('sizes presets and swaps their sides when rotated', () => {
+    expect(getViewportSize({ deviceId: 'iphone' })).toEqual({ width: 390, height: 844, bezel: 12 });
+    expect(getViewportSize({ deviceId: 'iphone', isRotated: true })).toEqual({ width: 844, height: 390, bezel: 12 });
+    expect(getViewportSize({ deviceId: 'desktop' })).toEqual({ width: 1440, height: 900, bezel: 0 });
+  });
+
+  it('keeps custom widths within range and fills the preview height', () => {
+    expect(getViewportSize({ deviceId: 'custom', customWidth: 600.4 })).toEqual({ width: 600, height: null, bezel: 0 });
+    expect(getViewportSize({ deviceId: 'custom', customWidth: 3 }).width).toBe(240);
+    expect(getViewportSize({ deviceId: 'custom', customWidth: 99999 }).width).toBe(2560);
+  });
+
+  it('zooms out to fit the framed viewport but never in', () => {
+    const ipad = { width: 820, height: 1180, bezel: 16 };
+
+    expect(getFitScale(ipad, { width: 426, height: 2000 })).toBeCloseTo(0.5);
+    expect(getFitScale(ipad, { width: 2000, height: 606 })).toBeCloseTo(0.5);
+    expect(getFitScale(ipad, { width: 4000, height: 4000 })).toBe(1);
+    // Custom widths only have to fit across
+    expect(getFitScale({ width: 1200, height: null, bezel: 0 }, { width: 600, height: 100 })).toBe(0.5);
+    expect(getFitScale(ipad, { width: 0, height: 0 })).toBe(1);
+  });
+});
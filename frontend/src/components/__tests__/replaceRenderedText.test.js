@@ -0,0 +1,64 @@
+import { replaceRenderedText } from '../utils/babelTransformations';
+
+const HERO = `export function HeroSection() {
+  const features = [{ title: 'Fresh roasts' }, { title: "Fast delivery" }];
+  return (
+    <section>
+      <h1 className="text-4xl">
+        Coffee worth
+        waking up for
+      </h1>
+      <Button aria-label="Order">Order</Button>
+      <Feature title="Ethically sourced" />
+      {features.map(feature => <p key={feature.title}>{feature.title}</p>)}
+      <p>{\`Open daily\`}</p>
+      <span>Order</span>
+    </section>
+  );
+}`;
+
+describe('replaceRenderedText', () => {
+  it('rewrites JSX text, keeping its indentation', () => {
+    const code = replaceRenderedText(HERO, { text: 'Coffee worth waking up for', newText: 'Better coffee' });
+
+    expect(code).toContain('<h1 className="text-4xl">\n        Better coffee\n      </h1>');
+  });
+
+  it('rewrites string literals in their own quotes', () => {
+    expect(replaceRenderedText(HERO, { text: 'Fresh roasts', newText: "Today's roast" }))
+      .toContain("{ title: 'Today\\'s roast' }");
+    expect(replaceRenderedText(HERO, { text: 'Fast delivery', newText: 'Free delivery' }))
+      .toContain('{ title: "Free delivery" }');
+    expect(replaceRenderedText(HERO, { text: 'Open daily', newText: 'Open 7-19' }))
+      .toContain('{`Open 7-19`}');
+  });
+
+  it('rewrites props that are rendered as text', () => {
+    expect(replaceRenderedText(HERO, { text: 'Ethically sourced', newText: 'Fair "trade"' }))
+      .toContain('<Feature title={"Fair \\"trade\\""} />');
+  });
+
+  it('keeps text JSX cannot hold as-is in an expression', () => {
+    expect(replaceRenderedText(HERO, { text: 'Coffee worth waking up for', newText: 'Coffee > tea' }))
+      .toContain('{"Coffee > tea"}');
+  });
+
+  it('tells repeated text apart by its order, skipping attributes that are never shown', () => {
+    const code = replaceRenderedText(HERO, { text: 'Order', newText: 'Order now', occurrence: 1 });
+
+    expect(code).toContain('<Button aria-label="Order">Order</Button>');
+    expect(code).toContain('<span>Order now</span>');
+  });
+
+  it('returns null for text it cannot trace', () => {
+    expect(replaceRenderedText(HERO, { text: 'Not on the page', newText: 'x' })).toBeNull();
+    expect(replaceRenderedText(HERO, { text: 'Order', newText: 'x', occurrence: 5 })).toBeNull();
+    expect(replaceRenderedText('export function Broken() { return <div>; }', { text: 'x', newText: 'y' })).toBeNull();
+  });
+
+  it('reads tsx sources', () => {
+    const code = 'export function Hero({ title = "Welcome" }: { title?: string }) {\n  return <h1>{title}</h1>;\n}';
+
+    expect(replaceRenderedText(code, { text: 'Welcome', newText: 'Hello' }, 'tsx')).toContain('title = "Hello"');
+  });
+});
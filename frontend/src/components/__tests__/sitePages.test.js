@@ -0,0 +1,33 @@
+import { findLinkedPage, selectPageComponents } from '../utils/sitePages';
+
+const PAGES = [
+  { id: 'home', name: 'Home', path: '/' },
+  { id: 'about', name: 'About', path: '/about' }
+];
+
+describe('sitePages', () => {
+  it('matches preview links to site pages', () => {
+    expect(findLinkedPage('/about', PAGES)).toBe(PAGES[1]);
+    expect(findLinkedPage('#/about/', PAGES)).toBe(PAGES[1]);
+    expect(findLinkedPage('about?ref=nav', PAGES)).toBe(PAGES[1]);
+    expect(findLinkedPage('/', PAGES)).toBe(PAGES[0]);
+  });
+
+  it('leaves links outside the site alone', () => {
+    expect(findLinkedPage('https://example.com/about', PAGES)).toBeUndefined();
+    expect(findLinkedPage('mailto:hello@example.com', PAGES)).toBeUndefined();
+    expect(findLinkedPage('/careers', PAGES)).toBeUndefined();
+    expect(findLinkedPage('', PAGES)).toBeUndefined();
+  });
+
+  it('keeps shared components and the sections of one page', () => {
+    const components = [
+      { name: 'Header', position: 'header' },
+      { name: 'HomeHero', page: 'home' },
+      { name: 'AboutStory', page: 'about' },
+      { name: 'RootLayout', isLayout: true }
+    ];
+
+    expect(selectPageComponents(components, 'about').map(c => c.name)).toEqual(['Header', 'AboutStory', 'RootLayout']);
+  });
+});
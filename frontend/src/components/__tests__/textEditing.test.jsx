@@ -0,0 +1,40 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { getEditableText, getTextOccurrence } from '../utils/textEditing';
+
+function MenuSection() {
+  return (
+    <section>
+      <h2>Menu</h2>
+      <p data-testid="mixed">Espresso <strong>2.50</strong></p>
+      <ul>
+        <li data-testid="first">Seasonal</li>
+        <li data-testid="second">Seasonal</li>
+      </ul>
+    </section>
+  );
+}
+
+function FooterSection() {
+  return <footer data-testid="footer">Seasonal</footer>;
+}
+
+const NAMES = ['MenuSection', 'FooterSection'];
+
+describe('textEditing', () => {
+  it('only edits elements holding a single piece of text', () => {
+    render(<MenuSection />);
+
+    expect(getEditableText(screen.getByText('Menu'))).toBe('Menu');
+    expect(getEditableText(screen.getByTestId('mixed'))).toBeNull();
+    expect(getEditableText(screen.getByRole('list'))).toBeNull();
+  });
+
+  it('counts repeats of the text within the same component', () => {
+    const { container } = render(<div><MenuSection /><FooterSection /></div>);
+
+    expect(getTextOccurrence(container, screen.getByTestId('first'), NAMES)).toBe(0);
+    expect(getTextOccurrence(container, screen.getByTestId('second'), NAMES)).toBe(1);
+    expect(getTextOccurrence(container, screen.getByTestId('footer'), NAMES)).toBe(0);
+  });
+});
@@ -5,6 +5,7 @@ import babel from '@babel/core';
 import { parse } from '@babel/parser';
 import traverse from '@babel/traverse';
 import generate from '@babel/generator';
+import { transform as transformStandalone } from '@babel/standalone';
 
 // Regular expressions for function declarations
 const FUNCTION_REGEX = /(?:export\s+)?(?:function\s+([A-Z][A-Za-z0-9]*)\s*\([^)]*\)\s*{|const\s+([A-Z][A-Za-z0-9]*)\s*=\s*(?:\([^)]*\)|[^=]*)\s*=>\s*{)([\s\S]*?)(?:}|$)/g;
@@ -215,6 +216,63 @@ function applyTransformations(code) {
   }
 }
 
+// Type argument lists glued to a name (useState<boolean>, <List<string> />), and generic
+// arrow parameters (<T,>( or <T extends Item>(); the tag fixes would read them as JSX
+const TYPE_ARGUMENTS_REGEX = /(?<=[A-Za-z0-9_$])<(?:[\w\s.,|&[\]'"]|<[\w\s.,|&[\]'"]*>)*>/g;
+const GENERIC_ARROW_REGEX = /<[A-Z]\w*\s*(?:,|extends\b)(?:[^<>()]|<[^<>()]*>)*>(?=\s*\()/g;
+const TYPE_PLACEHOLDER_REGEX = /__TS_TYPE_(\d+)__/g;
+
+/**
+ * Swaps TypeScript generics for placeholders so the tag fixes leave them alone.
+ * @param {string} code
+ * @returns {{ code: string, types: string[] }}
+ */
+function maskTypeArguments(code) {
+  const types = [];
+  const mask = (match) => {
+    // a < b && c > d is a comparison, not a type
+    if (/&&|\|\|/.test(match)) return match;
+    types.push(match);
+    return `__TS_TYPE_${types.length - 1}__`;
+  };
+  return {
+    code: code.replace(GENERIC_ARROW_REGEX, mask).replace(TYPE_ARGUMENTS_REGEX, mask),
+    types
+  };
+}
+
+function restoreTypeArguments(code, types) {
+  return types.length ? code.replace(TYPE_PLACEHOLDER_REGEX, (match, index) => types[index]) : code;
+}
+
+/**
+ * Strips TypeScript types so a tsx component can be evaluated as plain JSX.
+ * Incomplete code is run through fixSnippet first; code that still won't
+ * transform is returned unchanged.
+ * @param {string} code - tsx source
+ * @returns {string} The code without types
+ */
+function stripTypes(code) {
+  if (!code || typeof code !== 'string') return '';
+
+  const transform = (source) => transformStandalone(source, {
+    filename: 'component.tsx',
+    presets: [['typescript', { isTSX: true, allExtensions: true }]],
+    retainLines: true
+  }).code;
+
+  try {
+    return transform(code);
+  } catch (error) {
+    try {
+      return transform(fixSnippet(code));
+    } catch (retryError) {
+      logTransformation('Strip Types Failed', code, { error: retryError.message });
+      return code;
+    }
+  }
+}
+
 /**
  * Fixes incomplete code snippets by adding missing tags, braces, etc.
  * @param {string} code - The code to fix
@@ -228,6 +286,9 @@ function fixSnippet(code) {
     code = 'import React from "react";\n' + code;
   }
 
+  const masked = maskTypeArguments(code);
+  code = masked.code;
+
   try {
     // 1. First merge lines that might be incomplete
     code = mergeJSXLines(code);
@@ -269,12 +330,12 @@ function fixSnippet(code) {
     // 5. Final pass to ensure all tags are closed
     code = balanceAllTags(code);
 
-    return code;
+    return restoreTypeArguments(code, masked.types);
   } catch (error) {
     if (DEBUG_MODE) {
       console.error('Error in fixSnippet:', error);
     }
-    return code;
+    return restoreTypeArguments(code, masked.types);
   }
 }
 
@@ -864,6 +925,127 @@ function validateJSXSyntax(code) {
   }
 }
 
+// Babel ends its messages with the position, which diagnostics carry separately
+const toDiagnostic = (error) => ({
+  line: error.loc?.line ?? 1,
+  column: (error.loc?.column ?? 0) + 1,
+  message: error.message.replace(/\s*\(\d+:\d+\)$/, '')
+});
+
+/**
+ * Syntax errors in a component's source, with the positions the code editor marks. Unlike
+ * validateJSXSyntax this is strict: nothing is added or fixed before parsing.
+ * @param {string} code - The component source
+ * @param {string} [language] - jsx or tsx
+ * @returns {Array<{ line: number, column: number, message: string }>} Empty when the code parses;
+ *   lines are 1-based and columns 1-based
+ */
+function getSyntaxDiagnostics(code, language = 'jsx') {
+  if (!code || typeof code !== 'string') return [];
+
+  try {
+    const ast = parse(code, {
+      sourceType: 'module',
+      plugins: language === 'tsx' ? ['jsx', 'typescript'] : ['jsx'],
+      errorRecovery: true
+    });
+    return (ast.errors || []).map(toDiagnostic);
+  } catch (error) {
+    return [toDiagnostic(error)];
+  }
+}
+
+// Attributes whose strings never show up as text on the page
+const NON_TEXT_ATTRIBUTES = new Set([
+  'className', 'href', 'src', 'alt', 'id', 'key', 'type', 'role', 'htmlFor', 'target', 'rel', 'name', 'style'
+]);
+
+// Text as the page shows it: JSX folds line breaks and indentation into single spaces
+const normalizeText = (text) => text.replace(/\s+/g, ' ').trim();
+
+const isTextAttribute = (path) => (
+  !path.parentPath.isJSXAttribute()
+  || !(NON_TEXT_ATTRIBUTES.has(path.parent.name.name) || /^(aria|data)-/.test(path.parent.name.name))
+);
+
+// Source for a node's new text, written the way the node was: JSX text, a quoted string or
+// a template literal. Text JSX can't hold as-is becomes an expression container.
+const writeText = (code, node, parent, text) => {
+  const raw = code.slice(node.start, node.end);
+
+  if (node.type === 'JSXText') {
+    const [leading] = raw.match(/^\s*/);
+    const [trailing] = raw.match(/\s*$/);
+    const body = /[{}<>]/.test(text) ? `{${JSON.stringify(text)}}` : text;
+    return leading + body + trailing;
+  }
+
+  if (node.type === 'TemplateLiteral') {
+    return `\`${text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${')}\``;
+  }
+
+  const quote = raw[0];
+  // JSX attribute strings have no escapes
+  if (parent.type === 'JSXAttribute') {
+    return text.includes(quote) ? `{${JSON.stringify(text)}}` : quote + text + quote;
+  }
+  const escaped = text
+    .replace(/\\/g, '\\\\')
+    .replace(new RegExp(quote, 'g'), `\\${quote}`)
+    .replace(/\n/g, '\\n');
+  return quote + escaped + quote;
+};
+
+/**
+ * Changes text a component rendered in its source: the JSX text, string literal or plain
+ * template literal the text came from, found through the locations Babel parses the source
+ * with. Repeated text is told apart by its order in the source.
+ * @param {string} code - The component source
+ * @param {Object} edit
+ * @param {string} edit.text - The text as the page showed it
+ * @param {string} edit.newText - What it should say instead
+ * @param {number} [edit.occurrence] - Which of the repeats of the text on the page was edited
+ * @param {string} [language] - jsx or tsx
+ * @returns {string|null} The changed source, or null when the text can't be traced to one
+ *   place in it (e.g. it is built from several values or doesn't parse)
+ */
+function replaceRenderedText(code, { text, newText, occurrence = 0 }, language = 'jsx') {
+  const target = normalizeText(text || '');
+  if (!code || !target) return null;
+
+  let ast;
+  try {
+    ast = parse(code, {
+      sourceType: 'module',
+      plugins: language === 'tsx' ? ['jsx', 'typescript'] : ['jsx']
+    });
+  } catch (error) {
+    logTransformation('Replace Text Parse Failed', code, { error: error.message });
+    return null;
+  }
+
+  const matches = [];
+  traverse(ast, {
+    JSXText(path) {
+      if (normalizeText(path.node.value) === target) matches.push(path);
+    },
+    StringLiteral(path) {
+      if (path.parentPath.isImportDeclaration() || path.parentPath.isExportDeclaration()) return;
+      if (isTextAttribute(path) && normalizeText(path.node.value) === target) matches.push(path);
+    },
+    TemplateLiteral(path) {
+      const [quasi] = path.node.quasis;
+      if (!path.node.expressions.length && normalizeText(quasi.value.cooked || '') === target) matches.push(path);
+    }
+  });
+
+  const match = matches.length === 1 ? matches[0] : matches[occurrence];
+  if (!match) return null;
+
+  const { node, parent } = match;
+  return code.slice(0, node.start) + writeText(code, node, parent, newText) + code.slice(node.end);
+}
+
 /**
  * Checks if a streaming component has enough structure to be considered complete
  * @param {string} content - The component content
@@ -1105,6 +1287,7 @@ function extractFunctionDefinitions(code, isStreaming = false) {
 // Single export statement at the end
 export {
   fixSnippet,
+  stripTypes,
   canParseSnippet,
   applyTransformations,
   mergeJSXLines,
@@ -1121,6 +1304,8 @@ export {
   minimalTextFix,
   isCompleteForStreaming,
   validateJSXSyntax,
+  getSyntaxDiagnostics,
+  replaceRenderedText,
   cleanCode,
   extractFunctionDefinitions
 };
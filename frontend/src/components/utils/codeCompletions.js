@@ -0,0 +1,77 @@
+// Completions the code editor offers while typing generated component code: the names the
+// preview scope provides under Icons and Placeholder, and the shadcn components it exposes.
+import * as LucideIcons from 'lucide-react';
+
+// Most suggestions shown at once
+export const MAX_COMPLETIONS = 8;
+
+// lucide-react also exports every icon as FooIcon and LucideFoo, and helpers like createLucideIcon
+const ICON_NAMES = Object.keys(LucideIcons)
+  .filter(name => /^[A-Z]/.test(name) && !name.endsWith('Icon') && !name.startsWith('Lucide'))
+  .sort();
+
+// Members of the Placeholder namespace in PreviewRuntime's scope
+const PLACEHOLDER_NAMES = ['Avatar', 'Image', 'Video'];
+
+// shadcn components from components/ui that the preview scope spreads in. Listed rather
+// than read from ./ui so the editor doesn't load every component to suggest their names.
+export const SHADCN_COMPONENTS = [
+  'Accordion', 'AccordionContent', 'AccordionItem', 'AccordionTrigger',
+  'Alert', 'AlertDescription', 'AlertTitle',
+  'AspectRatio',
+  'Avatar', 'AvatarFallback', 'AvatarImage',
+  'Badge',
+  'Button',
+  'Card', 'CardContent', 'CardDescription', 'CardFooter', 'CardHeader', 'CardTitle',
+  'Checkbox',
+  'Collapsible', 'CollapsibleContent', 'CollapsibleTrigger',
+  'Dialog', 'DialogContent', 'DialogDescription', 'DialogFooter', 'DialogHeader', 'DialogTitle', 'DialogTrigger',
+  'DropdownMenu', 'DropdownMenuContent', 'DropdownMenuItem', 'DropdownMenuLabel', 'DropdownMenuSeparator', 'DropdownMenuTrigger',
+  'HoverCard', 'HoverCardContent', 'HoverCardTrigger',
+  'Input',
+  'Label',
+  'NavigationMenu', 'NavigationMenuContent', 'NavigationMenuItem', 'NavigationMenuLink', 'NavigationMenuList', 'NavigationMenuTrigger',
+  'Popover', 'PopoverContent', 'PopoverTrigger',
+  'Progress',
+  'RadioGroup', 'RadioGroupItem',
+  'ScrollArea',
+  'Select', 'SelectContent', 'SelectItem', 'SelectTrigger', 'SelectValue',
+  'Separator',
+  'Sheet', 'SheetContent', 'SheetDescription', 'SheetHeader', 'SheetTitle', 'SheetTrigger',
+  'Slider',
+  'Switch',
+  'Table', 'TableBody', 'TableCell', 'TableHead', 'TableHeader', 'TableRow',
+  'Tabs', 'TabsContent', 'TabsList', 'TabsTrigger',
+  'Textarea',
+  'Toggle', 'ToggleGroup', 'ToggleGroupItem',
+  'Tooltip', 'TooltipContent', 'TooltipProvider', 'TooltipTrigger'
+];
+
+// Names continuing the prefix; a name typed out in full needs no suggestion
+const matching = (names, prefix) => names
+  .filter(name => name !== prefix && name.toLowerCase().startsWith(prefix.toLowerCase()))
+  .slice(0, MAX_COMPLETIONS);
+
+/**
+ * Suggestions for the word being typed, judged from the code before the caret.
+ * @param {string} textBeforeCaret
+ * @returns {{ prefix: string, items: string[] }|null} The typed part of the name, which a
+ *   chosen item replaces, and the names that continue it; null when nothing applies
+ */
+export const getCompletions = (textBeforeCaret) => {
+  const namespaced = textBeforeCaret.match(/\b(Icons|Placeholder)\.([A-Za-z0-9]*)$/);
+  if (namespaced) {
+    const [, namespace, prefix] = namespaced;
+    const items = matching(namespace === 'Icons' ? ICON_NAMES : PLACEHOLDER_NAMES, prefix);
+    return items.length ? { prefix, items } : null;
+  }
+
+  // A capitalized tag name: <Card, </Card
+  const tag = textBeforeCaret.match(/<\/?([A-Z][A-Za-z0-9]*)$/);
+  if (tag) {
+    const items = matching(SHADCN_COMPONENTS, tag[1]);
+    return items.length ? { prefix: tag[1], items } : null;
+  }
+
+  return null;
+};
@@ -0,0 +1,76 @@
+// Matches the preview's DOM to the generated components that rendered it. React keeps each
+// DOM node's fiber under a __reactFiber$ key, and walking fibers finds a node's component
+// without wrapping components in extra elements, which would change the page's layout.
+
+const getFiber = (node) => {
+  const key = Object.keys(node).find(name => name.startsWith('__reactFiber$'));
+  return key ? node[key] : null;
+};
+
+const getComponentName = (fiber) => (
+  typeof fiber.type === 'function' ? fiber.type.displayName || fiber.type.name : null
+);
+
+/**
+ * The innermost generated component a DOM node belongs to.
+ * @param {Node} node - e.g. the target of a mouse event
+ * @param {string[]} names - Names of the generated components
+ * @returns {string|null}
+ */
+export const findOwningComponent = (node, names) => {
+  for (let current = node; current; current = current.parentNode) {
+    const fiber = getFiber(current);
+    if (!fiber) continue;
+
+    for (let owner = fiber; owner; owner = owner.return) {
+      const name = getComponentName(owner);
+      if (name && names.includes(name)) return name;
+    }
+    return null;
+  }
+  return null;
+};
+
+const findComponentFiber = (fiber, name) => {
+  for (let current = fiber; current; current = current.sibling) {
+    if (getComponentName(current) === name) return current;
+    const found = current.child && findComponentFiber(current.child, name);
+    if (found) return found;
+  }
+  return null;
+};
+
+// The outermost DOM elements a fiber renders
+const getHostElements = (fiber) => {
+  const elements = [];
+  for (let child = fiber.child; child; child = child.sibling) {
+    if (child.stateNode instanceof Element) elements.push(child.stateNode);
+    else elements.push(...getHostElements(child));
+  }
+  return elements;
+};
+
+/**
+ * Where the first rendering of a generated component is on screen.
+ * @param {Element} root - Element the preview is rendered into
+ * @param {string} name - Component name
+ * @returns {{ top: number, left: number, width: number, height: number }|null} Viewport
+ *   coordinates covering everything the component rendered, or null when it isn't shown
+ */
+export const getComponentRect = (root, name) => {
+  const rootFiber = root && getFiber(root);
+  const fiber = rootFiber && findComponentFiber(rootFiber.child, name);
+  const rects = fiber
+    ? getHostElements(fiber).map(element => element.getBoundingClientRect()).filter(rect => rect.width || rect.height)
+    : [];
+  if (!rects.length) return null;
+
+  const top = Math.min(...rects.map(rect => rect.top));
+  const left = Math.min(...rects.map(rect => rect.left));
+  return {
+    top,
+    left,
+    width: Math.max(...rects.map(rect => rect.right)) - left,
+    height: Math.max(...rects.map(rect => rect.bottom)) - top
+  };
+};
@@ -2,7 +2,7 @@ import { DEBUG_MODE } from './config';
 import * as ShadcnAll from './shadcnAll';
 
 // Complete mapping of all compound components to their subcomponents
-const COMPOUND_MAPPINGS = {
+export const COMPOUND_MAPPINGS = {
   // Layout & Navigation
   NavigationMenu: ['List', 'Item', 'Link', 'Content', 'Trigger', 'Viewport', 'Indicator'],
   DropdownMenu: ['Trigger', 'Content', 'Item', 'CheckboxItem', 'RadioItem', 'Label', 'Separator', 'Shortcut', 'SubTrigger', 'SubContent', 'Group'],
@@ -0,0 +1,66 @@
+// Viewports the live preview can lay pages out at. The preview is an iframe, so sizing it
+// to a device gives the page that device's viewport and its sm:/md:/lg: classes apply as
+// they would there.
+
+// Narrower than any phone, and wider than Tailwind's largest breakpoint
+export const MIN_VIEWPORT_WIDTH = 240;
+export const MAX_VIEWPORT_WIDTH = 2560;
+
+// bezel is the frame drawn around the screen, in px
+export const DEVICE_PRESETS = [
+  { id: 'full', name: 'Full width' },
+  { id: 'iphone', name: 'iPhone', width: 390, height: 844, bezel: 12 },
+  { id: 'ipad', name: 'iPad', width: 820, height: 1180, bezel: 16 },
+  { id: 'laptop', name: 'Laptop', width: 1280, height: 800, bezel: 0 },
+  { id: 'desktop', name: 'Desktop 1440', width: 1440, height: 900, bezel: 0 },
+  { id: 'custom', name: 'Custom' }
+];
+
+export const DEFAULT_VIEWPORT = {
+  deviceId: 'full',
+  customWidth: 1024,
+  isRotated: false,
+  isFitted: true
+};
+
+export const getDevicePreset = (deviceId) => (
+  DEVICE_PRESETS.find(device => device.id === deviceId) || DEVICE_PRESETS[0]
+);
+
+export const clampViewportWidth = (width) => (
+  Math.min(MAX_VIEWPORT_WIDTH, Math.max(MIN_VIEWPORT_WIDTH, Math.round(width)))
+);
+
+/**
+ * Size the page is laid out at.
+ * @param {Object} viewport - { deviceId, customWidth, isRotated }
+ * @returns {{ width: number, height: number|null, bezel: number }|null} null for the full
+ *   width of the preview; a null height fills the preview's height
+ */
+export const getViewportSize = ({ deviceId, customWidth, isRotated }) => {
+  if (deviceId === 'custom') {
+    return { width: clampViewportWidth(customWidth), height: null, bezel: 0 };
+  }
+
+  const device = getDevicePreset(deviceId);
+  if (!device.width) return null;
+
+  return isRotated
+    ? { width: device.height, height: device.width, bezel: device.bezel }
+    : { width: device.width, height: device.height, bezel: device.bezel };
+};
+
+/**
+ * Scale that fits a framed viewport into the space available; pages are never enlarged.
+ * @param {{ width: number, height: number|null, bezel: number }} size - From getViewportSize()
+ * @param {{ width: number, height: number }} available - Size of the preview area
+ * @returns {number}
+ */
+export const getFitScale = (size, available) => {
+  // Nothing to fit into before the preview area has been measured
+  if (!(available.width > 0) || !(available.height > 0)) return 1;
+
+  const scales = [available.width / (size.width + size.bezel * 2)];
+  if (size.height) scales.push(available.height / (size.height + size.bezel * 2));
+  return Math.min(1, ...scales);
+};
@@ -0,0 +1,43 @@
+// Messages between the editor and the sandboxed preview iframe. The frame runs without
+// allow-same-origin, so its origin is opaque and neither side can check origins; each side
+// checks which window a message came from instead, and only reads messages on PREVIEW_CHANNEL.
+
+// Route the iframe loads; index.js renders the preview runtime there instead of the app
+export const PREVIEW_FRAME_PATH = '/preview-frame';
+
+export const PREVIEW_CHANNEL = 'shapeweb-preview';
+
+/**
+ * @param {string} type - e.g. render, inspect or editText to the frame; ready, rendered, error,
+ *   console, navigate, select or textEdited from it
+ * @param {Object} [payload]
+ * @returns {Object} A message to postMessage to the other side
+ */
+export const createPreviewMessage = (type, payload = {}) => ({ ...payload, channel: PREVIEW_CHANNEL, type });
+
+/**
+ * Whether a message event is a preview message sent by `source`.
+ * @param {MessageEvent} event
+ * @param {Window} [source] - The window the message has to come from
+ * @returns {boolean}
+ */
+export const isPreviewMessage = (event, source) => (
+  Boolean(source) && event.source === source && event.data?.channel === PREVIEW_CHANNEL
+);
+
+const formatConsoleArg = (arg) => {
+  if (typeof arg === 'string') return arg;
+  if (arg instanceof Error) return arg.stack || arg.message;
+  try {
+    return JSON.stringify(arg) ?? String(arg);
+  } catch {
+    return String(arg);
+  }
+};
+
+/**
+ * Console arguments as one line of text; elements, functions and cycles can't be posted.
+ * @param {Array} args
+ * @returns {string}
+ */
+export const formatConsoleArgs = (args) => args.map(formatConsoleArg).join(' ');
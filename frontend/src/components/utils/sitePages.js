@@ -0,0 +1,18 @@
+// Page helpers for previewing multi-page sites
+
+/**
+ * Finds the site page a preview link points at.
+ * @param {string} href - Link target as written in the generated code ("/about", "#/about", ...)
+ * @param {Array<{ id: string, path: string }>} pages - Pages from the site plan
+ * @returns {Object|undefined} The page, or undefined for links that leave the site
+ */
+export const findLinkedPage = (href, pages = []) => {
+  if (!href || /^[a-z]+:/i.test(href)) return undefined;
+
+  const path = `/${href.replace(/^#/, '').replace(/^\/+/, '').replace(/[?#].*$/, '').replace(/\/+$/, '')}`;
+  return pages.find(page => page.path === path);
+};
+
+// Shared components plus the sections of the selected page; pages only show their own sections
+export const selectPageComponents = (components, pageId) =>
+  components.filter(component => !component.page || component.page === pageId);
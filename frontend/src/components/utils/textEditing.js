@@ -0,0 +1,38 @@
+// Editing the preview's text in place. Only elements holding nothing but a single piece of
+// text can be edited: that text comes from one place in the component's source, while text
+// mixed with elements or values is written in several.
+import { findOwningComponent } from './componentFibers';
+
+// Text as the page shows it, the way the source is searched for it
+const normalizeText = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * The text an element shows, when it can be edited in place.
+ * @param {Element} element
+ * @returns {string|null}
+ */
+export const getEditableText = (element) => {
+  const nodes = element?.childNodes;
+  if (!nodes || nodes.length !== 1 || nodes[0].nodeType !== Node.TEXT_NODE) return null;
+  return normalizeText(nodes[0].data) || null;
+};
+
+/**
+ * How many times the same text shows in the same component before `element`, which tells
+ * repeats apart when the text is written more than once in its source.
+ * @param {Element} root - Element the preview is rendered into
+ * @param {Element} element - The element being edited
+ * @param {string[]} names - Names of the generated components
+ * @returns {number}
+ */
+export const getTextOccurrence = (root, element, names) => {
+  const text = getEditableText(element);
+  const name = findOwningComponent(element, names);
+  let occurrence = 0;
+
+  for (const candidate of root.querySelectorAll('*')) {
+    if (candidate === element) return occurrence;
+    if (getEditableText(candidate) === text && findOwningComponent(candidate, names) === name) occurrence++;
+  }
+  return occurrence;
+};
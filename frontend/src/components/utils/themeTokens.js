@@ -0,0 +1,172 @@
+// Theme a generated page is skinned with. Its colors fill the CSS variables tailwind.config.js
+// and the shadcn/ui components read (hsl(var(--primary)) and so on), so a page written with
+// semantic classes like bg-primary and text-muted-foreground is re-skinned without a model call.
+// The backend compiles this file too, so the preview and the exports derive the same variables.
+
+export const THEME_COLOR_KEYS = ['primary', 'secondary', 'accent', 'background', 'foreground'];
+
+export const RADIUS_OPTIONS = ['0rem', '0.25rem', '0.5rem', '0.75rem', '1rem', '1.5rem'];
+
+// The variables in index.css, so a page without a theme looks the way it always has
+export const DEFAULT_THEME = {
+  colors: {
+    primary: '#2563eb',
+    secondary: '#f1f5f9',
+    accent: '#f1f5f9',
+    background: '#ffffff',
+    foreground: '#020817'
+  },
+  radius: '0.5rem',
+  fonts: {
+    heading: '',
+    body: ''
+  }
+};
+
+export const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+export const FONT_NAME_PATTERN = /^[A-Za-z0-9 -]{1,40}$/;
+
+// Family names that are already installed and aren't fetched from Google Fonts
+const GENERIC_FONTS = ['serif', 'sans-serif', 'monospace', 'cursive', 'system-ui', 'ui-serif', 'ui-sans-serif', 'ui-monospace'];
+
+/**
+ * Fills in whatever a theme leaves out from DEFAULT_THEME. Values aren't checked here;
+ * the backend does that before a theme is saved.
+ * @param {Object} [theme]
+ * @returns {{ colors: Object<string, string>, radius: string, fonts: { heading: string, body: string } }}
+ */
+export const resolveTheme = (theme) => ({
+  colors: { ...DEFAULT_THEME.colors, ...theme?.colors },
+  radius: theme?.radius || DEFAULT_THEME.radius,
+  fonts: { ...DEFAULT_THEME.fonts, ...theme?.fonts }
+});
+
+const toRgb = (hex) => {
+  const digits = hex.slice(1);
+  const full = digits.length === 3 ? digits.split('').map(digit => digit + digit).join('') : digits;
+  return [0, 2, 4].map(index => parseInt(full.slice(index, index + 2), 16));
+};
+
+// `a` moved `weight` of the way towards `b`
+const mix = (a, b, weight) => a.map((channel, index) => Math.round(channel + (b[index] - channel) * weight));
+
+// The "H S% L%" triplets tailwind.config.js wraps in hsl()
+const toHslVariable = ([r, g, b]) => {
+  const [red, green, blue] = [r, g, b].map(channel => channel / 255);
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const lightness = (max + min) / 2;
+  const delta = max - min;
+
+  let hue = 0;
+  let saturation = 0;
+  if (delta) {
+    saturation = delta / (1 - Math.abs(2 * lightness - 1));
+    if (max === red) hue = ((green - blue) / delta) % 6;
+    else if (max === green) hue = (blue - red) / delta + 2;
+    else hue = (red - green) / delta + 4;
+    hue = (hue * 60 + 360) % 360;
+  }
+
+  const round = (value) => Math.round(value * 10) / 10;
+  return `${round(hue)} ${round(saturation * 100)}% ${round(lightness * 100)}%`;
+};
+
+const luminance = (rgb) => {
+  const [r, g, b] = rgb.map((channel) => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+const contrast = (a, b) => {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+};
+
+// Text on a color is whichever of the page's background and foreground reads better on it
+const getForeground = (color, background, foreground) => (
+  contrast(color, background) > contrast(color, foreground) ? background : foreground
+);
+
+// Generic families are keywords and stop working once quoted
+const formatFontFamily = (name, fallback) => (
+  GENERIC_FONTS.includes(name.toLowerCase()) ? `${name}, ${fallback}` : `"${name}", ${fallback}`
+);
+
+/**
+ * CSS variables for a theme, named as in index.css.
+ * @param {Object} [theme]
+ * @returns {Object<string, string>} e.g. { '--primary': '221.2 83.2% 53.3%', '--radius': '0.5rem' };
+ *   usable as a React style object
+ */
+export const getThemeVariables = (theme) => {
+  const { colors, radius, fonts } = resolveTheme(theme);
+  const rgb = Object.fromEntries(THEME_COLOR_KEYS.map(key => [key, toRgb(colors[key])]));
+  const { background, foreground } = rgb;
+
+  const variables = {
+    '--background': toHslVariable(background),
+    '--foreground': toHslVariable(foreground),
+    '--card': toHslVariable(background),
+    '--card-foreground': toHslVariable(foreground),
+    '--popover': toHslVariable(background),
+    '--popover-foreground': toHslVariable(foreground)
+  };
+  ['primary', 'secondary', 'accent'].forEach((key) => {
+    variables[`--${key}`] = toHslVariable(rgb[key]);
+    variables[`--${key}-foreground`] = toHslVariable(getForeground(rgb[key], background, foreground));
+  });
+  variables['--muted'] = toHslVariable(mix(background, foreground, 0.05));
+  variables['--muted-foreground'] = toHslVariable(mix(foreground, background, 0.45));
+  variables['--border'] = toHslVariable(mix(background, foreground, 0.12));
+  variables['--input'] = variables['--border'];
+  variables['--ring'] = variables['--primary'];
+  variables['--radius'] = radius;
+
+  // Names are quoted into CSS, so anything but a plain family name is ignored
+  const [heading, body] = [fonts.heading, fonts.body].map(name => (FONT_NAME_PATTERN.test(name) ? name : ''));
+  const bodyFamily = body && formatFontFamily(body, 'ui-sans-serif, system-ui, sans-serif');
+  if (bodyFamily) variables['--font-body'] = bodyFamily;
+  if (heading || bodyFamily) {
+    variables['--font-heading'] = heading ? formatFontFamily(heading, bodyFamily || 'ui-sans-serif, system-ui, sans-serif') : bodyFamily;
+  }
+
+  return variables;
+};
+
+/**
+ * The theme as a stylesheet: its variables, plus font rules when it sets fonts.
+ * @param {Object} [theme]
+ * @param {string} [scope] - Selector the theme applies to; the page root by default
+ * @returns {string}
+ */
+export const formatThemeCss = (theme, scope = ':root') => {
+  const variables = getThemeVariables(theme);
+  const rules = [`${scope} {\n${Object.entries(variables).map(([name, value]) => `  ${name}: ${value};`).join('\n')}\n}`];
+
+  if (variables['--font-body']) {
+    rules.push(`${scope} {\n  font-family: var(--font-body);\n}`);
+  }
+  if (variables['--font-heading']) {
+    // No specificity, so a font-* class on a heading still wins
+    rules.push(`:where(${scope}) :where(h1, h2, h3, h4, h5, h6) {\n  font-family: var(--font-heading);\n}`);
+  }
+  return `${rules.join('\n\n')}\n`;
+};
+
+/**
+ * Google Fonts stylesheet for the theme's fonts.
+ * @param {Object} [theme]
+ * @returns {string|null} null when the theme only uses installed fonts
+ */
+export const getFontStylesheetUrl = (theme) => {
+  const { fonts } = resolveTheme(theme);
+  const families = [...new Set([fonts.heading, fonts.body])]
+    .filter(name => name && FONT_NAME_PATTERN.test(name) && !GENERIC_FONTS.includes(name.toLowerCase()));
+
+  if (!families.length) return null;
+  const query = families.map(name => `family=${name.trim().replace(/ +/g, '+')}:wght@400;600;700`).join('&');
+  return `https://fonts.googleapis.com/css2?${query}&display=swap`;
+};
@@ -2,10 +2,15 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import PreviewFrame from './components/PreviewFrame';
+import { PREVIEW_FRAME_PATH } from './components/utils/previewMessages';
+
+// The live preview's sandboxed iframe loads this bundle too, but only renders generated code
+const isPreviewFrame = window.location.pathname === PREVIEW_FRAME_PATH;
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    {isPreviewFrame ? <PreviewFrame /> : <App />}
   </React.StrictMode>
 ); 
\ No newline at end of file
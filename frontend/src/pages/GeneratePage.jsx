@@ -1,13 +1,67 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
 import GenerateSidebar from '../components/GenerateSidebar';
 import SimpleLivePreview from '../components/SimpleLivePreview';
+import SectionsPanel from '../components/SectionsPanel';
+import ThemeEditor from '../components/ThemeEditor';
+import CodeEditorPanel from '../components/CodeEditorPanel';
+import { ERROR_STATES } from '../components/utils/config';
+import { replaceRenderedText } from '../components/utils/babelTransformations';
+import { API_URL, apiFetch, downloadFile, getAuthHeaders, readEventStream } from '../utils/api';
 import ReactDOM from 'react-dom';
 
+// Reconnect settings for dropped generation streams
+const MAX_RECONNECT_ATTEMPTS = 5;
+const RECONNECT_DELAY = 1000; // ms, multiplied by the attempt number
+
+// Instruction sent when a section is regenerated from the preview's inspector
+const REGENERATE_INSTRUCTION = 'Write this component again from scratch: keep what it is for and what it says, but give it a fresh layout and design.';
+
 // Debug utilities
 const debugStream = (message, data) => {
   console.log(`%c🔍 STREAM DEBUG: ${message}`, 'color: #4CAF50; font-weight: bold;', data);
 };
 
+// Preview registry for a saved version
+const registryFromVersion = (version) => ({
+  components: new Map(version.components.map(component => [component.componentId, {
+    name: component.name,
+    code: component.code || '',
+    position: component.position || 'main',
+    page: component.page,
+    isLayout: component.name === 'RootLayout'
+  }])),
+  ...(version.pages?.length && { pages: version.pages }),
+  language: version.generation?.language || 'jsx',
+  ...(version.theme && { theme: version.theme }),
+  layout: {
+    sections: {
+      header: version.sections?.header || [],
+      main: version.sections?.main || [],
+      footer: version.sections?.footer || []
+    }
+  }
+});
+
+// Section names per position, leaving out RootLayout
+const getSectionNames = (registry) => {
+  const names = {};
+  Object.entries(registry.layout.sections).forEach(([position, ids]) => {
+    names[position] = ids
+      .filter(id => registry.components.has(id) && !registry.components.get(id).isLayout)
+      .map(id => registry.components.get(id).name);
+  });
+  return names;
+};
+
+// Pages of a multi-page site with their main section names
+const getPageSectionNames = (registry) => registry.pages?.map(page => ({
+  id: page.id,
+  name: page.name,
+  sections: (page.sections || [])
+    .filter(id => registry.components.has(id))
+    .map(id => registry.components.get(id).name)
+}));
+
 export default function GeneratePage() {
   const [isLoading, setIsLoading] = useState(false);
   const [registry, setRegistry] = useState({
@@ -24,6 +78,56 @@ export default function GeneratePage() {
   const [streamingStates, setStreamingStates] = useState(new Map());
   const [currentComponent, setCurrentComponent] = useState(null);
   const streamCleanupRef = useRef(null);
+  const projectId = new URLSearchParams(window.location.search).get('projectId');
+  const [versionId, setVersionId] = useState(() => new URLSearchParams(window.location.search).get('versionId'));
+  const [isSavingSections, setIsSavingSections] = useState(false);
+  const [sectionError, setSectionError] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  // Theme edits shown in the preview but not saved as a version yet
+  const [isThemeDirty, setIsThemeDirty] = useState(false);
+  // Component open in the code editor: { componentId, name, code } with its code from before
+  // the edit, which cancelling puts back
+  const [editingCode, setEditingCode] = useState(null);
+  // Questionnaire answers saved on the project, reused for its next generations
+  const [savedBrief, setSavedBrief] = useState(null);
+
+  // Shows a saved version and makes it the one the next change builds on
+  const showVersion = useCallback((version) => {
+    setRegistry(registryFromVersion(version));
+    setIsThemeDirty(false);
+    setEditingCode(null);
+    setStreamingStates(new Map(version.components.map(component => [component.componentId, {
+      isStreaming: false,
+      isComplete: true
+    }])));
+
+    const params = new URLSearchParams(window.location.search);
+    params.set('versionId', version._id);
+    window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+    setVersionId(version._id);
+  }, []);
+
+  // Opening a saved version shows it without generating anything
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const initialProjectId = params.get('projectId');
+    const initialVersionId = params.get('versionId');
+    if (!initialProjectId || !initialVersionId) return;
+
+    apiFetch(`/projects/${initialProjectId}/versions/${initialVersionId}`)
+      .then(showVersion)
+      .catch(error => console.warn('⚠️ Could not load version:', error));
+  }, [showVersion]);
+
+  useEffect(() => {
+    const initialProjectId = new URLSearchParams(window.location.search).get('projectId');
+    if (!initialProjectId) return;
+
+    apiFetch(`/projects/${initialProjectId}`)
+      .then(project => project.brief && setSavedBrief(project.brief))
+      .catch(error => console.warn('⚠️ Could not load project brief:', error));
+  }, []);
 
   // Cleanup function
   useEffect(() => {
@@ -34,7 +138,7 @@ export default function GeneratePage() {
     };
   }, []);
 
-  const handleSubmit = async ({ prompt, style, requirements }) => {
+  const handleSubmit = async ({ prompt, style, requirements, brief, mode, pages, plan, language = 'jsx' }) => {
     if (streamCleanupRef.current) {
       streamCleanupRef.current();
     }
@@ -50,154 +154,307 @@ export default function GeneratePage() {
           position: 'main'
         }]
       ]),
-      layout: { sections: { header: [], main: [], footer: [] } }
+      layout: { sections: { header: [], main: [], footer: [] } },
+      language
     });
+    setIsThemeDirty(false);
     setStreamingStates(new Map());
     setCurrentComponent(null);
     
     try {
+      // Generations are saved as the next version of the project in the URL
+      const params = new URLSearchParams(window.location.search);
+      const query = new URLSearchParams({
+        projectId: params.get('projectId') || '',
+        versionId: params.get('versionId') || ''
+      });
+
       console.log('📡 Fetching from /api/generate...');
-      const response = await fetch('http://localhost:5001/api/generate', {
+      // Cancelling aborts whichever request is streaming at the time
+      const abortController = new AbortController();
+      const response = await fetch(`${API_URL}/generate?${query}`, {
         method: 'POST',
+        signal: abortController.signal,
         headers: {
           'Content-Type': 'application/json',
-          'Accept': 'text/event-stream'
+          'Accept': 'text/event-stream',
+          // Generation is metered against the signed-in user's token balance
+          ...getAuthHeaders()
         },
-        body: JSON.stringify({ prompt, style, requirements })
+        body: JSON.stringify({
+          prompt,
+          style,
+          requirements,
+          // Questionnaire answers, sent as typed fields rather than prompt text
+          ...(brief && { brief }),
+          ...(mode === 'site' && { mode, pages }),
+          // An approved proposal fixes the sections the page is built with
+          ...(plan && { plan }),
+          // TypeScript components; the preview strips their types before rendering
+          ...(language === 'tsx' && { language })
+        })
       });
 
       if (!response.ok) {
-        throw new Error(`HTTP Error: ${response.status}`);
+        // 401/403/402 carry a message about sign-in, approval or an exhausted quota
+        const { message } = await response.json().catch(() => ({}));
+        throw new Error(message || `HTTP Error: ${response.status}`);
       }
 
-      const reader = response.body.getReader();
       let isCancelled = false;
-      
+      let isFinished = false;
+      let sessionId = null;
+      let lastEventId = null;
+
       streamCleanupRef.current = () => {
         isCancelled = true;
-        reader.cancel();
-      };
+        abortController.abort();
 
-      let buffer = '';
-      const eventPattern = /(?:\n)?(data: \{.*?\})(?=\n|$)/gs;
-
-      const processEvents = (text) => {
-        buffer += text;
-        const events = [];
-        let match;
-        
-        while ((match = eventPattern.exec(buffer)) !== null) {
-          try {
-            const event = JSON.parse(match[1].replace('data: ', ''));
-            events.push(event);
-          } catch (e) {
-            console.error('Parse error:', match[0], e);
-          }
+        // Dropping the connection alone leaves the model running until the grace period ends
+        if (sessionId && !isFinished) {
+          fetch(`${API_URL}/generate/${sessionId}/cancel`, { method: 'POST', headers: getAuthHeaders() })
+            .catch(error => console.warn('⚠️ Cancel request failed:', error));
         }
-        
-        // Keep any partial event in the buffer
-        buffer = buffer.slice(eventPattern.lastIndex);
-        return events;
       };
 
-      while (!isCancelled) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        const text = new TextDecoder().decode(value);
-        const events = processEvents(text);
-        
-        console.log('🔄 Processing events:', events.length);
-        
-        for (const data of events) {
-          if (isCancelled) break;
-          
-          console.log('📦 Received message:', { type: data.type, metadata: data.metadata });
-          
-          switch (data.type) {
-            case 'content_block_start':
-              if (data.metadata?.componentName) {
-                const { componentName, position, componentId } = data.metadata;
-                const finalComponentId = componentName === 'RootLayout' 
-                  ? 'root_layout' 
-                  : componentId || `comp_${componentName.toLowerCase().replace(/[^a-z0-9]/g, '_')}`;
-
-                console.log('🎯 Starting component:', { 
-                  componentName, 
-                  finalComponentId, 
-                  position 
+      const handleEvent = (data) => {
+        console.log('📦 Received message:', { type: data.type, metadata: data.metadata });
+
+        switch (data.type) {
+          case 'content_block_start':
+            if (data.metadata?.componentName) {
+              const { componentName, position, componentId, page } = data.metadata;
+              const finalComponentId = componentName === 'RootLayout' 
+                ? 'root_layout' 
+                : componentId || `comp_${componentName.toLowerCase().replace(/[^a-z0-9]/g, '_')}`;
+
+              console.log('🎯 Starting component:', { 
+                componentName, 
+                finalComponentId, 
+                position 
+              });
+              
+              // Update registry and streaming state atomically
+              setRegistry(prev => {
+                const newComponents = new Map(prev.components);
+                newComponents.set(finalComponentId, {
+                  name: componentName,
+                  code: '',
+                  position: position || 'main',
+                  page,
+                  isLayout: componentName === 'RootLayout'
                 });
-                
-                // Update registry and streaming state atomically
-                setRegistry(prev => {
-                  const newComponents = new Map(prev.components);
-                  newComponents.set(finalComponentId, {
-                    name: componentName,
-                    code: '',
-                    position: position || 'main',
-                    isLayout: componentName === 'RootLayout'
-                  });
-                  return { ...prev, components: newComponents };
+                return { ...prev, components: newComponents };
+              });
+
+              setStreamingStates(prev => {
+                const newStates = new Map(prev);
+                newStates.set(finalComponentId, {
+                  isStreaming: true,
+                  isComplete: false
                 });
+                return newStates;
+              });
+            }
+            break;
+
+          case 'content_block_delta':
+            if (data.metadata?.componentId) {
+              const finalComponentId = data.metadata.componentId;
+              const deltaText = data.delta.text;
 
-                setStreamingStates(prev => {
-                  const newStates = new Map(prev);
-                  newStates.set(finalComponentId, {
-                    isStreaming: true,
-                    isComplete: false
+              console.log('📝 Received delta for component:', {
+                componentId: finalComponentId,
+                deltaLength: deltaText.length
+              });
+
+              setRegistry(prev => {
+                const newComponents = new Map(prev.components);
+                const existingComponent = newComponents.get(finalComponentId);
+                if (existingComponent) {
+                  newComponents.set(finalComponentId, {
+                    ...existingComponent,
+                    code: (existingComponent.code || '') + deltaText
                   });
-                  return newStates;
-                });
-              }
-              break;
+                }
+                return { ...prev, components: newComponents };
+              });
+            }
+            break;
 
-            case 'content_block_delta':
-              if (data.metadata?.componentId) {
-                const finalComponentId = data.metadata.componentId;
-                const deltaText = data.delta.text;
+          case 'content_block_stop':
+            if (data.metadata?.componentId) {
+              const finalComponentId = data.metadata.componentId;
+              
+              console.log('✅ Component complete:', {
+                componentId: finalComponentId
+              });
 
-                console.log('📝 Received delta for component:', {
-                  componentId: finalComponentId,
-                  deltaLength: deltaText.length
+              setStreamingStates(prev => {
+                const newStates = new Map(prev);
+                newStates.set(finalComponentId, {
+                  isStreaming: false,
+                  isComplete: true
                 });
+                return newStates;
+              });
+            }
+            break;
 
-                setRegistry(prev => {
-                  const newComponents = new Map(prev.components);
-                  const existingComponent = newComponents.get(finalComponentId);
-                  if (existingComponent) {
-                    newComponents.set(finalComponentId, {
-                      ...existingComponent,
-                      code: (existingComponent.code || '') + deltaText
-                    });
-                  }
-                  return { ...prev, components: newComponents };
-                });
-              }
-              break;
-
-            case 'content_block_stop':
-              if (data.metadata?.componentId) {
-                const finalComponentId = data.metadata.componentId;
-                
-                console.log('✅ Component complete:', {
-                  componentId: finalComponentId
+          case 'validation_error':
+            if (data.metadata?.componentId) {
+              const finalComponentId = data.metadata.componentId;
+
+              console.warn('❌ Component failed validation:', {
+                componentId: finalComponentId,
+                error: data.error
+              });
+
+              setStreamingStates(prev => {
+                const newStates = new Map(prev);
+                newStates.set(finalComponentId, {
+                  isStreaming: false,
+                  isComplete: false,
+                  error: ERROR_STATES.VALIDATION_FAILED,
+                  validationError: data.error
                 });
+                return newStates;
+              });
+            }
+            break;
+
+          case 'component_replaced':
+            if (data.metadata?.componentId) {
+              const finalComponentId = data.metadata.componentId;
+
+              console.log('🔧 Component repaired:', {
+                componentId: finalComponentId,
+                attempt: data.attempt
+              });
 
-                setStreamingStates(prev => {
-                  const newStates = new Map(prev);
-                  newStates.set(finalComponentId, {
-                    isStreaming: false,
-                    isComplete: true
+              // The repaired code replaces the invalid block instead of appending to it
+              setRegistry(prev => {
+                const newComponents = new Map(prev.components);
+                const existingComponent = newComponents.get(finalComponentId);
+                if (existingComponent) {
+                  newComponents.set(finalComponentId, {
+                    ...existingComponent,
+                    code: data.delta.text
                   });
-                  return newStates;
+                }
+                return { ...prev, components: newComponents };
+              });
+
+              setStreamingStates(prev => {
+                const newStates = new Map(prev);
+                newStates.set(finalComponentId, {
+                  isStreaming: false,
+                  isComplete: true
                 });
-              }
-              break;
+                return newStates;
+              });
+            }
+            break;
+
+          case 'session_start':
+            sessionId = data.sessionId;
+            console.log('🔗 Generation session:', sessionId);
+            break;
 
-            case 'message_stop':
+          case 'site_plan':
+            // Pages arrive before their sections so the preview can offer a page switcher
+            console.log('🗺️ Site pages:', data.pages.map(page => page.path));
+            setRegistry(prev => ({ ...prev, pages: data.pages }));
+            break;
+
+          case 'theme':
+            // The plan's colors first, then the model's own theme once its block is done
+            setRegistry(prev => ({ ...prev, theme: data.theme }));
+            break;
+
+          case 'error':
+            // Component-level errors (e.g. failed repairs) and planned sections that
+            // never arrived don't end the stream
+            if (!data.metadata && !data.missingSections) {
+              isFinished = true;
+            }
+            console.error('❌ Stream error:', data);
+            break;
+
+          case 'usage':
+            console.log('🪙 Token usage:', {
+              ...data.usage,
+              tokensRemaining: data.tokensRemaining
+            });
+            break;
+
+          case 'message_stop':
+            isFinished = true;
+            if (data.metadata?.sections) {
+              setRegistry(prev => ({
+                ...prev,
+                ...(data.metadata.pages && { pages: data.metadata.pages }),
+                ...(data.metadata.theme && { theme: data.metadata.theme }),
+                layout: { sections: data.metadata.sections }
+              }));
+            }
+            if (data.versionId) {
+              // Point the URL at the saved version so the next generation builds on it
+              params.set('versionId', data.versionId);
+              window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+              setVersionId(data.versionId);
+              console.log(`💾 Saved as version ${data.versionNumber}:`, data.versionId);
+            }
+            if (data.reason === 'cancelled') {
+              console.log('🛑 Generation cancelled, keeping partial components');
+            } else {
               console.log('🏁 Stream complete');
-              break;
+            }
+            break;
+        }
+      };
+
+      // Reads "id: N\ndata: {...}" frames until the stream ends or drops
+      const readEvents = (streamResponse) => readEventStream(streamResponse, (data, eventId) => {
+        if (isCancelled) return;
+        if (eventId) lastEventId = eventId;
+        handleEvent(data);
+      });
+
+      try {
+        await readEvents(response);
+      } catch (error) {
+        if (!isCancelled) console.warn('⚠️ Stream interrupted:', error);
+      }
+
+      // Reconnect to the session and pick up after the last event we saw
+      let attempts = 0;
+      while (!isCancelled && !isFinished && sessionId && attempts < MAX_RECONNECT_ATTEMPTS) {
+        attempts++;
+        await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY * attempts));
+        if (isCancelled) break;
+
+        console.log(`🔁 Reconnecting to ${sessionId} after event ${lastEventId} (attempt ${attempts})`);
+        try {
+          const resumed = await fetch(`${API_URL}/generate/${sessionId}/events`, {
+            signal: abortController.signal,
+            headers: {
+              'Accept': 'text/event-stream',
+              ...(lastEventId && { 'Last-Event-ID': lastEventId }),
+              ...getAuthHeaders()
+            }
+          });
+
+          if (resumed.status === 404) {
+            console.warn('⚠️ Session is no longer available');
+            break;
           }
+          if (!resumed.ok) continue;
+
+          attempts = 0;
+          await readEvents(resumed);
+        } catch (error) {
+          if (!isCancelled) console.warn('⚠️ Reconnect failed:', error);
         }
       }
     } catch (error) {
@@ -208,19 +465,251 @@ export default function GeneratePage() {
     }
   };
 
+  // Runs a section, theme or component change and shows the version it saved
+  const changeSections = async (request) => {
+    setIsSavingSections(true);
+    setSectionError(null);
+    try {
+      showVersion(await request());
+    } catch (error) {
+      console.error('❌ Section change failed:', error);
+      setSectionError(error.message);
+    } finally {
+      setIsSavingSections(false);
+    }
+  };
+
+  const sectionsPath = `/projects/${projectId}/versions/${versionId}/sections`;
+
+  const handleReorderSections = (position, order, page) => changeSections(() => apiFetch(sectionsPath, {
+    method: 'PUT',
+    body: JSON.stringify({ position, order, ...(page && { page }) })
+  }));
+
+  const handleRemoveSection = (componentName) => changeSections(() => apiFetch(
+    `${sectionsPath}/${componentName}`,
+    { method: 'DELETE' }
+  ));
+
+  // Runs a change the backend generates over SSE and loads the version it saves
+  const streamVersionChange = async (path, body, failureMessage) => {
+    const response = await fetch(`${API_URL}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        ...getAuthHeaders()
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const { message } = await response.json().catch(() => ({}));
+      throw new Error(message || `HTTP Error: ${response.status}`);
+    }
+
+    let savedVersionId = null;
+    let failure = null;
+    await readEventStream(response, (data) => {
+      if (data.type === 'error') failure = data.message;
+      if (data.type === 'message_stop') savedVersionId = data.versionId;
+    });
+
+    if (!savedVersionId) {
+      throw new Error(failure || failureMessage);
+    }
+    return apiFetch(`/projects/${projectId}/versions/${savedVersionId}`);
+  };
+
+  const handleAddSection = (section) => changeSections(() => streamVersionChange(
+    sectionsPath,
+    section,
+    `${section.componentName} was not added`
+  ));
+
+  // Sections picked in the preview's inspector are rewritten one at a time
+  const handleEditComponent = (componentName, instruction) => changeSections(() => streamVersionChange(
+    '/edit',
+    { projectId, versionId, componentName, instruction },
+    `${componentName} was not changed`
+  ));
+
+  const handleRegenerateComponent = (componentName) => handleEditComponent(componentName, REGENERATE_INSTRUCTION);
+
+  // Theme edits re-skin the preview right away; saving them makes a new version
+  const handleThemeChange = (theme) => {
+    setRegistry(prev => ({ ...prev, theme }));
+    setIsThemeDirty(true);
+  };
+
+  const handleSaveTheme = () => changeSections(() => apiFetch(
+    `/projects/${projectId}/versions/${versionId}/theme`,
+    { method: 'PUT', body: JSON.stringify(registry.theme) }
+  ));
+
+  // Code edits re-render the preview as the user types; saving them makes a new version
+  const setComponentCode = (componentId, code) => setRegistry(prev => {
+    const components = new Map(prev.components);
+    components.set(componentId, { ...components.get(componentId), code });
+    return { ...prev, components };
+  });
+
+  const handleOpenCodeEditor = (componentName) => {
+    const entry = Array.from(registry.components.entries()).find(([, component]) => component.name === componentName);
+    if (!entry) return;
+    const [componentId, component] = entry;
+    setEditingCode({ componentId, name: component.name, code: component.code });
+  };
+
+  const handleCodeChange = (code) => setComponentCode(editingCode.componentId, code);
+
+  const handleCancelCodeEdit = () => {
+    setComponentCode(editingCode.componentId, editingCode.code);
+    setEditingCode(null);
+  };
+
+  const saveComponentCode = (componentName, code) => changeSections(() => apiFetch(
+    `/projects/${projectId}/versions/${versionId}/components/${componentName}`,
+    { method: 'PUT', body: JSON.stringify({ code }) }
+  ));
+
+  const handleSaveCode = (code) => saveComponentCode(editingCode.name, code);
+
+  // Text edited in the preview is written back where it came from in the component's code,
+  // and saved like a code edit once the page belongs to a project
+  const handleEditText = (componentName, edit) => {
+    const entry = Array.from(registry.components.entries()).find(([, component]) => component.name === componentName);
+    const code = entry && replaceRenderedText(entry[1].code, edit, registry.language);
+    if (!code) {
+      setSectionError(`"${edit.text}" could not be found in the code of ${componentName}`);
+      return;
+    }
+
+    setSectionError(null);
+    setComponentCode(entry[0], code);
+    if (projectId && versionId) saveComponentCode(componentName, code);
+  };
+
+  // Plans the page before anything is generated; the sidebar builds it once approved
+  const handlePropose = async (request) => {
+    const { proposal } = await apiFetch('/proposal', {
+      method: 'POST',
+      body: JSON.stringify(request)
+    });
+    return proposal;
+  };
+
+  // Keeps the questionnaire answers on the project; without one there's nowhere to save them
+  const handleSaveBrief = projectId ? async (brief) => {
+    try {
+      setSavedBrief(await apiFetch(`/projects/${projectId}/brief`, {
+        method: 'PUT',
+        body: JSON.stringify(brief)
+      }));
+    } catch (error) {
+      console.error('❌ Could not save brief:', error);
+    }
+  } : undefined;
+
+  // The current version zipped by the backend: a Vite project, or pre-rendered HTML and CSS
+  const handleExport = async (format) => {
+    setIsExporting(true);
+    setExportError(null);
+    try {
+      await downloadFile(`/projects/${projectId}/versions/${versionId}/export?format=${format}`, 'website.zip');
+    } catch (error) {
+      console.error('❌ Export failed:', error);
+      setExportError(error.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   return (
     <div className="flex h-screen bg-[#0B1121]">
       <div className="w-[400px] p-4">
         <GenerateSidebar 
           onSubmit={handleSubmit}
+          onPropose={handlePropose}
+          onSaveBrief={handleSaveBrief}
+          initialBrief={savedBrief}
           isLoading={isLoading}
         />
+        {projectId && (
+          <a href={`/projects/${projectId}/history`} className="mt-2 block text-sm text-slate-300 hover:underline">
+            Version history
+          </a>
+        )}
+        {projectId && versionId && (
+          <>
+            <div className="mt-2 flex gap-4 text-sm text-slate-300">
+              <button
+                type="button"
+                onClick={() => handleExport('vite')}
+                disabled={isLoading || isExporting}
+                className="hover:underline disabled:opacity-50"
+              >
+                Download project
+              </button>
+              <button
+                type="button"
+                onClick={() => handleExport('html')}
+                disabled={isLoading || isExporting}
+                className="hover:underline disabled:opacity-50"
+              >
+                Download HTML
+              </button>
+              {isExporting && <span className="text-slate-400">Preparing download...</span>}
+            </div>
+            {exportError && <p className="mt-2 text-sm text-red-400">{exportError}</p>}
+            <SectionsPanel
+              sections={getSectionNames(registry)}
+              pages={getPageSectionNames(registry)}
+              onAdd={handleAddSection}
+              onRemove={handleRemoveSection}
+              onReorder={handleReorderSections}
+              isBusy={isLoading || isSavingSections}
+            />
+            <ThemeEditor
+              theme={registry.theme}
+              onChange={handleThemeChange}
+              onSave={handleSaveTheme}
+              isDirty={isThemeDirty}
+              isBusy={isLoading || isSavingSections}
+            />
+          </>
+        )}
+        {/* Text edits in the preview can fail before the page is saved to a project */}
+        {sectionError && <p className="mt-2 text-sm text-red-400">{sectionError}</p>}
       </div>
-      <div className="flex-1 p-4">
-        <SimpleLivePreview 
-          registry={registry}
-          streamingStates={streamingStates}
-        />
+      <div className="flex-1 min-w-0 p-4 flex flex-col gap-4">
+        <div className="flex-1 min-h-0">
+          <SimpleLivePreview 
+            registry={registry}
+            streamingStates={streamingStates}
+            {...(projectId && versionId && {
+              onRegenerateComponent: handleRegenerateComponent,
+              onEditComponent: handleEditComponent,
+              onEditComponentCode: handleOpenCodeEditor
+            })}
+            onEditText={handleEditText}
+            isBusy={isLoading || isSavingSections}
+          />
+        </div>
+        {editingCode && (
+          <div className="h-80 flex flex-col">
+            <CodeEditorPanel
+              key={editingCode.componentId}
+              component={editingCode}
+              language={registry.language}
+              onChange={handleCodeChange}
+              onSave={handleSaveCode}
+              onCancel={handleCancelCodeEdit}
+              isBusy={isLoading || isSavingSections}
+              error={sectionError}
+            />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Button } from '../components/ui/button';
+import VersionDiffView from '../components/VersionDiffView';
+import { apiFetch } from '../utils/api';
+
+export default function ProjectHistoryPage() {
+  const { projectId } = useParams();
+  const [versions, setVersions] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [baseId, setBaseId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Load a page of versions, newest first
+  useEffect(() => {
+    let isCurrent = true;
+
+    apiFetch(`/projects/${projectId}/versions?page=${page}`)
+      .then(data => {
+        if (!isCurrent) return;
+        setVersions(data.versions);
+        setTotalPages(data.totalPages || 1);
+
+        // Start out comparing the two newest versions
+        if (page === 1 && data.versions.length > 1) {
+          setCompareId(current => current || data.versions[0]._id);
+          setBaseId(current => current || data.versions[1]._id);
+        }
+      })
+      .catch(err => isCurrent && setError(err.message));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [projectId, page]);
+
+  // Diff the selected pair
+  useEffect(() => {
+    if (!baseId || !compareId || baseId === compareId) {
+      setDiff(null);
+      return;
+    }
+
+    let isCurrent = true;
+    apiFetch(`/projects/${projectId}/versions/${baseId}/diff/${compareId}`)
+      .then(data => isCurrent && setDiff(data))
+      .catch(err => isCurrent && setError(err.message));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [projectId, baseId, compareId]);
+
+  return (
+    <div className="flex h-screen bg-[#0B1121]">
+      <div className="w-[400px] p-4 overflow-y-auto bg-slate-900">
+        <h2 className="text-xl font-bold text-white mb-4">Version History</h2>
+        {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+
+        <ul className="space-y-2">
+          {versions.map(version => (
+            <li key={version._id} className="rounded-lg border border-slate-700 p-3 text-sm text-slate-200">
+              <div className="flex items-center justify-between">
+                <span className="font-semibold">Version {version.versionNumber}</span>
+                <span className="text-xs text-slate-400">{new Date(version.createdAt).toLocaleString()}</span>
+              </div>
+              {version.generation?.prompt && (
+                <p className="mt-1 text-xs text-slate-400 truncate">{version.generation.prompt}</p>
+              )}
+              {version.restoredFrom && (
+                <p className="mt-1 text-xs text-slate-400">Restored from an earlier version</p>
+              )}
+              {version.themeEdited && (
+                <p className="mt-1 text-xs text-slate-400">Theme edited</p>
+              )}
+              {version.codeEdit?.componentName && (
+                <p className="mt-1 text-xs text-slate-400">Code of {version.codeEdit.componentName} edited</p>
+              )}
+              <div className="mt-2 flex gap-2">
+                <Button
+                  size="sm"
+                  variant={baseId === version._id ? 'default' : 'outline'}
+                  onClick={() => setBaseId(version._id)}
+                >
+                  Base
+                </Button>
+                <Button
+                  size="sm"
+                  variant={compareId === version._id ? 'default' : 'outline'}
+                  onClick={() => setCompareId(version._id)}
+                >
+                  Compare
+                </Button>
+                <Link to={`/generate?projectId=${projectId}&versionId=${version._id}`}>
+                  <Button size="sm" variant="ghost" className="text-white">Open</Button>
+                </Link>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        {totalPages > 1 && (
+          <div className="mt-4 flex items-center justify-between text-sm text-slate-300">
+            <Button size="sm" variant="outline" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+              Newer
+            </Button>
+            <span>Page {page} of {totalPages}</span>
+            <Button size="sm" variant="outline" disabled={page >= totalPages} onClick={() => setPage(page + 1)}>
+              Older
+            </Button>
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 p-4 overflow-y-auto">
+        {diff ? (
+          <VersionDiffView diff={diff} />
+        ) : (
+          <p className="text-slate-400">Pick two different versions to compare.</p>
+        )}
+      </div>
+    </div>
+  );
+}
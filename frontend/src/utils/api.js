@@ -0,0 +1,74 @@
+// Backend the app talks to
+export const API_URL = 'http://localhost:5001/api';
+
+// Authorization header for the signed-in user, if any
+export const getAuthHeaders = () => {
+  const token = localStorage.getItem('token');
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// JSON request against the backend; rejects with the server's message on non-2xx responses
+export const apiFetch = async (path, options = {}) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+      ...options.headers
+    }
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.message || `HTTP Error: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+};
+
+// Downloads a file the backend sends as an attachment, keeping the server's file name
+export const downloadFile = async (path, fallbackName) => {
+  const response = await fetch(`${API_URL}${path}`, { headers: getAuthHeaders() });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || `HTTP Error: ${response.status}`);
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Reads a server-sent event stream to the end, handing each parsed "data:" payload and the
+// frame's "id:", if it has one, to onEvent
+export const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const lines = frame.split('\n');
+      const payload = lines
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('');
+      const eventId = lines.find(line => line.startsWith('id:'))?.slice(3).trim() || null;
+      if (payload) onEvent(JSON.parse(payload), eventId);
+    }
+  }
+};
@@ -85,6 +85,12 @@ module.exports = {
       variants: ['focus', 'focus-visible', 'dark']
     },
     
+    // Theme colors; generated pages use these instead of palette shades so the theme editor can re-skin them
+    {
+      pattern: /(bg|text|border|ring|from|via|to)-(primary|secondary|accent|muted|background|foreground|card|popover|border)(-foreground)?(\/(5|10|20|30|40|50|60|70|80|90))?$/,
+      variants: ['hover', 'focus', 'group-hover', 'md', 'lg']
+    },
+
     // Opacity utilities
     { pattern: /opacity-\d+/ },
 